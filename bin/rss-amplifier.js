@@ -5,6 +5,10 @@
  * Contextual RSS amplification with AI-driven snippet generation
  */
 
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn, spawnSync } from 'child_process';
 import colors from 'ansi-colors';
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
@@ -14,8 +18,24 @@ import dotenv from 'dotenv';
 dotenv.config();
 
 // Import core modules
-import { loadConfig, getConfigPath, getPlatformDisplayName, getAIConfig, isAIReady } from '../src/config-manager.js';
+import { loadConfig, getConfigPath, getPlatformDisplayName, isAIReady, getAIConfig } from '../src/config-manager.js';
 import { SetupWizard } from '../src/setup-wizard.js';
+import inquirer from 'inquirer';
+import cliProgress from 'cli-progress';
+import { FeedManager, importOPML } from '../src/feed-manager.js';
+import { FeedScheduler } from '../src/feed-scheduler.js';
+import { discoverFeeds } from '../src/feed-discovery.js';
+import { importFeeds } from '../src/feed-importer.js';
+import { SnippetManager } from '../src/snippet-manager.js';
+import { createSnippetGenerator } from '../src/ai-service.js';
+import { resolveBrand } from '../src/brand-profile.js';
+import { renderSnippetPrompts } from '../src/ai-snippet-generator.js';
+import { PromptTemplates, getPromptDirectory } from '../src/prompt-templates.js';
+import { generateSnippets, postSnippet, toSnippetPlatform, getToneForStyle } from '../src/snippet-workflow.js';
+import { PostScheduler } from '../src/post-scheduler.js';
+import { getNextRunTimes } from '../src/cron-expression.js';
+import { Daemon, getDaemonStatus, stopDaemon } from '../src/daemon.js';
+import { PipelineRunner } from '../src/pipeline.js';
 
 /**
  * Handle setup command
@@ -70,6 +90,8 @@ async function handleConfigCommand(argv) {
     console.log('');
     console.log(colors.yellow('General Settings:'));
     console.log(`  Brand context: ${config.general.brandContext || 'not set'}`);
+    const brandNames = (config.brands || []).map(brand => brand.name === config.general.defaultBrand ? `${brand.name} (default)` : brand.name);
+    console.log(`  Brand profiles: ${brandNames.join(', ') || 'none'}`);
     console.log(`  Default platforms: ${config.general.defaultPlatforms.join(', ') || 'none'}`);
     console.log(`  Retry attempts: ${config.general.retryAttempts}`);
     console.log(`  Timeout: ${config.general.timeout}ms`);
@@ -77,111 +99,1304 @@ async function handleConfigCommand(argv) {
 
     console.log('');
     console.log(colors.yellow('AI Settings:'));
-    if (config.ai?.enabled && config.ai?.openaiApiKey) {
+    if (isAIReady(config)) {
       console.log(`  Status: ${colors.green('enabled')}`);
       console.log(`  Provider: ${config.ai.provider}`);
-      console.log(`  Model: ${config.ai.model}`);
+      console.log(`  Model: ${getAIConfig(config).model}`);
       console.log(`  Temperature: ${config.ai.temperature}`);
       console.log(`  Max tokens: ${config.ai.maxTokens}`);
-      const maskedKey = `${config.ai.openaiApiKey.substring(0, 7)}...${config.ai.openaiApiKey.substring(config.ai.openaiApiKey.length - 4)}`;
-      console.log(`  API key: ${maskedKey}`);
+      if (config.ai.provider === 'ollama') {
+        console.log(`  Ollama URL: ${config.ai.ollamaUrl}`);
+      } else if (config.ai.provider === 'openai-compatible') {
+        console.log(`  Base URL: ${config.ai.baseUrl}`);
+      }
+      const apiKey = config.ai.provider === 'openai' ? config.ai.openaiApiKey : config.ai.apiKey;
+      if (apiKey) {
+        const maskedKey = `${apiKey.substring(0, 7)}...${apiKey.substring(apiKey.length - 4)}`;
+        console.log(`  API key: ${maskedKey}`);
+      }
     } else {
       console.log(`  Status: ${colors.gray('disabled')}`);
       console.log('  Run \'rssamp setup\' to configure AI features');
     }
 
-    console.log('');
-    console.log(colors.yellow('Feed Settings:'));
-    console.log(`  Refresh interval: ${config.feeds.refreshInterval / 1000 / 60} minutes`);
-    console.log(`  Max items: ${config.feeds.maxItems}`);
-    console.log(`  Scheduling: ${config.feeds.enableScheduling ? 'enabled' : 'disabled'}`);
+    console.log('');
+    console.log(colors.yellow('Feed Settings:'));
+    console.log(`  Refresh interval: ${config.feeds.refreshInterval / 1000 / 60} minutes`);
+    console.log(`  Max items: ${config.feeds.maxItems}`);
+    console.log(`  Scheduling: ${config.feeds.enableScheduling ? 'enabled' : 'disabled'}`);
+
+  } catch (error) {
+    console.error(colors.red('❌ Config display failed:'), error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Handle status command
+ */
+async function handleStatusCommand(argv) {
+  try {
+    console.log(colors.green('📊 RSS Amplifier Status:'));
+    console.log('');
+
+    const config = loadConfig(argv.configPath);
+    const platforms = ['x', 'linkedin', 'reddit', 'facebook', 'hacker-news', 'stacker-news', 'primal'];
+    
+    console.log(colors.yellow('Platform Status:'));
+    for (const platform of platforms) {
+      const displayName = getPlatformDisplayName(platform);
+      const enabled = config?.platforms?.[platform]?.enabled ?? false;
+      
+      let status;
+      if (!enabled) {
+        status = colors.gray('⚪ Disabled');
+      } else {
+        // TODO: Check actual authentication status when platform integrations are implemented
+        status = colors.yellow('⚠️  Configured (auth status unknown)');
+      }
+
+      console.log(`  ${displayName}: ${status}`);
+    }
+
+    console.log('');
+    console.log(colors.yellow('AI Status:'));
+    if (isAIReady(config)) {
+      console.log(`  ${colors.green('✅ Ready')} - ${config.ai.provider} (${getAIConfig(config).model})`);
+    } else {
+      console.log(`  ${colors.red('❌ Not configured')} - Run 'rssamp setup' to configure AI`);
+    }
+
+    console.log('');
+    console.log(colors.yellow('Feed Status:'));
+    console.log(`  ${colors.gray('📡 No feeds imported yet')} - Run 'rssamp import' to add feeds`);
+
+    console.log('');
+    console.log(colors.yellow('Snippet Status:'));
+    console.log(`  ${colors.gray('📝 No snippets generated yet')} - Run 'rssamp snippets generate' to create snippets`);
+
+  } catch (error) {
+    console.error(colors.red('❌ Status check failed:'), error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Handle import command
+ */
+async function handleImportCommand(argv) {
+  let scheduler = null;
+
+  try {
+    const source = argv.file || argv._[1];
+
+    if (argv.type === 'rss' && argv.discover) {
+      await listDiscoveredFeeds(source);
+      return;
+    }
+
+    const config = loadConfig(argv.configPath);
+    const feedManager = new FeedManager({ maxItems: config.feeds.maxItems });
+
+    let entries;
+    if (argv.type === 'opml') {
+      const opml = await importOPML(source);
+      if (!opml.success) {
+        throw new Error(opml.error);
+      }
+      entries = opml.feeds.map(feed => ({
+        url: feed.xmlUrl,
+        title: feed.title,
+        htmlUrl: feed.htmlUrl,
+        description: feed.description,
+        category: feed.category,
+        folders: feed.folders,
+      }));
+      console.log(colors.cyan(`📂 Found ${entries.length} feeds in "${opml.metadata.title}"`));
+    } else {
+      entries = [{ url: source }];
+      console.log(colors.cyan(`📡 Importing ${source}...`));
+    }
+
+    if (argv.schedule ?? config.feeds.enableScheduling) {
+      scheduler = new FeedScheduler({ feedManager });
+    }
+
+    // A progress bar only makes sense for batches; single imports may prompt for a feed
+    const progressBar = entries.length > 1
+      ? new cliProgress.SingleBar({
+        format: `  ${colors.cyan('{bar}')} {value}/{total} {feed}`,
+        hideCursor: true,
+      }, cliProgress.Presets.shades_classic)
+      : null;
+    progressBar?.start(entries.length, 0, { feed: '' });
+
+    const summary = await importFeeds(entries, {
+      feedManager,
+      scheduler,
+      interval: config.feeds.scheduleCron,
+      fullText: argv.fullText,
+      chooseCandidate: progressBar ? null : chooseFeedCandidate,
+      onProgress: (completed, total, outcome) => {
+        progressBar?.update(completed, { feed: colors.gray(outcome.title || outcome.url) });
+      },
+    });
+    progressBar?.stop();
+
+    printImportSummary(summary, scheduler ? config.feeds.scheduleCron : null);
+
+    if (summary.failed.length === summary.total && summary.total > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(colors.red('❌ Import failed:'), error.message);
+    if (argv.verbose) {
+      console.error(error.stack);
+    }
+    process.exitCode = 1;
+  } finally {
+    await scheduler?.close();
+  }
+}
+
+/**
+ * Print the added/skipped/failed summary of an import
+ */
+function printImportSummary(summary, scheduleCron) {
+  console.log('');
+
+  if (summary.added.length > 0) {
+    console.log(colors.green(`✅ Added ${summary.added.length} feeds:`));
+    for (const outcome of summary.added) {
+      const discovered = outcome.discoveredFrom ? colors.gray(` (discovered from ${outcome.discoveredFrom})`) : '';
+      console.log(`  ${outcome.title || outcome.url} - ${outcome.itemCount} items${discovered}`);
+    }
+    if (scheduleCron) {
+      console.log(colors.gray(`  Scheduled with "${scheduleCron}"`));
+    }
+  }
+
+  if (summary.skipped.length > 0) {
+    console.log(colors.yellow(`⏭️  Skipped ${summary.skipped.length} feeds:`));
+    for (const outcome of summary.skipped) {
+      console.log(`  ${outcome.title || outcome.url} - ${outcome.reason}`);
+    }
+  }
+
+  if (summary.failed.length > 0) {
+    console.log(colors.red(`❌ Failed ${summary.failed.length} feeds:`));
+    for (const outcome of summary.failed) {
+      console.log(`  ${outcome.title || outcome.url || '(no URL)'} - ${outcome.reason}`);
+    }
+  }
+
+  if (summary.total === 0) {
+    console.log(colors.yellow('No feeds to import'));
+  }
+}
+
+/**
+ * Print the feeds discovered for a website URL
+ */
+async function listDiscoveredFeeds(url) {
+  const discovery = await discoverFeeds(url);
+  if (!discovery.success) {
+    throw new Error(discovery.error);
+  }
+
+  if (discovery.candidates.length === 0) {
+    console.log(colors.yellow(`No feeds found at ${url}`));
+    return;
+  }
+
+  console.log(colors.green(`🔎 Feeds found at ${url}:`));
+  discovery.candidates.forEach((candidate, index) => {
+    const label = candidate.title ? ` - ${candidate.title}` : '';
+    console.log(`  ${index + 1}. ${candidate.url} ${colors.gray(`(${candidate.format}, ${candidate.source})`)}${label}`);
+  });
+}
+
+/**
+ * Ask which discovered feed to import (first candidate when not interactive)
+ */
+async function chooseFeedCandidate(candidates) {
+  if (!process.stdin.isTTY) {
+    console.log(colors.gray(`  ${candidates.length} feeds found, importing the first one`));
+    return candidates[0].url;
+  }
+
+  const { feedUrl } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'feedUrl',
+      message: 'This site advertises several feeds. Which one should be imported?',
+      choices: candidates.map(candidate => ({
+        name: candidate.title ? `${candidate.title} (${candidate.url})` : candidate.url,
+        value: candidate.url,
+      })),
+    },
+  ]);
+
+  return feedUrl;
+}
+
+/**
+ * Handle feeds command
+ */
+async function handleFeedsCommand(argv) {
+  try {
+    const config = loadConfig(argv.configPath);
+    const feedManager = new FeedManager({ maxItems: config.feeds.maxItems });
+    const scheduler = new FeedScheduler({ feedManager });
+
+    switch (argv.action) {
+    case 'list':
+      await listFeeds(feedManager, scheduler, argv);
+      break;
+    case 'add':
+      await addFeed(feedManager, scheduler, config, argv);
+      break;
+    case 'remove':
+      await removeFeed(feedManager, scheduler, argv);
+      break;
+    case 'refresh':
+      await refreshFeeds(feedManager, scheduler, argv);
+      break;
+    case 'enable':
+      await enableFeed(feedManager, scheduler, argv);
+      break;
+    case 'export':
+      await exportFeeds(feedManager, argv);
+      break;
+    }
+  } catch (error) {
+    console.error(colors.red('❌ Feed command failed:'), error.message);
+    if (argv.verbose) {
+      console.error(error.stack);
+    }
+    process.exit(1);
+  }
+}
+
+/**
+ * Resolve a feed ID or URL to a managed feed ID
+ */
+async function resolveFeedId(feedManager, target) {
+  if (!target) {
+    throw new Error('A feed ID or URL is required');
+  }
+
+  if (await feedManager.getFeed(target)) {
+    return target;
+  }
+
+  const feedId = feedManager.generateFeedId(target);
+  if (await feedManager.getFeed(feedId)) {
+    return feedId;
+  }
+
+  throw new Error(`Feed not found: ${target}`);
+}
+
+/**
+ * List managed feeds (feeds list [--json])
+ */
+async function listFeeds(feedManager, scheduler, argv) {
+  const scheduledFeeds = new Map((await scheduler.listScheduledFeeds()).map(feed => [feed.id, feed]));
+  const feeds = (await feedManager.listFeeds()).map(feed => {
+    const scheduled = scheduledFeeds.get(feed.id);
+    return {
+      id: feed.id,
+      title: feed.title || '',
+      url: feed.url,
+      category: feed.category || '',
+      itemCount: (feed.items || []).length,
+      lastUpdated: feed.lastUpdated || null,
+      failureCount: scheduled?.failureCount || 0,
+      interval: scheduled?.interval || null,
+      timezone: scheduled?.timezone || null,
+      enabled: scheduled ? scheduled.enabled !== false : null,
+      disabledReason: scheduled?.disabledReason || null,
+      adaptiveReason: scheduled?.adaptiveReason || null,
+    };
+  });
+
+  if (argv.json) {
+    process.stdout.write(`${JSON.stringify(feeds, null, 2)}\n`);
+    return;
+  }
+
+  if (feeds.length === 0) {
+    console.log(`${colors.gray('📡 No feeds imported yet')} - Run 'rssamp import' or 'rssamp feeds add <url>' to add feeds`);
+    return;
+  }
+
+  const rows = feeds.map(feed => [
+    truncate(feed.title || '(untitled)', 30),
+    truncate(feed.url, 50),
+    String(feed.itemCount),
+    feed.lastUpdated ? new Date(feed.lastUpdated).toLocaleString() : 'never',
+    feed.enabled === false ? `${feed.failureCount} (disabled)` : String(feed.failureCount),
+  ]);
+  printTable(['Title', 'URL', 'Items', 'Last updated', 'Failures'], rows);
+  console.log('');
+  console.log(colors.gray(`${feeds.length} feed${feeds.length === 1 ? '' : 's'}`));
+}
+
+/**
+ * Add and schedule a single feed (feeds add <url> [--interval] [--category])
+ */
+async function addFeed(feedManager, scheduler, config, argv) {
+  if (!argv.target) {
+    throw new Error('A feed URL is required: rssamp feeds add <url>');
+  }
+
+  console.log(colors.cyan(`📡 Adding ${argv.target}...`));
+  const summary = await importFeeds([{ url: argv.target, category: argv.category }], {
+    feedManager,
+    scheduler,
+    interval: argv.interval || config.feeds.scheduleCron,
+    timezone: argv.timezone,
+    adaptive: argv.adaptive,
+    fullText: argv.fullText,
+    chooseCandidate: chooseFeedCandidate,
+  });
+
+  const [outcome] = [...summary.added, ...summary.skipped, ...summary.failed];
+  if (outcome.status === 'failed') {
+    throw new Error(outcome.reason);
+  }
+  if (outcome.status === 'skipped') {
+    console.log(colors.yellow(`⏭️  ${outcome.url} - ${outcome.reason}`));
+    return;
+  }
+
+  const scheduled = scheduler.scheduledFeeds.get(outcome.feedId);
+  console.log(colors.green(`✅ Added "${outcome.title || outcome.url}" (${outcome.itemCount} items)`));
+  console.log(colors.gray(`  ID: ${outcome.feedId}`));
+  console.log(colors.gray(`  Schedule: ${scheduled.interval} (${scheduled.timezone})`));
+  console.log(colors.gray(`  Next runs: ${formatNextRuns(scheduled.interval, scheduled.timezone)}`));
+}
+
+/**
+ * Format the next fire times of a cron expression for display
+ */
+function formatNextRuns(cronExpression, timezone, count = 3) {
+  return getNextRunTimes(cronExpression, count, { timezone }).map(date => date.toLocaleString()).join('; ');
+}
+
+/**
+ * Remove a feed and its schedule (feeds remove <id|url>)
+ */
+async function removeFeed(feedManager, scheduler, argv) {
+  const feedId = await resolveFeedId(feedManager, argv.target);
+  const feed = await feedManager.getFeed(feedId);
+
+  // The scheduler removes the feed from the feed manager as well
+  const result = scheduler.scheduledFeeds.has(feedId)
+    ? await scheduler.removeFeed(feedId)
+    : await feedManager.removeFeed(feedId);
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  console.log(colors.green(`✅ Removed "${feed.title || feed.url}"`));
+}
+
+/**
+ * Re-enable a feed the scheduler disabled after repeated failures (feeds enable <id|url>)
+ */
+async function enableFeed(feedManager, scheduler, argv) {
+  const feedId = await resolveFeedId(feedManager, argv.target);
+  const result = await scheduler.enableFeed(feedId);
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  console.log(colors.green(`✅ Enabled ${argv.target}`));
+  console.log(colors.gray(`  Next run: ${result.nextRun.toLocaleString()}`));
+}
+
+/**
+ * Fetch one or all feeds now (feeds refresh [id] [--concurrency])
+ */
+async function refreshFeeds(feedManager, scheduler, argv) {
+  const feedIds = argv.target ? [await resolveFeedId(feedManager, argv.target)] : null;
+  const total = feedIds ? 1 : (await feedManager.listFeeds()).length;
+
+  if (total === 0) {
+    console.log(colors.yellow('No feeds to refresh'));
+    return;
+  }
+
+  console.log(colors.cyan(`🔄 Refreshing ${total} feed${total === 1 ? '' : 's'}...`));
+  const results = await scheduler.refreshFeeds(feedIds, {
+    concurrency: argv.concurrency,
+    onResult: (result) => {
+      const label = result.title || result.url;
+      if (!result.success) {
+        console.log(`  ${colors.red('❌')} ${label} - ${result.error}`);
+      } else if (result.notModified) {
+        console.log(`  ${colors.gray('⏸️')}  ${label} - not modified`);
+      } else {
+        console.log(`  ${colors.green('✅')} ${label} - ${result.itemsAdded} new items`);
+      }
+    },
+  });
+
+  const failed = results.filter(result => !result.success).length;
+  const newItems = results.reduce((sum, result) => sum + (result.itemsAdded || 0), 0);
+  console.log('');
+  console.log(colors.green(`Refreshed ${results.length - failed}/${results.length} feeds, ${newItems} new items`));
+
+  if (failed === results.length) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Print rows as a padded text table
+ */
+function printTable(headers, rows) {
+  const widths = headers.map((header, column) => Math.max(header.length, ...rows.map(row => row[column].length)));
+  const formatRow = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+  console.log(colors.yellow(formatRow(headers)));
+  console.log(colors.gray(widths.map(width => '-'.repeat(width)).join('  ')));
+  rows.forEach(row => console.log(formatRow(row)));
+}
+
+/**
+ * Shorten text to a maximum length
+ */
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.substring(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * Export managed feeds (feeds export --format opml [--output file])
+ */
+async function exportFeeds(feedManager, argv) {
+  const result = await feedManager.exportOPML({ filePath: argv.output });
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  if (argv.output) {
+    console.log(colors.green(`✅ Exported ${result.feedCount} feeds to ${argv.output}`));
+  } else {
+    process.stdout.write(`${result.content}\n`);
+  }
+}
+
+/**
+ * Handle snippets command
+ */
+async function handleSnippetsCommand(argv) {
+  try {
+    const config = loadConfig(argv.configPath);
+    const snippetManager = new SnippetManager();
+
+    switch (argv.action) {
+    case 'generate':
+      await generateSnippetsCommand(snippetManager, config, argv);
+      break;
+    case 'list':
+      await listSnippetsCommand(snippetManager, argv);
+      break;
+    case 'approve':
+      await approveSnippetsCommand(snippetManager, argv);
+      break;
+    case 'edit':
+      await editSnippetCommand(snippetManager, argv);
+      break;
+    case 'delete':
+      await deleteSnippetsCommand(snippetManager, argv);
+      break;
+    case 'post':
+      await postSnippetsCommand(snippetManager, config, argv);
+      break;
+    }
+  } catch (error) {
+    console.error(colors.red('❌ Snippet command failed:'), error.message);
+    if (argv.verbose) {
+      console.error(error.stack);
+    }
+    process.exit(1);
+  }
+}
+
+/**
+ * Collect snippet IDs from --id (repeatable and/or comma separated)
+ */
+function getSnippetIds(argv) {
+  const ids = (argv.id || [])
+    .flatMap(id => String(id).split(','))
+    .map(id => id.trim())
+    .filter(Boolean);
+
+  if (ids.length === 0) {
+    throw new Error('At least one snippet ID is required (--id <id>)');
+  }
+
+  return ids;
+}
+
+/**
+ * Resolve --brand, warning once when it looks like a profile name but matches none
+ */
+function resolveBrandOption(config, selector) {
+  return resolveBrand(config, selector, {
+    onUnknown: name => console.warn(colors.yellow(`⚠️  No brand profile named "${name}" - using it as free-text brand context`)),
+  });
+}
+
+/**
+ * Generate snippets for recent feed items (snippets generate)
+ */
+async function generateSnippetsCommand(snippetManager, config, argv) {
+  const generator = createSnippetGenerator(config);
+  const feedManager = new FeedManager({ maxItems: config.feeds.maxItems });
+  const items = await feedManager.getRecentItems(argv.limit || 5);
+  if (items.length === 0) {
+    await generator.close();
+    console.log(`${colors.gray('📡 No feed items yet')} - Run 'rssamp import' or 'rssamp feeds refresh' first`);
+    return;
+  }
+
+  const style = argv.style || config.snippets.defaultStyle;
+  const platform = argv.platform || config.general.defaultPlatforms[0] || 'general';
+  const brand = resolveBrandOption(config, argv.brand);
+  const brandLabel = brand?.name ? `, brand ${brand.name}` : '';
+  console.log(colors.cyan(`✂️  Generating ${style} snippets for ${items.length} items (${platform}${brandLabel})...`));
+
+  const summary = await generateSnippets(items, {
+    generator,
+    snippetManager,
+    platform,
+    style,
+    brand,
+    onResult: (outcome) => {
+      const label = outcome.item.title || outcome.item.url;
+      if (outcome.status === 'created') {
+        console.log(`  ${colors.green('✅')} ${label}`);
+        console.log(colors.gray(`     ${outcome.snippet.id}: ${truncate(outcome.snippet.content.replace(/\s+/g, ' '), 100)}`));
+      } else if (outcome.status === 'skipped') {
+        console.log(`  ${colors.gray('⏭️')}  ${label} - ${outcome.reason}`);
+      } else {
+        console.log(`  ${colors.red('❌')} ${label} - ${outcome.reason}`);
+      }
+    },
+  });
+  await generator.close();
+
+  console.log('');
+  console.log(colors.green(`Created ${summary.created.length}, skipped ${summary.skipped.length}, failed ${summary.failed.length}`));
+  if (summary.created.length > 0) {
+    console.log(colors.gray('Review them with \'rssamp snippets list --status pending\''));
+  }
+}
+
+/**
+ * List snippets with filters and pagination (snippets list)
+ */
+async function listSnippetsCommand(snippetManager, argv) {
+  const limit = argv.limit || 20;
+  const page = Math.max(1, argv.page || 1);
+  const result = await snippetManager.listSnippets({
+    status: argv.status,
+    platform: argv.platform ? toSnippetPlatform(argv.platform) : undefined,
+    offset: (page - 1) * limit,
+    limit,
+  });
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  if (result.total === 0) {
+    console.log(colors.gray('📝 No snippets found'));
+    return;
+  }
+
+  const rows = result.snippets.map(snippet => [
+    snippet.id,
+    snippet.status,
+    snippet.platform,
+    new Date(snippet.createdAt).toLocaleString(),
+    truncate(snippet.content.replace(/\s+/g, ' '), 60),
+  ]);
+  printTable(['ID', 'Status', 'Platform', 'Created', 'Content'], rows);
+
+  const pages = Math.ceil(result.total / limit);
+  console.log('');
+  console.log(colors.gray(`Page ${page}/${pages} - ${result.total} snippets${page < pages ? ` (next: --page ${page + 1})` : ''}`));
+}
+
+/**
+ * Approve one or more snippets (snippets approve --id <id> [--id <id>])
+ */
+async function approveSnippetsCommand(snippetManager, argv) {
+  const result = await snippetManager.batchApproveSnippets(getSnippetIds(argv));
+
+  result.approved.forEach(id => console.log(`${colors.green('✅ Approved')} ${id}`));
+  result.failed.forEach(({ id, error }) => console.log(`${colors.red('❌')} ${id} - ${error}`));
+
+  if (result.approved.length === 0) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Delete one or more snippets (snippets delete --id <id> [--id <id>])
+ */
+async function deleteSnippetsCommand(snippetManager, argv) {
+  const result = await snippetManager.batchDeleteSnippets(getSnippetIds(argv));
+
+  result.deleted.forEach(id => console.log(`${colors.green('🗑️  Deleted')} ${id}`));
+  result.failed.forEach(({ id, error }) => console.log(`${colors.red('❌')} ${id} - ${error}`));
+
+  if (result.deleted.length === 0) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Edit a snippet's content in $EDITOR (snippets edit --id <id>)
+ */
+async function editSnippetCommand(snippetManager, argv) {
+  const [id] = getSnippetIds(argv);
+  const found = await snippetManager.getSnippet(id);
+  if (!found.success) {
+    throw new Error(found.error);
+  }
+
+  const tempFile = path.join(os.tmpdir(), `rssamp-snippet-${id}.txt`);
+  fs.writeFileSync(tempFile, `${found.snippet.content}\n`);
+
+  try {
+    const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+    // $EDITOR may carry arguments (e.g. "code --wait"); no shell, so the file path is passed as-is
+    const [command, ...editorArgs] = editor.trim().split(/\s+/);
+    const editorResult = spawnSync(command, [...editorArgs, tempFile], { stdio: 'inherit' });
+    if (editorResult.error) {
+      throw new Error(`Failed to start editor "${editor}": ${editorResult.error.message}`);
+    }
+    if (editorResult.status !== 0) {
+      throw new Error(`Editor "${editor}" exited with code ${editorResult.status}`);
+    }
+
+    const content = fs.readFileSync(tempFile, 'utf8').replace(/\s+$/, '');
+    if (!content) {
+      throw new Error('Snippet content cannot be empty');
+    }
+    if (content === found.snippet.content) {
+      console.log(colors.gray('No changes'));
+      return;
+    }
+
+    const updated = await snippetManager.updateSnippet(id, {
+      content,
+      characterCount: content.length,
+      editedAt: new Date().toISOString(),
+    });
+    if (!updated.success) {
+      throw new Error(updated.error);
+    }
+
+    console.log(colors.green(`✅ Updated ${id}`));
+  } finally {
+    fs.rmSync(tempFile, { force: true });
+  }
+}
+
+/**
+ * Post approved snippets (snippets post --id <id> [--platform x])
+ */
+async function postSnippetsCommand(snippetManager, config, argv) {
+  // Loaded lazily so the rest of the CLI works without the posting backend
+  const { SocialPoster, mapPlatformName } = await import('../src/social-poster.js');
+  const poster = new SocialPoster(config);
+
+  try {
+    let posted = 0;
+    for (const id of getSnippetIds(argv)) {
+      const found = await snippetManager.getSnippet(id);
+      const platforms = getPostPlatforms(found.snippet, config, argv).map(mapPlatformName);
+
+      const result = await postSnippet(id, { snippetManager, poster, platforms });
+      if (result.success) {
+        posted++;
+        console.log(`${colors.green('📤 Posted')} ${id} to ${result.snippet.postedTo.join(', ')}`);
+        result.failedPlatforms.forEach(platform => {
+          console.log(colors.yellow(`  ⚠️  ${platform}: ${result.results[platform].error || 'failed'}`));
+        });
+      } else {
+        console.log(`${colors.red('❌')} ${id} - ${result.error}`);
+      }
+    }
+
+    if (posted === 0) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await poster.close();
+  }
+}
+
+/**
+ * Target platforms for a snippet: --platform, else its own platform, else the configured defaults
+ */
+function getPostPlatforms(snippet, config, argv) {
+  if (argv.platform) {
+    return [argv.platform];
+  }
+  if (snippet && snippet.platform !== 'general') {
+    return [snippet.platform];
+  }
+  return config.general.defaultPlatforms;
+}
+
+/**
+ * Handle schedule command
+ */
+async function handleScheduleCommand(argv) {
+  try {
+    const config = loadConfig(argv.configPath);
+    const postScheduler = new PostScheduler();
+
+    switch (argv.action) {
+    case 'auto-post':
+      await autoPostCommand(postScheduler, config, argv);
+      break;
+    case 'list':
+      await listSchedulesCommand(postScheduler);
+      break;
+    case 'stop':
+      await stopScheduleCommand(postScheduler, argv);
+      break;
+    }
+  } catch (error) {
+    console.error(colors.red('❌ Schedule command failed:'), error.message);
+    if (argv.verbose) {
+      console.error(error.stack);
+    }
+    process.exit(1);
+  }
+}
+
+/**
+ * Save an auto-post schedule and, with --run, keep posting in the foreground
+ * (schedule auto-post --platform x --interval hourly [--run])
+ */
+async function autoPostCommand(postScheduler, config, argv) {
+  const platform = argv.platform || config.general.defaultPlatforms[0];
+  if (!platform) {
+    throw new Error('A platform is required (--platform <platform>)');
+  }
+
+  const result = await postScheduler.addSchedule(platform, { interval: argv.interval });
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  const { schedule } = result;
+  console.log(colors.green(`✅ ${result.replaced ? 'Updated' : 'Created'} ${schedule.interval} auto-post schedule for ${getPlatformDisplayName(platform)}`));
+  console.log(colors.gray(`  Next runs: ${formatNextRuns(schedule.cron)}`));
+
+  // A running daemon picks the saved schedule up; a second posting loop would post the same snippets
+  const daemonStatus = getDaemonStatus();
+  if (daemonStatus.running) {
+    console.log(colors.gray(`  The daemon (PID ${daemonStatus.pid}) will post on this schedule`));
+    return;
+  }
+
+  if (!argv.run) {
+    console.log(colors.gray(`  Start posting with 'rssamp daemon start' or 'rssamp schedule auto-post --platform ${platform} --run'`));
+    return;
+  }
+
+  // Loaded lazily so the rest of the CLI works without the posting backend
+  const { SocialPoster, mapPlatformName } = await import('../src/social-poster.js');
+  const poster = new SocialPoster(config);
+  const runner = new PostScheduler({
+    snippetManager: postScheduler.options.snippetManager,
+    poster,
+    mapPlatform: mapPlatformName,
+  });
+
+  // Hold the daemon lock so a daemon or another posting loop cannot start alongside this one
+  const daemon = new Daemon({ postScheduler: runner });
+  const startResult = await daemon.start();
+  if (!startResult.success) {
+    await poster.close();
+    throw new Error(startResult.error);
+  }
+
+  console.log(colors.cyan(`📅 Auto-posting ${runner.schedules.size} schedule${runner.schedules.size === 1 ? '' : 's'} - press Ctrl+C to stop (schedules stay saved)`));
+
+  await new Promise(resolve => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  });
+
+  await daemon.stop();
+  await poster.close();
+}
+
+/**
+ * List auto-post schedules (schedule list)
+ */
+async function listSchedulesCommand(postScheduler) {
+  const schedules = await postScheduler.listSchedules();
+  if (schedules.length === 0) {
+    console.log(`${colors.gray('📅 No auto-post schedules')} - Run 'rssamp schedule auto-post --platform <platform>' to create one`);
+    return;
+  }
+
+  const rows = [];
+  for (const schedule of schedules) {
+    const queue = await postScheduler.getQueue(schedule.platform);
+    rows.push([
+      getPlatformDisplayName(schedule.platform),
+      schedule.interval,
+      new Date(schedule.nextRun).toLocaleString(),
+      schedule.lastRun ? new Date(schedule.lastRun).toLocaleString() : 'never',
+      String(schedule.postedCount),
+      String(queue.length),
+    ]);
+  }
+  printTable(['Platform', 'Interval', 'Next run', 'Last run', 'Posted', 'Queued'], rows);
+}
+
+/**
+ * Remove an auto-post schedule (schedule stop --platform x)
+ */
+async function stopScheduleCommand(postScheduler, argv) {
+  if (!argv.platform) {
+    throw new Error('A platform is required (--platform <platform>)');
+  }
+
+  const result = await postScheduler.removeSchedule(argv.platform);
+  if (!result.success) {
+    throw new Error(`${result.error}: ${argv.platform}`);
+  }
+
+  console.log(colors.green(`🛑 Stopped auto-posting to ${getPlatformDisplayName(argv.platform)}`));
+}
 
+/**
+ * Load the social poster lazily so the rest of the CLI works without the posting backend
+ * @returns {Promise<object>} { poster, mapPlatform } (poster is null if it cannot be loaded)
+ */
+async function loadPoster(config) {
+  try {
+    const { SocialPoster, mapPlatformName } = await import('../src/social-poster.js');
+    return { poster: new SocialPoster(config), mapPlatform: mapPlatformName };
   } catch (error) {
-    console.error(colors.red('❌ Config display failed:'), error.message);
-    process.exit(1);
+    console.warn(colors.yellow(`⚠️  Posting disabled: ${error.message}`));
+    return { poster: null, mapPlatform: undefined };
   }
 }
 
 /**
- * Handle status command
+ * Create a pipeline runner for config.pipelines, filling in the snippet and general defaults
  */
-async function handleStatusCommand(argv) {
+function createPipelineRunner(config, options = {}) {
+  let generator = null;
   try {
-    console.log(colors.green('📊 RSS Amplifier Status:'));
-    console.log('');
+    generator = createSnippetGenerator(config);
+  } catch {
+    // The generate stage reports the missing generator on each run
+  }
+
+  const pipelines = (config.pipelines || []).map(pipeline => ({
+    autoApprove: config.snippets.autoApprove ? 'all' : 'none',
+    ...pipeline,
+    generate: {
+      style: config.snippets.defaultStyle,
+      ...pipeline.generate,
+    },
+  }));
 
+  return new PipelineRunner({ pipelines, generator, config, ...options });
+}
+
+/**
+ * Handle pipelines command
+ */
+async function handlePipelinesCommand(argv) {
+  let runner;
+  let poster;
+
+  try {
     const config = loadConfig(argv.configPath);
-    const platforms = ['x', 'linkedin', 'reddit', 'facebook', 'hacker-news', 'stacker-news', 'primal'];
-    
-    console.log(colors.yellow('Platform Status:'));
-    for (const platform of platforms) {
-      const displayName = getPlatformDisplayName(platform);
-      const enabled = config?.platforms?.[platform]?.enabled ?? false;
-      
-      let status;
-      if (!enabled) {
-        status = colors.gray('⚪ Disabled');
-      } else {
-        // TODO: Check actual authentication status when platform integrations are implemented
-        status = colors.yellow('⚠️  Configured (auth status unknown)');
-      }
+    const feedManager = new FeedManager({ maxItems: config.feeds.maxItems });
 
-      console.log(`  ${displayName}: ${status}`);
+    switch (argv.action) {
+    case 'list':
+      runner = createPipelineRunner(config, { feedManager });
+      await listPipelinesCommand(runner);
+      break;
+    case 'run': {
+      const loaded = await loadPoster(config);
+      poster = loaded.poster;
+      runner = createPipelineRunner(config, {
+        feedManager,
+        feedScheduler: new FeedScheduler({ feedManager }),
+        poster,
+        mapPlatform: loaded.mapPlatform,
+      });
+      await runPipelineCommand(runner, argv);
+      break;
+    }
+    case 'runs':
+      runner = createPipelineRunner(config, { feedManager });
+      await listPipelineRunsCommand(runner, argv);
+      break;
+    }
+  } catch (error) {
+    console.error(colors.red('❌ Pipeline command failed:'), error.message);
+    if (argv.verbose) {
+      console.error(error.stack);
     }
+    process.exitCode = 1;
+  } finally {
+    await runner?.options.generator?.close();
+    await poster?.close();
+  }
+}
 
-    console.log('');
-    console.log(colors.yellow('AI Status:'));
-    if (isAIReady(config)) {
-      console.log(`  ${colors.green('✅ Ready')} - ${config.ai.provider} (${config.ai.model})`);
-    } else {
-      console.log(`  ${colors.red('❌ Not configured')} - Run 'rssamp setup' to configure AI`);
+/**
+ * List configured pipelines (pipelines list)
+ */
+async function listPipelinesCommand(runner) {
+  const pipelines = await runner.listPipelines();
+  if (pipelines.length === 0) {
+    console.log(`${colors.gray('🔁 No pipelines configured')} - Add them to "pipelines" in ${getConfigPath()}`);
+    return;
+  }
+
+  printTable(['Name', 'Schedule', 'Platforms', 'Auto-approve', 'Next run', 'Last run'], pipelines.map(pipeline => [
+    pipeline.enabled ? pipeline.name : `${pipeline.name} (disabled)`,
+    pipeline.schedule || '',
+    (pipeline.platforms || []).map(getPlatformDisplayName).join(', '),
+    typeof pipeline.autoApprove === 'object' ? 'rules' : pipeline.autoApprove,
+    pipeline.nextRun ? new Date(pipeline.nextRun).toLocaleString() : 'invalid',
+    pipeline.lastRun ? `${new Date(pipeline.lastRun.startedAt).toLocaleString()} (${pipeline.lastRun.success ? 'ok' : 'failed'})` : 'never',
+  ]));
+
+  for (const pipeline of pipelines.filter(entry => entry.errors.length > 0)) {
+    console.log(colors.yellow(`⚠️  ${pipeline.name || 'Unnamed pipeline'}: ${pipeline.errors.join(', ')}`));
+  }
+}
+
+/**
+ * Run a pipeline now and print its stage results (pipelines run <name>)
+ */
+async function runPipelineCommand(runner, argv) {
+  if (!argv.name) {
+    throw new Error('A pipeline name is required (rssamp pipelines run <name>)');
+  }
+
+  console.log(colors.cyan(`🔁 Running pipeline ${argv.name}...`));
+  const run = await runner.runPipeline(argv.name);
+  if (!run.stages) {
+    throw new Error(run.error);
+  }
+
+  printPipelineRun(run);
+  if (!run.success) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Show the recorded runs of a pipeline (pipelines runs <name>)
+ */
+async function listPipelineRunsCommand(runner, argv) {
+  if (!argv.name) {
+    throw new Error('A pipeline name is required (rssamp pipelines runs <name>)');
+  }
+
+  const runs = await runner.getRuns(argv.name, argv.limit || 10);
+  if (runs.length === 0) {
+    console.log(colors.gray(`🔁 No runs recorded for ${argv.name}`));
+    return;
+  }
+
+  if (argv.json) {
+    console.log(JSON.stringify(runs, null, 2));
+    return;
+  }
+
+  runs.forEach(printPipelineRun);
+}
+
+/**
+ * Print one pipeline run with a line per stage
+ */
+function printPipelineRun(run) {
+  const status = run.success ? colors.green('✅') : colors.red('❌');
+  console.log(`${status} ${run.pipeline} ${colors.gray(`${new Date(run.startedAt).toLocaleString()} (${run.trigger})`)}`);
+
+  const describe = {
+    fetch: stage => (stage.skipped ? `${stage.feeds} feeds (not refreshed)` : `${stage.feeds} feeds, ${stage.itemsAdded} new items, ${stage.failed.length} failed`),
+    generate: stage => `${stage.created} created, ${stage.skipped} skipped, ${stage.failed} failed`,
+    review: stage => `${stage.approved.length} approved, ${stage.pending.length} left for review (${typeof stage.policy === 'object' ? 'rules' : stage.policy})`,
+    post: stage => `${stage.posted} posted`,
+  };
+
+  for (const [name, stage] of Object.entries(run.stages)) {
+    const summary = stage.success ? describe[name](stage) : stage.error || describe[name](stage);
+    console.log(`  ${stage.success ? colors.green('✓') : colors.red('✗')} ${name.padEnd(8)} ${summary}`);
+  }
+}
+
+/**
+ * Handle prompts command
+ */
+async function handlePromptsCommand(argv) {
+  try {
+    const config = loadConfig(argv.configPath);
+    const templates = new PromptTemplates({ directory: getPromptDirectory(config) });
+
+    switch (argv.action) {
+    case 'list':
+      listPromptsCommand(templates);
+      break;
+    case 'render':
+      await renderPromptsCommand(templates, config, argv);
+      break;
+    case 'init':
+      initPromptsCommand(templates, argv);
+      break;
+    }
+  } catch (error) {
+    console.error(colors.red('❌ Prompts command failed:'), error.message);
+    if (argv.verbose) {
+      console.error(error.stack);
     }
+    process.exit(1);
+  }
+}
 
-    console.log('');
-    console.log(colors.yellow('Feed Status:'));
-    console.log(`  ${colors.gray('📡 No feeds imported yet')} - Run 'rssamp import' to add feeds`);
+/**
+ * List template files in the prompts directory (prompts list)
+ */
+function listPromptsCommand(templates) {
+  const files = templates.list();
+  console.log(colors.cyan(`📝 Prompt templates in ${templates.options.directory}`));
+
+  if (files.length === 0) {
+    console.log(colors.gray('  None - the built-in templates are used. Run \'rssamp prompts init\' to customize them'));
+    return;
+  }
+
+  files.forEach(file => console.log(`  ${file}`));
+}
+
+/**
+ * Show the prompts that would be sent for a recent feed item (prompts render)
+ */
+async function renderPromptsCommand(templates, config, argv) {
+  const position = argv.item || 1;
+  const feedManager = new FeedManager({ maxItems: config.feeds.maxItems });
+  const items = await feedManager.getRecentItems(position);
+  const item = items[position - 1];
+  if (!item) {
+    console.log(`${colors.gray(`📡 No feed item #${position}`)} - Run 'rssamp import' or 'rssamp feeds refresh' first`);
+    return;
+  }
 
+  const style = argv.style || config.snippets.defaultStyle;
+  const { system, prompt } = renderSnippetPrompts(item, {
+    platform: toSnippetPlatform(argv.platform || config.general.defaultPlatforms[0]),
+    tone: getToneForStyle(style),
+    style,
+    brand: resolveBrandOption(config, argv.brand),
+  }, templates);
+
+  console.log(colors.cyan(`📝 Prompts for "${item.title || item.url}"`));
+  for (const rendered of [system, prompt]) {
     console.log('');
-    console.log(colors.yellow('Snippet Status:'));
-    console.log(`  ${colors.gray('📝 No snippets generated yet')} - Run 'rssamp snippets generate' to create snippets`);
+    console.log(colors.bold(`${rendered.name} ${colors.gray(`(${rendered.file || 'built-in'})`)}`));
+    console.log(rendered.text);
+    if (rendered.unknown.length > 0) {
+      console.log(colors.yellow(`⚠️  Unknown variables: ${rendered.unknown.map(name => `{{${name}}}`).join(', ')}`));
+    }
+  }
+}
+
+/**
+ * Write the built-in templates to the prompts directory (prompts init)
+ */
+function initPromptsCommand(templates, argv) {
+  const result = templates.init({ force: argv.force });
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  result.created.forEach(file => console.log(`  ${colors.green('✅')} ${file}`));
+  result.skipped.forEach(file => console.log(`  ${colors.gray('⏭️')}  ${file} ${colors.gray('(exists, use --force to overwrite)')}`));
+}
+
+/**
+ * Handle daemon command
+ */
+async function handleDaemonCommand(argv) {
+  try {
+    const config = loadConfig(argv.configPath);
 
+    switch (argv.action) {
+    case 'start':
+      if (argv.detach) {
+        await startDetachedDaemon(argv);
+      } else {
+        await runDaemon(config, argv);
+      }
+      break;
+    case 'stop':
+      await stopDaemonCommand();
+      break;
+    case 'status':
+      await daemonStatusCommand();
+      break;
+    }
   } catch (error) {
-    console.error(colors.red('❌ Status check failed:'), error.message);
+    console.error(colors.red('❌ Daemon command failed:'), error.message);
+    if (argv.verbose) {
+      console.error(error.stack);
+    }
     process.exit(1);
   }
 }
 
 /**
- * Handle import command (placeholder)
+ * Run the feed scheduler and the posting queue in the foreground until SIGINT/SIGTERM
+ * (daemon start)
  */
-async function handleImportCommand(argv) {
-  console.log(colors.yellow('📡 Import functionality coming soon...'));
-  console.log(colors.gray(`Would import: ${argv.file || argv._[1]}`));
-  console.log(colors.cyan('This feature will be implemented in the next development phase.'));
+async function runDaemon(config, argv) {
+  const feedManager = new FeedManager({ maxItems: config.feeds.maxItems });
+  const feedScheduler = new FeedScheduler({ feedManager, catchUp: argv.catchUp });
+
+  // Feeds keep updating without the posting backend
+  const { poster, mapPlatform } = await loadPoster(config);
+  // One snippet store, so the posting queue and pipelines never save over each other's changes
+  const snippetManager = new SnippetManager();
+  const postScheduler = new PostScheduler({ snippetManager, poster, mapPlatform });
+  const pipelineRunner = createPipelineRunner(config, { feedManager, feedScheduler, snippetManager, poster, mapPlatform });
+
+  const daemon = new Daemon({ feedScheduler, postScheduler, pipelineRunner });
+  const result = await daemon.start();
+  if (!result.success) {
+    await pipelineRunner.options.generator?.close();
+    await poster?.close();
+    throw new Error(result.error);
+  }
+
+  console.log(colors.cyan(`🚀 Daemon running (PID ${result.pid}) with ${feedScheduler.scheduledFeeds.size} feeds, ${postScheduler.schedules.size} auto-post schedules and ${pipelineRunner.activeJobs.size} pipelines`));
+
+  // Keep the process alive even when there is nothing scheduled yet
+  const keepAlive = setInterval(() => {}, 60 * 60 * 1000);
+  const signal = await new Promise(resolve => {
+    process.once('SIGINT', () => resolve('SIGINT'));
+    process.once('SIGTERM', () => resolve('SIGTERM'));
+  });
+  clearInterval(keepAlive);
+
+  console.log(colors.gray(`${signal} received - finishing in-flight fetches and posts...`));
+  const stopResult = await daemon.stop();
+  await pipelineRunner.options.generator?.close();
+  await poster?.close();
+
+  if (stopResult.timedOut) {
+    console.log(colors.yellow('⚠️  Daemon stopped before in-flight work finished'));
+    process.exitCode = 1;
+  } else {
+    console.log(colors.green('🛑 Daemon stopped'));
+  }
 }
 
 /**
- * Handle feeds command (placeholder)
+ * Start the daemon in a detached background process that logs to daemon.log
+ * (daemon start --detach)
  */
-async function handleFeedsCommand(argv) {
-  console.log(colors.yellow('📰 Feed management coming soon...'));
-  console.log(colors.cyan('This feature will be implemented in the next development phase.'));
+async function startDetachedDaemon(argv) {
+  const status = getDaemonStatus();
+  if (status.running) {
+    throw new Error(`Daemon already running (PID ${status.pid})`);
+  }
+
+  const logFile = path.join(path.dirname(status.lockFile), 'daemon.log');
+  fs.mkdirSync(path.dirname(logFile), { recursive: true });
+  const logFd = fs.openSync(logFile, 'a');
+
+  const args = [process.argv[1], 'daemon', 'start', '--catch-up', argv.catchUp];
+  if (argv.configPath) {
+    args.push('--config-path', argv.configPath);
+  }
+  const child = spawn(process.execPath, args, {
+    detached: true,
+    stdio: ['ignore', logFd, logFd],
+  });
+  child.unref();
+  fs.closeSync(logFd);
+
+  // Wait until the child holds the lock (or exits because another daemon does)
+  for (let waited = 0; waited < 10000; waited += 200) {
+    await new Promise(resolve => setTimeout(resolve, 200));
+    const current = getDaemonStatus();
+    if (current.running && current.pid === child.pid) {
+      console.log(colors.green(`🚀 Daemon started (PID ${child.pid})`));
+      console.log(colors.gray(`  Logging to ${logFile}`));
+      return;
+    }
+    if (child.exitCode !== null) {
+      break;
+    }
+  }
+
+  throw new Error(`Daemon did not start - see ${logFile}`);
 }
 
 /**
- * Handle snippets command (placeholder)
+ * Stop a running daemon gracefully (daemon stop)
  */
-async function handleSnippetsCommand(argv) {
-  console.log(colors.yellow('✂️ Snippet management coming soon...'));
-  console.log(colors.cyan('This feature will be implemented in the next development phase.'));
+async function stopDaemonCommand() {
+  console.log(colors.gray('Waiting for the daemon to finish in-flight work...'));
+  const result = await stopDaemon();
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  console.log(colors.green(`🛑 Daemon stopped (PID ${result.pid})`));
 }
 
 /**
- * Handle schedule command (placeholder)
+ * Show whether a daemon is running and what it schedules (daemon status)
  */
-async function handleScheduleCommand(argv) {
-  console.log(colors.yellow('📅 Scheduling functionality coming soon...'));
-  console.log(colors.cyan('This feature will be implemented in the next development phase.'));
+async function daemonStatusCommand() {
+  const status = getDaemonStatus();
+
+  if (status.running) {
+    console.log(colors.green(`✅ Daemon running (PID ${status.pid}) since ${new Date(status.startedAt).toLocaleString()}`));
+  } else {
+    console.log(colors.gray('⏹️  Daemon not running') + (status.stale ? colors.yellow(` (stale lock file from PID ${status.pid})`) : ''));
+  }
+
+  const feedScheduler = new FeedScheduler({ feedManager: new FeedManager() });
+  const postScheduler = new PostScheduler();
+  const feeds = await feedScheduler.listScheduledFeeds();
+  const schedules = await postScheduler.listSchedules();
+  const nextRuns = [...feeds.filter(feed => feed.enabled), ...schedules]
+    .map(entry => entry.nextRun)
+    .filter(Boolean)
+    .sort();
+
+  console.log(`  Feeds: ${feeds.length} (${feeds.filter(feed => !feed.enabled).length} disabled)`);
+  console.log(`  Auto-post schedules: ${schedules.length}`);
+  if (nextRuns.length > 0) {
+    console.log(`  Next run: ${new Date(nextRuns[0]).toLocaleString()}`);
+  }
 }
 
 /**
@@ -215,7 +1430,7 @@ function configureCommandLine() {
     .command('import <file>', 'Import OPML/RSS feeds', (yargs) => {
       return yargs
         .positional('file', {
-          describe: 'Path to OPML file or RSS feed URL',
+          describe: 'Path to OPML file, or a feed/website URL',
           type: 'string'
         })
         .option('type', {
@@ -223,14 +1438,75 @@ function configureCommandLine() {
           type: 'string',
           choices: ['opml', 'rss'],
           default: 'opml'
+        })
+        .option('discover', {
+          describe: 'List the feeds a website advertises without importing (rss only)',
+          type: 'boolean',
+          default: false
+        })
+        .option('full-text', {
+          describe: 'Fetch and store the full article for each item',
+          type: 'boolean',
+          default: false
+        })
+        .option('schedule', {
+          describe: 'Register imported feeds with the scheduler (defaults to feeds.enableScheduling)',
+          type: 'boolean'
         });
     })
-    .command('feeds <action>', 'Manage RSS feeds', (yargs) => {
+    .command('feeds <action> [target]', 'Manage RSS feeds', (yargs) => {
       return yargs
         .positional('action', {
           describe: 'Action to perform',
           type: 'string',
-          choices: ['list', 'refresh', 'add', 'remove']
+          choices: ['list', 'refresh', 'add', 'remove', 'enable', 'export']
+        })
+        .positional('target', {
+          describe: 'Feed URL (add) or feed ID/URL (remove, refresh, enable)',
+          type: 'string'
+        })
+        .option('json', {
+          describe: 'Print the feed list as JSON',
+          type: 'boolean',
+          default: false
+        })
+        .option('interval', {
+          describe: 'Schedule for an added feed: cron or e.g. "every 2h", "weekdays at 08:30" (defaults to feeds.scheduleCron)',
+          type: 'string'
+        })
+        .option('timezone', {
+          describe: 'Timezone the schedule of an added feed runs in (e.g. Europe/Berlin, defaults to UTC)',
+          type: 'string'
+        })
+        .option('adaptive', {
+          describe: 'Let the scheduler adjust an added feed\'s interval to how often it publishes',
+          type: 'boolean',
+          default: false
+        })
+        .option('category', {
+          describe: 'Category for an added feed',
+          type: 'string'
+        })
+        .option('full-text', {
+          describe: 'Fetch and store the full article for each item of an added feed',
+          type: 'boolean',
+          default: false
+        })
+        .option('concurrency', {
+          describe: 'Maximum feeds fetched at once when refreshing',
+          type: 'number',
+          default: 5
+        })
+        .option('format', {
+          describe: 'Export format',
+          type: 'string',
+          choices: ['opml'],
+          default: 'opml'
+        })
+        .option('output', {
+          alias: 'o',
+          describe: 'Write the export to a file instead of stdout',
+          type: 'string'
         });
     })
     .command('snippets <action>', 'Manage snippets', (yargs) => {
@@ -241,23 +1517,37 @@ function configureCommandLine() {
           choices: ['generate', 'list', 'approve', 'edit', 'delete', 'post']
         })
         .option('brand', {
-          describe: 'Brand context for snippet generation',
+          describe: 'Brand profile for snippet generation (defaults to general.defaultBrand); other text is used as free-text brand context',
           type: 'string'
         })
         .option('style', {
-          describe: 'Content style for AI generation',
+          describe: 'Content style for AI generation (defaults to snippets.defaultStyle)',
           type: 'string',
-          choices: ['viral', 'professional', 'casual'],
-          default: 'viral'
+          choices: ['viral', 'professional', 'casual']
         })
         .option('id', {
-          describe: 'Snippet ID for operations',
-          type: 'string'
+          describe: 'Snippet ID for operations (repeatable or comma separated)',
+          type: 'string',
+          array: true
         })
         .option('platform', {
-          describe: 'Target platform for posting',
+          describe: 'Target platform for generation, filtering and posting',
           type: 'string',
-          choices: ['mastodon', 'bluesky', 'x', 'linkedin', 'nostr']
+          choices: ['mastodon', 'bluesky', 'x', 'linkedin', 'reddit', 'facebook', 'nostr']
+        })
+        .option('status', {
+          describe: 'Only list snippets with this status',
+          type: 'string',
+          choices: ['pending', 'approved', 'rejected', 'posted', 'scheduled', 'failed']
+        })
+        .option('limit', {
+          describe: 'Feed items to generate from (default 5) or snippets per page (default 20)',
+          type: 'number'
+        })
+        .option('page', {
+          describe: 'Page of the snippet list',
+          type: 'number',
+          default: 1
         });
     })
     .command('schedule <action>', 'Manage scheduled tasks', (yargs) => {
@@ -273,9 +1563,86 @@ function configureCommandLine() {
           choices: ['mastodon', 'bluesky', 'x', 'linkedin', 'nostr']
         })
         .option('interval', {
-          describe: 'Posting interval',
+          describe: 'Posting interval (default daily, or the current interval of an existing schedule)',
           type: 'string',
           choices: ['hourly', 'daily', 'weekly']
+        })
+        .option('run', {
+          describe: 'Keep running and post on schedule after saving (not needed while the daemon runs)',
+          type: 'boolean',
+          default: false
+        });
+    })
+    .command('pipelines <action> [name]', 'Manage fetch → generate → review → post pipelines', (yargs) => {
+      return yargs
+        .positional('action', {
+          describe: 'Action to perform',
+          type: 'string',
+          choices: ['list', 'run', 'runs']
+        })
+        .positional('name', {
+          describe: 'Pipeline name (run, runs)',
+          type: 'string'
+        })
+        .option('limit', {
+          describe: 'Number of runs to show',
+          type: 'number',
+          default: 10
+        })
+        .option('json', {
+          describe: 'Print runs as JSON',
+          type: 'boolean',
+          default: false
+        });
+    })
+    .command('prompts <action>', 'Customize and preview AI prompt templates', (yargs) => {
+      return yargs
+        .positional('action', {
+          describe: 'Action to perform',
+          type: 'string',
+          choices: ['list', 'render', 'init']
+        })
+        .option('item', {
+          describe: 'Recent feed item to render prompts for (1 = newest)',
+          type: 'number',
+          default: 1
+        })
+        .option('platform', {
+          describe: 'Target platform (defaults to the first default platform)',
+          type: 'string'
+        })
+        .option('style', {
+          describe: 'Content style (defaults to snippets.defaultStyle)',
+          type: 'string',
+          choices: ['viral', 'professional', 'casual']
+        })
+        .option('brand', {
+          describe: 'Brand profile (defaults to general.defaultBrand); other text is used as free-text brand context',
+          type: 'string'
+        })
+        .option('force', {
+          describe: 'Overwrite existing template files (init)',
+          type: 'boolean',
+          default: false
+        });
+    })
+    .command('daemon <action>', 'Run feed updates and auto-posting in the background', (yargs) => {
+      return yargs
+        .positional('action', {
+          describe: 'Action to perform',
+          type: 'string',
+          choices: ['start', 'stop', 'status']
+        })
+        .option('detach', {
+          describe: 'Start the daemon in the background (logs to ~/.config/rss-amplifier/daemon.log)',
+          type: 'boolean',
+          default: false
+        })
+        .option('catch-up', {
+          describe: 'What to do with feed runs missed while the daemon was down',
+          type: 'string',
+          choices: ['none', 'once', 'all'],
+          default: 'once'
         });
     })
     .option('verbose', {
@@ -326,6 +1693,15 @@ async function main() {
     case 'schedule':
       await handleScheduleCommand(argv);
       break;
+    case 'pipelines':
+      await handlePipelinesCommand(argv);
+      break;
+    case 'prompts':
+      await handlePromptsCommand(argv);
+      break;
+    case 'daemon':
+      await handleDaemonCommand(argv);
+      break;
     default:
       console.error(colors.red('Unknown command'));
       process.exit(1);
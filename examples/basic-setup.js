@@ -36,7 +36,7 @@ async function basicSetupExample() {
     console.log('');
 
     // Get available platforms
-    const platforms = amplifier.getAvailablePlatforms();
+    const platforms = await amplifier.getAvailablePlatforms();
     console.log(colors.magenta('🌐 Available Platforms:'));
     if (platforms && platforms.length > 0) {
       platforms.forEach(platform => console.log(`  • ${platform}`));
@@ -3,6 +3,13 @@
  * Contextual RSS amplification with AI-driven snippet generation
  */
 
+import path from 'path';
+import { loadConfig, validateConfig } from './src/config-manager.js';
+import { FeedManager, importOPML } from './src/feed-manager.js';
+import { importFeeds } from './src/feed-importer.js';
+import { SnippetManager } from './src/snippet-manager.js';
+import { AIService, initializeAIService } from './src/ai-service.js';
+
 // Core modules
 export {
   getConfigPath,
@@ -25,38 +32,30 @@ export {
   importOPML,
   importRSSFeed,
   fetchFeedItems,
-  scheduleFeedFetching,
 } from './src/feed-manager.js';
 
+export { FeedScheduler } from './src/feed-scheduler.js';
+
 export {
   SnippetManager,
-  generateSnippet,
   approveSnippet,
-  editSnippet,
+  updateSnippet,
+  updateSnippet as editSnippet,
   deleteSnippet,
   listSnippets,
 } from './src/snippet-manager.js';
 
+export { AISnippetGenerator, generateSnippet } from './src/ai-snippet-generator.js';
+
 export {
   AIService,
+  createSnippetGenerator,
   initializeAIService,
   generateContextualSnippet,
 } from './src/ai-service.js';
 
-export {
-  SocialPoster,
-  postToSocial,
-  postToX,
-  postToLinkedIn,
-  postToReddit,
-  postToFacebook,
-  postToHackerNews,
-  postToStackerNews,
-  postToPrimal,
-  batchPost,
-  getSupportedPlatforms,
-  validateSocialContent,
-} from './src/social-poster.js';
+// The posting backend is not re-exported here: importing it fails when @profullstack/social-poster
+// cannot load, which would break the whole package. Use '@profullstack/rss-amplifier/social-poster'.
 
 /**
  * RSS Amplifier class - Main orchestrator
@@ -64,41 +63,77 @@ export {
 export class RSSAmplifier {
   constructor(options = {}) {
     this.options = {
-      configPath: null,
+      configPath: null, // Defaults to getConfigPath()
+      dataPath: null, // Base data directory with feeds/ and snippets/ (default ~/.config/rss-amplifier)
       brandContext: '',
       aiProvider: 'openai', // 'openai' or 'ollama'
       ...options,
     };
 
-    this.config = loadConfig(this.options.configPath);
-    this.feedManager = new FeedManager(this.config);
-    this.snippetManager = new SnippetManager(this.config);
+    const { configPath, dataPath } = this.options;
+    this.config = loadConfig(configPath || undefined);
+    this.feedManager = new FeedManager({
+      maxItems: this.config.feeds.maxItems,
+      ...(dataPath && { dataPath: path.join(dataPath, 'feeds') }),
+    });
+    this.snippetManager = new SnippetManager(dataPath ? { dataPath: path.join(dataPath, 'snippets') } : {});
     this.aiService = initializeAIService(this.config);
-    this.socialPoster = new SocialPoster(this.config);
+    this.socialPoster = null; // Loaded on first use, see getSocialPoster()
+    this.socialPosterError = null;
+  }
+
+  /**
+   * Load the social poster
+   * Loaded lazily so feeds, snippets and AI work without the posting backend.
+   * @returns {Promise<object|null>} SocialPoster, or null if it cannot be loaded (see socialPosterError)
+   */
+  async getSocialPoster() {
+    if (!this.socialPoster && !this.socialPosterError) {
+      try {
+        const { SocialPoster } = await import('./src/social-poster.js');
+        this.socialPoster = new SocialPoster(this.config);
+      } catch (error) {
+        this.socialPosterError = error.message;
+      }
+    }
+
+    return this.socialPoster;
   }
 
   /**
    * Import OPML file and add feeds
    * @param {string} opmlPath - Path to OPML file
-   * @returns {Promise<object>} Import result
+   * @returns {Promise<object>} Import summary ({ success, total, added, skipped, failed })
    */
   async importOPML(opmlPath) {
-    return await this.feedManager.importOPML(opmlPath);
+    const opml = await importOPML(opmlPath);
+    if (!opml.success) {
+      return opml;
+    }
+
+    return await importFeeds(opml.feeds.map(feed => ({
+      url: feed.xmlUrl,
+      title: feed.title,
+      htmlUrl: feed.htmlUrl,
+      description: feed.description,
+      category: feed.category,
+      folders: feed.folders,
+    })), { feedManager: this.feedManager });
   }
 
   /**
    * Import single RSS feed
    * @param {string} feedUrl - RSS feed URL
-   * @returns {Promise<object>} Import result
+   * @returns {Promise<object>} Import summary ({ success, total, added, skipped, failed })
    */
   async importRSSFeed(feedUrl) {
-    return await this.feedManager.importRSSFeed(feedUrl);
+    return await importFeeds([{ url: feedUrl }], { feedManager: this.feedManager });
   }
 
   /**
-   * Generate contextual snippets from recent feed items
+   * Generate contextual snippets from recent feed items and store them as pending
    * @param {object} options - Generation options
-   * @returns {Promise<object[]>} Generated snippets
+   * @returns {Promise<object[]>} Stored snippets
    */
   async generateSnippets(options = {}) {
     const feedItems = await this.feedManager.getRecentItems(options.limit || 10);
@@ -112,7 +147,10 @@ export class RSSAmplifier {
       });
       
       if (snippet.success) {
-        snippets.push(snippet.data);
+        const created = await this.snippetManager.createSnippet(snippet.data);
+        if (created.success) {
+          snippets.push(created.snippet);
+        }
       }
     }
 
@@ -131,15 +169,21 @@ export class RSSAmplifier {
       throw new Error(`Snippet ${snippetId} not found`);
     }
 
-    return await this.socialPoster.post(snippet.content, platforms);
+    const poster = await this.getSocialPoster();
+    if (!poster) {
+      throw new Error(`Posting is unavailable: ${this.socialPosterError}`);
+    }
+
+    return await poster.post(snippet.content, platforms);
   }
 
   /**
    * Get available platforms for posting
-   * @returns {string[]} Array of platform names
+   * @returns {Promise<string[]>} Array of platform names (empty if posting is unavailable)
    */
-  getAvailablePlatforms() {
-    return this.socialPoster.getAvailablePlatforms();
+  async getAvailablePlatforms() {
+    const poster = await this.getSocialPoster();
+    return poster ? poster.getAvailablePlatforms() : [];
   }
 
   /**
@@ -151,7 +195,9 @@ export class RSSAmplifier {
       feeds: this.feedManager.getStatus(),
       snippets: this.snippetManager.getStatus(),
       ai: this.aiService.getStatus(),
-      social: this.socialPoster.getStatus(),
+      social: this.socialPoster
+        ? this.socialPoster.getStatus()
+        : { loaded: false, error: this.socialPosterError },
     };
   }
 
@@ -161,7 +207,8 @@ export class RSSAmplifier {
   async close() {
     await this.feedManager.close();
     await this.snippetManager.close();
-    await this.socialPoster.close();
+    await this.aiService.close();
+    await this.socialPoster?.close();
   }
 }
 
@@ -176,7 +223,10 @@ export async function quickAmplify(opmlPath, options = {}) {
 
   try {
     // Import feeds
-    await amplifier.importOPML(opmlPath);
+    const imported = await amplifier.importOPML(opmlPath);
+    if (!imported.success) {
+      return { success: false, error: imported.error };
+    }
     
     // Generate snippets
     const snippets = await amplifier.generateSnippets(options);
@@ -212,5 +262,4 @@ export default {
   FeedManager,
   SnippetManager,
   AIService,
-  SocialPoster,
 };
\ No newline at end of file
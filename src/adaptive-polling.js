@@ -0,0 +1,217 @@
+/**
+ * Adaptive Polling
+ * Derives a feed's polling interval from its observed publishing cadence and the
+ * polling hints it publishes (ttl, skipHours, skipDays, sy:updatePeriod)
+ */
+
+/**
+ * Polling intervals (minutes) that map cleanly onto cron expressions
+ */
+const CRON_INTERVALS = [5, 10, 15, 20, 30, 60, 120, 180, 240, 360, 480, 720, 1440, 10080];
+
+/**
+ * Most recent items used to estimate the publishing cadence
+ */
+const CADENCE_SAMPLE_SIZE = 20;
+
+const MINUTE = 60000;
+
+/**
+ * Compute the polling interval for a feed
+ * The feed is polled about twice per publishing interval, never more often than its ttl
+ * or sy:updatePeriod allow, and within the minInterval/maxInterval bounds.
+ * @param {object} feed - Stored feed (items and pollingHints)
+ * @param {object} options - Options
+ * @param {number} [options.minInterval] - Shortest polling interval in minutes (default 15)
+ * @param {number} [options.maxInterval] - Longest polling interval in minutes (default 1440)
+ * @param {boolean} [options.applySkips] - Turn skipHours/skipDays into cron fields (only valid for UTC schedules)
+ * @param {Date} [options.now] - Current time
+ * @returns {object} { interval (cron or null when there is nothing to learn from), intervalMinutes, cadenceMinutes, reason }
+ */
+export function computePollingInterval(feed, options = {}) {
+  const minInterval = options.minInterval || 15;
+  const maxInterval = options.maxInterval || 1440;
+  const now = (options.now || new Date()).getTime();
+  const hints = feed.pollingHints || {};
+  const reasons = [];
+
+  let target = null;
+  const cadence = estimateCadence(feed.items || [], now);
+  if (cadence) {
+    target = cadence.minutes / 2;
+    reasons.push(`publishes every ~${formatMinutes(cadence.minutes)} (${cadence.basis})`);
+  }
+
+  if (hints.ttl) {
+    target = Math.max(target || 0, hints.ttl);
+    reasons.push(`ttl ${formatMinutes(hints.ttl)}`);
+  }
+
+  if (hints.updateInterval) {
+    target = Math.max(target || 0, hints.updateInterval);
+    reasons.push(`sy:updatePeriod every ${formatMinutes(hints.updateInterval)}`);
+  }
+
+  if (target === null) {
+    return {
+      interval: null,
+      intervalMinutes: null,
+      cadenceMinutes: null,
+      reason: 'Not enough item history or polling hints to adapt',
+    };
+  }
+
+  const bounded = Math.min(Math.max(target, minInterval), maxInterval);
+  if (bounded !== target) {
+    reasons.push(`clamped to ${formatMinutes(minInterval)}-${formatMinutes(maxInterval)}`);
+  }
+
+  const intervalMinutes = snapToCronInterval(bounded, minInterval, maxInterval);
+  const skips = options.applySkips ? hints : {};
+  if (!options.applySkips && (hints.skipHours?.length || hints.skipDays?.length)) {
+    reasons.push('skipHours/skipDays ignored outside UTC schedules');
+  } else if (skips.skipHours?.length || skips.skipDays?.length) {
+    reasons.push('honouring skipHours/skipDays');
+  }
+
+  return {
+    interval: toCronExpression(intervalMinutes, skips),
+    intervalMinutes,
+    cadenceMinutes: cadence ? Math.round(cadence.minutes) : null,
+    reason: `${reasons.join('; ')}; polling every ${formatMinutes(intervalMinutes)}`,
+  };
+}
+
+/**
+ * Estimate how often a feed publishes from its item timestamps
+ * Uses the median gap between recent items; a feed that has been quiet for much
+ * longer than that is treated as publishing less often.
+ * @param {Array} items - Feed items
+ * @param {number} now - Current time (ms)
+ * @returns {object|null} { minutes, basis } or null with fewer than 3 dated items
+ */
+function estimateCadence(items, now) {
+  const times = items
+    .map(item => Date.parse(item.published || item.updated || item.firstSeenAt || ''))
+    .filter(time => !Number.isNaN(time) && time <= now)
+    .sort((a, b) => b - a)
+    .slice(0, CADENCE_SAMPLE_SIZE);
+
+  if (times.length < 3) {
+    return null;
+  }
+
+  const gaps = times.slice(1).map((time, index) => times[index] - time).sort((a, b) => a - b);
+  const middle = Math.floor(gaps.length / 2);
+  const median = gaps.length % 2 ? gaps[middle] : (gaps[middle - 1] + gaps[middle]) / 2;
+  const idle = now - times[0];
+  const basis = `median of ${times.length} items`;
+
+  if (idle > 3 * median) {
+    return {
+      minutes: Math.max(idle / 3, MINUTE) / MINUTE,
+      basis: `${basis}, quiet for ${formatMinutes(idle / MINUTE)}`,
+    };
+  }
+
+  return {
+    minutes: Math.max(median, MINUTE) / MINUTE,
+    basis,
+  };
+}
+
+/**
+ * Pick the cron-expressible interval closest to (but not above) a target
+ * @param {number} minutes - Target interval
+ * @param {number} minInterval - Lower bound
+ * @param {number} maxInterval - Upper bound
+ * @returns {number} Interval in minutes
+ */
+function snapToCronInterval(minutes, minInterval, maxInterval) {
+  const allowed = CRON_INTERVALS.filter(interval => interval >= minInterval && interval <= maxInterval);
+  const candidates = allowed.length > 0 ? allowed : CRON_INTERVALS;
+  const below = candidates.filter(interval => interval <= minutes);
+
+  return below.length > 0 ? below[below.length - 1] : candidates[0];
+}
+
+/**
+ * Build the cron expression for an interval, leaving out skipped hours and days
+ * @param {number} minutes - Interval from CRON_INTERVALS
+ * @param {object} skips - { skipHours, skipDays }
+ * @returns {string} Cron expression
+ */
+function toCronExpression(minutes, skips = {}) {
+  let minuteField = '0';
+  let hours = [0];
+  let days = null;
+
+  if (minutes < 60) {
+    minuteField = `*/${minutes}`;
+    hours = range(0, 23);
+  } else if (minutes < 1440) {
+    hours = range(0, 23).filter(hour => hour % (minutes / 60) === 0);
+  } else if (minutes >= 10080) {
+    days = [1];
+  }
+
+  const skipHours = new Set(skips.skipHours || []);
+  let allowedHours = hours.filter(hour => !skipHours.has(hour));
+  if (allowedHours.length === 0) {
+    // Every slot is skipped - fall back to the first hour the feed allows
+    const open = range(0, 23).filter(hour => !skipHours.has(hour));
+    allowedHours = open.length > 0 ? [open[0]] : hours;
+  }
+
+  const skipDays = new Set(skips.skipDays || []);
+  const allowedDays = (days || range(0, 6)).filter(day => !skipDays.has(day));
+
+  const hourField = allowedHours.length === 24 ? '*' : compactList(allowedHours, 23);
+  const dayField = !days && allowedDays.length === 7 ? '*' : compactList(allowedDays.length > 0 ? allowedDays : days || [1], 6);
+
+  return `${minuteField} ${hourField} * * ${dayField}`;
+}
+
+/**
+ * Format a list of values as a cron list, using a step when the values are evenly spaced from 0
+ * @param {number[]} values - Sorted values
+ * @param {number} max - Field maximum
+ * @returns {string} Cron field
+ */
+function compactList(values, max) {
+  const step = values[1] - values[0];
+  const evenlySpaced = values.length > 2 && values[0] === 0 && values.every((value, index) => value === index * step);
+  if (evenlySpaced && values[values.length - 1] + step > max) {
+    return `*/${step}`;
+  }
+  return values.join(',');
+}
+
+/**
+ * Inclusive integer range
+ * @param {number} start - First value
+ * @param {number} end - Last value
+ * @returns {number[]} Values
+ */
+function range(start, end) {
+  return Array.from({ length: end - start + 1 }, (value, index) => start + index);
+}
+
+/**
+ * Format a duration in minutes for reasons (e.g. 90 -> "1.5h")
+ * @param {number} minutes - Duration
+ * @returns {string} Short duration
+ */
+function formatMinutes(minutes) {
+  if (minutes < 60) {
+    return `${Math.round(minutes)}m`;
+  }
+  if (minutes < 1440) {
+    return `${Math.round(minutes / 6) / 10}h`;
+  }
+  return `${Math.round(minutes / 144) / 10}d`;
+}
+
+export default {
+  computePollingInterval,
+};
@@ -0,0 +1,168 @@
+/**
+ * AI Providers
+ * Chat completion backends for snippet generation: OpenAI, Ollama and
+ * any server speaking the OpenAI chat completions API
+ */
+
+import OpenAI from 'openai';
+
+/**
+ * Supported values of config.ai.provider
+ */
+export const AI_PROVIDERS = ['openai', 'ollama', 'openai-compatible'];
+
+/**
+ * Model used by each provider when none is configured
+ */
+export const DEFAULT_MODELS = {
+  openai: 'gpt-4o-mini',
+  ollama: 'llama3.1',
+  'openai-compatible': 'gpt-4o-mini',
+};
+
+/**
+ * Provider backed by the OpenAI SDK
+ * Also used for OpenAI-compatible servers (LM Studio, vLLM, llama.cpp, OpenRouter, ...) via baseUrl.
+ */
+export class OpenAIProvider {
+  constructor(options = {}) {
+    this.options = {
+      name: options.name || 'openai',
+      apiKey: options.apiKey,
+      baseUrl: options.baseUrl || null,
+      model: options.model || DEFAULT_MODELS[options.name || 'openai'],
+      timeout: options.timeout || 30000,
+      jsonMode: options.jsonMode ?? true, // Send response_format; some compatible servers reject it
+    };
+
+    this.name = this.options.name;
+    this.client = options.client || new OpenAI({
+      // Local OpenAI-compatible servers usually ignore the key, but the SDK requires one
+      apiKey: this.options.apiKey || 'not-needed',
+      baseURL: this.options.baseUrl || undefined,
+      timeout: this.options.timeout,
+    });
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Array} messages - Chat messages ({ role, content })
+   * @param {object} options - Completion options
+   * @param {number} [options.maxTokens] - Maximum tokens to generate
+   * @param {number} [options.temperature] - Sampling temperature
+   * @param {boolean} [options.json] - Ask for a JSON object response
+   * @returns {Promise<string>} Message content
+   */
+  async chat(messages, options = {}) {
+    const response = await this.client.chat.completions.create({
+      model: this.options.model,
+      messages,
+      max_tokens: options.maxTokens,
+      temperature: options.temperature,
+      ...(options.json && this.options.jsonMode ? { response_format: { type: 'json_object' } } : {}),
+    });
+
+    const content = response.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error(`${this.name} returned no message content`);
+    }
+    return content;
+  }
+}
+
+/**
+ * Provider for a local or remote Ollama server (POST /api/chat)
+ */
+export class OllamaProvider {
+  constructor(options = {}) {
+    this.options = {
+      baseUrl: options.baseUrl || 'http://localhost:11434',
+      model: options.model || DEFAULT_MODELS.ollama,
+      timeout: options.timeout || 30000,
+    };
+
+    this.name = 'ollama';
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Array} messages - Chat messages ({ role, content })
+   * @param {object} options - Completion options
+   * @param {number} [options.maxTokens] - Maximum tokens to generate (num_predict)
+   * @param {number} [options.temperature] - Sampling temperature
+   * @param {boolean} [options.json] - Constrain the output to JSON (format: "json")
+   * @returns {Promise<string>} Message content
+   */
+  async chat(messages, options = {}) {
+    // Join rather than replace the path so servers behind a path prefix (e.g. a reverse proxy) work
+    const { baseUrl } = this.options;
+    const url = new URL('api/chat', baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`);
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model: this.options.model,
+        messages,
+        stream: false,
+        ...(options.json ? { format: 'json' } : {}),
+        options: {
+          ...(options.temperature !== undefined ? { temperature: options.temperature } : {}),
+          ...(options.maxTokens !== undefined ? { num_predict: options.maxTokens } : {}),
+        },
+      }),
+      signal: AbortSignal.timeout(this.options.timeout),
+    });
+
+    if (!response.ok) {
+      // Ollama reports problems such as unknown models as { error }
+      const body = await response.json().catch(() => ({}));
+      throw new Error(`Ollama HTTP ${response.status}: ${body.error || response.statusText}`);
+    }
+
+    const data = await response.json();
+    if (typeof data.message?.content !== 'string') {
+      throw new Error('Ollama returned no message content');
+    }
+    return data.message.content;
+  }
+}
+
+/**
+ * Create the provider for an AI configuration
+ * @param {object} aiConfig - AI configuration, as returned by getAIConfig()
+ * @param {string} aiConfig.provider - One of AI_PROVIDERS
+ * @param {string} [aiConfig.apiKey] - API key (required for openai)
+ * @param {string} [aiConfig.ollamaUrl] - Ollama server URL
+ * @param {string} [aiConfig.baseUrl] - Base URL of an OpenAI-compatible server
+ * @param {string} [aiConfig.model] - Model name
+ * @param {number} [aiConfig.timeout] - Request timeout in ms
+ * @returns {OpenAIProvider|OllamaProvider} Provider
+ */
+export function createAIProvider(aiConfig = {}) {
+  const { provider = 'openai', apiKey, ollamaUrl, baseUrl, model, timeout } = aiConfig;
+
+  switch (provider) {
+  case 'openai':
+    if (!apiKey) {
+      throw new Error('OpenAI API key is required');
+    }
+    return new OpenAIProvider({ apiKey, model, timeout });
+  case 'ollama':
+    return new OllamaProvider({ baseUrl: ollamaUrl || baseUrl, model, timeout });
+  case 'openai-compatible':
+    if (!baseUrl) {
+      throw new Error('Base URL is required for the openai-compatible provider');
+    }
+    return new OpenAIProvider({ name: 'openai-compatible', apiKey, baseUrl, model, timeout });
+  default:
+    throw new Error(`Unknown AI provider "${provider}" (expected one of: ${AI_PROVIDERS.join(', ')})`);
+  }
+}
+
+export default {
+  AI_PROVIDERS,
+  DEFAULT_MODELS,
+  OpenAIProvider,
+  OllamaProvider,
+  createAIProvider,
+};
@@ -0,0 +1,193 @@
+/**
+ * AI Service
+ * Config-driven facade over AISnippetGenerator used by the package root (RSSAmplifier)
+ */
+
+import { getAIConfig, loadConfig } from './config-manager.js';
+import { AISnippetGenerator } from './ai-snippet-generator.js';
+import { getToneForStyle, toSnippetPlatform } from './snippet-workflow.js';
+import { resolveBrand, describeBrand } from './brand-profile.js';
+import { getPromptDirectory } from './prompt-templates.js';
+
+/**
+ * Create a snippet generator for the AI provider selected in the configuration
+ * @param {object} config - Configuration object
+ * @param {object} [options] - Extra AISnippetGenerator options (dataPath, timeout, ...)
+ * @returns {AISnippetGenerator} Snippet generator
+ * @throws {Error} If AI is not enabled and configured
+ */
+export function createSnippetGenerator(config, options = {}) {
+  const aiConfig = getAIConfig(config);
+  if (!aiConfig) {
+    throw new Error('AI is not configured - run \'rssamp setup\' first');
+  }
+
+  return new AISnippetGenerator({
+    provider: aiConfig.provider,
+    openaiApiKey: aiConfig.provider === 'openai' ? aiConfig.apiKey : undefined,
+    apiKey: aiConfig.apiKey,
+    ollamaUrl: aiConfig.ollamaUrl,
+    baseUrl: aiConfig.baseUrl,
+    model: aiConfig.model,
+    maxTokens: aiConfig.maxTokens,
+    temperature: aiConfig.temperature,
+    promptDir: getPromptDirectory(config),
+    ...options,
+  });
+}
+
+/**
+ * AI Service class wrapping the snippet generator configured in config.ai
+ */
+export class AIService {
+  constructor(config = {}, options = {}) {
+    this.config = config;
+    this.options = {
+      generator: options.generator || null, // Use this generator instead of one built from config.ai
+      generatorOptions: options.generatorOptions || {}, // Extra AISnippetGenerator options
+      ...options,
+    };
+
+    this.aiConfig = getAIConfig(config);
+    this.generator = this.options.generator;
+    this.error = null;
+
+    if (!this.generator && this.aiConfig) {
+      try {
+        this.generator = createSnippetGenerator(config, this.options.generatorOptions);
+      } catch (error) {
+        this.error = error.message;
+      }
+    }
+  }
+
+  /**
+   * Check if snippets can be generated
+   * @returns {boolean} True if a generator is available
+   */
+  isReady() {
+    return !!this.generator;
+  }
+
+  /**
+   * Generate a snippet for a feed item with the brand context injected into the prompt
+   * @param {object} request - Snippet request
+   * @param {object} request.content - Feed item (normalized, or raw RSS/Atom/JSON Feed)
+   * @param {string|object} [request.brand] - Brand profile, or the name of one in config.brands
+   * @param {string} [request.brandContext] - Free-text brand context, used when no brand is given
+   *   (without either, general.defaultBrand or general.brandContext applies)
+   * @param {string} [request.style] - Snippet style (viral, professional, casual) or a tone
+   * @param {string} [request.platform] - Target platform (defaults to the first default platform)
+   * @returns {Promise<object>} Result with the snippet as data
+   */
+  async generateContextualSnippet(request = {}) {
+    if (!this.generator) {
+      return {
+        success: false,
+        error: this.error || 'AI is not configured - run \'rssamp setup\' first',
+      };
+    }
+
+    if (!request.content) {
+      return {
+        success: false,
+        error: 'Content is required',
+      };
+    }
+
+    const style = request.style || this.config.snippets?.defaultStyle;
+    const brand = request.brand && typeof request.brand === 'object'
+      ? request.brand
+      : resolveBrand(this.config, request.brand || request.brandContext);
+    const platform = toSnippetPlatform(request.platform || this.config.general?.defaultPlatforms?.[0]);
+
+    try {
+      const result = await this.generator.generateSnippet(request.content, {
+        platform,
+        tone: getToneForStyle(style),
+        style,
+        brand,
+      });
+
+      if (!result.success) {
+        return {
+          success: false,
+          error: result.error || result.reason,
+        };
+      }
+
+      return {
+        success: true,
+        data: {
+          ...result.snippet,
+          style: style || null,
+          brand: brand?.name || null,
+          brandContext: describeBrand(brand) || null,
+        },
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Get AI service status
+   * @returns {object} Status with provider, model and generation statistics
+   */
+  getStatus() {
+    return {
+      enabled: !!this.config.ai?.enabled,
+      ready: this.isReady(),
+      provider: this.aiConfig?.provider || null,
+      model: this.aiConfig?.model || null,
+      error: this.error,
+      stats: this.generator ? { ...this.generator.stats } : null,
+    };
+  }
+
+  /**
+   * Close and clean up resources
+   */
+  async close() {
+    await this.generator?.close();
+  }
+}
+
+/**
+ * Create the AI service for a configuration
+ * @param {object} config - Configuration object
+ * @param {object} [options] - AIService options
+ * @returns {AIService} AI service
+ */
+export function initializeAIService(config, options = {}) {
+  return new AIService(config, options);
+}
+
+/**
+ * Generate a contextual snippet (standalone function)
+ * @param {object} request - Snippet request ({ content, brand, brandContext, style, platform })
+ * @param {object} [options] - Options
+ * @param {object} [options.config] - Configuration (defaults to the saved configuration)
+ * @param {AISnippetGenerator} [options.generator] - Generator to use instead of one built from config.ai
+ * @returns {Promise<object>} Result with the snippet as data
+ */
+export async function generateContextualSnippet(request, options = {}) {
+  const { config, ...serviceOptions } = options;
+  const service = initializeAIService(config || loadConfig(), serviceOptions);
+
+  try {
+    return await service.generateContextualSnippet(request);
+  } finally {
+    await service.close();
+  }
+}
+
+export default {
+  AIService,
+  createSnippetGenerator,
+  initializeAIService,
+  generateContextualSnippet,
+};
@@ -1,48 +1,69 @@
 /**
  * AI Snippet Generator
- * Transforms RSS feed content into contextual social media snippets using OpenAI
+ * Transforms RSS feed content into contextual social media snippets using OpenAI, Ollama
+ * or an OpenAI-compatible server
  */
 
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
-import OpenAI from 'openai';
+import { createAIProvider, DEFAULT_MODELS } from './ai-providers.js';
+import { normalizeFeedItem } from './feed-parser.js';
+import { htmlToMarkdown } from './content-sanitizer.js';
+import { findBannedPhrases, normalizeHashtags } from './brand-profile.js';
+import { PromptTemplates, buildTemplateVariables } from './prompt-templates.js';
+import { parseSnippetResponse, buildRepairPrompt } from './snippet-response.js';
 
 /**
  * AI Snippet Generator class for creating contextual social media snippets
  */
 export class AISnippetGenerator {
   constructor(options = {}) {
-    if (!options.openaiApiKey && !options.mockMode) {
+    const provider = options.provider || 'openai';
+    if (provider === 'openai' && !options.openaiApiKey && !options.aiProvider && !options.mockMode) {
       throw new Error('OpenAI API key is required');
     }
 
     this.options = {
+      provider, // 'openai', 'ollama' or 'openai-compatible' (see AI_PROVIDERS)
       openaiApiKey: options.openaiApiKey,
-      model: options.model || 'gpt-4',
+      apiKey: options.apiKey || '', // Key for openai-compatible servers that need one
+      ollamaUrl: options.ollamaUrl || 'http://localhost:11434',
+      baseUrl: options.baseUrl || '', // openai-compatible server URL
+      model: options.model || DEFAULT_MODELS[provider],
       maxTokens: options.maxTokens || 500,
       temperature: options.temperature || 0.7,
       dataPath: options.dataPath || path.join(os.homedir(), '.config', 'rss-amplifier', 'snippets'),
       timeout: options.timeout || 30000,
+      promptDir: options.promptDir, // Prompt template directory (defaults to DEFAULT_PROMPT_DIR)
       mockMode: options.mockMode || false,
       mockResponse: options.mockResponse || null,
       mockDelay: options.mockDelay || 0,
       ...options,
     };
 
-    // Initialize OpenAI client if not in mock mode
+    // Initialize the AI provider if not in mock mode; options.aiProvider injects a custom one
     if (!this.options.mockMode) {
-      this.openai = new OpenAI({
-        apiKey: this.options.openaiApiKey,
+      this.aiProvider = this.options.aiProvider || createAIProvider({
+        provider,
+        apiKey: provider === 'openai' ? this.options.openaiApiKey : this.options.apiKey,
+        ollamaUrl: this.options.ollamaUrl,
+        baseUrl: this.options.baseUrl,
+        model: this.options.model,
         timeout: this.options.timeout,
       });
     }
 
+    this.prompts = this.options.promptTemplates || new PromptTemplates({ directory: this.options.promptDir });
+
     this.stats = {
       totalGenerated: 0,
       successfulGenerations: 0,
       failedGenerations: 0,
       platformBreakdown: {},
+      failureReasons: {}, // Failed generations by reason (invalid_response, timeout, provider_error, banned_phrase, error)
+      repairedResponses: 0, // Invalid or banned-phrase responses fixed by the repair re-ask
+      lastFailure: null,
       lastGenerated: null,
     };
 
@@ -88,17 +109,20 @@ export class AISnippetGenerator {
 
   /**
    * Generate a snippet from RSS item
-   * @param {object} rssItem - RSS feed item
+   * @param {object} feedItem - Feed item (normalized, or raw RSS/Atom/JSON Feed)
    * @param {object} options - Generation options
    * @returns {Promise<object>} Generation result
    */
-  async generateSnippet(rssItem, options = {}) {
+  async generateSnippet(feedItem, options = {}) {
     try {
+      const rssItem = normalizeFeedItem(feedItem);
+      const content = getItemContent(rssItem);
+
       // Validate input
       const validation = validateSnippetRequest({
-        content: rssItem.content || rssItem.description || '',
+        content,
         title: rssItem.title || '',
-        url: rssItem.link || '',
+        url: rssItem.url || '',
         platform: options.platform || 'general',
         tone: options.tone || 'engaging',
       });
@@ -122,28 +146,31 @@ export class AISnippetGenerator {
       }
 
       // Analyze content
-      const analysis = analyzeContent(rssItem.content || rssItem.description, rssItem.title);
+      const analysis = analyzeContent(content, rssItem.title);
       
       // Generate snippet using AI
       const aiResult = await this.callOpenAI(rssItem, options, analysis);
       if (!aiResult.success) {
-        this.updateStats(false, options.platform);
+        this.updateStats(false, options.platform, { reason: aiResult.failureReason, message: aiResult.error || aiResult.reason });
         return aiResult;
       }
 
       // Format for specific platform
-      const formattedSnippet = formatSnippetForPlatform(aiResult.snippet, options.platform || 'general');
+      const brand = getBrand(options);
+      const formattedSnippet = formatSnippetForPlatform(aiResult.snippet, options.platform || 'general', {
+        hashtags: brand?.hashtags,
+      });
       
       // Add metadata
       const snippet = {
         ...formattedSnippet,
         id: this.generateSnippetId(),
-        sourceUrl: rssItem.link,
+        sourceUrl: rssItem.url,
         sourceTitle: rssItem.title,
         generatedAt: new Date().toISOString(),
         metadata: {
           analysis,
-          originalContent: rssItem.content || rssItem.description,
+          originalContent: rssItem.html,
           options,
         },
       };
@@ -160,7 +187,7 @@ export class AISnippetGenerator {
         snippet,
       };
     } catch (error) {
-      this.updateStats(false, options.platform);
+      this.updateStats(false, options.platform, { reason: 'error', message: error.message });
       return {
         success: false,
         error: error.message,
@@ -206,7 +233,7 @@ export class AISnippetGenerator {
   }
 
   /**
-   * Call OpenAI API to generate snippet
+   * Call the configured AI provider to generate snippet
    * @param {object} rssItem - RSS item
    * @param {object} options - Generation options
    * @param {object} analysis - Content analysis
@@ -214,120 +241,125 @@ export class AISnippetGenerator {
    */
   async callOpenAI(rssItem, options, analysis) {
     try {
-      // Handle mock mode
-      if (this.options.mockMode) {
-        if (this.options.mockDelay) {
-          // Check if delay exceeds timeout
-          if (this.options.mockDelay > this.options.timeout) {
-            throw new Error('Request timeout - AI service took too long to respond');
-          }
-          await new Promise(resolve => setTimeout(resolve, this.options.mockDelay));
-        }
-        
-        if (this.options.mockResponse?.error) {
-          throw new Error(this.options.mockResponse.error);
-        }
-        
-        return {
-          success: true,
-          snippet: JSON.parse(this.options.mockResponse.choices[0].message.content),
-        };
+      const variables = buildPromptVariables(rssItem, options, analysis);
+      const messages = [
+        {
+          role: 'system',
+          content: this.prompts.render('system', variables).text,
+        },
+        {
+          role: 'user',
+          content: this.prompts.render('snippet', variables).text,
+        },
+      ];
+
+      const brand = getBrand(options);
+      const content = await this.requestCompletion(messages);
+      const parsed = checkSnippetResponse(content, brand);
+      if (parsed.success) {
+        return parsed;
       }
 
-      const prompt = this.buildPrompt(rssItem, options, analysis);
-      
-      const response = await this.openai.chat.completions.create({
-        model: this.options.model,
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an expert social media content creator specializing in technical and marketing content. Generate engaging, contextual snippets that drive interest without explicit links.',
-          },
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
-        max_tokens: this.options.maxTokens,
-        temperature: this.options.temperature,
-        response_format: { type: 'json_object' },
-      });
+      // One repair round: show the model its reply and what was wrong with it
+      const repairedContent = await this.requestCompletion([
+        ...messages,
+        { role: 'assistant', content: content || '' },
+        { role: 'user', content: buildRepairPrompt(parsed.errors) },
+      ]);
+      const repaired = checkSnippetResponse(repairedContent, brand);
+      if (repaired.success) {
+        this.stats.repairedResponses++;
+        return repaired;
+      }
 
-      const content = response.choices[0].message.content;
-      const snippet = JSON.parse(content);
+      if (repaired.bannedPhrases) {
+        return {
+          success: false,
+          reason: `Snippet uses banned phrase${repaired.bannedPhrases.length > 1 ? 's' : ''}: ${formatPhrases(repaired.bannedPhrases)}`,
+          failureReason: 'banned_phrase',
+        };
+      }
 
       return {
-        success: true,
-        snippet,
+        success: false,
+        error: `AI returned an invalid response: ${repaired.errors.join('; ')}`,
+        failureReason: 'invalid_response',
       };
     } catch (error) {
       if (error.message.includes('timeout') || error.code === 'ETIMEDOUT' || error.name === 'TimeoutError') {
         return {
           success: false,
           error: 'Request timeout - AI service took too long to respond',
+          failureReason: 'timeout',
         };
       }
       
       return {
         success: false,
         error: `AI generation failed: ${error.message}`,
+        failureReason: 'provider_error',
       };
     }
   }
 
   /**
-   * Build prompt for OpenAI
-   * @param {object} rssItem - RSS item
+   * Send chat messages to the AI provider (or the mock response in mock mode)
+   * @param {Array} messages - Chat messages
+   * @returns {Promise<string>} Response content
+   */
+  async requestCompletion(messages) {
+    if (this.options.mockMode) {
+      if (this.options.mockDelay) {
+        // Check if delay exceeds timeout
+        if (this.options.mockDelay > this.options.timeout) {
+          throw new Error('Request timeout - AI service took too long to respond');
+        }
+        await new Promise(resolve => setTimeout(resolve, this.options.mockDelay));
+      }
+
+      if (this.options.mockResponse?.error) {
+        throw new Error(this.options.mockResponse.error);
+      }
+
+      return this.options.mockResponse.choices[0].message.content;
+    }
+
+    return this.aiProvider.chat(messages, {
+      maxTokens: this.options.maxTokens,
+      temperature: this.options.temperature,
+      json: true,
+    });
+  }
+
+  /**
+   * Build prompt for the AI provider from the snippet template
+   * @param {object} rssItem - Normalized feed item
    * @param {object} options - Generation options
    * @param {object} analysis - Content analysis
    * @returns {string} Formatted prompt
    */
   buildPrompt(rssItem, options, analysis) {
-    const platform = options.platform || 'general';
-    const tone = options.tone || 'engaging';
-    
-    return `
-Create a contextual social media snippet from this RSS article:
-
-Title: ${rssItem.title}
-Content: ${(rssItem.content || rssItem.description || '').substring(0, 2000)}
-URL: ${rssItem.link}
-
-Requirements:
-- Platform: ${platform}
-- Tone: ${tone}
-- Technical level: ${analysis.technicalLevel}
-- Key topics: ${analysis.topics.join(', ')}
-
-Guidelines:
-- Create engaging content that sparks discussion
-- DO NOT include the original URL or explicit links
-- Focus on insights, questions, or trends
-- Use appropriate emojis and hashtags for the platform
-- Keep within platform character limits
-- Make it shareable and conversation-starting
-
-Return a JSON object with:
-{
-  "snippet": "The main social media post content",
-  "insights": ["key", "insights", "extracted"],
-  "tone": "${tone}",
-  "platform_optimized": {
-    "twitter": "Twitter-optimized version with hashtags",
-    "linkedin": "Professional LinkedIn version",
-    "reddit": "Conversational Reddit-style version"
+    return this.prompts.render('snippet', buildPromptVariables(rssItem, options, analysis)).text;
   }
-}
-`;
+
+  /**
+   * Build the system message from the system template
+   * @param {object} rssItem - Normalized feed item
+   * @param {object} options - Generation options
+   * @param {object} analysis - Content analysis
+   * @returns {string} System message
+   */
+  buildSystemPrompt(rssItem, options, analysis) {
+    return this.prompts.render('system', buildPromptVariables(rssItem, options, analysis)).text;
   }
 
   /**
    * Check if content is relevant for technical/marketing audience
-   * @param {object} rssItem - RSS item
+   * @param {object} rssItem - Normalized feed item
    * @returns {boolean} Relevance score
    */
   isContentRelevant(rssItem) {
-    const content = `${rssItem.title} ${rssItem.content || rssItem.description || ''}`.toLowerCase();
+    const content = `${rssItem.title} ${getItemContent(rssItem)}`.toLowerCase();
     
     const relevantKeywords = [
       'javascript', 'typescript', 'react', 'vue', 'angular', 'node', 'python', 'java',
@@ -398,14 +430,22 @@ Return a JSON object with:
    * Update generation statistics
    * @param {boolean} success - Whether generation was successful
    * @param {string} platform - Target platform
+   * @param {object} [failure] - Why generation failed: { reason, message }
    */
-  updateStats(success, platform = 'general') {
+  updateStats(success, platform = 'general', failure = {}) {
     this.stats.totalGenerated++;
     
     if (success) {
       this.stats.successfulGenerations++;
     } else {
       this.stats.failedGenerations++;
+      const reason = failure.reason || 'error';
+      this.stats.failureReasons[reason] = (this.stats.failureReasons[reason] || 0) + 1;
+      this.stats.lastFailure = {
+        reason,
+        message: failure.message || null,
+        at: new Date().toISOString(),
+      };
     }
     
     if (!this.stats.platformBreakdown[platform]) {
@@ -433,6 +473,93 @@ Return a JSON object with:
   }
 }
 
+/**
+ * Get the brand to write for from generation options
+ * @param {object} options - Generation options (brand profile, or legacy brandContext text)
+ * @returns {object|null} Brand profile
+ */
+function getBrand(options) {
+  if (options.brand) {
+    return options.brand;
+  }
+  return options.brandContext ? { description: options.brandContext } : null;
+}
+
+/**
+ * Quote phrases for messages
+ * @param {string[]} phrases - Phrases
+ * @returns {string} Comma-separated quoted phrases
+ */
+function formatPhrases(phrases) {
+  return phrases.map(phrase => `"${phrase}"`).join(', ');
+}
+
+/**
+ * Parse a model reply and check the snippet against the brand's banned phrases
+ * A banned phrase is reported like a validation error so the repair re-ask can fix it.
+ * @param {string} content - Model output
+ * @param {object|null} brand - Brand profile
+ * @returns {object} parseSnippetResponse result; failures from banned phrases also carry bannedPhrases
+ */
+function checkSnippetResponse(content, brand) {
+  const parsed = parseSnippetResponse(content);
+  if (!parsed.success) {
+    return parsed;
+  }
+
+  const bannedPhrases = findBannedPhrases(parsed.snippet.snippet, brand);
+  if (bannedPhrases.length > 0) {
+    return {
+      success: false,
+      errors: [`snippet must not use the banned phrase${bannedPhrases.length > 1 ? 's' : ''} ${formatPhrases(bannedPhrases)}`],
+      bannedPhrases,
+    };
+  }
+
+  return parsed;
+}
+
+/**
+ * Get the prompt template variables for a generation
+ * @param {object} rssItem - Normalized feed item
+ * @param {object} options - Generation options
+ * @param {object} analysis - Content analysis
+ * @returns {object} Template variables
+ */
+function buildPromptVariables(rssItem, options, analysis) {
+  return buildTemplateVariables({
+    title: rssItem.title,
+    url: rssItem.url,
+    excerpt: getItemMarkdown(rssItem).substring(0, 2000),
+    platform: options.platform,
+    tone: options.tone,
+    style: options.style,
+    topics: analysis.topics,
+    technicalLevel: analysis.technicalLevel,
+    published: rssItem.published,
+    feedTitle: rssItem.feedTitle,
+    brand: getBrand(options),
+  });
+}
+
+/**
+ * Get the plain-text body of a normalized feed item
+ * @param {object} item - Normalized feed item
+ * @returns {string} Extracted article text (full-text feeds), item text or summary
+ */
+function getItemContent(item) {
+  return item.articleText || item.text || item.summary || '';
+}
+
+/**
+ * Get the Markdown body of a normalized feed item for prompting
+ * @param {object} item - Normalized feed item
+ * @returns {string} Markdown keeping headings, lists and links without HTML markup
+ */
+function getItemMarkdown(item) {
+  return item.articleMarkdown || item.markdown || htmlToMarkdown(item.html) || getItemContent(item);
+}
+
 /**
  * Validate snippet generation request
  * @param {object} request - Request to validate
@@ -449,7 +576,7 @@ export function validateSnippetRequest(request) {
     errors.push('Title is required and must be a string');
   }
 
-  const validPlatforms = ['twitter', 'linkedin', 'reddit', 'facebook', 'general'];
+  const validPlatforms = ['twitter', 'linkedin', 'reddit', 'facebook', 'mastodon', 'bluesky', 'nostr', 'general'];
   if (request.platform && !validPlatforms.includes(request.platform)) {
     errors.push(`Platform must be one of: ${validPlatforms.join(', ')}`);
   }
@@ -467,7 +594,7 @@ export function validateSnippetRequest(request) {
 
 /**
  * Extract key insights from content
- * @param {string} content - Content to analyze
+ * @param {string} content - Plain-text content to analyze
  * @returns {Array} Array of insights
  */
 export function extractKeyInsights(content) {
@@ -538,7 +665,7 @@ export function extractKeyInsights(content) {
 
 /**
  * Analyze content and extract metadata
- * @param {string} content - Content to analyze
+ * @param {string} content - Plain-text content to analyze (feed HTML is reduced to text by normalizeFeedItem)
  * @param {string} title - Content title
  * @returns {object} Analysis results
  */
@@ -594,10 +721,13 @@ export function analyzeContent(content, title = '') {
  * Format snippet for specific platform
  * @param {object} snippet - Base snippet
  * @param {string} platform - Target platform
+ * @param {object} [options] - Formatting options
+ * @param {string[]} [options.hashtags] - Brand hashtags used when a tweet has none
  * @returns {object} Formatted snippet
  */
-export function formatSnippetForPlatform(snippet, platform) {
+export function formatSnippetForPlatform(snippet, platform, options = {}) {
   const baseContent = snippet.snippet || snippet.content || '';
+  const brandHashtags = normalizeHashtags(options.hashtags).slice(0, 2);
   let formattedContent = baseContent;
   
   switch (platform) {
@@ -608,7 +738,7 @@ export function formatSnippetForPlatform(snippet, platform) {
       }
       // Add hashtags if not present
       if (!formattedContent.includes('#')) {
-        formattedContent += ' #TechNews #Development';
+        formattedContent += ` ${(brandHashtags.length > 0 ? brandHashtags : ['#TechNews', '#Development']).join(' ')}`;
       }
       break;
       
@@ -649,10 +779,34 @@ export function formatSnippetForPlatform(snippet, platform) {
   };
 }
 
+/**
+ * Render the system and user prompts for a feed item without calling the model
+ * @param {object} feedItem - Feed item (normalized, or raw RSS/Atom/JSON Feed)
+ * @param {object} options - Generation options (platform, tone, style, brand)
+ * @param {PromptTemplates} [templates] - Prompt templates (defaults to DEFAULT_PROMPT_DIR)
+ * @returns {object} { system, prompt }, each { name, file, text, unknown }
+ */
+export function renderSnippetPrompts(feedItem, options = {}, templates = new PromptTemplates()) {
+  const rssItem = normalizeFeedItem(feedItem);
+  const analysis = analyzeContent(getItemContent(rssItem), rssItem.title);
+  const variables = buildPromptVariables(rssItem, options, analysis);
+
+  return {
+    system: templates.render('system', variables),
+    prompt: templates.render('snippet', variables),
+  };
+}
+
+/**
+ * AISnippetGenerator options the standalone generateSnippet() passes through
+ */
+const GENERATOR_OPTIONS = ['provider', 'apiKey', 'ollamaUrl', 'baseUrl', 'model', 'maxTokens', 'temperature', 'timeout', 'dataPath', 'promptDir'];
+
 /**
  * Generate snippet from RSS item (standalone function)
  * @param {object} rssItem - RSS item
- * @param {object} options - Generation options
+ * @param {object} options - Generation options, plus AISnippetGenerator options
+ *   (provider, openaiApiKey, apiKey, ollamaUrl, baseUrl, model, ...) for the one-off generator
  * @returns {Promise<object>} Generation result
  */
 export async function generateSnippet(rssItem, options = {}) {
@@ -660,6 +814,7 @@ export async function generateSnippet(rssItem, options = {}) {
     openaiApiKey: options.openaiApiKey || process.env.OPENAI_API_KEY,
     mockMode: options.mockMode,
     mockResponse: options.mockResponse,
+    ...Object.fromEntries(GENERATOR_OPTIONS.filter(key => options[key]).map(key => [key, options[key]])),
   });
 
   try {
@@ -675,6 +830,7 @@ export async function generateSnippet(rssItem, options = {}) {
 export default {
   AISnippetGenerator,
   generateSnippet,
+  renderSnippetPrompts,
   analyzeContent,
   validateSnippetRequest,
   formatSnippetForPlatform,
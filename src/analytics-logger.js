@@ -428,6 +428,9 @@ export class AnalyticsLogger {
     if (newArticles.length > 0) {
       metrics.totalNewArticles = newArticles.reduce((sum, count) => sum + count, 0);
     }
+
+    // Conditional GET hits (HTTP 304) count as successful runs with no new content
+    metrics.notModifiedRuns = events.filter(e => e.event_data?.notModified === true).length;
   }
 
   /**
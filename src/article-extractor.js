@@ -0,0 +1,259 @@
+/**
+ * Article Extractor
+ * Fetches an article page and extracts its main body with a readability-style heuristic
+ */
+
+import { htmlToText, htmlToMarkdown } from './content-sanitizer.js';
+
+/**
+ * Elements that never contain article text
+ */
+const REMOVED_ELEMENTS = [
+  'script', 'style', 'noscript', 'iframe', 'svg', 'template', 'form', 'button', 'select', 'canvas',
+];
+
+/**
+ * Page chrome removed from inside the chosen container
+ */
+const BOILERPLATE_ELEMENTS = ['nav', 'aside', 'footer', 'header'];
+
+/**
+ * class/id fragments that mark ads, navigation and other non-article blocks
+ */
+const NOISE_PATTERN = /(^|[\s_-])(ad|ads|advert|advertisement|banner|breadcrumb|comment|comments|cookie|footer|menu|nav|newsletter|popup|promo|related|share|sharing|sidebar|social|sponsor|sponsored|subscribe|widget)([\s_-]|$)/i;
+
+/**
+ * Block-level elements that carry article text
+ */
+const CONTENT_BLOCK_PATTERN = /<(p|h[1-6]|li|blockquote|pre)\b([^>]*)>([\s\S]*?)<\/\1>/gi;
+
+/**
+ * Extract the main article content from an HTML page
+ * @param {string} html - Page HTML
+ * @param {object} options - Extraction options (minParagraphLength, maxLinkDensity)
+ * @returns {object} Extracted { title, html, text, markdown, length }
+ */
+export function extractArticle(html, options = {}) {
+  const minParagraphLength = options.minParagraphLength ?? 25;
+  const maxLinkDensity = options.maxLinkDensity ?? 0.5;
+
+  let page = String(html || '').replace(/<!--[\s\S]*?-->/g, '');
+  const title = htmlToText((page.match(/<title[^>]*>([\s\S]*?)<\/title>/i) || [])[1] || '');
+
+  for (const tag of REMOVED_ELEMENTS) {
+    page = removeElements(page, tag);
+  }
+
+  let container = selectContainer(page);
+  container = removeNestedElements(container, BOILERPLATE_ELEMENTS, () => true);
+  container = removeNoiseContainers(container);
+
+  const blocks = [];
+  for (const match of container.matchAll(CONTENT_BLOCK_PATTERN)) {
+    const [, tag, attrs, inner] = match;
+    const isHeading = /^h[1-6]$/i.test(tag);
+
+    if (isNoise(attrs)) continue;
+
+    const text = htmlToText(inner);
+    if (!text) continue;
+    if (!isHeading && text.length < minParagraphLength && !/[.!?]$/.test(text)) continue;
+    if (linkDensity(inner, text) > maxLinkDensity) continue;
+
+    blocks.push({ tag: tag.toLowerCase(), inner: inner.trim(), text });
+  }
+
+  // Pages without paragraph markup - fall back to the container text
+  if (blocks.length === 0) {
+    const text = htmlToText(container);
+    return {
+      title,
+      html: text ? `<p>${escapeHTML(text)}</p>` : '',
+      text,
+      markdown: text,
+      length: text.length,
+    };
+  }
+
+  const text = blocks.map(block => block.text).join('\n\n');
+  const articleHtml = blocks.map(block => `<${block.tag}>${block.inner}</${block.tag}>`).join('\n');
+  return {
+    title,
+    html: articleHtml,
+    text,
+    markdown: htmlToMarkdown(articleHtml),
+    length: text.length,
+  };
+}
+
+/**
+ * Fetch an article URL and extract its main content
+ * @param {string} url - Article URL
+ * @param {object} options - Fetch options (timeout, userAgent) and extraction options
+ * @returns {Promise<object>} Result with html and text
+ */
+export async function fetchArticle(url, options = {}) {
+  try {
+    if (!url) {
+      throw new Error('Article URL is required');
+    }
+
+    const response = await fetch(url, {
+      headers: {
+        'User-Agent': options.userAgent || 'RSS-Amplifier/1.0',
+      },
+      signal: AbortSignal.timeout(options.timeout || 10000),
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const article = extractArticle(await response.text(), options);
+    if (!article.text) {
+      throw new Error('No article content found');
+    }
+
+    return {
+      success: true,
+      url,
+      ...article,
+    };
+  } catch (error) {
+    return {
+      success: false,
+      url,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Choose the element most likely to hold the article
+ * @param {string} html - Page HTML
+ * @returns {string} Container HTML
+ */
+function selectContainer(html) {
+  const patterns = [
+    /<article\b[^>]*>([\s\S]*)<\/article>/i,
+    /<main\b[^>]*>([\s\S]*?)<\/main>/i,
+    /<[a-z]+\b[^>]*role=["']main["'][^>]*>([\s\S]*)/i,
+    /<body\b[^>]*>([\s\S]*?)<\/body>/i,
+  ];
+
+  for (const pattern of patterns) {
+    const match = html.match(pattern);
+    if (match && htmlToText(match[1]).length > 0) {
+      return match[1];
+    }
+  }
+
+  return html;
+}
+
+/**
+ * Remove every occurrence of an element (and its content)
+ * @param {string} html - HTML
+ * @param {string} tag - Tag name
+ * @returns {string} HTML without the element
+ */
+function removeElements(html, tag) {
+  return html
+    .replace(new RegExp(`<${tag}\\b[^>]*>[\\s\\S]*?<\\/${tag}>`, 'gi'), ' ')
+    .replace(new RegExp(`<${tag}\\b[^>]*\\/?>`, 'gi'), ' ');
+}
+
+/**
+ * Remove wrapper elements (ad slots, share bars, related lists) marked as noise
+ * @param {string} html - HTML
+ * @returns {string} HTML without noisy wrappers
+ */
+function removeNoiseContainers(html) {
+  return removeNestedElements(html, ['div', 'section', 'ul', 'ol', 'span'], (tag, attrs) => isNoise(attrs));
+}
+
+/**
+ * Remove elements that may nest inside each other, together with everything they contain
+ * Closing tags are matched by depth, so a wrapper holding elements of its own kind is removed whole.
+ * An opening tag that is never closed is removed on its own.
+ * @param {string} html - HTML
+ * @param {Array<string>} tags - Tag names to consider
+ * @param {Function} shouldRemove - (tag, attrs) => boolean, called for each opening tag outside a removed element
+ * @returns {string} HTML without the matching elements
+ */
+function removeNestedElements(html, tags, shouldRemove) {
+  const tagPattern = new RegExp(`<(\\/?)(${tags.join('|')})\\b([^>]*)>`, 'gi');
+  let result = '';
+  let cursor = 0;
+  let removing = null;
+
+  for (const match of html.matchAll(tagPattern)) {
+    const [tagText, closing, name, attrs] = match;
+    const tag = name.toLowerCase();
+    const selfClosing = /\/\s*$/.test(attrs);
+
+    if (removing) {
+      if (tag === removing.tag && !selfClosing) {
+        removing.depth += closing ? -1 : 1;
+        if (removing.depth === 0) {
+          result += ' ';
+          cursor = match.index + tagText.length;
+          removing = null;
+        }
+      }
+      continue;
+    }
+
+    if (closing || !shouldRemove(tag, attrs)) continue;
+
+    result += html.slice(cursor, match.index);
+    cursor = match.index + tagText.length;
+    if (!selfClosing) {
+      removing = { tag, depth: 1 };
+    }
+  }
+
+  return `${result}${removing ? ' ' : ''}${html.slice(cursor)}`;
+}
+
+/**
+ * Check whether a block's attributes mark it as page noise
+ * @param {string} attrs - Raw attribute string
+ * @returns {boolean} True for ads, navigation, share widgets and the like
+ */
+function isNoise(attrs) {
+  const names = [...(attrs || '').matchAll(/\b(?:class|id)\s*=\s*["']([^"']*)["']/gi)]
+    .map(match => match[1])
+    .join(' ');
+  return NOISE_PATTERN.test(names);
+}
+
+/**
+ * Share of a block's text that sits inside links
+ * @param {string} html - Block HTML
+ * @param {string} text - Block text
+ * @returns {number} Ratio between 0 and 1
+ */
+function linkDensity(html, text) {
+  const linkText = [...html.matchAll(/<a\b[^>]*>([\s\S]*?)<\/a>/gi)]
+    .map(match => htmlToText(match[1]))
+    .join('');
+  return text.length > 0 ? linkText.length / text.length : 0;
+}
+
+/**
+ * Escape text for inclusion in HTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+export default {
+  extractArticle,
+  fetchArticle,
+};
@@ -0,0 +1,190 @@
+/**
+ * Brand Profile
+ * Structured brand voice profiles (config.brands) and the prompt section built from them
+ */
+
+/**
+ * List fields of a brand profile
+ */
+const LIST_FIELDS = ['voice', 'bannedPhrases', 'hashtags', 'examples'];
+
+/**
+ * Text fields of a brand profile
+ */
+const TEXT_FIELDS = ['displayName', 'description', 'audience', 'ctaStyle'];
+
+/**
+ * Allowed brand profile names
+ */
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * Validate a brand profile
+ * @param {object} profile - Brand profile from config.brands
+ * @returns {object} { valid, errors }
+ */
+export function validateBrandProfile(profile) {
+  const errors = [];
+
+  if (!profile || typeof profile !== 'object') {
+    return { valid: false, errors: ['Brand profile must be an object'] };
+  }
+
+  if (!profile.name || typeof profile.name !== 'string') {
+    errors.push('Brand profile name is required');
+  } else if (!PROFILE_NAME_PATTERN.test(profile.name)) {
+    errors.push(`Brand profile name "${profile.name}" may only contain letters, digits, - and _`);
+  }
+
+  const label = profile.name ? `Brand profile "${profile.name}"` : 'Brand profile';
+
+  for (const field of TEXT_FIELDS) {
+    if (profile[field] !== undefined && typeof profile[field] !== 'string') {
+      errors.push(`${label} ${field} must be a string`);
+    }
+  }
+
+  for (const field of LIST_FIELDS) {
+    const value = profile[field];
+    if (value !== undefined && !(Array.isArray(value) && value.every(entry => typeof entry === 'string'))) {
+      errors.push(`${label} ${field} must be a list of strings`);
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+}
+
+/**
+ * Find a brand profile by name
+ * @param {object} config - Configuration object
+ * @param {string} name - Profile name
+ * @returns {object|null} Brand profile
+ */
+export function getBrandProfile(config, name) {
+  return (config?.brands || []).find(profile => profile.name === name) || null;
+}
+
+/**
+ * Resolve the brand to generate for
+ * A name selects a profile from config.brands; any other text is used as a free-text brand
+ * context, as config.general.brandContext was before profiles existed. A selector that looks
+ * like a profile name but matches none is most likely a typo, so it is reported to onUnknown.
+ * @param {object} config - Configuration object
+ * @param {string} [selector] - Profile name or free-text brand context (e.g. --brand)
+ * @param {object} [options] - Options
+ * @param {Function} [options.onUnknown] - Called with a profile-like selector that matches no profile
+ * @returns {object|null} Brand profile, { description } for free text, or null if no brand is set
+ */
+export function resolveBrand(config, selector, options = {}) {
+  if (selector) {
+    const profile = getBrandProfile(config, selector);
+    if (profile) {
+      return profile;
+    }
+
+    if (PROFILE_NAME_PATTERN.test(selector)) {
+      options.onUnknown?.(selector);
+    }
+    return { description: selector };
+  }
+
+  const defaultBrand = config?.general?.defaultBrand;
+  if (defaultBrand) {
+    const profile = getBrandProfile(config, defaultBrand);
+    if (profile) {
+      return profile;
+    }
+  }
+
+  const brandContext = config?.general?.brandContext;
+  return brandContext ? { description: brandContext } : null;
+}
+
+/**
+ * Get a one-line description of a brand (stored on snippets as brandContext)
+ * @param {object} brand - Brand profile
+ * @returns {string} Brand summary
+ */
+export function describeBrand(brand) {
+  if (!brand) {
+    return '';
+  }
+
+  const name = brand.displayName || brand.name;
+  if (name && brand.description) {
+    return `${name}: ${brand.description}`;
+  }
+  return name || brand.description || '';
+}
+
+/**
+ * Normalize hashtags to #tag form
+ * @param {string[]} hashtags - Hashtags with or without #
+ * @returns {string[]} Hashtags starting with #
+ */
+export function normalizeHashtags(hashtags = []) {
+  return hashtags
+    .map(tag => tag.trim().replace(/^#*/, ''))
+    .filter(Boolean)
+    .map(tag => `#${tag}`);
+}
+
+/**
+ * Build the brand section of a generation prompt
+ * @param {object} brand - Brand profile (or { description } for free text)
+ * @returns {string} Prompt section, empty if there is no brand
+ */
+export function buildBrandPrompt(brand) {
+  if (!brand) {
+    return '';
+  }
+
+  const name = brand.displayName || brand.name;
+  const lines = [];
+  if (name) lines.push(`- Name: ${name}`);
+  if (brand.description) lines.push(`- ${name ? 'Product' : 'Context'}: ${brand.description}`);
+  if (brand.audience) lines.push(`- Audience: ${brand.audience}`);
+  if (brand.voice?.length) lines.push(`- Voice: ${brand.voice.join(', ')}`);
+  if (brand.ctaStyle) lines.push(`- Call to action: ${brand.ctaStyle}`);
+  if (brand.hashtags?.length) lines.push(`- Preferred hashtags: ${normalizeHashtags(brand.hashtags).join(' ')}`);
+  if (brand.bannedPhrases?.length) {
+    lines.push(`- Never use these phrases: ${brand.bannedPhrases.map(phrase => `"${phrase}"`).join(', ')}`);
+  }
+  if (brand.examples?.length) {
+    lines.push('- Example posts in this voice:');
+    brand.examples.forEach((example, index) => lines.push(`  ${index + 1}. ${example}`));
+  }
+
+  const subject = name || 'the brand';
+  return [
+    'Brand:',
+    ...lines,
+    '',
+    `Tie the article back to ${subject} only where it genuinely fits, at most once, as a peer sharing an`,
+    `opinion rather than an advert. No hard sell, no superlatives about ${subject}.`,
+  ].join('\n');
+}
+
+/**
+ * Find banned phrases used in generated text
+ * @param {string} text - Generated text
+ * @param {object} brand - Brand profile
+ * @returns {string[]} Banned phrases found (case-insensitive)
+ */
+export function findBannedPhrases(text, brand) {
+  const lowerText = (text || '').toLowerCase();
+  return (brand?.bannedPhrases || []).filter(phrase => phrase && lowerText.includes(phrase.toLowerCase()));
+}
+
+export default {
+  validateBrandProfile,
+  getBrandProfile,
+  resolveBrand,
+  describeBrand,
+  normalizeHashtags,
+  buildBrandPrompt,
+  findBannedPhrases,
+};
@@ -6,6 +6,9 @@
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import { validatePipeline } from './pipeline-validation.js';
+import { AI_PROVIDERS, DEFAULT_MODELS } from './ai-providers.js';
+import { validateBrandProfile } from './brand-profile.js';
 
 /**
  * Get the path to the configuration file
@@ -77,7 +80,8 @@ export function getDefaultConfig() {
       },
     },
     general: {
-      brandContext: '',
+      brandContext: '', // Free-text brand context, used when no brand profile is selected
+      defaultBrand: '', // Name of the brand profile used when --brand is not given
       defaultPlatforms: [],
       retryAttempts: 3,
       timeout: 30000,
@@ -86,10 +90,12 @@ export function getDefaultConfig() {
     },
     ai: {
       enabled: false,
-      provider: 'openai', // 'openai' or 'ollama'
+      provider: 'openai', // 'openai', 'ollama' or 'openai-compatible'
       openaiApiKey: '',
       ollamaUrl: 'http://localhost:11434',
-      model: 'gpt-4o-mini',
+      baseUrl: '', // openai-compatible server, e.g. http://localhost:1234/v1
+      apiKey: '', // openai-compatible API key, if the server needs one
+      model: '', // empty uses the provider's default model
       maxTokens: 500,
       temperature: 0.7,
     },
@@ -107,6 +113,11 @@ export function getDefaultConfig() {
       styles: ['viral', 'professional', 'casual'],
       defaultStyle: 'viral',
     },
+    pipelines: [], // fetch → generate → review → post jobs (see src/pipeline.js)
+    brands: [], // Brand voice profiles (see src/brand-profile.js)
+    prompts: {
+      directory: '', // Prompt template directory (defaults to ~/.config/rss-amplifier/prompts)
+    },
     supabase: {
       url: '',
       anonKey: '',
@@ -218,12 +229,16 @@ export function validateConfig(config) {
 
   // Validate AI settings
   if (config.ai) {
-    const { enabled, provider, openaiApiKey, model, maxTokens, temperature } = config.ai;
+    const { enabled, provider, openaiApiKey, baseUrl, model, maxTokens, temperature } = config.ai;
 
     if (enabled && provider === 'openai' && !openaiApiKey?.trim()) {
       errors.push('AI is enabled with OpenAI provider but API key is missing');
     }
 
+    if (enabled && provider === 'openai-compatible' && !baseUrl?.trim()) {
+      errors.push('AI is enabled with an OpenAI-compatible provider but base URL is missing');
+    }
+
     if (openaiApiKey && !validateOpenAIApiKey(openaiApiKey)) {
       errors.push('OpenAI API key format is invalid (should start with "sk-")');
     }
@@ -244,8 +259,8 @@ export function validateConfig(config) {
       errors.push('Model must be a string');
     }
 
-    if (provider !== undefined && !['openai', 'ollama'].includes(provider)) {
-      errors.push('AI provider must be either "openai" or "ollama"');
+    if (provider !== undefined && !AI_PROVIDERS.includes(provider)) {
+      errors.push(`AI provider must be one of: ${AI_PROVIDERS.join(', ')}`);
     }
   }
 
@@ -266,6 +281,48 @@ export function validateConfig(config) {
     }
   }
 
+  // Validate brand profiles
+  const brandNames = new Set();
+  if (config.brands !== undefined) {
+    if (!Array.isArray(config.brands)) {
+      errors.push('Brands must be an array');
+    } else {
+      for (const brand of config.brands) {
+        errors.push(...validateBrandProfile(brand).errors);
+        if (brand?.name && brandNames.has(brand.name)) {
+          errors.push(`Brand profile name "${brand.name}" is used more than once`);
+        }
+        brandNames.add(brand?.name);
+      }
+    }
+  }
+
+  const defaultBrand = config.general?.defaultBrand;
+  if (defaultBrand && !brandNames.has(defaultBrand)) {
+    errors.push(`Default brand "${defaultBrand}" is not a brand profile`);
+  }
+
+  // Validate pipelines
+  if (config.pipelines !== undefined) {
+    if (!Array.isArray(config.pipelines)) {
+      errors.push('Pipelines must be an array');
+    } else {
+      const names = new Set();
+      for (const pipeline of config.pipelines) {
+        errors.push(...validatePipeline(pipeline).errors);
+        if (pipeline?.name && names.has(pipeline.name)) {
+          errors.push(`Pipeline name "${pipeline.name}" is used more than once`);
+        }
+        names.add(pipeline?.name);
+
+        const brand = pipeline?.generate?.brand;
+        if (brand && !brandNames.has(brand)) {
+          errors.push(`Pipeline "${pipeline.name}" uses unknown brand profile "${brand}"`);
+        }
+      }
+    }
+  }
+
   // Validate Supabase settings
   if (config.supabase?.enabled) {
     if (!config.supabase.url?.trim()) {
@@ -472,6 +529,10 @@ export function isAIReady(config) {
     return !!(ai.ollamaUrl?.trim());
   }
 
+  if (ai.provider === 'openai-compatible') {
+    return !!(ai.baseUrl?.trim());
+  }
+
   return false;
 }
 
@@ -488,9 +549,10 @@ export function getAIConfig(config) {
   const ai = config.ai;
   return {
     provider: ai.provider,
-    apiKey: ai.openaiApiKey,
+    apiKey: ai.provider === 'openai' ? ai.openaiApiKey : ai.apiKey || '',
     ollamaUrl: ai.ollamaUrl,
-    model: ai.model || 'gpt-4o-mini',
+    baseUrl: ai.baseUrl || '',
+    model: ai.model || DEFAULT_MODELS[ai.provider],
     maxTokens: ai.maxTokens || 500,
     temperature: ai.temperature || 0.7,
   };
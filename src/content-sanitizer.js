@@ -0,0 +1,260 @@
+/**
+ * Content Sanitizer
+ * Turns feed/article HTML into clean plain text and a Markdown rendering
+ */
+
+/**
+ * Elements dropped together with their content
+ */
+const REMOVED_ELEMENTS = [
+  'script', 'style', 'noscript', 'iframe', 'object', 'embed', 'svg', 'template', 'form', 'head',
+];
+
+/**
+ * Inline elements that do not separate words
+ */
+const INLINE_ELEMENTS = new Set([
+  'a', 'abbr', 'b', 'bdi', 'bdo', 'cite', 'code', 'data', 'del', 'dfn', 'em', 'font', 'i', 'ins',
+  'kbd', 'mark', 'q', 's', 'samp', 'small', 'span', 'strike', 'strong', 'sub', 'sup', 'time', 'u',
+  'var', 'wbr',
+]);
+
+/**
+ * Named entities decoded besides numeric references
+ */
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: ' ',
+  ensp: ' ',
+  emsp: ' ',
+  thinsp: ' ',
+  shy: '',
+  zwj: '',
+  zwnj: '',
+  hellip: '…',
+  mdash: '—',
+  ndash: '–',
+  lsquo: '‘',
+  rsquo: '’',
+  sbquo: '‚',
+  ldquo: '“',
+  rdquo: '”',
+  bdquo: '„',
+  laquo: '«',
+  raquo: '»',
+  bull: '•',
+  middot: '·',
+  copy: '©',
+  reg: '®',
+  trade: '™',
+  deg: '°',
+  euro: '€',
+  pound: '£',
+  yen: '¥',
+  cent: '¢',
+  times: '×',
+  divide: '÷',
+  para: '¶',
+  sect: '§',
+};
+
+/**
+ * Decode HTML entities (named and numeric) in a single pass
+ * @param {string} text - Text containing entities
+ * @returns {string} Decoded text
+ */
+export function decodeEntities(text) {
+  return String(text || '').replace(/&(#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const codePoint = name[1].toLowerCase() === 'x'
+        ? parseInt(name.slice(2), 16)
+        : parseInt(name.slice(1), 10);
+      return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : '';
+    }
+
+    const decoded = NAMED_ENTITIES[name.toLowerCase()];
+    return decoded === undefined ? entity : decoded;
+  });
+}
+
+/**
+ * Convert HTML to a single line of plain text
+ * Scripts, styles and images are dropped, entities decoded and whitespace collapsed.
+ * @param {string} html - HTML (do not pass plain text: anything shaped like a tag is removed)
+ * @returns {string} Plain text
+ */
+export function htmlToText(html) {
+  if (!html) {
+    return '';
+  }
+
+  const text = removeNonContent(String(html))
+    .replace(/<\/?([a-z][a-z0-9]*)\b[^>]*>/gi, (tag, name) => (INLINE_ELEMENTS.has(name.toLowerCase()) ? '' : ' '))
+    .replace(/<![^>]*>/g, ' ');
+
+  return decodeEntities(text)
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Convert HTML to Markdown
+ * Keeps headings, paragraphs, emphasis, links, lists, quotes, code and images;
+ * drops scripts, styles and tracking pixels.
+ * @param {string} html - HTML
+ * @returns {string} Markdown
+ */
+export function htmlToMarkdown(html) {
+  if (!html) {
+    return '';
+  }
+
+  const blocks = [];
+  return restoreBlocks(renderMarkdown(html, blocks), blocks);
+}
+
+/**
+ * Render HTML to Markdown, leaving placeholders for code blocks, headings and quotes
+ * Those blocks are rendered (and entity-decoded) on their own and kept in blocks,
+ * so the final entity pass cannot decode their text a second time.
+ * @param {string} html - HTML
+ * @param {string[]} blocks - Rendered blocks, shared with nested quotes
+ * @returns {string} Markdown with placeholders
+ */
+function renderMarkdown(html, blocks) {
+  const keepBlock = (block) => {
+    blocks.push(block);
+    return `<p>\uE000${blocks.length - 1}\uE000</p>`;
+  };
+
+  const markdown = removeNonContent(String(html), { keepImages: true })
+    // Preformatted code is kept verbatim
+    .replace(/<pre\b[^>]*>([\s\S]*?)<\/pre>/gi, (match, inner) => {
+      const code = decodeEntities(inner.replace(/<[^>]+>/g, '')).replace(/^\n+|\s+$/g, '');
+      return keepBlock(`\`\`\`\n${code}\n\`\`\``);
+    })
+    // Source whitespace is insignificant outside <pre>; structure comes from the tags
+    .replace(/\s+/g, ' ')
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, inner) => (
+      keepBlock(`${'#'.repeat(Number(level))} ${htmlToText(inner)}`)
+    ))
+    .replace(/<img\b[^>]*>/gi, (tag) => {
+      const src = getAttribute(tag, 'src');
+      return src ? `![${getAttribute(tag, 'alt')}](${src})` : '';
+    })
+    .replace(/<a\b([^>]*)>([\s\S]*?)<\/a>/gi, (match, attrs, inner) => {
+      const href = getAttribute(match, 'href');
+      const text = inner.trim();
+      if (!text) return '';
+      return href && !/^(javascript|data):/i.test(href) ? `[${text}](${href})` : text;
+    })
+    .replace(/<(strong|b)\b[^>]*>([\s\S]*?)<\/\1>/gi, (match, tag, inner) => wrapInline(inner, '**'))
+    .replace(/<(em|i)\b[^>]*>([\s\S]*?)<\/\1>/gi, (match, tag, inner) => wrapInline(inner, '_'))
+    .replace(/<code\b[^>]*>([\s\S]*?)<\/code>/gi, (match, inner) => wrapInline(inner, '`'))
+    .replace(/<ol\b[^>]*>([\s\S]*?)<\/ol>/gi, (match, inner) => {
+      let index = 0;
+      return `\n\n${inner.replace(/<li\b[^>]*>/gi, () => `\n${++index}. `)}\n\n`;
+    })
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<blockquote\b[^>]*>([\s\S]*?)<\/blockquote>/gi, (match, inner) => {
+      const quote = restoreBlocks(renderMarkdown(inner, blocks), blocks);
+      return keepBlock(quote.split('\n').map(line => `> ${line}`.trimEnd()).join('\n'));
+    })
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<hr\b[^>]*>/gi, '\n\n---\n\n')
+    .replace(/<\/?(p|div|section|article|main|header|footer|aside|nav|figure|figcaption|table|tr|ul|ol|dl|dt|dd)\b[^>]*>/gi, '\n\n')
+    .replace(/<\/?(td|th)\b[^>]*>/gi, ' ')
+    .replace(/<\/?[a-z][a-z0-9]*\b[^>]*>/gi, '')
+    .replace(/<![^>]*>/g, '');
+
+  return decodeEntities(markdown)
+    .split('\n')
+    .map(line => line.replace(/[ \t\u00a0]+/g, ' ').replace(/^ (?=\S)/, '').replace(/ $/, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Put rendered blocks back in place of their placeholders
+ * @param {string} markdown - Markdown with placeholders
+ * @param {string[]} blocks - Rendered blocks
+ * @returns {string} Markdown
+ */
+function restoreBlocks(markdown, blocks) {
+  return markdown.replace(/\uE000(\d+)\uE000/g, (match, index) => blocks[Number(index)]);
+}
+
+/**
+ * Produce both renderings of a piece of HTML
+ * @param {string} html - HTML
+ * @returns {object} { text, markdown }
+ */
+export function sanitizeContent(html) {
+  return {
+    text: htmlToText(html),
+    markdown: htmlToMarkdown(html),
+  };
+}
+
+/**
+ * Strip comments, non-content elements and tracking pixels
+ * @param {string} html - HTML
+ * @param {object} options - { keepImages } keeps real images for Markdown output
+ * @returns {string} HTML
+ */
+function removeNonContent(html, options = {}) {
+  let cleaned = html.replace(/<!--[\s\S]*?-->/g, ' ');
+
+  for (const tag of REMOVED_ELEMENTS) {
+    cleaned = cleaned
+      .replace(new RegExp(`<${tag}\\b[^>]*>[\\s\\S]*?<\\/${tag}>`, 'gi'), ' ')
+      .replace(new RegExp(`<${tag}\\b[^>]*\\/?>`, 'gi'), ' ');
+  }
+
+  return cleaned.replace(/<img\b[^>]*>/gi, tag => (options.keepImages && !isTrackingPixel(tag) ? tag : ''));
+}
+
+/**
+ * Check whether an <img> tag is a tracking pixel
+ * @param {string} tag - Image tag
+ * @returns {boolean} True for 1x1/hidden images
+ */
+function isTrackingPixel(tag) {
+  const width = getAttribute(tag, 'width');
+  const height = getAttribute(tag, 'height');
+  return ['0', '1'].includes(width) || ['0', '1'].includes(height) || /display\s*:\s*none/i.test(getAttribute(tag, 'style'));
+}
+
+/**
+ * Read an attribute value from a tag
+ * @param {string} tag - Tag source
+ * @param {string} name - Attribute name
+ * @returns {string} Decoded attribute value, or '' if missing
+ */
+function getAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s"'>]+))`, 'i'));
+  return match ? decodeEntities(match[1] ?? match[2] ?? match[3] ?? '') : '';
+}
+
+/**
+ * Wrap inline content in a Markdown marker, keeping surrounding whitespace outside
+ * @param {string} inner - Inner HTML
+ * @param {string} marker - Markdown marker (**, _ or `)
+ * @returns {string} Markdown
+ */
+function wrapInline(inner, marker) {
+  const text = inner.trim();
+  return text ? `${marker}${text}${marker}` : '';
+}
+
+export default {
+  decodeEntities,
+  htmlToText,
+  htmlToMarkdown,
+  sanitizeContent,
+};
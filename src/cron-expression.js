@@ -0,0 +1,382 @@
+/**
+ * Cron Expression
+ * Parses five- and six-field cron expressions and computes their fire times in a timezone
+ */
+
+/**
+ * Field definitions in six-field order (the seconds field is optional)
+ */
+const FIELDS = [
+  { name: 'second', min: 0, max: 59 },
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+/**
+ * How far ahead to search before deciding an expression never fires (e.g. "0 0 31 2 *")
+ */
+const MAX_SEARCH_YEARS = 8;
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+
+const formatters = new Map();
+
+/**
+ * Day words accepted before "at" in natural intervals, as cron day-of-week fields
+ */
+const INTERVAL_DAYS = {
+  daily: '*',
+  'every day': '*',
+  weekdays: '1-5',
+  weekends: '0,6',
+  sunday: '0',
+  monday: '1',
+  tuesday: '2',
+  wednesday: '3',
+  thursday: '4',
+  friday: '5',
+  saturday: '6',
+};
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five-field (minute first) or six-field (second first) cron expression
+ * @returns {object} Sets of allowed values per field plus dayOfMonthRestricted/dayOfWeekRestricted
+ * @throws {Error} If the expression is malformed or a value is out of range
+ */
+export function parseCronExpression(expression) {
+  if (!expression || typeof expression !== 'string') {
+    throw new Error('Cron expression is required and must be a string');
+  }
+
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== 5 && parts.length !== 6) {
+    throw new Error(`Expected 5 or 6 fields, got ${parts.length}`);
+  }
+  if (parts.length === 5) {
+    parts.unshift('0');
+  }
+
+  const parsed = {};
+  FIELDS.forEach((field, index) => {
+    parsed[field.name] = parseField(parts[index], field);
+  });
+
+  // Sunday may be written as 0 or 7
+  if (parsed.dayOfWeek.delete(7)) {
+    parsed.dayOfWeek.add(0);
+  }
+
+  // Vixie cron: when both day fields are restricted, either one matching is enough
+  parsed.dayOfMonthRestricted = !parts[3].startsWith('*');
+  parsed.dayOfWeekRestricted = !parts[5].startsWith('*');
+
+  return parsed;
+}
+
+/**
+ * Compute the next fire times of a cron expression
+ * @param {string} expression - Cron expression
+ * @param {number} count - Number of fire times to compute
+ * @param {object} options - Options
+ * @param {Date} [options.from] - Start after this instant (defaults to now)
+ * @param {string} [options.timezone] - IANA timezone the expression is evaluated in (defaults to UTC)
+ * @returns {Date[]} Up to count fire times, in ascending order (fewer if the expression stops firing)
+ * @throws {Error} If the expression or timezone is invalid
+ */
+export function getNextRunTimes(expression, count = 1, options = {}) {
+  const cron = parseCronExpression(expression);
+  const timezone = options.timezone || 'UTC';
+  if (!isValidTimezone(timezone)) {
+    throw new Error(`Invalid timezone: ${timezone}`);
+  }
+
+  const runTimes = [];
+  let from = options.from ? new Date(options.from) : new Date();
+
+  while (runTimes.length < count) {
+    const next = findNextRunTime(cron, from, timezone);
+    if (!next) {
+      break;
+    }
+    runTimes.push(next);
+    from = next;
+  }
+
+  return runTimes;
+}
+
+/**
+ * Compile a natural interval to a cron expression
+ * Understands "every 15m", "every 2 hours", "hourly", "daily", "weekly", "daily at 09:00",
+ * "weekdays at 08:30", "weekends at 10am" and "mondays at 9:30pm". Anything else is
+ * returned unchanged so cron expressions pass straight through.
+ * @param {string} interval - Natural interval or cron expression
+ * @returns {string} Cron expression
+ * @throws {Error} If a natural interval cannot be expressed in cron (e.g. "every 7m")
+ */
+export function compileInterval(interval) {
+  if (!interval || typeof interval !== 'string') {
+    return interval;
+  }
+
+  const text = interval.trim().toLowerCase().replace(/\s+/g, ' ');
+
+  const shortcuts = {
+    hourly: '0 * * * *',
+    daily: '0 0 * * *',
+    weekly: '0 0 * * 0',
+    monthly: '0 0 1 * *',
+  };
+  if (shortcuts[text]) {
+    return shortcuts[text];
+  }
+
+  const every = text.match(/^every (\d+) ?(m|min|mins|minutes?|h|hr|hrs|hours?|d|days?)$/);
+  if (every) {
+    const amount = Number(every[1]);
+    const unit = every[2][0];
+
+    if (unit === 'm' && amount > 0 && 60 % amount === 0) {
+      return `*/${amount} * * * *`;
+    }
+    if (unit === 'h' && amount > 0 && 24 % amount === 0) {
+      return amount === 1 ? '0 * * * *' : `0 */${amount} * * *`;
+    }
+    if (unit === 'd' && amount === 1) {
+      return '0 0 * * *';
+    }
+    throw new Error(`Cannot schedule "${interval}": use a divisor of 60 minutes or 24 hours, or "daily"`);
+  }
+
+  const at = text.match(/^(.+?) at (\d{1,2})(?::(\d{2}))? ?(am|pm)?$/);
+  if (at) {
+    const day = at[1].replace(/^(sun|mon|tues|wednes|thurs|fri|satur)days$/, '$1day');
+    const dayOfWeek = INTERVAL_DAYS[day];
+    const hour = toHour(Number(at[2]), at[4]);
+    const minute = Number(at[3] || 0);
+
+    if (dayOfWeek === undefined || hour === null || minute > 59) {
+      throw new Error(`Cannot schedule "${interval}"`);
+    }
+    return `${minute} ${hour} * * ${dayOfWeek}`;
+  }
+
+  return interval;
+}
+
+/**
+ * Convert a clock hour (optionally am/pm) to 0-23
+ * @param {number} hour - Hour as written
+ * @param {string} [meridiem] - am or pm
+ * @returns {number|null} Hour, or null if out of range
+ */
+function toHour(hour, meridiem) {
+  if (!meridiem) {
+    return hour <= 23 ? hour : null;
+  }
+  if (hour < 1 || hour > 12) {
+    return null;
+  }
+  return (hour % 12) + (meridiem === 'pm' ? 12 : 0);
+}
+
+/**
+ * Check whether a timezone name is known to the runtime
+ * @param {string} timezone - IANA timezone name (e.g. Europe/Berlin)
+ * @returns {boolean} True if valid
+ */
+export function isValidTimezone(timezone) {
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Parse one field into the set of values it allows
+ * @param {string} source - Field source (e.g. "1-5", "*\/15", "mon,wed,fri")
+ * @param {object} field - Field definition
+ * @returns {Set<number>} Allowed values
+ */
+function parseField(source, field) {
+  const values = new Set();
+
+  for (const item of source.split(',')) {
+    const match = item.match(/^([^/]+)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${field.name} field: ${source}`);
+    }
+
+    const [, range, stepSource] = match;
+    const step = stepSource === undefined ? 1 : Number(stepSource);
+    if (step < 1) {
+      throw new Error(`Invalid step in ${field.name} field: ${source}`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(value => parseValue(value, field));
+    } else {
+      start = parseValue(range, field);
+      // "5/15" means every 15 starting at 5
+      end = stepSource === undefined ? start : field.max;
+    }
+
+    if (start > end) {
+      throw new Error(`Invalid range in ${field.name} field: ${item}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a single field value (number or name)
+ * @param {string} value - Value source
+ * @param {object} field - Field definition
+ * @returns {number} Value
+ */
+function parseValue(value, field) {
+  const nameIndex = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+  const number = nameIndex >= 0
+    ? nameIndex + (field.name === 'month' ? 1 : 0)
+    : /^\d+$/.test(value) ? Number(value) : NaN;
+
+  if (Number.isNaN(number) || number < field.min || number > field.max) {
+    throw new Error(`Invalid ${field.name} value: ${value}`);
+  }
+
+  return number;
+}
+
+/**
+ * Find the first fire time strictly after an instant
+ * Wall-clock times are searched as UTC timestamps and then mapped back to the timezone;
+ * times skipped by a DST change never fire, repeated times fire once.
+ * @param {object} cron - Parsed expression
+ * @param {Date} from - Start instant
+ * @param {string} timezone - Timezone
+ * @returns {Date|null} Next fire time, or null if there is none within MAX_SEARCH_YEARS
+ */
+function findNextRunTime(cron, from, timezone) {
+  const fromTime = from.getTime();
+  let wall = Math.floor(toWallTime(fromTime, timezone) / SECOND) * SECOND + SECOND;
+  const lastYear = new Date(wall).getUTCFullYear() + MAX_SEARCH_YEARS;
+
+  while (new Date(wall).getUTCFullYear() <= lastYear) {
+    const date = new Date(wall);
+
+    if (!cron.month.has(date.getUTCMonth() + 1)) {
+      wall = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+    } else if (!matchesDay(cron, date)) {
+      wall = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+    } else if (!cron.hour.has(date.getUTCHours())) {
+      wall = Math.floor(wall / HOUR) * HOUR + HOUR;
+    } else if (!cron.minute.has(date.getUTCMinutes())) {
+      wall = Math.floor(wall / MINUTE) * MINUTE + MINUTE;
+    } else if (!cron.second.has(date.getUTCSeconds())) {
+      wall += SECOND;
+    } else {
+      const instant = fromWallTime(wall, timezone, fromTime);
+      if (instant !== null) {
+        return new Date(instant);
+      }
+      wall += SECOND;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check the day-of-month and day-of-week fields
+ * @param {object} cron - Parsed expression
+ * @param {Date} date - Wall-clock date (UTC fields)
+ * @returns {boolean} True if the day matches
+ */
+function matchesDay(cron, date) {
+  const dayOfMonth = cron.dayOfMonth.has(date.getUTCDate());
+  const dayOfWeek = cron.dayOfWeek.has(date.getUTCDay());
+
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Get a cached formatter that reports wall-clock fields in a timezone
+ * @param {string} timezone - Timezone
+ * @returns {Intl.DateTimeFormat} Formatter
+ * @throws {RangeError} If the timezone is unknown
+ */
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * Convert an instant to its wall-clock time in a timezone, expressed as a UTC timestamp
+ * @param {number} time - Instant (ms)
+ * @param {string} timezone - Timezone
+ * @returns {number} Wall-clock time (ms)
+ */
+function toWallTime(time, timezone) {
+  const fields = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(new Date(time))) {
+    fields[type] = Number(value);
+  }
+  return Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second)
+    + (time % SECOND + SECOND) % SECOND;
+}
+
+/**
+ * Convert a wall-clock time in a timezone to the earliest matching instant after a given time
+ * @param {number} wall - Wall-clock time (ms)
+ * @param {string} timezone - Timezone
+ * @param {number} after - Only instants after this time are returned
+ * @returns {number|null} Instant, or null if the wall-clock time does not exist or already passed
+ */
+function fromWallTime(wall, timezone, after) {
+  // Offsets half a day either side cover both sides of any DST change
+  const candidates = [wall - 12 * HOUR, wall + 12 * HOUR]
+    .map(probe => wall - (toWallTime(probe, timezone) - probe))
+    .filter(instant => toWallTime(instant, timezone) === wall && instant > after)
+    .sort((a, b) => a - b);
+
+  return candidates.length > 0 ? candidates[0] : null;
+}
+
+export default {
+  parseCronExpression,
+  getNextRunTimes,
+  compileInterval,
+  isValidTimezone,
+};
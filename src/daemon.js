@@ -0,0 +1,340 @@
+/**
+ * Daemon
+ * Runs the feed scheduler, the posting queue and pipelines in one long-running process,
+ * guarded by a PID/lock file in the data directory
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+/**
+ * Lock file written by a running daemon
+ */
+export const LOCK_FILE = 'daemon.pid';
+
+/**
+ * Default data directory shared by the feed, snippet and scheduler stores
+ */
+const DEFAULT_DATA_PATH = path.join(os.homedir(), '.config', 'rss-amplifier');
+
+/**
+ * Daemon class coordinating the schedulers and the lock file
+ */
+export class Daemon {
+  constructor(options = {}) {
+    this.options = {
+      dataPath: options.dataPath || DEFAULT_DATA_PATH,
+      feedScheduler: options.feedScheduler || null,
+      postScheduler: options.postScheduler || null,
+      pipelineRunner: options.pipelineRunner || null,
+      shutdownTimeout: options.shutdownTimeout || 30000, // Wait for in-flight fetches and posts
+      watchInterval: options.watchInterval || 2000, // How often the schedule files are checked for outside changes
+      ...options,
+    };
+
+    this.lockFile = path.join(this.options.dataPath, LOCK_FILE);
+    this.running = false;
+    this.startedAt = null;
+    this.watchers = [];
+  }
+
+  /**
+   * Take the lock and start the schedulers
+   * @returns {Promise<object>} Result with pid and lockFile
+   */
+  async start() {
+    if (this.running) {
+      return {
+        success: false,
+        error: 'Daemon already started',
+      };
+    }
+
+    const lockResult = this.acquireLock();
+    if (!lockResult.success) {
+      return lockResult;
+    }
+
+    try {
+      this.running = true;
+      this.startedAt = lockResult.lock.startedAt;
+      await this.options.feedScheduler?.start();
+      await this.options.postScheduler?.start();
+      await this.options.pipelineRunner?.start();
+      this.watchScheduleFiles();
+
+      return {
+        success: true,
+        pid: process.pid,
+        lockFile: this.lockFile,
+      };
+    } catch (error) {
+      await this.stop();
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Stop the schedulers, let in-flight fetches and posts finish, flush state and release the lock
+   * @returns {Promise<object>} Result; timedOut is true if work was still running after shutdownTimeout
+   */
+  async stop() {
+    if (!this.running) {
+      return {
+        success: true,
+        timedOut: false,
+      };
+    }
+
+    this.running = false;
+    const { feedScheduler, postScheduler, pipelineRunner } = this.options;
+    this.unwatchScheduleFiles();
+
+    // No new runs start from here on
+    await pipelineRunner?.stop();
+    await feedScheduler?.stop();
+    await postScheduler?.stop();
+
+    let timer;
+    const idle = Promise.all([
+      pipelineRunner?.waitForIdle(),
+      feedScheduler?.waitForIdle(),
+      postScheduler?.waitForIdle(),
+    ]).then(() => false);
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve(true), this.options.shutdownTimeout);
+    });
+    const timedOut = await Promise.race([idle, timeout]);
+    clearTimeout(timer);
+
+    if (timedOut) {
+      console.warn(`Daemon shutdown timed out after ${this.options.shutdownTimeout}ms with work still in flight`);
+    }
+
+    // Keep changes CLI commands made since the last check instead of overwriting them
+    feedScheduler?.reloadScheduledFeeds();
+    postScheduler?.reloadSchedules();
+    feedScheduler?.saveScheduledFeeds();
+    postScheduler?.saveSchedules();
+    pipelineRunner?.saveState();
+    this.releaseLock();
+
+    return {
+      success: true,
+      timedOut,
+    };
+  }
+
+  /**
+   * Watch the schedule files for changes made by other processes
+   * CLI commands such as `feeds add` or `schedule auto-post` write the files while the daemon runs;
+   * the schedulers reload them so those changes get cron jobs and are not overwritten by the next save.
+   */
+  watchScheduleFiles() {
+    const { feedScheduler, postScheduler, watchInterval } = this.options;
+    const watched = [
+      feedScheduler && [feedScheduler.getScheduledFeedsFile(), () => feedScheduler.reloadScheduledFeeds()],
+      postScheduler && [postScheduler.getSchedulesFile(), () => postScheduler.reloadSchedules()],
+    ].filter(Boolean);
+
+    for (const [file, reload] of watched) {
+      const watcher = { file, retry: null };
+      // A reload that could not read the file is retried; no further change may come to trigger it
+      watcher.listener = () => {
+        clearTimeout(watcher.retry);
+        if (reload()?.error) {
+          watcher.retry = setTimeout(watcher.listener, watchInterval);
+          watcher.retry.unref();
+        }
+      };
+      fs.watchFile(file, { interval: watchInterval, persistent: false }, watcher.listener);
+      this.watchers.push(watcher);
+    }
+  }
+
+  /**
+   * Stop watching the schedule files
+   */
+  unwatchScheduleFiles() {
+    for (const { file, listener, retry } of this.watchers.splice(0)) {
+      clearTimeout(retry);
+      fs.unwatchFile(file, listener);
+    }
+  }
+
+  /**
+   * Check if the daemon is running in this process
+   * @returns {boolean} Running status
+   */
+  isRunning() {
+    return this.running;
+  }
+
+  /**
+   * Create the lock file, replacing it if the process that wrote it is gone
+   * @returns {object} Result with the lock, or the PID of the daemon holding it
+   */
+  acquireLock() {
+    fs.mkdirSync(this.options.dataPath, { recursive: true });
+
+    const lock = {
+      pid: process.pid,
+      startedAt: new Date().toISOString(),
+      dataPath: this.options.dataPath,
+    };
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        // wx fails if another daemon created the file first
+        fs.writeFileSync(this.lockFile, JSON.stringify(lock, null, 2), { flag: 'wx' });
+        return {
+          success: true,
+          lock,
+        };
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          return {
+            success: false,
+            error: `Failed to create lock file: ${error.message}`,
+          };
+        }
+      }
+
+      const existing = readLockFile(this.options.dataPath);
+      if (existing && isProcessRunning(existing.pid)) {
+        return {
+          success: false,
+          error: `Daemon already running (PID ${existing.pid})`,
+          pid: existing.pid,
+        };
+      }
+
+      // Stale lock left by a daemon that did not shut down cleanly
+      fs.rmSync(this.lockFile, { force: true });
+    }
+
+    return {
+      success: false,
+      error: `Failed to acquire lock file ${this.lockFile}`,
+    };
+  }
+
+  /**
+   * Remove the lock file if this process owns it
+   */
+  releaseLock() {
+    const lock = readLockFile(this.options.dataPath);
+    if (lock && lock.pid === process.pid) {
+      fs.rmSync(this.lockFile, { force: true });
+    }
+  }
+}
+
+/**
+ * Read the daemon lock file
+ * @param {string} [dataPath] - Data directory
+ * @returns {object|null} { pid, startedAt, dataPath } or null if there is no readable lock
+ */
+export function readLockFile(dataPath = DEFAULT_DATA_PATH) {
+  try {
+    const lock = JSON.parse(fs.readFileSync(path.join(dataPath, LOCK_FILE), 'utf8'));
+    return Number.isInteger(lock.pid) ? lock : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether a process exists
+ * @param {number} pid - Process ID
+ * @returns {boolean} True if the process is alive
+ */
+export function isProcessRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Get the status of the daemon for a data directory
+ * @param {string} [dataPath] - Data directory
+ * @returns {object} { running, pid, startedAt, stale, lockFile }
+ */
+export function getDaemonStatus(dataPath = DEFAULT_DATA_PATH) {
+  const lockFile = path.join(dataPath, LOCK_FILE);
+  const lock = readLockFile(dataPath);
+  const running = !!lock && isProcessRunning(lock.pid);
+
+  return {
+    running,
+    pid: lock?.pid || null,
+    startedAt: lock?.startedAt || null,
+    stale: !!lock && !running,
+    lockFile,
+  };
+}
+
+/**
+ * Ask a running daemon to shut down gracefully and wait for it to exit
+ * @param {string} [dataPath] - Data directory
+ * @param {object} options - Options
+ * @param {number} [options.timeout] - How long to wait for the daemon to exit in ms (default 60000)
+ * @returns {Promise<object>} Result with the daemon's pid
+ */
+export async function stopDaemon(dataPath = DEFAULT_DATA_PATH, options = {}) {
+  const timeout = options.timeout || 60000;
+  const status = getDaemonStatus(dataPath);
+
+  if (!status.running) {
+    if (status.stale) {
+      fs.rmSync(status.lockFile, { force: true });
+    }
+    return {
+      success: false,
+      error: 'Daemon is not running',
+    };
+  }
+
+  try {
+    process.kill(status.pid, 'SIGTERM');
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to signal daemon (PID ${status.pid}): ${error.message}`,
+    };
+  }
+
+  const deadline = Date.now() + timeout;
+  while (isProcessRunning(status.pid)) {
+    if (Date.now() >= deadline) {
+      return {
+        success: false,
+        error: `Timed out waiting for daemon (PID ${status.pid}) to stop`,
+        pid: status.pid,
+      };
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+
+  return {
+    success: true,
+    pid: status.pid,
+  };
+}
+
+export default {
+  Daemon,
+  LOCK_FILE,
+  readLockFile,
+  isProcessRunning,
+  getDaemonStatus,
+  stopDaemon,
+};
@@ -0,0 +1,211 @@
+/**
+ * Feed Discovery
+ * Finds RSS/Atom/JSON feeds advertised by (or hosted next to) a website URL
+ */
+
+import { detectFeedFormat } from './feed-parser.js';
+import { decodeEntities } from './content-sanitizer.js';
+
+/**
+ * MIME types advertised by <link rel="alternate"> feed entries
+ */
+export const FEED_LINK_TYPES = {
+  'application/rss+xml': 'rss',
+  'application/atom+xml': 'atom',
+  'application/feed+json': 'json',
+};
+
+/**
+ * Paths probed when a page does not advertise any feeds
+ */
+export const COMMON_FEED_PATHS = [
+  '/feed',
+  '/rss.xml',
+  '/feed.xml',
+  '/atom.xml',
+  '/index.xml',
+  '/rss',
+  '/feed.json',
+];
+
+/**
+ * Check whether a response body is an HTML page rather than a feed
+ * @param {string} content - Response body
+ * @param {string} contentType - Content-Type header value
+ * @returns {boolean} True if the content is HTML
+ */
+export function isHTMLContent(content, contentType = '') {
+  if (/text\/html|application\/xhtml\+xml/i.test(contentType || '')) {
+    return true;
+  }
+
+  const start = (content || '').trimStart().slice(0, 512).toLowerCase();
+  return start.startsWith('<!doctype html') || start.startsWith('<html') || /^<head[\s>]/.test(start);
+}
+
+/**
+ * Extract feed links advertised in an HTML document
+ * @param {string} html - HTML content
+ * @param {string} baseUrl - URL the HTML was fetched from
+ * @returns {Array} Candidates [{ url, title, type, format, source }]
+ */
+export function extractFeedLinks(html, baseUrl) {
+  const candidates = [];
+  const seen = new Set();
+  const linkTags = (html || '').match(/<link\b[^>]*>/gi) || [];
+
+  for (const tag of linkTags) {
+    const attrs = parseTagAttributes(tag);
+    const rels = (attrs.rel || '').toLowerCase().split(/\s+/);
+    const type = (attrs.type || '').toLowerCase().split(';')[0].trim();
+
+    if (!rels.includes('alternate') || !FEED_LINK_TYPES[type] || !attrs.href) {
+      continue;
+    }
+
+    let url;
+    try {
+      url = new URL(attrs.href, baseUrl).toString();
+    } catch {
+      continue;
+    }
+
+    if (seen.has(url)) continue;
+    seen.add(url);
+
+    candidates.push({
+      url,
+      title: attrs.title || '',
+      type,
+      format: FEED_LINK_TYPES[type],
+      source: 'link',
+    });
+  }
+
+  return rankFeedCandidates(candidates);
+}
+
+/**
+ * Order candidates so the site's main feed comes first
+ * Comment feeds are moved to the end; page order is otherwise kept.
+ * @param {Array} candidates - Feed candidates
+ * @returns {Array} Ranked candidates
+ */
+export function rankFeedCandidates(candidates) {
+  const isCommentFeed = candidate => /comment/i.test(`${candidate.title} ${candidate.url}`);
+
+  return [
+    ...candidates.filter(candidate => !isCommentFeed(candidate)),
+    ...candidates.filter(candidate => isCommentFeed(candidate)),
+  ];
+}
+
+/**
+ * Discover feeds for a website URL
+ * Uses <link rel="alternate"> entries from the page, then probes common feed paths.
+ * @param {string} url - Website URL
+ * @param {object} options - Discovery options (html to skip fetching the page, probe, userAgent)
+ * @returns {Promise<object>} Result with candidates
+ */
+export async function discoverFeeds(url, options = {}) {
+  try {
+    const userAgent = options.userAgent || 'RSS-Amplifier/1.0';
+    let html = options.html;
+
+    if (html === undefined) {
+      const response = await fetch(url, {
+        headers: { 'User-Agent': userAgent },
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      html = await response.text();
+    }
+
+    let candidates = extractFeedLinks(html, url);
+
+    if (candidates.length === 0 && options.probe !== false) {
+      candidates = await probeCommonFeedPaths(url, { userAgent });
+    }
+
+    return {
+      success: true,
+      url,
+      candidates,
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      candidates: [],
+    };
+  }
+}
+
+/**
+ * Probe well-known feed paths on a site
+ * @param {string} url - Website URL
+ * @param {object} options - Probe options
+ * @returns {Promise<Array>} Candidates that returned feed content
+ */
+export async function probeCommonFeedPaths(url, options = {}) {
+  const candidates = [];
+  const paths = options.paths || COMMON_FEED_PATHS;
+
+  for (const feedPath of paths) {
+    const candidateUrl = new URL(feedPath, url).toString();
+
+    try {
+      const response = await fetch(candidateUrl, {
+        headers: { 'User-Agent': options.userAgent || 'RSS-Amplifier/1.0' },
+      });
+      if (!response.ok) continue;
+
+      const content = await response.text();
+      const format = detectFeedFormat(content);
+      if (format === 'unknown' || isHTMLContent(content, response.headers?.get?.('content-type'))) {
+        continue;
+      }
+
+      candidates.push({
+        url: candidateUrl,
+        title: '',
+        type: '',
+        format,
+        source: 'probe',
+      });
+    } catch {
+      // Unreachable paths are simply not candidates
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Parse attributes from a single HTML tag
+ * @param {string} tag - Tag source, e.g. <link rel="alternate" ...>
+ * @returns {object} Lower-cased attribute names mapped to values
+ */
+function parseTagAttributes(tag) {
+  const attrs = {};
+  const attrPattern = /([a-zA-Z_:][-a-zA-Z0-9_:.]*)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+  let match;
+
+  while ((match = attrPattern.exec(tag)) !== null) {
+    const value = match[2] ?? match[3] ?? match[4] ?? '';
+    attrs[match[1].toLowerCase()] = decodeEntities(value);
+  }
+
+  return attrs;
+}
+
+export default {
+  discoverFeeds,
+  extractFeedLinks,
+  probeCommonFeedPaths,
+  rankFeedCandidates,
+  isHTMLContent,
+  FEED_LINK_TYPES,
+  COMMON_FEED_PATHS,
+};
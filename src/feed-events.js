@@ -0,0 +1,93 @@
+/**
+ * Feed Events
+ * Event names and payloads emitted by FeedScheduler and FeedManager, and the
+ * console subscriber that prints scheduler progress
+ *
+ * Every payload carries { type, timestamp } plus the fields listed here:
+ *   scheduler:started  { feedCount }
+ *   scheduler:stopped  {}
+ *   scheduler:paused   {}
+ *   scheduler:resumed  {}
+ *   feed:added         { feedId, url, feed }                                   (FeedManager)
+ *   feed:removed       { feedId }                                              (FeedManager)
+ *   feed:fetching      { feedId, url, title }                                  (scheduled runs)
+ *   feed:retry         { feedId, url, attempt, maxRetries, error, delay }
+ *   feed:updated       { feedId, url, notModified, itemsAdded, attempt }       (FeedManager: { feedId, url, itemsAdded })
+ *   items:new          { feedId, url, items }
+ *   feed:failed        { feedId, url, error, attempts, retryAfter, failureCount, cooldownUntil }
+ *   feed:disabled      { feedId, url, reason, failureCount }
+ *   feed:enabled       { feedId, url }
+ */
+
+/**
+ * Event names
+ */
+export const FEED_EVENTS = {
+  SCHEDULER_STARTED: 'scheduler:started',
+  SCHEDULER_STOPPED: 'scheduler:stopped',
+  SCHEDULER_PAUSED: 'scheduler:paused',
+  SCHEDULER_RESUMED: 'scheduler:resumed',
+  FEED_ADDED: 'feed:added',
+  FEED_REMOVED: 'feed:removed',
+  FEED_FETCHING: 'feed:fetching',
+  FEED_RETRY: 'feed:retry',
+  FEED_UPDATED: 'feed:updated',
+  ITEMS_NEW: 'items:new',
+  FEED_FAILED: 'feed:failed',
+  FEED_DISABLED: 'feed:disabled',
+  FEED_ENABLED: 'feed:enabled',
+};
+
+/**
+ * Emit an event with the standard payload fields
+ * A throwing listener is reported instead of breaking the fetch that emitted the event.
+ * @param {EventEmitter} emitter - FeedScheduler or FeedManager
+ * @param {string} type - Event name from FEED_EVENTS
+ * @param {object} payload - Event-specific fields
+ */
+export function emitFeedEvent(emitter, type, payload = {}) {
+  try {
+    emitter.emit(type, {
+      type,
+      timestamp: new Date().toISOString(),
+      ...payload,
+    });
+  } catch (error) {
+    console.error(`Listener for ${type} failed:`, error.message);
+  }
+}
+
+/**
+ * Subscribe the built-in console output to an emitter
+ * @param {EventEmitter} emitter - FeedScheduler or FeedManager
+ * @param {object} [logger] - Object with log/warn methods (defaults to console)
+ * @returns {Function} Unsubscribes the console output
+ */
+export function attachConsoleLogger(emitter, logger = console) {
+  const handlers = {
+    [FEED_EVENTS.SCHEDULER_STARTED]: event => logger.log(`Feed scheduler started with ${event.feedCount} feeds`),
+    [FEED_EVENTS.SCHEDULER_STOPPED]: () => logger.log('Feed scheduler stopped'),
+    [FEED_EVENTS.SCHEDULER_PAUSED]: () => logger.log('Feed scheduler paused'),
+    [FEED_EVENTS.SCHEDULER_RESUMED]: () => logger.log('Feed scheduler resumed'),
+    [FEED_EVENTS.FEED_FETCHING]: event => logger.log(`Updating feed: ${event.title || event.url}`),
+    [FEED_EVENTS.FEED_RETRY]: event => logger.warn(`Feed fetch attempt ${event.attempt}/${event.maxRetries} failed for ${event.url}:`, event.error),
+    [FEED_EVENTS.FEED_FAILED]: event => logger.warn(`Feed update failed for ${event.url} after ${event.attempts} attempts:`, event.error),
+    [FEED_EVENTS.FEED_DISABLED]: event => logger.warn(`Feed disabled: ${event.url} (${event.reason})`),
+  };
+
+  for (const [type, handler] of Object.entries(handlers)) {
+    emitter.on(type, handler);
+  }
+
+  return () => {
+    for (const [type, handler] of Object.entries(handlers)) {
+      emitter.off(type, handler);
+    }
+  };
+}
+
+export default {
+  FEED_EVENTS,
+  emitFeedEvent,
+  attachConsoleLogger,
+};
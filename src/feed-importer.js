@@ -0,0 +1,148 @@
+/**
+ * Feed Importer
+ * Registers a batch of feeds (from OPML or a single URL) with FeedManager and,
+ * optionally, FeedScheduler
+ */
+
+import { FeedManager, importRSSFeed } from './feed-manager.js';
+
+/**
+ * Import a list of feeds
+ * Every entry ends up in exactly one of added, skipped (already present) or failed.
+ * @param {Array} entries - Feeds to import [{ url, title, htmlUrl, description, category, folders }]
+ * @param {object} options - Import options
+ * @param {FeedManager} [options.feedManager] - Feed manager to register feeds with
+ * @param {FeedScheduler} [options.scheduler] - Scheduler to register feeds with
+ * @param {string} [options.interval] - Cron expression or natural interval for scheduled feeds
+ * @param {string} [options.timezone] - Timezone for scheduled feeds
+ * @param {boolean} [options.adaptive] - Adapt the polling interval of scheduled feeds to their cadence
+ * @param {boolean} [options.fullText] - Enable full-article extraction for imported feeds
+ * @param {Function} [options.chooseCandidate] - async (candidates) => url, used when a website advertises several feeds
+ * @param {Function} [options.onProgress] - (completed, total, outcome) callback after each feed
+ * @returns {Promise<object>} Summary with added, skipped and failed outcomes
+ */
+export async function importFeeds(entries, options = {}) {
+  const feedManager = options.feedManager || new FeedManager();
+  const summary = {
+    success: true,
+    total: entries.length,
+    added: [],
+    skipped: [],
+    failed: [],
+  };
+
+  for (const [index, entry] of entries.entries()) {
+    const outcome = await importFeedEntry(entry, feedManager, options);
+    summary[outcome.status].push(outcome);
+
+    if (options.onProgress) {
+      options.onProgress(index + 1, entries.length, outcome);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Import a single feed entry
+ * @param {object} entry - Feed entry { url, title, htmlUrl, description, category, folders }
+ * @param {FeedManager} feedManager - Feed manager
+ * @param {object} options - Import options (see importFeeds)
+ * @returns {Promise<object>} Outcome { status, url, title, reason?, feedId?, itemCount?, scheduled? }
+ */
+async function importFeedEntry(entry, feedManager, options) {
+  const url = entry.url || entry.xmlUrl || '';
+  const title = entry.title || '';
+
+  if (!url) {
+    return { status: 'failed', url, title, reason: 'Missing feed URL' };
+  }
+
+  if (await isKnownFeed(feedManager, url)) {
+    return { status: 'skipped', url, title, reason: 'Already imported' };
+  }
+
+  try {
+    let result = await importRSSFeed(url, { autoSelect: !options.chooseCandidate });
+
+    // The URL was a website advertising several feeds - let the caller pick one
+    if (!result.success && result.candidates?.length > 1 && options.chooseCandidate) {
+      const feedUrl = await options.chooseCandidate(result.candidates);
+      result = await importRSSFeed(feedUrl, { discover: false });
+    }
+
+    if (!result.success) {
+      return { status: 'failed', url, title, reason: result.error };
+    }
+
+    const feedUrl = result.feed.url;
+    const feedTitle = title || result.feed.title || '';
+
+    // A discovered feed may already be registered under its own URL
+    if (feedUrl !== url && await isKnownFeed(feedManager, feedUrl)) {
+      return { status: 'skipped', url: feedUrl, title: feedTitle, reason: 'Already imported' };
+    }
+
+    // Schedule first: FeedScheduler.addFeed creates the feed record, the merge then fills in items
+    if (options.scheduler) {
+      const scheduleOptions = { title: feedTitle };
+      if (options.interval) {
+        scheduleOptions.interval = options.interval;
+      }
+      if (options.timezone) {
+        scheduleOptions.timezone = options.timezone;
+      }
+      if (options.adaptive) {
+        scheduleOptions.adaptive = true;
+      }
+      const scheduleResult = await options.scheduler.addFeed(feedUrl, scheduleOptions);
+      if (!scheduleResult.success) {
+        return { status: 'failed', url: feedUrl, title: feedTitle, reason: scheduleResult.error };
+      }
+    }
+
+    const feedData = {
+      ...result.feed,
+      title: feedTitle,
+      category: entry.category || result.feed.category || '',
+      folders: entry.folders || [],
+      // OPML attributes win so an import followed by an export round-trips
+      htmlUrl: entry.htmlUrl || result.feed.htmlUrl || '',
+      description: entry.description || result.feed.description || '',
+    };
+    if (options.fullText) {
+      feedData.fullText = true;
+    }
+
+    const mergeResult = await feedManager.mergeFeed(feedUrl, feedData);
+    if (!mergeResult.success) {
+      return { status: 'failed', url: feedUrl, title: feedTitle, reason: mergeResult.error };
+    }
+
+    return {
+      status: 'added',
+      url: feedUrl,
+      title: feedTitle,
+      feedId: mergeResult.feedId,
+      itemCount: mergeResult.feed.items.length,
+      scheduled: !!options.scheduler,
+      discoveredFrom: result.discoveredFrom,
+    };
+  } catch (error) {
+    return { status: 'failed', url, title, reason: error.message };
+  }
+}
+
+/**
+ * Check whether a feed URL is already registered
+ * @param {FeedManager} feedManager - Feed manager
+ * @param {string} url - Feed URL
+ * @returns {Promise<boolean>} True if the feed exists
+ */
+async function isKnownFeed(feedManager, url) {
+  return !!(await feedManager.getFeed(feedManager.generateFeedId(url)));
+}
+
+export default {
+  importFeeds,
+};
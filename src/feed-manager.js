@@ -6,21 +6,35 @@
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import crypto from 'crypto';
 import Parser from 'rss-parser';
-import { parseString as parseXML } from 'xml2js';
+import { parseString as parseXML, Builder as XMLBuilder } from 'xml2js';
 import { promisify } from 'util';
+import { EventEmitter } from 'events';
+import { parseFeed, normalizeFeedItem } from './feed-parser.js';
+import { discoverFeeds, isHTMLContent } from './feed-discovery.js';
+import { fetchArticle } from './article-extractor.js';
+import { FEED_EVENTS, emitFeedEvent } from './feed-events.js';
 
 const parseXMLAsync = promisify(parseXML);
 
 /**
  * Feed Manager class for handling RSS/OPML operations
  */
-export class FeedManager {
+export class FeedManager extends EventEmitter {
   constructor(options = {}) {
+    super();
     this.options = {
       dataPath: options.dataPath || path.join(os.homedir(), '.config', 'rss-amplifier', 'feeds'),
       maxItems: options.maxItems || 100,
       refreshInterval: options.refreshInterval || 3600000, // 1 hour
+      articleRetryDelay: options.articleRetryDelay || 3600000, // Wait before re-fetching an article that failed
+      maxArticleAttempts: options.maxArticleAttempts || 3, // Failed extractions are kept for good after this many
+      articleCacheMaxAge: options.articleCacheMaxAge || 30 * 86400000, // 30 days
+      articleCacheMaxEntries: options.articleCacheMaxEntries || 1000,
+      fullTextMinLength: options.fullTextMinLength || 500, // Items with at least this much text are not fetched
+      maxArticlesPerFetch: options.maxArticlesPerFetch || 5, // The rest wait for the next fetch of the feed
+      maxPerHost: options.maxPerHost || 2, // Article pages fetched at once from the same host
       ...options,
     };
 
@@ -32,9 +46,13 @@ export class FeedManager {
     });
 
     this.feeds = new Map();
+    this.articleCache = new Map();
+    this.articleQueue = [];
+    this.articleFetchesByHost = new Map();
     this.ensureDataDirectory();
     // Load feeds synchronously in constructor
     this.loadFeedsSync();
+    this.loadArticleCache();
   }
 
   /**
@@ -88,6 +106,186 @@ export class FeedManager {
     this.saveFeedsSync();
   }
 
+  /**
+   * Load extracted article cache from storage
+   */
+  loadArticleCache() {
+    try {
+      const cacheFile = path.join(this.options.dataPath, 'article-cache.json');
+      if (fs.existsSync(cacheFile)) {
+        const cacheData = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+        this.articleCache = new Map(Object.entries(cacheData));
+      }
+    } catch (error) {
+      console.warn('Failed to load article cache:', error.message);
+    }
+  }
+
+  /**
+   * Drop cached articles older than articleCacheMaxAge, then the oldest beyond articleCacheMaxEntries
+   */
+  pruneArticleCache() {
+    const cutoff = Date.now() - this.options.articleCacheMaxAge;
+    for (const [url, entry] of this.articleCache) {
+      if (!(Date.parse(entry.fetchedAt) >= cutoff)) {
+        this.articleCache.delete(url);
+      }
+    }
+
+    // Entries are kept in fetch order, so the oldest come first
+    const excess = this.articleCache.size - this.options.articleCacheMaxEntries;
+    Array.from(this.articleCache.keys()).slice(0, Math.max(excess, 0)).forEach(url => this.articleCache.delete(url));
+  }
+
+  /**
+   * Save extracted article cache to storage
+   */
+  saveArticleCache() {
+    try {
+      this.pruneArticleCache();
+      const cacheFile = path.join(this.options.dataPath, 'article-cache.json');
+      fs.writeFileSync(cacheFile, JSON.stringify(Object.fromEntries(this.articleCache), null, 2));
+    } catch (error) {
+      console.error('Failed to save article cache:', error.message);
+    }
+  }
+
+  /**
+   * Check whether a cached article should be fetched again
+   * Failed extractions are retried after articleRetryDelay, up to maxArticleAttempts in total.
+   * @param {object} entry - Cached entry
+   * @returns {boolean} True if the entry is a failure due for another attempt
+   */
+  isArticleRetryDue(entry) {
+    return !!entry.error
+      && (entry.attempts || 1) < this.options.maxArticleAttempts
+      && Date.now() - Date.parse(entry.fetchedAt) >= this.options.articleRetryDelay;
+  }
+
+  /**
+   * Get the extracted full text of an article, fetching it only on a cache miss or a due retry
+   * @param {string} url - Article URL
+   * @returns {Promise<object>} Cached entry { text, markdown, html, fetchedAt } or { error, fetchedAt, attempts }
+   */
+  async getArticle(url) {
+    const cached = this.articleCache.get(url);
+    if (cached && !this.isArticleRetryDue(cached)) {
+      return cached;
+    }
+
+    const result = await this.enqueueArticleFetch(url);
+    const entry = result.success
+      ? { text: result.text, markdown: result.markdown, html: result.html, fetchedAt: new Date().toISOString() }
+      : { error: result.error, fetchedAt: new Date().toISOString(), attempts: (cached?.attempts || 0) + 1 };
+
+    // Re-insert so the cache stays in fetch order
+    this.articleCache.delete(url);
+    this.articleCache.set(url, entry);
+    this.saveArticleCache();
+
+    return entry;
+  }
+
+  /**
+   * Queue an article fetch, respecting the per-host limit (maxPerHost)
+   * Article fetches are counted apart from the scheduler's feed fetches, so a feed fetch waiting on its
+   * articles never holds up the slot they need.
+   * @param {string} url - Article URL
+   * @returns {Promise<object>} fetchArticle result
+   */
+  enqueueArticleFetch(url) {
+    return new Promise(resolve => {
+      this.articleQueue.push({ url, host: getHost(url), resolve });
+      this.drainArticleQueue();
+    });
+  }
+
+  /**
+   * Start queued article fetches for hosts below the per-host limit
+   */
+  drainArticleQueue() {
+    let index = 0;
+    while (index < this.articleQueue.length) {
+      const task = this.articleQueue[index];
+      if ((this.articleFetchesByHost.get(task.host) || 0) >= this.options.maxPerHost) {
+        index++;
+        continue;
+      }
+
+      this.articleQueue.splice(index, 1);
+      this.runArticleFetch(task);
+    }
+  }
+
+  /**
+   * Run a queued article fetch and start the next ones when it settles
+   * @param {object} task - Queued article fetch
+   */
+  async runArticleFetch(task) {
+    this.articleFetchesByHost.set(task.host, (this.articleFetchesByHost.get(task.host) || 0) + 1);
+
+    try {
+      task.resolve(await fetchArticle(task.url, { timeout: this.options.articleTimeout }));
+    } catch (error) {
+      task.resolve({ success: false, error: error.message });
+    } finally {
+      const hostCount = this.articleFetchesByHost.get(task.host) - 1;
+      if (hostCount > 0) {
+        this.articleFetchesByHost.set(task.host, hostCount);
+      } else {
+        this.articleFetchesByHost.delete(task.host);
+      }
+      this.drainArticleQueue();
+    }
+  }
+
+  /**
+   * Attach extracted article text to items that only carry a short summary
+   * Items with article text or at least fullTextMinLength characters of their own are skipped. Cached
+   * articles are applied straight away; at most maxArticlesPerFetch pages are fetched per call, newest
+   * items first, and the rest are picked up by later calls.
+   * @param {Array} items - Normalized feed items (modified in place)
+   * @returns {Promise<number>} Number of items enriched
+   */
+  async enrichFullText(items) {
+    const candidates = items.filter(item => item.url
+      && !item.articleText
+      && (item.text || item.summary || '').length < this.options.fullTextMinLength);
+
+    const toFetch = [];
+    const toApply = [];
+    for (const item of candidates) {
+      const cached = this.articleCache.get(item.url);
+      if (cached && !this.isArticleRetryDue(cached)) {
+        toApply.push(item);
+      } else if (toFetch.length < this.options.maxArticlesPerFetch) {
+        toFetch.push(item);
+      }
+    }
+
+    const results = await Promise.all([...toApply, ...toFetch].map(async item => ({
+      item,
+      article: await this.getArticle(item.url),
+    })));
+
+    let enriched = 0;
+    for (const { item, article } of results) {
+      if (article.error) {
+        item.articleError = article.error;
+        continue;
+      }
+
+      delete item.articleError;
+      item.articleText = article.text;
+      item.articleMarkdown = article.markdown || article.text;
+      item.articleHtml = article.html;
+      item.articleFetchedAt = article.fetchedAt;
+      enriched++;
+    }
+
+    return enriched;
+  }
+
   /**
    * Add a feed to the manager
    * @param {string} url - Feed URL
@@ -102,13 +300,14 @@ export class FeedManager {
         url,
         title: metadata.title || '',
         description: metadata.description || '',
-        items: metadata.items || [],
         lastUpdated: new Date().toISOString(),
         ...metadata,
+        items: (metadata.items || []).map(item => normalizeFeedItem(item)),
       };
 
       this.feeds.set(feedId, feedData);
       await this.saveFeeds();
+      emitFeedEvent(this, FEED_EVENTS.FEED_ADDED, { feedId, url, feed: feedData });
 
       return {
         success: true,
@@ -123,6 +322,103 @@ export class FeedManager {
     }
   }
 
+  /**
+   * Merge freshly fetched feed data into the stored feed
+   * Items are matched on guid/id/link (or title and date, see getItemKey); unseen items are stamped with firstSeenAt
+   * and the stored history is capped at options.maxItems.
+   * @param {string} url - Feed URL
+   * @param {object} feedData - Imported feed data (metadata and items)
+   * @returns {Promise<object>} Result with feedId, feed and newItems
+   */
+  async mergeFeed(url, feedData = {}) {
+    try {
+      const feedId = this.generateFeedId(url);
+      const existing = this.feeds.get(feedId) || {};
+      const { items: incomingItems = [], ...metadata } = feedData;
+      // Raw parser output would duplicate every item; only keep the merged history
+      delete metadata.originalData;
+      const now = new Date().toISOString();
+
+      const mergedItems = (existing.items || []).map(item => normalizeFeedItem(item));
+      const itemIndex = new Map();
+      mergedItems.forEach((item, index) => {
+        const key = getItemKey(item);
+        if (key) {
+          itemIndex.set(key, index);
+        }
+      });
+
+      const newItems = [];
+      for (const incomingItem of incomingItems) {
+        const item = normalizeFeedItem(incomingItem);
+        const key = getItemKey(item);
+
+        if (key && itemIndex.has(key)) {
+          // Known item - refresh it in place, keeping when we first saw it
+          const index = itemIndex.get(key);
+          const previous = mergedItems[index];
+          mergedItems[index] = {
+            ...previous,
+            ...item,
+            firstSeenAt: previous.firstSeenAt || now,
+            lastSeenAt: now,
+          };
+        } else {
+          const newItem = {
+            ...item,
+            firstSeenAt: now,
+            lastSeenAt: now,
+          };
+          mergedItems.push(newItem);
+          newItems.push(newItem);
+          if (key) {
+            itemIndex.set(key, mergedItems.length - 1);
+          }
+        }
+      }
+
+      // Keep the newest items within the history limit
+      mergedItems.sort((a, b) => getItemTime(b) - getItemTime(a));
+      const items = mergedItems.slice(0, this.options.maxItems);
+      const retained = new Set(items);
+
+      const feed = {
+        ...existing,
+        ...metadata,
+        id: feedId,
+        url,
+        items,
+        lastUpdated: now,
+      };
+
+      // Per-feed full-text mode: fetch the linked article for summary-only feeds
+      if (feed.fullText) {
+        await this.enrichFullText(items);
+      }
+
+      this.feeds.set(feedId, feed);
+      await this.saveFeeds();
+
+      const addedItems = newItems.filter(item => retained.has(item));
+      emitFeedEvent(this, FEED_EVENTS.FEED_UPDATED, { feedId, url, itemsAdded: addedItems.length });
+      if (addedItems.length > 0) {
+        emitFeedEvent(this, FEED_EVENTS.ITEMS_NEW, { feedId, url, items: addedItems });
+      }
+
+      return {
+        success: true,
+        feedId,
+        feed,
+        newItems: addedItems,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
   /**
    * Remove a feed from the manager
    * @param {string} feedId - Feed ID
@@ -139,6 +435,7 @@ export class FeedManager {
 
       this.feeds.delete(feedId);
       await this.saveFeeds();
+      emitFeedEvent(this, FEED_EVENTS.FEED_REMOVED, { feedId });
 
       return {
         success: true,
@@ -151,6 +448,42 @@ export class FeedManager {
     }
   }
 
+  /**
+   * Export managed feeds as OPML 2.0
+   * @param {object} options - Export options (title, filePath)
+   * @returns {Promise<object>} Result with OPML content
+   */
+  async exportOPML(options = {}) {
+    try {
+      const feeds = Array.from(this.feeds.values());
+      const content = buildOPML(feeds, options);
+
+      if (options.filePath) {
+        fs.writeFileSync(options.filePath, content);
+      }
+
+      return {
+        success: true,
+        content,
+        feedCount: feeds.length,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Get a single managed feed
+   * @param {string} feedId - Feed ID
+   * @returns {Promise<object|null>} Feed object or null if not found
+   */
+  async getFeed(feedId) {
+    return this.feeds.get(feedId) || null;
+  }
+
   /**
    * List all managed feeds
    * @returns {Promise<Array>} Array of feed objects
@@ -166,22 +499,27 @@ export class FeedManager {
    */
   async getFeedItems(feedId) {
     const feed = this.feeds.get(feedId);
-    return feed ? feed.items || [] : [];
+    return feed ? (feed.items || []).map(item => normalizeFeedItem(item)) : [];
   }
 
   /**
    * Get recent items across all feeds
    * @param {number} limit - Maximum number of items to return
+   * @param {object} options - Options
+   * @param {string[]} [options.feedIds] - Only include items from these feeds
    * @returns {Promise<Array>} Array of recent items
    */
-  async getRecentItems(limit = 10) {
+  async getRecentItems(limit = 10, options = {}) {
     const allItems = [];
     
     for (const feed of this.feeds.values()) {
+      if (options.feedIds && !options.feedIds.includes(feed.id)) {
+        continue;
+      }
       if (feed.items) {
         feed.items.forEach(item => {
           allItems.push({
-            ...item,
+            ...normalizeFeedItem(item),
             feedId: feed.id,
             feedTitle: feed.title,
           });
@@ -190,11 +528,7 @@ export class FeedManager {
     }
 
     // Sort by publication date, newest first
-    allItems.sort((a, b) => {
-      const dateA = new Date(a.pubDate || a.isoDate || 0);
-      const dateB = new Date(b.pubDate || b.isoDate || 0);
-      return dateB - dateA;
-    });
+    allItems.sort((a, b) => getItemTime(b) - getItemTime(a));
 
     return allItems.slice(0, limit);
   }
@@ -230,6 +564,52 @@ export class FeedManager {
   }
 }
 
+/**
+ * Get the identity key used to match a feed item across fetches
+ * @param {object} item - Feed item (normalized or raw)
+ * @returns {string|null} guid/id, falling back to the item URL, then to a hash of title and
+ * published date for items with neither (null if the item has no title or date either)
+ */
+export function getItemKey(item) {
+  if (!item) {
+    return null;
+  }
+
+  const normalized = normalizeFeedItem(item);
+  if (normalized.id) {
+    return normalized.id;
+  }
+  if (!normalized.title && !normalized.published) {
+    return null;
+  }
+
+  const hash = crypto.createHash('sha1').update(`${normalized.title || ''}\n${normalized.published || ''}`).digest('hex');
+  return `hash:${hash}`;
+}
+
+/**
+ * Get a sortable timestamp for a feed item
+ * @param {object} item - Normalized feed item
+ * @returns {number} Milliseconds since epoch (0 when unknown)
+ */
+function getItemTime(item) {
+  const time = new Date(item.published || item.updated || item.firstSeenAt || 0).getTime();
+  return Number.isNaN(time) ? 0 : time;
+}
+
+/**
+ * Get the host a URL is fetched from
+ * @param {string} url - Feed or article URL
+ * @returns {string} Host (the URL itself if it cannot be parsed)
+ */
+export function getHost(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return url;
+  }
+}
+
 /**
  * Validate feed URL
  * @param {string} url - URL to validate
@@ -259,14 +639,13 @@ export function validateFeedUrl(url) {
 }
 
 /**
- * Parse feed content from string
+ * Parse feed content from string (RSS, Atom or JSON Feed)
  * @param {string} content - Feed content
- * @returns {Promise<object>} Parse result
+ * @returns {Promise<object>} Parse result with normalized items
  */
 export async function parseFeedContent(content) {
   try {
-    const parser = new Parser();
-    const feed = await parser.parseString(content);
+    const feed = await parseFeed(content);
     
     return {
       success: true,
@@ -290,19 +669,66 @@ export function extractFeedMetadata(feedData) {
     title: feedData.title || '',
     description: feedData.description || '',
     url: feedData.link || feedData.feedUrl || '',
+    htmlUrl: feedData.link || '',
     language: feedData.language || '',
     lastUpdated: feedData.lastBuildDate || feedData.updated || new Date().toISOString(),
     itemCount: feedData.items ? feedData.items.length : 0,
     generator: feedData.generator || '',
     copyright: feedData.copyright || '',
+    pollingHints: feedData.pollingHints || null,
   };
 }
 
+/**
+ * Extract HTTP caching validators from a fetch response
+ * @param {object} response - Fetch response
+ * @returns {object} ETag and Last-Modified values (when present)
+ */
+export function extractCacheHeaders(response) {
+  const headers = response?.headers;
+  if (!headers || typeof headers.get !== 'function') {
+    return {};
+  }
+
+  const cacheHeaders = {};
+  const etag = headers.get('etag');
+  const lastModified = headers.get('last-modified');
+
+  if (etag) {
+    cacheHeaders.etag = etag;
+  }
+  if (lastModified) {
+    cacheHeaders.lastModified = lastModified;
+  }
+
+  return cacheHeaders;
+}
+
+/**
+ * Parse a Retry-After header
+ * @param {string} value - Header value: delay in seconds or an HTTP date
+ * @param {number} now - Current time (ms)
+ * @returns {number|null} Delay in ms, or null if missing/invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) {
+    return null;
+  }
+
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value.trim()) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
 /**
  * Import RSS feed from URL
  * @param {string} url - RSS feed URL
- * @param {object} options - Import options
- * @returns {Promise<object>} Import result
+ * @param {object} options - Import options (etag/lastModified enable conditional GET,
+ *   discover: false disables autodiscovery when the URL is a web page, timeout in ms)
+ * @returns {Promise<object>} Import result (notModified is true on HTTP 304)
  */
 export async function importRSSFeed(url, options = {}) {
   try {
@@ -316,26 +742,62 @@ export async function importRSSFeed(url, options = {}) {
     }
 
     let feedContent;
+    let contentType = '';
+    let cacheHeaders = {};
     
     // Use mock content for testing
     if (options.mockContent) {
       feedContent = options.mockContent;
     } else {
-      // Fetch feed content
+      // Send stored validators so unchanged feeds come back as 304
+      const headers = {
+        'User-Agent': 'RSS-Amplifier/1.0',
+      };
+      if (options.etag) {
+        headers['If-None-Match'] = options.etag;
+      }
+      if (options.lastModified) {
+        headers['If-Modified-Since'] = options.lastModified;
+      }
+
+      // Fetch feed content; the signal also bounds reading the body
       const response = await fetch(url, {
-        headers: {
-          'User-Agent': 'RSS-Amplifier/1.0',
-        },
-        timeout: 10000,
+        headers,
+        signal: AbortSignal.timeout(options.timeout || 10000),
       });
 
+      cacheHeaders = extractCacheHeaders(response);
+
+      if (response.status === 304) {
+        return {
+          success: true,
+          notModified: true,
+          feed: {
+            url,
+            etag: cacheHeaders.etag || options.etag || null,
+            lastModified: cacheHeaders.lastModified || options.lastModified || null,
+          },
+        };
+      }
+
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        return {
+          success: false,
+          error: `HTTP ${response.status}: ${response.statusText}`,
+          status: response.status,
+          retryAfter: parseRetryAfter(response.headers?.get?.('retry-after')),
+        };
       }
 
+      contentType = response.headers?.get?.('content-type') || '';
       feedContent = await response.text();
     }
 
+    // A website URL was given instead of a feed - look for the feeds it advertises
+    if (options.discover !== false && isHTMLContent(feedContent, contentType)) {
+      return await importDiscoveredFeed(url, feedContent, options);
+    }
+
     // Parse feed content
     const parseResult = await parseFeedContent(feedContent);
     if (!parseResult.success) {
@@ -347,9 +809,12 @@ export async function importRSSFeed(url, options = {}) {
 
     return {
       success: true,
+      notModified: false,
       feed: {
         ...metadata,
         url,
+        etag: cacheHeaders.etag || null,
+        lastModified: cacheHeaders.lastModified || null,
         items: feed.items || [],
         originalData: feed,
       },
@@ -362,6 +827,49 @@ export async function importRSSFeed(url, options = {}) {
   }
 }
 
+/**
+ * Import the best feed discovered on an HTML page
+ * @param {string} pageUrl - Website URL
+ * @param {string} html - Page content
+ * @param {object} options - Import options (autoSelect: false returns the candidates instead)
+ * @returns {Promise<object>} Import result with discovery details
+ */
+async function importDiscoveredFeed(pageUrl, html, options) {
+  const discovery = await discoverFeeds(pageUrl, { html, probe: options.probe });
+  const candidates = discovery.candidates;
+
+  if (candidates.length === 0) {
+    return {
+      success: false,
+      error: 'No feeds found at URL',
+      candidates,
+    };
+  }
+
+  if (candidates.length > 1 && options.autoSelect === false) {
+    return {
+      success: false,
+      error: 'Multiple feeds found - choose one of the candidates',
+      candidates,
+    };
+  }
+
+  // Candidate URLs are feeds; never run discovery on them again. Page-level
+  // content and validators do not apply to the feed URL.
+  const importOptions = { ...options, discover: false };
+  delete importOptions.mockContent;
+  delete importOptions.etag;
+  delete importOptions.lastModified;
+
+  const result = await importRSSFeed(candidates[0].url, importOptions);
+
+  return {
+    ...result,
+    discoveredFrom: pageUrl,
+    candidates,
+  };
+}
+
 /**
  * Import feeds from OPML file
  * @param {string} filePath - Path to OPML file
@@ -392,8 +900,8 @@ export async function importOPML(filePath) {
 
     const feeds = [];
     
-    // Extract feeds from OPML structure
-    const extractFeeds = (outlines) => {
+    // Extract feeds from OPML structure, remembering the folder path of each feed
+    const extractFeeds = (outlines, folders = []) => {
       if (!Array.isArray(outlines)) return;
       
       for (const outline of outlines) {
@@ -407,12 +915,14 @@ export async function importOPML(filePath) {
             htmlUrl: attrs.htmlUrl || '',
             description: attrs.description || '',
             category: attrs.category || '',
+            folders,
           });
         }
         
         // Recursively process nested outlines
         if (outline.outline) {
-          extractFeeds(outline.outline);
+          const folder = attrs.xmlUrl ? folders : [...folders, attrs.title || attrs.text || ''];
+          extractFeeds(outline.outline, folder);
         }
       }
     };
@@ -439,6 +949,66 @@ export async function importOPML(filePath) {
   }
 }
 
+/**
+ * Build an OPML 2.0 document from feed records
+ * Feeds with a folders path are nested under matching folder outlines.
+ * @param {Array} feeds - Feed records (url or xmlUrl, title, htmlUrl, description, category, folders)
+ * @param {object} options - Export options
+ * @returns {string} OPML XML content
+ */
+export function buildOPML(feeds, options = {}) {
+  const root = { folders: new Map(), outlines: [] };
+
+  for (const feed of feeds) {
+    const xmlUrl = feed.xmlUrl || feed.url;
+    if (!xmlUrl) continue;
+
+    const attrs = {
+      type: 'rss',
+      text: feed.title || xmlUrl,
+      title: feed.title || xmlUrl,
+      xmlUrl,
+    };
+    if (feed.htmlUrl) attrs.htmlUrl = feed.htmlUrl;
+    if (feed.description) attrs.description = feed.description;
+    if (feed.category) attrs.category = feed.category;
+
+    // Walk (and create) the folder path for this feed
+    let node = root;
+    for (const folder of feed.folders || []) {
+      if (!node.folders.has(folder)) {
+        const child = { folders: new Map(), outlines: [] };
+        node.folders.set(folder, child);
+        node.outlines.push({ folder, node: child });
+      }
+      node = node.folders.get(folder);
+    }
+
+    node.outlines.push({ attrs });
+  }
+
+  const toOutlines = (node) => node.outlines.map(entry => (entry.node
+    ? { $: { text: entry.folder, title: entry.folder }, outline: toOutlines(entry.node) }
+    : { $: entry.attrs }));
+
+  const builder = new XMLBuilder({
+    xmldec: { version: '1.0', encoding: 'UTF-8' },
+  });
+
+  return builder.buildObject({
+    opml: {
+      $: { version: '2.0' },
+      head: {
+        title: options.title || 'RSS Amplifier Feeds',
+        dateCreated: new Date().toUTCString(),
+      },
+      body: {
+        outline: toOutlines(root),
+      },
+    },
+  });
+}
+
 /**
  * Fetch feed items from URL
  * @param {string} url - Feed URL
@@ -455,7 +1025,7 @@ export async function fetchFeedItems(url, options = {}) {
       return importResult;
     }
 
-    const items = importResult.feed.items.slice(0, maxItems);
+    const items = (importResult.feed.items || []).slice(0, maxItems);
 
     return {
       success: true,
@@ -473,9 +1043,14 @@ export async function fetchFeedItems(url, options = {}) {
 export default {
   FeedManager,
   importOPML,
+  buildOPML,
   importRSSFeed,
   fetchFeedItems,
   validateFeedUrl,
   parseFeedContent,
   extractFeedMetadata,
+  extractCacheHeaders,
+  parseRetryAfter,
+  getItemKey,
+  getHost,
 };
\ No newline at end of file
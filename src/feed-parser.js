@@ -0,0 +1,443 @@
+/**
+ * Feed Parser
+ * Parses RSS, Atom and JSON Feed documents into one normalized item model
+ *
+ * Normalized item shape:
+ * {
+ *   id: string|null,          // guid / atom:id / JSON Feed id, falling back to the URL
+ *   url: string|null,         // permalink (alternate link)
+ *   title: string,
+ *   html: string,             // full HTML content (falls back to the summary)
+ *   text: string,             // plain-text rendering of html
+ *   markdown: string,         // Markdown rendering of html
+ *   summary: string,          // short description when the feed provides one
+ *   authors: [{ name, url, email }],
+ *   tags: string[],
+ *   published: string|null,   // ISO 8601
+ *   updated: string|null,     // ISO 8601
+ *   enclosures: [{ url, type, length, title }],
+ * }
+ */
+
+import Parser from 'rss-parser';
+import { parseString as parseXML, Builder as XMLBuilder } from 'xml2js';
+import { promisify } from 'util';
+import { htmlToText, htmlToMarkdown } from './content-sanitizer.js';
+
+const parseXMLAsync = promisify(parseXML);
+
+/**
+ * Channel elements that tell readers how often to poll
+ */
+const POLLING_FIELDS = ['ttl', 'skipHours', 'skipDays', 'sy:updatePeriod', 'sy:updateFrequency'];
+
+/**
+ * Length of each sy:updatePeriod in minutes
+ */
+const UPDATE_PERIOD_MINUTES = {
+  hourly: 60,
+  daily: 1440,
+  weekly: 10080,
+  monthly: 43200,
+  yearly: 525600,
+};
+
+/**
+ * First element of an XML document, after the declaration, processing instructions, comments and DOCTYPE
+ */
+const ROOT_ELEMENT_PATTERN = /^(?:\s+|<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^[>]*(?:\[[\s\S]*?\])?\s*>)*<([a-z_][\w.:-]*)/i;
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Detect the format of a feed document
+ * @param {string} content - Raw feed content
+ * @returns {string} 'json', 'atom', 'rss' or 'unknown'
+ */
+export function detectFeedFormat(content) {
+  if (!content || typeof content !== 'string') {
+    return 'unknown';
+  }
+
+  const trimmed = content.trim();
+
+  if (trimmed.startsWith('{')) {
+    return 'json';
+  }
+
+  // Decide on the root element: <feed> markup can appear inside the CDATA of an RSS item
+  const root = trimmed.match(ROOT_ELEMENT_PATTERN);
+  if (root && root[1].split(':').pop().toLowerCase() === 'feed') {
+    return 'atom';
+  }
+
+  if (trimmed.startsWith('<')) {
+    return 'rss';
+  }
+
+  return 'unknown';
+}
+
+/**
+ * Parse a feed document of any supported format
+ * @param {string} content - Raw feed content
+ * @returns {Promise<object>} Parsed feed with normalized items
+ */
+export async function parseFeed(content) {
+  const format = detectFeedFormat(content);
+
+  switch (format) {
+  case 'json':
+    return parseJSONFeed(content);
+  case 'atom':
+    return await parseAtomFeed(content);
+  default:
+    return await parseRSSFeed(content);
+  }
+}
+
+/**
+ * Parse an RSS (0.9x/1.0/2.0) document via rss-parser
+ * @param {string} content - RSS XML
+ * @returns {Promise<object>} Parsed feed with normalized items
+ */
+export async function parseRSSFeed(content) {
+  const parser = new Parser({ customFields: { feed: POLLING_FIELDS } });
+  const feed = await parser.parseString(content);
+  const pollingHints = extractPollingHints(feed);
+  POLLING_FIELDS.forEach(field => delete feed[field]);
+
+  return {
+    ...feed,
+    format: 'rss',
+    pollingHints,
+    items: (feed.items || []).map(item => normalizeFeedItem(item)),
+  };
+}
+
+/**
+ * Read the polling hints an RSS channel publishes
+ * @param {object} feed - rss-parser output with the POLLING_FIELDS custom fields
+ * @returns {object} { ttl (minutes), skipHours (0-23, GMT), skipDays (0-6, Sunday first), updateInterval (minutes) }
+ */
+export function extractPollingHints(feed) {
+  const toArray = value => (value === undefined ? [] : [].concat(value));
+  const ttl = parseInt(feed.ttl, 10);
+  const period = UPDATE_PERIOD_MINUTES[String(feed['sy:updatePeriod'] || '').trim().toLowerCase()];
+  const frequency = parseInt(feed['sy:updateFrequency'], 10) || 1;
+
+  return {
+    ttl: ttl > 0 ? ttl : null,
+    skipHours: [...new Set(toArray(feed.skipHours?.hour)
+      .map(hour => Number(hour) % 24)
+      .filter(hour => Number.isInteger(hour) && hour >= 0))]
+      .sort((a, b) => a - b),
+    skipDays: [...new Set(toArray(feed.skipDays?.day)
+      .map(day => DAY_NAMES.indexOf(String(day).trim().toLowerCase()))
+      .filter(day => day >= 0))]
+      .sort((a, b) => a - b),
+    updateInterval: period ? Math.round(period / frequency) : null,
+  };
+}
+
+/**
+ * Parse a JSON Feed (1.0/1.1) document
+ * @param {string} content - JSON Feed content
+ * @returns {object} Parsed feed with normalized items
+ */
+export function parseJSONFeed(content) {
+  const data = JSON.parse(content);
+
+  if (!data || typeof data !== 'object' || !/jsonfeed\.org\/version\//.test(data.version || '')) {
+    throw new Error('Feed not recognized as JSON Feed');
+  }
+
+  return {
+    format: 'json',
+    title: data.title || '',
+    description: data.description || '',
+    link: data.home_page_url || '',
+    feedUrl: data.feed_url || '',
+    language: data.language || '',
+    authors: normalizeAuthors(data.authors || data.author),
+    items: (data.items || []).map(item => normalizeFeedItem(item)),
+  };
+}
+
+/**
+ * Parse an Atom 1.0 document
+ * @param {string} content - Atom XML
+ * @returns {Promise<object>} Parsed feed with normalized items
+ */
+export async function parseAtomFeed(content) {
+  const data = await parseXMLAsync(content);
+  const feed = data?.feed;
+
+  if (!feed) {
+    throw new Error('Feed not recognized as Atom');
+  }
+
+  const links = feed.link || [];
+  const authors = normalizeAtomAuthors(feed.author);
+
+  return {
+    format: 'atom',
+    title: atomText(feed.title),
+    description: atomText(feed.subtitle),
+    link: findAtomLink(links, 'alternate') || '',
+    feedUrl: findAtomLink(links, 'self') || '',
+    language: feed.$?.['xml:lang'] || '',
+    updated: toISODate(atomText(feed.updated)),
+    generator: atomText(feed.generator),
+    copyright: atomText(feed.rights),
+    authors,
+    items: (feed.entry || []).map(entry => normalizeAtomEntry(entry, authors)),
+  };
+}
+
+/**
+ * Convert an Atom entry into the normalized item shape
+ * Entries without an author take the one of their <source>, then the feed's (RFC 4287 section 4.2.1).
+ * @param {object} entry - xml2js entry node
+ * @param {Array} feedAuthors - Normalized feed-level authors
+ * @returns {object} Normalized item
+ */
+function normalizeAtomEntry(entry, feedAuthors = []) {
+  const links = entry.link || [];
+  const url = findAtomLink(links, 'alternate');
+  const summary = atomText(entry.summary);
+  const html = atomText(entry.content) || summary;
+  const authors = normalizeAtomAuthors(entry.author || entry.source?.[0]?.author);
+
+  return {
+    id: atomText(entry.id) || url || null,
+    url: url || null,
+    title: htmlToText(atomText(entry.title)),
+    html,
+    text: htmlToText(html),
+    markdown: htmlToMarkdown(html),
+    summary: htmlToText(summary),
+    authors: authors.length > 0 ? authors : feedAuthors.map(author => ({ ...author })),
+    tags: (entry.category || [])
+      .map(category => category.$?.label || category.$?.term || '')
+      .filter(Boolean),
+    published: toISODate(atomText(entry.published)),
+    updated: toISODate(atomText(entry.updated)),
+    enclosures: links
+      .filter(link => link.$?.rel === 'enclosure' && link.$?.href)
+      .map(link => ({
+        url: link.$.href,
+        type: link.$.type || '',
+        length: toNumber(link.$.length),
+        title: link.$.title || '',
+      })),
+  };
+}
+
+/**
+ * Check whether an item already has the normalized shape
+ * @param {object} item - Feed item
+ * @returns {boolean} True if normalized
+ */
+export function isNormalizedItem(item) {
+  return !!item
+    && typeof item.html === 'string'
+    && Array.isArray(item.authors)
+    && Array.isArray(item.enclosures);
+}
+
+/**
+ * Normalize a feed item from rss-parser, JSON Feed or a plain object
+ * Already-normalized items are returned unchanged.
+ * @param {object} item - Feed item
+ * @returns {object} Normalized item
+ */
+export function normalizeFeedItem(item = {}) {
+  if (isNormalizedItem(item)) {
+    return item;
+  }
+
+  const summary = item.summary
+    || (item['content:encoded'] && item.contentSnippet)
+    || '';
+  const html = item.content_html
+    || item['content:encoded']
+    || item.content
+    || item.description
+    || summary
+    || '';
+  const url = item.url || item.link || item.external_url || null;
+
+  const normalized = {
+    id: item.id || item.guid || url || null,
+    url,
+    title: item.title || '',
+    html,
+    // content_text is plain text already - only collapse whitespace so < and > survive
+    text: item.content_text ? item.content_text.replace(/\s+/g, ' ').trim() : htmlToText(html),
+    markdown: html ? htmlToMarkdown(html) : (item.content_text || ''),
+    summary: htmlToText(summary),
+    authors: normalizeAuthors(item.authors || item.author || item.creator || item['dc:creator']),
+    tags: normalizeTags(item.tags || item.categories),
+    published: toISODate(item.date_published || item.isoDate || item.pubDate),
+    updated: toISODate(item.date_modified || item.updated),
+    enclosures: normalizeEnclosures(item.attachments || item.enclosure),
+  };
+
+  // Preserve tracking and full-text fields added by FeedManager
+  for (const key of ['firstSeenAt', 'lastSeenAt', 'articleText', 'articleMarkdown', 'articleHtml', 'articleFetchedAt', 'articleError']) {
+    if (item[key]) {
+      normalized[key] = item[key];
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Normalize author values (strings, objects or arrays of either)
+ * @param {*} authors - Author data
+ * @returns {Array} Array of { name, url, email }
+ */
+function normalizeAuthors(authors) {
+  if (!authors) {
+    return [];
+  }
+
+  return (Array.isArray(authors) ? authors : [authors])
+    .map(author => {
+      if (typeof author === 'string') {
+        return { name: author, url: '', email: '' };
+      }
+      return {
+        name: author.name || '',
+        url: author.url || author.uri || '',
+        email: author.email || '',
+      };
+    })
+    .filter(author => author.name || author.url || author.email);
+}
+
+/**
+ * Normalize Atom author nodes
+ * @param {Array} authors - xml2js author nodes
+ * @returns {Array} Array of { name, url, email }
+ */
+function normalizeAtomAuthors(authors) {
+  return normalizeAuthors((authors || []).map(author => ({
+    name: atomText(author.name),
+    url: atomText(author.uri),
+    email: atomText(author.email),
+  })));
+}
+
+/**
+ * Normalize tags/categories to plain strings
+ * @param {Array} tags - Tag values
+ * @returns {string[]} Tags
+ */
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) {
+    return [];
+  }
+
+  return tags
+    .map(tag => (typeof tag === 'string' ? tag : tag?._ || tag?.term || ''))
+    .map(tag => tag.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Normalize enclosures from RSS <enclosure> or JSON Feed attachments
+ * @param {object|Array} enclosures - Enclosure data
+ * @returns {Array} Array of { url, type, length, title }
+ */
+function normalizeEnclosures(enclosures) {
+  if (!enclosures) {
+    return [];
+  }
+
+  return (Array.isArray(enclosures) ? enclosures : [enclosures])
+    .filter(enclosure => enclosure?.url)
+    .map(enclosure => ({
+      url: enclosure.url,
+      type: enclosure.type || enclosure.mime_type || '',
+      length: toNumber(enclosure.length ?? enclosure.size_in_bytes),
+      title: enclosure.title || '',
+    }));
+}
+
+/**
+ * Find an Atom link by relation (links without rel count as alternate)
+ * @param {Array} links - xml2js link nodes
+ * @param {string} rel - Link relation
+ * @returns {string|null} Link href
+ */
+function findAtomLink(links, rel) {
+  const match = links.find(link => (link.$?.rel || 'alternate') === rel && link.$?.href);
+  return match ? match.$.href : null;
+}
+
+/**
+ * Read the text of an Atom text construct (text, html or xhtml)
+ * @param {Array} nodes - xml2js nodes
+ * @returns {string} Text or HTML content
+ */
+function atomText(nodes) {
+  const node = Array.isArray(nodes) ? nodes[0] : nodes;
+
+  if (node === undefined || node === null) {
+    return '';
+  }
+
+  if (typeof node === 'string') {
+    return node.trim();
+  }
+
+  if (typeof node._ === 'string') {
+    return node._.trim();
+  }
+
+  // type="xhtml" content is parsed as child elements; serialize them back
+  if (node.div) {
+    const builder = new XMLBuilder({ headless: true, renderOpts: { pretty: false } });
+    return builder.buildObject({ div: node.div[0] });
+  }
+
+  return '';
+}
+
+/**
+ * Convert a date value to an ISO string
+ * @param {*} value - Date value
+ * @returns {string|null} ISO date or null if missing/invalid
+ */
+function toISODate(value) {
+  if (!value) {
+    return null;
+  }
+
+  const date = new Date(typeof value === 'string' ? value.trim() : value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Convert a value to a number
+ * @param {*} value - Value
+ * @returns {number|null} Number or null
+ */
+function toNumber(value) {
+  const number = Number(value);
+  return value === undefined || value === null || value === '' || Number.isNaN(number) ? null : number;
+}
+
+export default {
+  detectFeedFormat,
+  parseFeed,
+  parseRSSFeed,
+  extractPollingHints,
+  parseJSONFeed,
+  parseAtomFeed,
+  normalizeFeedItem,
+  isNormalizedItem,
+};
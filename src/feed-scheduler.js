@@ -7,38 +7,86 @@ import fs from 'fs';
 import path from 'path';
 import os from 'os';
 import cron from 'node-cron';
-import { FeedManager, importRSSFeed } from './feed-manager.js';
+import { EventEmitter } from 'events';
+import { FeedManager, importRSSFeed, getHost } from './feed-manager.js';
+import { computePollingInterval } from './adaptive-polling.js';
+import { FEED_EVENTS, emitFeedEvent, attachConsoleLogger } from './feed-events.js';
+import { parseCronExpression, getNextRunTimes, compileInterval, isValidTimezone } from './cron-expression.js';
+
+/**
+ * What start() does with runs missed while the scheduler was down:
+ * none skips them, once fetches each overdue feed once, all replays every missed run (up to maxCatchUpRuns)
+ */
+export const CATCH_UP_POLICIES = ['none', 'once', 'all'];
 
 /**
  * Feed Scheduler class for managing automatic feed updates
+ * Emits the events listed in feed-events.js
  */
-export class FeedScheduler {
+export class FeedScheduler extends EventEmitter {
   constructor(options = {}) {
+    super();
     this.options = {
-      feedManager: options.feedManager || new FeedManager(),
+      feedManager: options.feedManager || new FeedManager({ ...(options.maxPerHost && { maxPerHost: options.maxPerHost }) }),
       dataPath: options.dataPath || path.join(os.homedir(), '.config', 'rss-amplifier', 'scheduler'),
       defaultInterval: options.defaultInterval || '*/30 * * * *', // Every 30 minutes
       maxConcurrent: options.maxConcurrent || 5,
+      maxPerHost: options.maxPerHost || 2,
+      jitter: options.jitter || 0, // Max delay (ms) spreading feeds that fire at the same time
       retryAttempts: options.retryAttempts || 3,
-      retryDelay: options.retryDelay || 5000, // 5 seconds
+      retryDelay: options.retryDelay || 5000, // 5 seconds, doubled on each retry
+      maxRetryDelay: options.maxRetryDelay || 60000, // Longer waits are left to the cooldown
+      failureCooldown: options.failureCooldown || 300000, // 5 minutes, doubled per consecutive failure
+      maxCooldown: options.maxCooldown || 86400000, // 24 hours
+      maxFailures: options.maxFailures ?? 10, // Consecutive failures before a feed is disabled (0 = never)
+      adaptive: options.adaptive || false, // Learn polling intervals (feeds can override with `adaptive`)
+      minInterval: options.minInterval || 15, // Adaptive bounds in minutes
+      maxInterval: options.maxInterval || 1440,
+      catchUp: options.catchUp || 'once', // Missed-run policy on start (see CATCH_UP_POLICIES)
+      maxCatchUpRuns: options.maxCatchUpRuns || 10, // Replay cap per feed for the `all` policy
+      analyticsLogger: options.analyticsLogger || null,
+      consoleOutput: options.consoleOutput ?? true, // Print progress through the console subscriber
       ...options,
     };
 
+    if (!CATCH_UP_POLICIES.includes(this.options.catchUp)) {
+      throw new Error(`Invalid catch-up policy: ${this.options.catchUp} (expected ${CATCH_UP_POLICIES.join(', ')})`);
+    }
+
     this.scheduledFeeds = new Map();
+    this.lastSaved = null;
     this.activeJobs = new Map();
     this.running = false;
+    this.catchUpRun = null;
     this.paused = false;
+    this.fetchQueue = [];
+    this.pendingFetches = new Map();
+    this.inFlight = 0;
+    this.inFlightByHost = new Map();
     this.stats = {
       totalFeeds: 0,
       successfulUpdates: 0,
       failedUpdates: 0,
+      notModifiedUpdates: 0,
       lastUpdateTime: null,
     };
 
+    this.detachConsoleLogger = this.options.consoleOutput ? attachConsoleLogger(this) : null;
+
     this.ensureDataDirectory();
     this.loadScheduledFeeds();
   }
 
+  /**
+   * Stop printing progress to the console (events are still emitted)
+   */
+  disableConsoleOutput() {
+    if (this.detachConsoleLogger) {
+      this.detachConsoleLogger();
+      this.detachConsoleLogger = null;
+    }
+  }
+
   /**
    * Ensure data directory exists
    */
@@ -48,50 +96,148 @@ export class FeedScheduler {
     }
   }
 
+  /**
+   * Get the file scheduled feeds are stored in
+   * @returns {string} Path of scheduled-feeds.json
+   */
+  getScheduledFeedsFile() {
+    return path.join(this.options.dataPath, 'scheduled-feeds.json');
+  }
+
   /**
    * Load scheduled feeds from storage
    */
   loadScheduledFeeds() {
     try {
-      const schedulerFile = path.join(this.options.dataPath, 'scheduled-feeds.json');
+      const schedulerFile = this.getScheduledFeedsFile();
       if (fs.existsSync(schedulerFile)) {
         const scheduledData = JSON.parse(fs.readFileSync(schedulerFile, 'utf8'));
         this.scheduledFeeds = new Map(Object.entries(scheduledData.feeds || {}));
         this.stats = { ...this.stats, ...scheduledData.stats };
+        this.lastSaved = scheduledData.lastSaved || null;
       }
     } catch (error) {
       console.warn('Failed to load scheduled feeds:', error.message);
     }
+    this.syncedFeeds = serializeFeeds(this.scheduledFeeds);
   }
 
   /**
    * Save scheduled feeds to storage
+   * Changes another process saved since the last read are merged in first, and the file
+   * is replaced atomically so readers never see a half-written one.
    */
   saveScheduledFeeds() {
     try {
-      const schedulerFile = path.join(this.options.dataPath, 'scheduled-feeds.json');
+      this.reloadScheduledFeeds();
+
+      const schedulerFile = this.getScheduledFeedsFile();
       const scheduledData = {
         feeds: Object.fromEntries(this.scheduledFeeds),
         stats: this.stats,
         lastSaved: new Date().toISOString(),
       };
-      fs.writeFileSync(schedulerFile, JSON.stringify(scheduledData, null, 2));
+      const tempFile = `${schedulerFile}.${process.pid}.tmp`;
+      fs.writeFileSync(tempFile, JSON.stringify(scheduledData, null, 2));
+      fs.renameSync(tempFile, schedulerFile);
+      this.lastSaved = scheduledData.lastSaved;
+      this.syncedFeeds = serializeFeeds(this.scheduledFeeds);
     } catch (error) {
       console.error('Failed to save scheduled feeds:', error.message);
     }
   }
 
+  /**
+   * Pick up scheduled feeds another process (e.g. `rssamp feeds add`) wrote to storage
+   * Feeds changed in storage since the last read or save are merged into the ones in memory,
+   * the feed manager reloads its feeds, and cron jobs are started, stopped or recreated to match.
+   * Nothing happens if nobody else changed the file.
+   * @returns {object} Feed IDs that were { added, removed, updated }, plus error if the file could not be read
+   */
+  reloadScheduledFeeds() {
+    const changes = { added: [], removed: [], updated: [] };
+
+    let scheduledData;
+    try {
+      scheduledData = JSON.parse(fs.readFileSync(this.getScheduledFeedsFile(), 'utf8'));
+    } catch (error) {
+      // A missing file has nothing to pick up
+      if (error.code !== 'ENOENT') {
+        console.warn('Failed to reload scheduled feeds:', error.message);
+        changes.error = error.message;
+      }
+      return changes;
+    }
+
+    const storedFeeds = serializeFeeds(new Map(Object.entries(scheduledData.feeds || {})));
+    const feedIds = new Set([...this.syncedFeeds.keys(), ...storedFeeds.keys()]);
+    const outsideChanges = [...feedIds].filter(feedId => storedFeeds.get(feedId) !== this.syncedFeeds.get(feedId));
+    if (outsideChanges.length === 0) {
+      return changes;
+    }
+
+    const previous = this.scheduledFeeds;
+    this.scheduledFeeds = new Map(previous);
+    for (const feedId of outsideChanges) {
+      const merged = mergeScheduledFeed(
+        parseFeed(this.syncedFeeds.get(feedId)),
+        previous.get(feedId) || null,
+        parseFeed(storedFeeds.get(feedId))
+      );
+      if (merged) {
+        this.scheduledFeeds.set(feedId, merged);
+      } else {
+        this.scheduledFeeds.delete(feedId);
+      }
+    }
+
+    this.syncedFeeds = storedFeeds;
+    this.lastSaved = scheduledData.lastSaved || null;
+    this.stats.totalFeeds = this.scheduledFeeds.size;
+    this.options.feedManager.loadFeedsSync?.();
+
+    for (const feedId of previous.keys()) {
+      if (!this.scheduledFeeds.has(feedId)) {
+        this.stopCronJob(feedId);
+        changes.removed.push(feedId);
+      }
+    }
+
+    for (const [feedId, scheduledFeed] of this.scheduledFeeds) {
+      const before = previous.get(feedId);
+      if (!before) {
+        changes.added.push(feedId);
+      } else if (before.interval !== scheduledFeed.interval || before.timezone !== scheduledFeed.timezone
+        || before.enabled !== scheduledFeed.enabled) {
+        changes.updated.push(feedId);
+      }
+
+      if (!this.running || this.paused) continue;
+
+      if (!scheduledFeed.enabled) {
+        this.stopCronJob(feedId);
+      } else if (!this.activeJobs.has(feedId) || changes.updated.includes(feedId)) {
+        this.createCronJob(feedId, scheduledFeed);
+      }
+    }
+
+    return changes;
+  }
+
   /**
    * Add a feed to the scheduler
    * @param {string} url - Feed URL
    * @param {object} options - Feed options
+   * @param {string} [options.interval] - Cron expression or natural interval (e.g. "weekdays at 08:30")
+   * @param {string} [options.timezone] - IANA timezone the interval is evaluated in (defaults to UTC)
    * @returns {Promise<object>} Result with feedId and nextRun
    */
   async addFeed(url, options = {}) {
     try {
       const feedId = this.generateFeedId(url);
-      const interval = options.interval || this.options.defaultInterval;
-      
+      const interval = compileInterval(options.interval || this.options.defaultInterval);
+      const timezone = options.timezone || 'UTC';
+
       // Validate cron expression
       const validation = validateCronExpression(interval);
       if (!validation.valid) {
@@ -101,24 +247,33 @@ export class FeedScheduler {
         };
       }
 
+      if (!isValidTimezone(timezone)) {
+        return {
+          success: false,
+          error: `Invalid timezone: ${timezone}`,
+        };
+      }
+
       // Add feed to feed manager first
       const feedResult = await this.options.feedManager.addFeed(url, options);
       if (!feedResult.success) {
         return feedResult;
       }
 
-      const nextRun = getNextRunTime(interval);
+      const nextRun = getNextRunTime(interval, { timezone });
       const scheduledFeed = {
         id: feedId,
         url,
         title: options.title || '',
-        interval,
         nextRun: nextRun.toISOString(),
         lastRun: null,
         lastSuccess: null,
         failureCount: 0,
         enabled: true,
         ...options,
+        // The compiled cron expression is stored, never the natural interval
+        interval,
+        timezone,
       };
 
       this.scheduledFeeds.set(feedId, scheduledFeed);
@@ -188,10 +343,13 @@ export class FeedScheduler {
   /**
    * Update feed schedule
    * @param {string} feedId - Feed ID
-   * @param {string} newInterval - New cron interval
+   * @param {string|null} newInterval - New cron expression or natural interval (null keeps the current one)
+   * @param {object} options - Schedule options
+   * @param {string} [options.timezone] - New IANA timezone
+   * @param {boolean|null} [options.adaptive] - Adaptive polling override (null removes it)
    * @returns {Promise<object>} Result
    */
-  async updateFeedSchedule(feedId, newInterval) {
+  async updateFeedSchedule(feedId, newInterval, options = {}) {
     try {
       if (!this.scheduledFeeds.has(feedId)) {
         return {
@@ -200,8 +358,17 @@ export class FeedScheduler {
         };
       }
 
+      const scheduledFeed = this.scheduledFeeds.get(feedId);
+      const adaptive = options.adaptive === undefined ? scheduledFeed.adaptive : options.adaptive;
+      // A new interval replaces the configured one; without adaptive polling the configured one applies
+      const keepAdaptedInterval = !newInterval && (adaptive ?? this.options.adaptive);
+      const interval = newInterval
+        ? compileInterval(newInterval)
+        : (!keepAdaptedInterval && scheduledFeed.baseInterval) || scheduledFeed.interval;
+      const timezone = options.timezone || scheduledFeed.timezone || 'UTC';
+
       // Validate new cron expression
-      const validation = validateCronExpression(newInterval);
+      const validation = validateCronExpression(interval);
       if (!validation.valid) {
         return {
           success: false,
@@ -209,9 +376,24 @@ export class FeedScheduler {
         };
       }
 
-      const scheduledFeed = this.scheduledFeeds.get(feedId);
-      scheduledFeed.interval = newInterval;
-      scheduledFeed.nextRun = getNextRunTime(newInterval).toISOString();
+      if (!isValidTimezone(timezone)) {
+        return {
+          success: false,
+          error: `Invalid timezone: ${timezone}`,
+        };
+      }
+
+      scheduledFeed.interval = interval;
+      scheduledFeed.timezone = timezone;
+      scheduledFeed.nextRun = getNextRunTime(interval, { timezone }).toISOString();
+      if (adaptive === undefined || adaptive === null) {
+        delete scheduledFeed.adaptive;
+      } else {
+        scheduledFeed.adaptive = adaptive;
+      }
+      if (!keepAdaptedInterval) {
+        clearAdaptiveState(scheduledFeed);
+      }
 
       this.scheduledFeeds.set(feedId, scheduledFeed);
       this.saveScheduledFeeds();
@@ -227,6 +409,8 @@ export class FeedScheduler {
 
       return {
         success: true,
+        interval,
+        timezone,
         nextRun: new Date(scheduledFeed.nextRun),
       };
     } catch (error) {
@@ -255,6 +439,12 @@ export class FeedScheduler {
       activeJobs: this.activeJobs.size,
       isRunning: this.running,
       isPaused: this.paused,
+      queueDepth: this.fetchQueue.length,
+      inFlight: this.inFlight,
+      inFlightByHost: Object.fromEntries(this.inFlightByHost),
+      disabledFeeds: Array.from(this.scheduledFeeds.values())
+        .filter(feed => feed.enabled === false)
+        .map(({ id, url, title, disabledAt, disabledReason }) => ({ id, url, title, disabledAt, disabledReason })),
       lastUpdate: this.stats.lastUpdateTime,
       stats: { ...this.stats },
     };
@@ -280,6 +470,13 @@ export class FeedScheduler {
     this.running = true;
     this.paused = false;
 
+    // Feeds whose adaptive polling was switched off since the last run go back to their configured interval
+    for (const feedId of this.scheduledFeeds.keys()) {
+      if (!this.isAdaptive(feedId)) {
+        this.restoreBaseInterval(feedId);
+      }
+    }
+
     // Create cron jobs for all scheduled feeds
     for (const [feedId, scheduledFeed] of this.scheduledFeeds) {
       if (scheduledFeed.enabled) {
@@ -287,7 +484,79 @@ export class FeedScheduler {
       }
     }
 
-    console.log(`Feed scheduler started with ${this.scheduledFeeds.size} feeds`);
+    emitFeedEvent(this, FEED_EVENTS.SCHEDULER_STARTED, { feedCount: this.scheduledFeeds.size });
+
+    // Runs missed while the scheduler was down go through the fetch queue in the background
+    this.catchUpRun = this.catchUpMissedRuns();
+  }
+
+  /**
+   * Catch up on scheduled runs whose nextRun passed while the scheduler was not running
+   * Follows the catchUp policy and records the outcome as lastCatchUp on each overdue feed.
+   * @param {object} options - Options
+   * @param {string} [options.policy] - none, once or all (defaults to the catchUp option)
+   * @param {Date} [options.now] - Current time
+   * @returns {Promise<Array>} One entry per overdue feed: { feedId, url, missedRuns, runs, results }
+   */
+  async catchUpMissedRuns(options = {}) {
+    const policy = options.policy || this.options.catchUp;
+    const now = options.now || new Date();
+
+    const overdue = Array.from(this.scheduledFeeds.entries()).filter(([feedId, scheduledFeed]) => (
+      scheduledFeed.nextRun &&
+      Date.parse(scheduledFeed.nextRun) <= now.getTime() &&
+      !this.isCoolingDown(feedId)
+    ));
+
+    return Promise.all(overdue.map(async ([feedId, scheduledFeed]) => {
+      const missedRuns = this.countMissedRuns(scheduledFeed, now);
+      const plannedRuns = { none: 0, once: 1, all: missedRuns }[policy];
+      const results = [];
+
+      // Runs of the same feed are sequential; different feeds share the fetch queue
+      while (results.length < plannedRuns && this.running && !this.isCoolingDown(feedId)) {
+        results.push(await this.enqueueFetch(scheduledFeed.url, { catchUp: true }));
+      }
+
+      if (results.length === 0) {
+        scheduledFeed.nextRun = getNextRunTime(scheduledFeed.interval, { timezone: scheduledFeed.timezone }).toISOString();
+      }
+      scheduledFeed.lastCatchUp = {
+        at: now.toISOString(),
+        policy,
+        missedRuns,
+        runs: results.length,
+        success: results.every(result => result.success),
+      };
+      this.scheduledFeeds.set(feedId, scheduledFeed);
+      this.saveScheduledFeeds();
+
+      return {
+        feedId,
+        url: scheduledFeed.url,
+        missedRuns,
+        runs: results.length,
+        results,
+      };
+    }));
+  }
+
+  /**
+   * Count the cron fires between a feed's (past) nextRun and now
+   * @param {object} scheduledFeed - Scheduled feed
+   * @param {Date} now - Current time
+   * @returns {number} Missed runs, at least 1 and at most maxCatchUpRuns
+   */
+  countMissedRuns(scheduledFeed, now) {
+    try {
+      const missed = getNextRunTimes(scheduledFeed.interval, this.options.maxCatchUpRuns, {
+        from: new Date(Date.parse(scheduledFeed.nextRun) - 1000),
+        timezone: scheduledFeed.timezone || 'UTC',
+      }).filter(runTime => runTime <= now);
+      return Math.max(missed.length, 1);
+    } catch {
+      return 1;
+    }
   }
 
   /**
@@ -308,7 +577,20 @@ export class FeedScheduler {
     }
     this.activeJobs.clear();
 
-    console.log('Feed scheduler stopped');
+    // Drop fetches that have not started yet; in-flight fetches finish normally
+    for (const task of this.fetchQueue.splice(0)) {
+      task.resolve({ success: false, error: 'Scheduler stopped' });
+    }
+
+    emitFeedEvent(this, FEED_EVENTS.SCHEDULER_STOPPED);
+  }
+
+  /**
+   * Wait for fetches that are in flight and for the catch-up run to finish
+   * @returns {Promise<void>}
+   */
+  async waitForIdle() {
+    await Promise.allSettled([...this.pendingFetches.values(), this.catchUpRun]);
   }
 
   /**
@@ -327,7 +609,7 @@ export class FeedScheduler {
       job.stop();
     }
 
-    console.log('Feed scheduler paused');
+    emitFeedEvent(this, FEED_EVENTS.SCHEDULER_PAUSED);
   }
 
   /**
@@ -346,7 +628,7 @@ export class FeedScheduler {
       job.start();
     }
 
-    console.log('Feed scheduler resumed');
+    emitFeedEvent(this, FEED_EVENTS.SCHEDULER_RESUMED);
   }
 
   /**
@@ -368,27 +650,65 @@ export class FeedScheduler {
   /**
    * Fetch and update a feed
    * @param {string} url - Feed URL
-   * @param {object} options - Fetch options
+   * @param {object} options - Fetch options (retryAttempts, retryDelay, catchUp, plus importRSSFeed options)
    * @returns {Promise<object>} Update result
    */
   async fetchAndUpdateFeed(url, options = {}) {
-    const maxRetries = options.retryAttempts || this.options.retryAttempts;
-    const retryDelay = options.retryDelay || this.options.retryDelay;
+    const { catchUp = false, ...fetchOptions } = options;
+    const maxRetries = fetchOptions.retryAttempts || this.options.retryAttempts;
+    const retryDelay = fetchOptions.retryDelay || this.options.retryDelay;
+
+    const feedId = this.generateFeedId(url);
+    const startTime = Date.now();
+
+    // Reuse stored validators for a conditional GET
+    const storedFeed = await this.options.feedManager.getFeed(feedId);
+    const importOptions = {
+      etag: storedFeed?.etag,
+      lastModified: storedFeed?.lastModified,
+      ...fetchOptions,
+    };
 
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
         // Import fresh feed data
-        const importResult = await importRSSFeed(url, options);
+        const importResult = await importRSSFeed(url, importOptions);
         if (!importResult.success) {
-          throw new Error(importResult.error);
+          throw Object.assign(new Error(importResult.error), { retryAfter: importResult.retryAfter });
         }
 
-        // Update feed in manager
-        const feedId = this.generateFeedId(url);
-        const updateResult = await this.options.feedManager.addFeed(url, {
-          ...importResult.feed,
-          lastUpdated: new Date().toISOString(),
-        });
+        if (importResult.notModified) {
+          // Nothing changed upstream - keep existing items
+          this.stats.successfulUpdates++;
+          this.stats.notModifiedUpdates++;
+          this.stats.lastUpdateTime = new Date().toISOString();
+          this.recordScheduledSuccess(feedId);
+          this.adaptPollingInterval(feedId, storedFeed);
+
+          await this.logFeedProcessing({
+            feedId,
+            url,
+            catchUp,
+            success: true,
+            notModified: true,
+            articlesProcessed: 0,
+            processingTime: Date.now() - startTime,
+          });
+
+          emitFeedEvent(this, FEED_EVENTS.FEED_UPDATED, { feedId, url, notModified: true, itemsAdded: 0, attempt });
+
+          return {
+            success: true,
+            notModified: true,
+            feed: storedFeed || importResult.feed,
+            itemsAdded: 0,
+            newItems: [],
+            attempt,
+          };
+        }
+
+        // Merge fetched items into the stored feed
+        const updateResult = await this.options.feedManager.mergeFeed(url, importResult.feed);
 
         if (!updateResult.success) {
           throw new Error(updateResult.error);
@@ -399,52 +719,456 @@ export class FeedScheduler {
         this.stats.lastUpdateTime = new Date().toISOString();
 
         // Update scheduled feed info
-        if (this.scheduledFeeds.has(feedId)) {
-          const scheduledFeed = this.scheduledFeeds.get(feedId);
-          scheduledFeed.lastRun = new Date().toISOString();
-          scheduledFeed.lastSuccess = new Date().toISOString();
-          scheduledFeed.failureCount = 0;
-          scheduledFeed.nextRun = getNextRunTime(scheduledFeed.interval).toISOString();
-          this.scheduledFeeds.set(feedId, scheduledFeed);
-          this.saveScheduledFeeds();
+        this.recordScheduledSuccess(feedId);
+        this.adaptPollingInterval(feedId, updateResult.feed);
+
+        await this.logFeedProcessing({
+          feedId,
+          url,
+          catchUp,
+          success: true,
+          notModified: false,
+          articlesProcessed: importResult.feed.items?.length || 0,
+          newArticles: updateResult.newItems.length,
+          processingTime: Date.now() - startTime,
+        });
+
+        emitFeedEvent(this, FEED_EVENTS.FEED_UPDATED, {
+          feedId,
+          url,
+          notModified: false,
+          itemsAdded: updateResult.newItems.length,
+          attempt,
+        });
+        if (updateResult.newItems.length > 0) {
+          emitFeedEvent(this, FEED_EVENTS.ITEMS_NEW, { feedId, url, items: updateResult.newItems });
         }
 
         return {
           success: true,
-          feed: importResult.feed,
-          itemsAdded: importResult.feed.items?.length || 0,
+          notModified: false,
+          feed: updateResult.feed,
+          itemsAdded: updateResult.newItems.length,
+          newItems: updateResult.newItems,
           attempt,
         };
       } catch (error) {
-        console.warn(`Feed fetch attempt ${attempt}/${maxRetries} failed for ${url}:`, error.message);
-        
-        if (attempt === maxRetries) {
+        // Exponential backoff unless the server said how long to wait
+        const retryAfter = error.retryAfter ?? null;
+        const delay = retryAfter ?? retryDelay * 2 ** (attempt - 1);
+
+        if (attempt === maxRetries || delay > this.options.maxRetryDelay) {
           // Final attempt failed
           this.stats.failedUpdates++;
-          
-          // Update scheduled feed failure info
-          const feedId = this.generateFeedId(url);
-          if (this.scheduledFeeds.has(feedId)) {
-            const scheduledFeed = this.scheduledFeeds.get(feedId);
-            scheduledFeed.lastRun = new Date().toISOString();
-            scheduledFeed.failureCount++;
-            scheduledFeed.nextRun = getNextRunTime(scheduledFeed.interval).toISOString();
-            this.scheduledFeeds.set(feedId, scheduledFeed);
-            this.saveScheduledFeeds();
-          }
+          const scheduledFeed = this.recordScheduledFailure(feedId, error.message, retryAfter);
+
+          await this.logFeedProcessing({
+            feedId,
+            url,
+            catchUp,
+            success: false,
+            notModified: false,
+            error: error.message,
+            processingTime: Date.now() - startTime,
+          });
+
+          emitFeedEvent(this, FEED_EVENTS.FEED_FAILED, {
+            feedId,
+            url,
+            error: error.message,
+            attempts: attempt,
+            retryAfter,
+            failureCount: scheduledFeed?.failureCount ?? null,
+            cooldownUntil: scheduledFeed?.cooldownUntil ?? null,
+          });
 
           return {
             success: false,
             error: error.message,
-            attempts: maxRetries,
+            attempts: attempt,
+            retryAfter,
+            disabled: scheduledFeed ? !scheduledFeed.enabled : false,
           };
         }
 
-        // Wait before retry
-        if (attempt < maxRetries) {
-          await new Promise(resolve => setTimeout(resolve, retryDelay));
+        emitFeedEvent(this, FEED_EVENTS.FEED_RETRY, {
+          feedId,
+          url,
+          attempt,
+          maxRetries,
+          error: error.message,
+          delay,
+        });
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Refresh feeds now, independently of their schedules
+   * @param {Array<string>|null} feedIds - Feed IDs to refresh (all managed feeds when omitted)
+   * @param {object} options - Refresh options (concurrency, onResult callback, fetchAndUpdateFeed options)
+   * @returns {Promise<Array>} Results in input order, each with feedId, url and title
+   */
+  async refreshFeeds(feedIds = null, options = {}) {
+    const { concurrency = this.options.maxConcurrent, onResult, ...fetchOptions } = options;
+    const feeds = await this.options.feedManager.listFeeds();
+    const targets = feedIds
+      ? feedIds.map(feedId => feeds.find(feed => feed.id === feedId) || { id: feedId, url: null })
+      : feeds;
+
+    const results = new Array(targets.length);
+    let nextIndex = 0;
+
+    // Each worker takes the next feed until none are left
+    const worker = async () => {
+      while (nextIndex < targets.length) {
+        const index = nextIndex++;
+        const feed = targets[index];
+        const result = feed.url
+          ? await this.enqueueFetch(feed.url, fetchOptions)
+          : { success: false, error: 'Feed not found' };
+
+        results[index] = {
+          feedId: feed.id,
+          url: feed.url,
+          title: feed.title || '',
+          ...result,
+        };
+
+        if (onResult) {
+          onResult(results[index]);
         }
       }
+    };
+
+    const workerCount = Math.max(1, Math.min(concurrency, targets.length));
+    await Promise.all(Array.from({ length: workerCount }, () => worker()));
+
+    return results;
+  }
+
+  /**
+   * Queue a feed fetch, respecting the global (maxConcurrent) and per-host (maxPerHost) limits
+   * A feed that is already queued or being fetched shares the pending result.
+   * @param {string} url - Feed URL
+   * @param {object} options - fetchAndUpdateFeed options
+   * @returns {Promise<object>} fetchAndUpdateFeed result
+   */
+  enqueueFetch(url, options = {}) {
+    if (this.pendingFetches.has(url)) {
+      return this.pendingFetches.get(url);
+    }
+
+    const pending = new Promise(resolve => {
+      this.fetchQueue.push({ url, host: getHost(url), options, resolve });
+    }).finally(() => this.pendingFetches.delete(url));
+
+    this.pendingFetches.set(url, pending);
+    this.drainFetchQueue();
+
+    return pending;
+  }
+
+  /**
+   * Start queued fetches while the concurrency limits allow
+   * Fetches for a busy host wait without blocking fetches for other hosts.
+   */
+  drainFetchQueue() {
+    let index = 0;
+    while (index < this.fetchQueue.length && this.inFlight < this.options.maxConcurrent) {
+      const task = this.fetchQueue[index];
+      if ((this.inFlightByHost.get(task.host) || 0) >= this.options.maxPerHost) {
+        index++;
+        continue;
+      }
+
+      this.fetchQueue.splice(index, 1);
+      this.runFetchTask(task);
+    }
+  }
+
+  /**
+   * Run a queued fetch and start the next ones when it settles
+   * @param {object} task - Queued fetch
+   */
+  async runFetchTask(task) {
+    this.inFlight++;
+    this.inFlightByHost.set(task.host, (this.inFlightByHost.get(task.host) || 0) + 1);
+
+    try {
+      task.resolve(await this.fetchAndUpdateFeed(task.url, task.options));
+    } catch (error) {
+      task.resolve({ success: false, error: error.message });
+    } finally {
+      this.inFlight--;
+      const hostCount = this.inFlightByHost.get(task.host) - 1;
+      if (hostCount > 0) {
+        this.inFlightByHost.set(task.host, hostCount);
+      } else {
+        this.inFlightByHost.delete(task.host);
+      }
+      this.drainFetchQueue();
+    }
+  }
+
+  /**
+   * Get the fixed delay applied to a feed's cron fires
+   * Derived from the feed ID so each feed keeps the same offset within the jitter window.
+   * @param {string} feedId - Feed ID
+   * @returns {number} Delay in ms (0 when jitter is disabled)
+   */
+  getJitterDelay(feedId) {
+    if (!this.options.jitter) {
+      return 0;
+    }
+
+    let hash = 0;
+    for (const char of feedId) {
+      hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    }
+    return hash % (this.options.jitter + 1);
+  }
+
+  /**
+   * Record a successful run on the scheduled feed entry
+   * @param {string} feedId - Feed ID
+   */
+  recordScheduledSuccess(feedId) {
+    if (!this.scheduledFeeds.has(feedId)) {
+      return;
+    }
+
+    const scheduledFeed = this.scheduledFeeds.get(feedId);
+    scheduledFeed.lastRun = new Date().toISOString();
+    scheduledFeed.lastSuccess = new Date().toISOString();
+    scheduledFeed.failureCount = 0;
+    scheduledFeed.nextRun = getNextRunTime(scheduledFeed.interval, { timezone: scheduledFeed.timezone }).toISOString();
+    delete scheduledFeed.cooldownUntil;
+    delete scheduledFeed.lastError;
+    this.scheduledFeeds.set(feedId, scheduledFeed);
+    this.saveScheduledFeeds();
+  }
+
+  /**
+   * Adapt a feed's polling interval to its publishing cadence (adaptive mode only)
+   * The decision is recorded as adaptiveReason; the configured interval is kept as baseInterval.
+   * @param {string} feedId - Feed ID
+   * @param {object} feed - Stored feed with items and pollingHints
+   * @returns {object|null} Decision from computePollingInterval, or null if not adaptive
+   */
+  adaptPollingInterval(feedId, feed) {
+    const scheduledFeed = this.scheduledFeeds.get(feedId);
+    if (!scheduledFeed || !feed) {
+      return null;
+    }
+    if (!this.isAdaptive(feedId)) {
+      this.restoreBaseInterval(feedId);
+      return null;
+    }
+
+    const timezone = scheduledFeed.timezone || 'UTC';
+    const decision = computePollingInterval(feed, {
+      minInterval: this.options.minInterval,
+      maxInterval: this.options.maxInterval,
+      // skipHours/skipDays are GMT hours, so they only map onto UTC schedules
+      applySkips: timezone === 'UTC',
+    });
+
+    scheduledFeed.baseInterval = scheduledFeed.baseInterval || scheduledFeed.interval;
+    scheduledFeed.adaptiveReason = decision.reason;
+    scheduledFeed.adaptiveUpdatedAt = new Date().toISOString();
+
+    if (decision.interval && decision.interval !== scheduledFeed.interval) {
+      scheduledFeed.interval = decision.interval;
+      scheduledFeed.nextRun = getNextRunTime(decision.interval, { timezone }).toISOString();
+
+      if (this.running && !this.paused && this.activeJobs.has(feedId)) {
+        this.createCronJob(feedId, scheduledFeed);
+      }
+    }
+
+    this.scheduledFeeds.set(feedId, scheduledFeed);
+    this.saveScheduledFeeds();
+
+    return decision;
+  }
+
+  /**
+   * Check whether a feed uses adaptive polling (its own adaptive flag, else the scheduler option)
+   * @param {string} feedId - Feed ID
+   * @returns {boolean} True if adaptive
+   */
+  isAdaptive(feedId) {
+    return !!(this.scheduledFeeds.get(feedId)?.adaptive ?? this.options.adaptive);
+  }
+
+  /**
+   * Put back the configured interval of a feed that adaptive polling had changed
+   * @param {string} feedId - Feed ID
+   * @returns {boolean} True if the feed had an adapted interval
+   */
+  restoreBaseInterval(feedId) {
+    const scheduledFeed = this.scheduledFeeds.get(feedId);
+    if (!scheduledFeed?.baseInterval) {
+      return false;
+    }
+
+    if (scheduledFeed.interval !== scheduledFeed.baseInterval) {
+      scheduledFeed.interval = scheduledFeed.baseInterval;
+      scheduledFeed.nextRun = getNextRunTime(scheduledFeed.interval, { timezone: scheduledFeed.timezone || 'UTC' }).toISOString();
+
+      if (this.running && !this.paused && this.activeJobs.has(feedId)) {
+        this.createCronJob(feedId, scheduledFeed);
+      }
+    }
+    clearAdaptiveState(scheduledFeed);
+
+    this.scheduledFeeds.set(feedId, scheduledFeed);
+    this.saveScheduledFeeds();
+
+    return true;
+  }
+
+  /**
+   * Record a failed run: push nextRun past a growing cooldown and disable the feed
+   * once it reaches maxFailures consecutive failures
+   * @param {string} feedId - Feed ID
+   * @param {string} errorMessage - Error of the last attempt
+   * @param {number|null} retryAfter - Server-requested delay (ms)
+   * @returns {object|null} Updated scheduled feed, or null if the feed is not scheduled
+   */
+  recordScheduledFailure(feedId, errorMessage, retryAfter = null) {
+    if (!this.scheduledFeeds.has(feedId)) {
+      return null;
+    }
+
+    const scheduledFeed = this.scheduledFeeds.get(feedId);
+    const now = Date.now();
+    scheduledFeed.lastRun = new Date(now).toISOString();
+    scheduledFeed.failureCount = (scheduledFeed.failureCount || 0) + 1;
+    scheduledFeed.lastError = errorMessage;
+
+    const cooldown = Math.max(
+      Math.min(this.options.failureCooldown * 2 ** (scheduledFeed.failureCount - 1), this.options.maxCooldown),
+      retryAfter || 0,
+    );
+    const cooldownUntil = new Date(now + cooldown);
+    scheduledFeed.cooldownUntil = cooldownUntil.toISOString();
+    scheduledFeed.nextRun = getNextRunTime(scheduledFeed.interval, {
+      timezone: scheduledFeed.timezone,
+      from: cooldownUntil,
+    }).toISOString();
+
+    const autoDisable = scheduledFeed.enabled !== false
+      && this.options.maxFailures > 0 && scheduledFeed.failureCount >= this.options.maxFailures;
+    if (autoDisable) {
+      scheduledFeed.enabled = false;
+      scheduledFeed.disabledAt = new Date(now).toISOString();
+      scheduledFeed.disabledReason = `${scheduledFeed.failureCount} consecutive failures (last error: ${errorMessage})`;
+      this.stopCronJob(feedId);
+    }
+
+    this.scheduledFeeds.set(feedId, scheduledFeed);
+    this.saveScheduledFeeds();
+
+    if (autoDisable) {
+      this.emitDisabled(feedId, scheduledFeed);
+    }
+
+    return scheduledFeed;
+  }
+
+  /**
+   * Re-enable a disabled feed and clear its failure history
+   * @param {string} feedId - Feed ID
+   * @returns {Promise<object>} Result with nextRun
+   */
+  async enableFeed(feedId) {
+    if (!this.scheduledFeeds.has(feedId)) {
+      return {
+        success: false,
+        error: 'Scheduled feed not found',
+      };
+    }
+
+    const scheduledFeed = this.scheduledFeeds.get(feedId);
+    scheduledFeed.enabled = true;
+    scheduledFeed.failureCount = 0;
+    scheduledFeed.nextRun = getNextRunTime(scheduledFeed.interval, { timezone: scheduledFeed.timezone }).toISOString();
+    delete scheduledFeed.cooldownUntil;
+    delete scheduledFeed.disabledAt;
+    delete scheduledFeed.disabledReason;
+
+    this.scheduledFeeds.set(feedId, scheduledFeed);
+    this.saveScheduledFeeds();
+
+    if (this.running && !this.paused && !this.activeJobs.has(feedId)) {
+      this.createCronJob(feedId, scheduledFeed);
+    }
+
+    emitFeedEvent(this, FEED_EVENTS.FEED_ENABLED, { feedId, url: scheduledFeed.url });
+
+    return {
+      success: true,
+      nextRun: new Date(scheduledFeed.nextRun),
+    };
+  }
+
+  /**
+   * Disable a feed so it is no longer fetched on schedule
+   * @param {string} feedId - Feed ID
+   * @param {string} reason - Reason recorded as disabledReason
+   * @returns {Promise<object>} Result
+   */
+  async disableFeed(feedId, reason = 'Disabled manually') {
+    if (!this.scheduledFeeds.has(feedId)) {
+      return {
+        success: false,
+        error: 'Scheduled feed not found',
+      };
+    }
+
+    const scheduledFeed = this.scheduledFeeds.get(feedId);
+    scheduledFeed.enabled = false;
+    scheduledFeed.disabledAt = new Date().toISOString();
+    scheduledFeed.disabledReason = reason;
+
+    this.scheduledFeeds.set(feedId, scheduledFeed);
+    this.saveScheduledFeeds();
+    this.stopCronJob(feedId);
+    this.emitDisabled(feedId, scheduledFeed);
+
+    return { success: true };
+  }
+
+  /**
+   * Emit feed:disabled for a feed that was just disabled
+   * @param {string} feedId - Feed ID
+   * @param {object} scheduledFeed - Scheduled feed
+   */
+  emitDisabled(feedId, scheduledFeed) {
+    emitFeedEvent(this, FEED_EVENTS.FEED_DISABLED, {
+      feedId,
+      url: scheduledFeed.url,
+      reason: scheduledFeed.disabledReason,
+      failureCount: scheduledFeed.failureCount || 0,
+    });
+  }
+
+  /**
+   * Log a feed_processing analytics event if an analytics logger is configured
+   * @param {object} eventData - Event data
+   */
+  async logFeedProcessing(eventData) {
+    if (!this.options.analyticsLogger) {
+      return;
+    }
+
+    try {
+      await this.options.analyticsLogger.logEvent('feed_processing', eventData);
+    } catch (error) {
+      console.warn('Failed to log feed processing event:', error.message);
     }
   }
 
@@ -454,13 +1178,23 @@ export class FeedScheduler {
    * @param {object} scheduledFeed - Scheduled feed data
    */
   createCronJob(feedId, scheduledFeed) {
+    this.stopCronJob(feedId);
+
     try {
+      const jitterDelay = this.getJitterDelay(feedId);
       const job = createScheduledJob(scheduledFeed.interval, async () => {
-        if (this.paused) return;
+        if (jitterDelay > 0) {
+          await new Promise(resolve => setTimeout(resolve, jitterDelay));
+        }
+        if (this.paused || !this.running || this.isCoolingDown(feedId)) return;
 
-        console.log(`Updating feed: ${scheduledFeed.title || scheduledFeed.url}`);
-        await this.fetchAndUpdateFeed(scheduledFeed.url);
-      });
+        emitFeedEvent(this, FEED_EVENTS.FEED_FETCHING, {
+          feedId,
+          url: scheduledFeed.url,
+          title: scheduledFeed.title || '',
+        });
+        await this.enqueueFetch(scheduledFeed.url);
+      }, { timezone: scheduledFeed.timezone });
 
       this.activeJobs.set(feedId, job);
     } catch (error) {
@@ -468,6 +1202,30 @@ export class FeedScheduler {
     }
   }
 
+  /**
+   * Check whether a feed is disabled or still in its failure cooldown
+   * @param {string} feedId - Feed ID
+   * @returns {boolean} True if scheduled fetches should be skipped
+   */
+  isCoolingDown(feedId) {
+    const scheduledFeed = this.scheduledFeeds.get(feedId);
+    if (!scheduledFeed || scheduledFeed.enabled === false) {
+      return true;
+    }
+    return !!scheduledFeed.cooldownUntil && Date.now() < Date.parse(scheduledFeed.cooldownUntil);
+  }
+
+  /**
+   * Stop the cron job of a feed if one is running
+   * @param {string} feedId - Feed ID
+   */
+  stopCronJob(feedId) {
+    if (this.activeJobs.has(feedId)) {
+      this.activeJobs.get(feedId).stop();
+      this.activeJobs.delete(feedId);
+    }
+  }
+
   /**
    * Generate a unique feed ID from URL
    * @param {string} url - Feed URL
@@ -486,6 +1244,64 @@ export class FeedScheduler {
   }
 }
 
+/**
+ * Drop what adaptive polling recorded on a scheduled feed
+ * @param {object} scheduledFeed - Scheduled feed
+ */
+function clearAdaptiveState(scheduledFeed) {
+  delete scheduledFeed.baseInterval;
+  delete scheduledFeed.adaptiveReason;
+  delete scheduledFeed.adaptiveUpdatedAt;
+}
+
+/**
+ * Serialize scheduled feeds for change detection
+ * @param {Map} scheduledFeeds - Scheduled feeds by ID
+ * @returns {Map} JSON of each feed by ID
+ */
+function serializeFeeds(scheduledFeeds) {
+  return new Map(Array.from(scheduledFeeds, ([feedId, scheduledFeed]) => [feedId, JSON.stringify(scheduledFeed)]));
+}
+
+/**
+ * Parse a serialized scheduled feed
+ * @param {string} [json] - Feed JSON
+ * @returns {object|null} Scheduled feed, or null if there is none
+ */
+function parseFeed(json) {
+  return json === undefined ? null : JSON.parse(json);
+}
+
+/**
+ * Merge a scheduled feed another process changed in storage with the copy in memory
+ * Fields changed in storage win; fields only changed in memory (fetch state, backoff,
+ * adaptive polling) are kept. A feed removed on either side stays removed.
+ * @param {object|null} base - Feed as last read from or saved to storage
+ * @param {object|null} ours - Feed in memory
+ * @param {object|null} theirs - Feed now in storage
+ * @returns {object|null} Merged feed, or null if it was removed
+ */
+function mergeScheduledFeed(base, ours, theirs) {
+  if (JSON.stringify(ours) === JSON.stringify(base)) {
+    return theirs;
+  }
+  if (!ours || !theirs) {
+    return base ? null : ours || theirs;
+  }
+
+  const merged = { ...ours };
+  for (const key of new Set([...Object.keys(base || {}), ...Object.keys(theirs)])) {
+    if (JSON.stringify(theirs[key]) === JSON.stringify(base?.[key])) continue;
+
+    if (key in theirs) {
+      merged[key] = theirs[key];
+    } else {
+      delete merged[key];
+    }
+  }
+  return merged;
+}
+
 /**
  * Validate cron expression
  * @param {string} expression - Cron expression to validate
@@ -504,6 +1320,9 @@ export function validateCronExpression(expression) {
     const isValid = cron.validate(expression);
     if (!isValid) {
       errors.push('Invalid cron expression format');
+    } else {
+      // Next run times are computed by our own evaluator, so it must accept the expression too
+      parseCronExpression(expression);
     }
   } catch (error) {
     errors.push(`Cron validation error: ${error.message}`);
@@ -518,45 +1337,34 @@ export function validateCronExpression(expression) {
 /**
  * Get next run time for cron expression
  * @param {string} cronExpression - Cron expression
+ * @param {object} options - Options
+ * @param {string} [options.timezone] - Timezone the expression is evaluated in (defaults to UTC)
+ * @param {Date} [options.from] - Start after this instant (defaults to now)
  * @returns {Date} Next run time
  */
-export function getNextRunTime(cronExpression) {
+export function getNextRunTime(cronExpression, options = {}) {
   try {
-    // For simplicity, calculate next run based on common patterns
-    const now = new Date();
-    
-    // Parse common cron patterns
-    if (cronExpression.startsWith('*/')) {
-      // Every X minutes pattern: */5 * * * *
-      const minutes = parseInt(cronExpression.split(' ')[0].substring(2));
-      return new Date(now.getTime() + (minutes * 60000));
-    } else if (cronExpression.startsWith('0 */')) {
-      // Every X hours pattern: 0 */2 * * *
-      const hours = parseInt(cronExpression.split(' ')[1].substring(2));
-      return new Date(now.getTime() + (hours * 3600000));
-    } else if (cronExpression === '0 0 * * *') {
-      // Daily at midnight
-      const tomorrow = new Date(now);
-      tomorrow.setDate(tomorrow.getDate() + 1);
-      tomorrow.setHours(0, 0, 0, 0);
-      return tomorrow;
-    }
-    
-    // Default fallback: 30 minutes from now
-    return new Date(now.getTime() + 1800000);
+    const [nextRun] = getNextRunTimes(cronExpression, 1, options);
+    if (nextRun) {
+      return nextRun;
+    }
   } catch (error) {
-    // Fallback to 1 hour from now
-    return new Date(Date.now() + 3600000);
+    // Invalid expressions are rejected by validateCronExpression before they are stored
   }
+
+  // Fallback for expressions that never fire: 1 hour from now
+  return new Date(Date.now() + 3600000);
 }
 
 /**
  * Create a scheduled job with error handling
  * @param {string} cronExpression - Cron expression
  * @param {Function} callback - Job callback function
+ * @param {object} options - Job options
+ * @param {string} [options.timezone] - IANA timezone the expression runs in (defaults to UTC)
  * @returns {object} Cron job instance
  */
-export function createScheduledJob(cronExpression, callback) {
+export function createScheduledJob(cronExpression, callback, options = {}) {
   const wrappedCallback = async () => {
     try {
       await callback();
@@ -567,12 +1375,13 @@ export function createScheduledJob(cronExpression, callback) {
 
   return cron.schedule(cronExpression, wrappedCallback, {
     scheduled: true,
-    timezone: 'UTC',
+    timezone: options.timezone || 'UTC',
   });
 }
 
 export default {
   FeedScheduler,
+  CATCH_UP_POLICIES,
   createScheduledJob,
   validateCronExpression,
   getNextRunTime,
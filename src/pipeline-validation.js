@@ -0,0 +1,72 @@
+/**
+ * Pipeline Validation
+ * Checks pipeline definitions (config.pipelines) without loading the pipeline runtime
+ */
+
+import { parseCronExpression, compileInterval, isValidTimezone } from './cron-expression.js';
+
+/**
+ * Named auto-approve policies (an object of rules is also accepted, see reviewSnippet)
+ */
+export const AUTO_APPROVE_POLICIES = ['none', 'all'];
+
+/**
+ * Validate a pipeline definition
+ * @param {object} definition - Pipeline definition from config.pipelines
+ * @returns {object} { valid, errors }
+ */
+export function validatePipeline(definition) {
+  const errors = [];
+
+  if (!definition || typeof definition !== 'object') {
+    return { valid: false, errors: ['Pipeline must be an object'] };
+  }
+
+  if (!definition.name || typeof definition.name !== 'string') {
+    errors.push('Pipeline name is required');
+  } else if (!/^[a-z0-9][a-z0-9_-]*$/i.test(definition.name)) {
+    errors.push(`Pipeline name "${definition.name}" may only contain letters, digits, - and _`);
+  }
+
+  const label = definition.name ? `Pipeline "${definition.name}"` : 'Pipeline';
+
+  try {
+    parseCronExpression(compileInterval(definition.schedule || ''));
+  } catch (error) {
+    errors.push(`${label} has an invalid schedule: ${error.message}`);
+  }
+
+  if (definition.timezone && !isValidTimezone(definition.timezone)) {
+    errors.push(`${label} has an invalid timezone: ${definition.timezone}`);
+  }
+
+  const { feeds } = definition;
+  const validFeeds = feeds === undefined || feeds === 'all' ||
+    (Array.isArray(feeds) && feeds.every(feed => typeof feed === 'string')) ||
+    (feeds && typeof feeds === 'object' && typeof feeds.category === 'string');
+  if (!validFeeds) {
+    errors.push(`${label} feeds must be "all", a list of feed IDs/URLs or { category }`);
+  }
+
+  if (!Array.isArray(definition.platforms) || definition.platforms.length === 0) {
+    errors.push(`${label} needs at least one target platform`);
+  }
+
+  const policy = definition.autoApprove;
+  if (policy !== undefined && typeof policy !== 'object' && !AUTO_APPROVE_POLICIES.includes(policy)) {
+    errors.push(`${label} autoApprove must be ${AUTO_APPROVE_POLICIES.join(', ')} or an object of rules`);
+  }
+
+  const posting = definition.posting || {};
+  if (posting.maxPerRun !== undefined && !(Number.isInteger(posting.maxPerRun) && posting.maxPerRun >= 0)) {
+    errors.push(`${label} posting.maxPerRun must be a non-negative integer`);
+  }
+  if (posting.minInterval !== undefined && !(typeof posting.minInterval === 'number' && posting.minInterval >= 0)) {
+    errors.push(`${label} posting.minInterval must be a number of minutes`);
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+}
@@ -0,0 +1,615 @@
+/**
+ * Pipeline
+ * Declarative fetch → generate → review → post jobs, run on a cron with a recorded history
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { SnippetManager } from './snippet-manager.js';
+import { createScheduledJob, getNextRunTime } from './feed-scheduler.js';
+import { generateSnippets, postSnippet, sortPostQueue, toSnippetPlatform } from './snippet-workflow.js';
+import { compileInterval } from './cron-expression.js';
+import { resolveBrand } from './brand-profile.js';
+import { AUTO_APPROVE_POLICIES, validatePipeline } from './pipeline-validation.js';
+
+export { AUTO_APPROVE_POLICIES, validatePipeline };
+
+/**
+ * Stages of a pipeline run, in order
+ */
+export const PIPELINE_STAGES = ['fetch', 'generate', 'review', 'post'];
+
+/**
+ * Runs kept per pipeline in pipeline-runs.json
+ */
+const MAX_RUN_HISTORY = 20;
+
+/**
+ * Check a generated snippet against an auto-approve policy
+ * @param {object} snippet - Pending snippet
+ * @param {string|object} policy - none, all, or rules { maxLength, blockedWords, requireSourceUrl }
+ * @returns {object} { approve, reason? }
+ */
+export function reviewSnippet(snippet, policy = 'none') {
+  if (policy === 'all') {
+    return { approve: true };
+  }
+  if (!policy || typeof policy !== 'object') {
+    return { approve: false, reason: 'Manual review' };
+  }
+
+  const content = snippet.content || '';
+  if (policy.maxLength && content.length > policy.maxLength) {
+    return { approve: false, reason: `Longer than ${policy.maxLength} characters` };
+  }
+
+  const blocked = (policy.blockedWords || []).find(word => content.toLowerCase().includes(word.toLowerCase()));
+  if (blocked) {
+    return { approve: false, reason: `Contains "${blocked}"` };
+  }
+
+  if (policy.requireSourceUrl && !snippet.sourceUrl) {
+    return { approve: false, reason: 'No source URL' };
+  }
+
+  return { approve: true };
+}
+
+/**
+ * Pipeline Runner class for running pipeline definitions on their schedules
+ */
+export class PipelineRunner {
+  constructor(options = {}) {
+    this.options = {
+      pipelines: options.pipelines || [],
+      feedManager: options.feedManager || null,
+      // Fetch stage goes through the scheduler's fetch queue
+      feedScheduler: options.feedScheduler || null,
+      generator: options.generator || null,
+      // Brand profiles (config.brands) and defaults (config.general) that generate.brand resolves against
+      config: options.config || null,
+      snippetManager: options.snippetManager || new SnippetManager(),
+      poster: options.poster || null,
+      mapPlatform: options.mapPlatform || (platform => platform),
+      analyticsLogger: options.analyticsLogger || null,
+      // Stored next to scheduled-feeds.json and scheduled-posts.json
+      dataPath: options.dataPath || path.join(os.homedir(), '.config', 'rss-amplifier', 'scheduler'),
+      ...options,
+    };
+
+    this.state = { runs: {}, lastPosts: {} };
+    this.activeJobs = new Map();
+    this.activeRuns = new Map();
+    this.running = false;
+
+    this.ensureDataDirectory();
+    this.loadState();
+  }
+
+  /**
+   * Ensure data directory exists
+   */
+  ensureDataDirectory() {
+    if (!fs.existsSync(this.options.dataPath)) {
+      fs.mkdirSync(this.options.dataPath, { recursive: true });
+    }
+  }
+
+  /**
+   * Load run history and posting times from storage
+   */
+  loadState() {
+    try {
+      const stateFile = path.join(this.options.dataPath, 'pipeline-runs.json');
+      if (fs.existsSync(stateFile)) {
+        const stateData = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+        this.state = {
+          runs: stateData.runs || {},
+          lastPosts: stateData.lastPosts || {},
+        };
+      }
+    } catch (error) {
+      console.warn('Failed to load pipeline runs:', error.message);
+    }
+  }
+
+  /**
+   * Save run history and posting times to storage
+   */
+  saveState() {
+    try {
+      const stateFile = path.join(this.options.dataPath, 'pipeline-runs.json');
+      const stateData = {
+        ...this.state,
+        lastSaved: new Date().toISOString(),
+      };
+      fs.writeFileSync(stateFile, JSON.stringify(stateData, null, 2));
+    } catch (error) {
+      console.error('Failed to save pipeline runs:', error.message);
+    }
+  }
+
+  /**
+   * List pipelines with their compiled schedule, next run and last run
+   * @returns {Promise<Array>} Pipelines
+   */
+  async listPipelines() {
+    return this.options.pipelines.map(definition => {
+      const validation = validatePipeline(definition);
+      const [lastRun] = this.state.runs[definition.name] || [];
+      const cron = validation.valid ? compileInterval(definition.schedule) : null;
+
+      return {
+        ...definition,
+        enabled: definition.enabled !== false,
+        cron,
+        nextRun: cron ? getNextRunTime(cron, { timezone: definition.timezone || 'UTC' }).toISOString() : null,
+        lastRun: lastRun || null,
+        errors: validation.errors,
+      };
+    });
+  }
+
+  /**
+   * Get a pipeline definition by name
+   * @param {string} name - Pipeline name
+   * @returns {object|null} Pipeline definition
+   */
+  getPipeline(name) {
+    return this.options.pipelines.find(definition => definition.name === name) || null;
+  }
+
+  /**
+   * Get the recorded runs of a pipeline, newest first
+   * @param {string} name - Pipeline name
+   * @param {number} [limit] - Maximum runs
+   * @returns {Promise<Array>} Run records
+   */
+  async getRuns(name, limit = MAX_RUN_HISTORY) {
+    return (this.state.runs[name] || []).slice(0, limit);
+  }
+
+  /**
+   * Run a pipeline once: fetch its feeds, generate snippets, apply the auto-approve
+   * policy and post approved snippets within the posting cadence
+   * A failing stage is recorded and the remaining stages still run.
+   * @param {string} name - Pipeline name
+   * @param {object} options - Run options
+   * @param {string} [options.trigger] - schedule or manual (default)
+   * @returns {Promise<object>} Run record { id, pipeline, trigger, success, stages, startedAt, finishedAt }
+   */
+  async runPipeline(name, options = {}) {
+    const pipeline = this.getPipeline(name);
+    if (!pipeline) {
+      return {
+        success: false,
+        error: `Pipeline not found: ${name}`,
+      };
+    }
+
+    const validation = validatePipeline(pipeline);
+    if (!validation.valid) {
+      return {
+        success: false,
+        error: validation.errors.join(', '),
+      };
+    }
+
+    // Overlapping runs of the same pipeline share the run in progress
+    if (this.activeRuns.has(name)) {
+      return this.activeRuns.get(name);
+    }
+
+    const run = this.executeRun(pipeline, options.trigger || 'manual')
+      .finally(() => this.activeRuns.delete(name));
+    this.activeRuns.set(name, run);
+
+    return run;
+  }
+
+  /**
+   * Execute the stages of a run and record it
+   * @param {object} pipeline - Validated pipeline definition
+   * @param {string} trigger - schedule or manual
+   * @returns {Promise<object>} Run record
+   */
+  async executeRun(pipeline, trigger) {
+    const startTime = Date.now();
+    const run = {
+      id: `run_${startTime}_${Math.random().toString(36).slice(2, 8)}`,
+      pipeline: pipeline.name,
+      trigger,
+      success: true,
+      stages: {},
+      startedAt: new Date(startTime).toISOString(),
+      finishedAt: null,
+    };
+
+    // Another process (the CLI, the posting queue) may have approved, edited or posted snippets
+    this.options.snippetManager.loadSnippets();
+
+    const context = { pipeline, feeds: [], items: [], created: [] };
+    const stageRunners = {
+      fetch: () => this.runFetchStage(context),
+      generate: () => this.runGenerateStage(context),
+      review: () => this.runReviewStage(context),
+      post: () => this.runPostStage(context),
+    };
+
+    for (const stage of PIPELINE_STAGES) {
+      const stageStart = Date.now();
+      let result;
+      try {
+        result = await stageRunners[stage]();
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+
+      run.stages[stage] = { ...result, duration: Date.now() - stageStart };
+      run.success = run.success && result.success;
+
+      await this.logEvent('pipeline_stage', {
+        pipeline: pipeline.name,
+        runId: run.id,
+        stage,
+        ...run.stages[stage],
+      });
+    }
+
+    run.finishedAt = new Date().toISOString();
+    this.recordRun(run);
+
+    await this.logEvent('pipeline_run', {
+      pipeline: pipeline.name,
+      runId: run.id,
+      trigger,
+      success: run.success,
+      failedStages: PIPELINE_STAGES.filter(stage => !run.stages[stage].success),
+      duration: Date.now() - startTime,
+    });
+
+    return run;
+  }
+
+  /**
+   * Fetch stage: refresh the pipeline's feeds through the fetch queue
+   * @param {object} context - Run context (feeds are resolved here)
+   * @returns {Promise<object>} Stage result
+   */
+  async runFetchStage(context) {
+    const { feedManager, feedScheduler } = this.options;
+    if (!feedManager) {
+      return { success: false, error: 'No feed manager configured' };
+    }
+
+    context.feeds = await this.resolveFeeds(context.pipeline);
+    if (context.feeds.length === 0) {
+      return { success: false, error: 'No feeds match the pipeline', feeds: 0 };
+    }
+
+    if (context.pipeline.fetch === false || !feedScheduler) {
+      return { success: true, skipped: true, feeds: context.feeds.length };
+    }
+
+    const results = await feedScheduler.refreshFeeds(context.feeds.map(feed => feed.id));
+    const failed = results.filter(result => !result.success);
+
+    return {
+      // Items already stored are still worth generating from when some feeds fail
+      success: failed.length < results.length,
+      feeds: results.length,
+      itemsAdded: results.reduce((sum, result) => sum + (result.itemsAdded || 0), 0),
+      failed: failed.map(result => ({ feedId: result.feedId, error: result.error })),
+    };
+  }
+
+  /**
+   * Generate stage: create pending snippets for the newest items of the pipeline's feeds
+   * @param {object} context - Run context (created snippets are collected here)
+   * @returns {Promise<object>} Stage result
+   */
+  async runGenerateStage(context) {
+    const { pipeline } = context;
+    const generation = pipeline.generate || {};
+    const brand = generation.brand && typeof generation.brand === 'object'
+      ? generation.brand
+      : resolveBrand(this.options.config, generation.brand || generation.brandContext);
+
+    if (!this.options.generator) {
+      return { success: false, error: 'No snippet generator configured (AI is not set up)' };
+    }
+    if (context.feeds.length === 0) {
+      return { success: true, created: 0, skipped: 0, failed: 0 };
+    }
+
+    context.items = await this.options.feedManager.getRecentItems(generation.limit || 5, {
+      feedIds: context.feeds.map(feed => feed.id),
+    });
+
+    const totals = { created: 0, skipped: 0, failed: 0 };
+    const errors = [];
+    for (const platform of pipeline.platforms) {
+      const summary = await generateSnippets(context.items, {
+        generator: this.options.generator,
+        snippetManager: this.options.snippetManager,
+        platform,
+        style: generation.style,
+        brand,
+        pipeline: pipeline.name,
+      });
+
+      context.created.push(...summary.created.map(outcome => outcome.snippet));
+      totals.created += summary.created.length;
+      totals.skipped += summary.skipped.length;
+      totals.failed += summary.failed.length;
+      errors.push(...summary.failed.map(outcome => outcome.reason));
+    }
+
+    return {
+      success: totals.failed === 0 || totals.created + totals.skipped > 0,
+      items: context.items.length,
+      ...totals,
+      snippetIds: context.created.map(snippet => snippet.id),
+      ...(errors.length > 0 && { errors: [...new Set(errors)] }),
+    };
+  }
+
+  /**
+   * Review stage: approve the snippets created in this run that pass the auto-approve policy
+   * @param {object} context - Run context
+   * @returns {Promise<object>} Stage result
+   */
+  async runReviewStage(context) {
+    const policy = context.pipeline.autoApprove || 'none';
+    const approved = [];
+    const pending = [];
+
+    for (const snippet of context.created) {
+      const review = reviewSnippet(snippet, policy);
+      if (review.approve) {
+        const result = await this.options.snippetManager.approveSnippet(snippet.id);
+        if (result.success) {
+          approved.push(snippet.id);
+          continue;
+        }
+        pending.push({ id: snippet.id, reason: result.error });
+      } else {
+        pending.push({ id: snippet.id, reason: review.reason });
+      }
+    }
+
+    return {
+      success: true,
+      policy,
+      approved,
+      pending,
+    };
+  }
+
+  /**
+   * Post stage: post the pipeline's oldest approved snippets, at most posting.maxPerRun
+   * per platform and no sooner than posting.minInterval minutes after its last post there
+   * @param {object} context - Run context
+   * @returns {Promise<object>} Stage result
+   */
+  async runPostStage(context) {
+    const { pipeline } = context;
+    const { maxPerRun = 1, minInterval = 0 } = pipeline.posting || {};
+    const lastPosts = this.state.lastPosts[pipeline.name] || {};
+    const platforms = {};
+
+    for (const platform of pipeline.platforms) {
+      const lastPost = lastPosts[platform] ? Date.parse(lastPosts[platform]) : 0;
+      const waitUntil = lastPost + minInterval * 60000;
+      if (Date.now() < waitUntil) {
+        platforms[platform] = { posted: [], waiting: true, nextPostAfter: new Date(waitUntil).toISOString() };
+        continue;
+      }
+
+      const queue = (await this.getQueue(pipeline.name, platform)).slice(0, maxPerRun);
+      platforms[platform] = { posted: [], failed: [] };
+      if (queue.length > 0 && !this.options.poster) {
+        platforms[platform].failed.push({ error: 'No social poster configured' });
+        continue;
+      }
+
+      for (const snippet of queue) {
+        const result = await postSnippet(snippet.id, {
+          snippetManager: this.options.snippetManager,
+          poster: this.options.poster,
+          platforms: [this.options.mapPlatform(platform)],
+        });
+
+        if (result.success) {
+          platforms[platform].posted.push(snippet.id);
+          lastPosts[platform] = new Date().toISOString();
+        } else {
+          platforms[platform].failed.push({
+            id: snippet.id,
+            error: result.error,
+            ...(result.postAttempts && { postAttempts: result.postAttempts, markedFailed: result.markedFailed }),
+          });
+        }
+      }
+    }
+
+    this.state.lastPosts[pipeline.name] = lastPosts;
+    this.saveState();
+
+    const failures = Object.values(platforms).flatMap(result => result.failed || []);
+    return {
+      success: failures.length === 0,
+      posted: Object.values(platforms).reduce((sum, result) => sum + result.posted.length, 0),
+      platforms,
+    };
+  }
+
+  /**
+   * Approved snippets a pipeline generated for a platform, oldest approval first
+   * Snippets with failed posting attempts go behind the others (see sortPostQueue).
+   * @param {string} name - Pipeline name
+   * @param {string} platform - Target platform
+   * @returns {Promise<Array>} Snippets
+   */
+  async getQueue(name, platform) {
+    const result = await this.options.snippetManager.listSnippets({
+      status: 'approved',
+      platform: toSnippetPlatform(platform),
+    });
+
+    return sortPostQueue((result.snippets || []).filter(snippet => snippet.pipeline === name));
+  }
+
+  /**
+   * Resolve the feeds a pipeline reads from
+   * Feeds the scheduler has disabled or put in a failure cooldown are left out.
+   * @param {object} pipeline - Pipeline definition
+   * @returns {Promise<Array>} Stored feeds
+   */
+  async resolveFeeds(pipeline) {
+    const feeds = (await this.options.feedManager.listFeeds()).filter(feed => !this.isFeedPaused(feed.id));
+    const selection = pipeline.feeds || 'all';
+
+    if (selection === 'all') {
+      return feeds;
+    }
+    if (Array.isArray(selection)) {
+      return feeds.filter(feed => selection.includes(feed.id) || selection.includes(feed.url));
+    }
+    return feeds.filter(feed => (feed.category || '').toLowerCase() === selection.category.toLowerCase());
+  }
+
+  /**
+   * Check whether the feed scheduler has disabled a feed or put it in a failure cooldown
+   * Feeds without a schedule are never paused.
+   * @param {string} feedId - Feed ID
+   * @returns {boolean} True if pipelines should skip the feed
+   */
+  isFeedPaused(feedId) {
+    const { feedScheduler } = this.options;
+    if (!feedScheduler?.scheduledFeeds?.has(feedId)) {
+      return false;
+    }
+    return feedScheduler.isCoolingDown(feedId);
+  }
+
+  /**
+   * Add a run to the pipeline's history
+   * @param {object} run - Run record
+   */
+  recordRun(run) {
+    const runs = this.state.runs[run.pipeline] || [];
+    this.state.runs[run.pipeline] = [run, ...runs].slice(0, MAX_RUN_HISTORY);
+    this.saveState();
+  }
+
+  /**
+   * Log an analytics event if an analytics logger is configured
+   * @param {string} eventType - Event type
+   * @param {object} eventData - Event data
+   */
+  async logEvent(eventType, eventData) {
+    if (!this.options.analyticsLogger) {
+      return;
+    }
+
+    try {
+      await this.options.analyticsLogger.logEvent(eventType, eventData);
+    } catch (error) {
+      console.warn(`Failed to log ${eventType} event:`, error.message);
+    }
+  }
+
+  /**
+   * Start cron jobs for every enabled, valid pipeline
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    for (const pipeline of this.options.pipelines) {
+      const validation = validatePipeline(pipeline);
+      if (!validation.valid) {
+        console.warn(`Skipping pipeline: ${validation.errors.join(', ')}`);
+        continue;
+      }
+      if (pipeline.enabled !== false) {
+        this.createCronJob(pipeline);
+      }
+    }
+  }
+
+  /**
+   * Stop all cron jobs (runs in progress finish, see waitForIdle)
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.running = false;
+    for (const name of [...this.activeJobs.keys()]) {
+      this.stopCronJob(name);
+    }
+  }
+
+  /**
+   * Wait for runs in progress
+   * @returns {Promise<void>}
+   */
+  async waitForIdle() {
+    await Promise.allSettled(this.activeRuns.values());
+  }
+
+  /**
+   * Check if the runner is running
+   * @returns {boolean} Running status
+   */
+  isRunning() {
+    return this.running;
+  }
+
+  /**
+   * Create (or recreate) the cron job for a pipeline
+   * @param {object} pipeline - Pipeline definition
+   */
+  createCronJob(pipeline) {
+    this.stopCronJob(pipeline.name);
+
+    try {
+      const job = createScheduledJob(compileInterval(pipeline.schedule), async () => {
+        await this.runPipeline(pipeline.name, { trigger: 'schedule' });
+      }, { timezone: pipeline.timezone });
+      this.activeJobs.set(pipeline.name, job);
+    } catch (error) {
+      console.error(`Failed to create cron job for pipeline ${pipeline.name}:`, error.message);
+    }
+  }
+
+  /**
+   * Stop the cron job of a pipeline if one is running
+   * @param {string} name - Pipeline name
+   */
+  stopCronJob(name) {
+    if (this.activeJobs.has(name)) {
+      this.activeJobs.get(name).stop();
+      this.activeJobs.delete(name);
+    }
+  }
+
+  /**
+   * Close and clean up resources
+   */
+  async close() {
+    await this.stop();
+  }
+}
+
+export default {
+  PipelineRunner,
+  PIPELINE_STAGES,
+  AUTO_APPROVE_POLICIES,
+  validatePipeline,
+  reviewSnippet,
+};
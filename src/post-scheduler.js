@@ -0,0 +1,405 @@
+/**
+ * Post Scheduler
+ * Persistent auto-post schedules that post the oldest approved snippet per platform
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { SnippetManager } from './snippet-manager.js';
+import { createScheduledJob, validateCronExpression, getNextRunTime } from './feed-scheduler.js';
+import { postSnippet, sortPostQueue, toSnippetPlatform } from './snippet-workflow.js';
+import { compileInterval } from './cron-expression.js';
+
+/**
+ * Cron expressions for the named posting intervals
+ */
+export const POST_INTERVALS = {
+  hourly: '0 * * * *',
+  daily: '0 9 * * *',
+  weekly: '0 9 * * 1',
+};
+
+/**
+ * Post Scheduler class for managing auto-post schedules
+ */
+export class PostScheduler {
+  constructor(options = {}) {
+    this.options = {
+      snippetManager: options.snippetManager || new SnippetManager(),
+      poster: options.poster || null,
+      // Maps a schedule platform to the poster's platform name (e.g. mapPlatformName)
+      mapPlatform: options.mapPlatform || (platform => platform),
+      // Stored next to scheduled-feeds.json
+      dataPath: options.dataPath || path.join(os.homedir(), '.config', 'rss-amplifier', 'scheduler'),
+      ...options,
+    };
+
+    this.schedules = new Map();
+    this.lastSaved = null;
+    this.activeJobs = new Map();
+    this.activeRuns = new Set();
+    this.running = false;
+
+    this.ensureDataDirectory();
+    this.loadSchedules();
+  }
+
+  /**
+   * Ensure data directory exists
+   */
+  ensureDataDirectory() {
+    if (!fs.existsSync(this.options.dataPath)) {
+      fs.mkdirSync(this.options.dataPath, { recursive: true });
+    }
+  }
+
+  /**
+   * Get the file auto-post schedules are stored in
+   * @returns {string} Path of scheduled-posts.json
+   */
+  getSchedulesFile() {
+    return path.join(this.options.dataPath, 'scheduled-posts.json');
+  }
+
+  /**
+   * Load auto-post schedules from storage
+   */
+  loadSchedules() {
+    try {
+      const schedulesFile = this.getSchedulesFile();
+      if (fs.existsSync(schedulesFile)) {
+        const scheduleData = JSON.parse(fs.readFileSync(schedulesFile, 'utf8'));
+        this.schedules = new Map(Object.entries(scheduleData.schedules || {}));
+        this.lastSaved = scheduleData.lastSaved || null;
+      } else {
+        this.schedules = new Map();
+      }
+    } catch (error) {
+      console.warn('Failed to load post schedules:', error.message);
+    }
+  }
+
+  /**
+   * Save auto-post schedules to storage
+   */
+  saveSchedules() {
+    try {
+      const schedulesFile = this.getSchedulesFile();
+      const scheduleData = {
+        schedules: Object.fromEntries(this.schedules),
+        lastSaved: new Date().toISOString(),
+      };
+      fs.writeFileSync(schedulesFile, JSON.stringify(scheduleData, null, 2));
+      this.lastSaved = scheduleData.lastSaved;
+    } catch (error) {
+      console.error('Failed to save post schedules:', error.message);
+    }
+  }
+
+  /**
+   * Pick up schedules another process (e.g. `rssamp schedule auto-post`) wrote to storage
+   * and start, stop or recreate cron jobs to match
+   * @returns {object} Schedule IDs that were { added, removed, updated }
+   */
+  reloadSchedules() {
+    const previous = this.schedules;
+    this.loadSchedules();
+
+    const changes = { added: [], removed: [], updated: [] };
+    for (const scheduleId of previous.keys()) {
+      if (!this.schedules.has(scheduleId)) {
+        this.stopCronJob(scheduleId);
+        changes.removed.push(scheduleId);
+      }
+    }
+
+    for (const schedule of this.schedules.values()) {
+      const before = previous.get(schedule.id);
+      if (!before) {
+        changes.added.push(schedule.id);
+      } else if (before.cron !== schedule.cron) {
+        changes.updated.push(schedule.id);
+      } else if (this.activeJobs.has(schedule.id) || !this.running) {
+        continue;
+      }
+
+      if (this.running) {
+        this.createCronJob(schedule);
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Add (or replace) the auto-post schedule for a platform
+   * @param {string} platform - Platform whose approved snippets are posted (e.g. x)
+   * @param {object} options - Schedule options
+   * @param {string} [options.interval] - hourly, daily (default), weekly, a natural interval or a cron expression
+   * @returns {Promise<object>} Result with the schedule
+   */
+  async addSchedule(platform, options = {}) {
+    try {
+      if (!platform) {
+        return {
+          success: false,
+          error: 'Platform is required',
+        };
+      }
+
+      const scheduleId = this.generateScheduleId(platform);
+      const existing = this.schedules.get(scheduleId);
+
+      // Re-adding a schedule without an interval keeps the current one
+      const interval = options.interval || existing?.interval || 'daily';
+      const cronExpression = POST_INTERVALS[interval] || compileInterval(interval);
+
+      const validation = validateCronExpression(cronExpression);
+      if (!validation.valid) {
+        return {
+          success: false,
+          error: `Invalid interval: ${validation.errors.join(', ')}`,
+        };
+      }
+      const schedule = {
+        id: scheduleId,
+        platform,
+        interval,
+        cron: cronExpression,
+        nextRun: getNextRunTime(cronExpression).toISOString(),
+        lastRun: null,
+        lastResult: null,
+        postedCount: 0,
+        createdAt: new Date().toISOString(),
+        ...(existing && {
+          lastRun: existing.lastRun,
+          lastResult: existing.lastResult,
+          postedCount: existing.postedCount,
+          createdAt: existing.createdAt,
+        }),
+      };
+
+      this.schedules.set(scheduleId, schedule);
+      this.saveSchedules();
+
+      if (this.running) {
+        this.createCronJob(schedule);
+      }
+
+      return {
+        success: true,
+        schedule,
+        replaced: !!existing,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Remove an auto-post schedule
+   * @param {string} idOrPlatform - Schedule ID or platform
+   * @returns {Promise<object>} Result
+   */
+  async removeSchedule(idOrPlatform) {
+    const scheduleId = this.schedules.has(idOrPlatform)
+      ? idOrPlatform
+      : this.generateScheduleId(idOrPlatform);
+
+    if (!this.schedules.has(scheduleId)) {
+      return {
+        success: false,
+        error: 'Schedule not found',
+      };
+    }
+
+    this.stopCronJob(scheduleId);
+    this.schedules.delete(scheduleId);
+    this.saveSchedules();
+
+    return {
+      success: true,
+      scheduleId,
+    };
+  }
+
+  /**
+   * List auto-post schedules
+   * @returns {Promise<Array>} Schedules
+   */
+  async listSchedules() {
+    return Array.from(this.schedules.values());
+  }
+
+  /**
+   * Get the posting queue for a platform, oldest approval first
+   * Snippets with failed posting attempts go behind the others (see sortPostQueue).
+   * Pipeline snippets are left out: their pipeline posts them within its own posting limits.
+   * @param {string} platform - Platform
+   * @returns {Promise<Array>} Approved snippets waiting to be posted
+   */
+  async getQueue(platform) {
+    const result = await this.options.snippetManager.listSnippets({
+      status: 'approved',
+      platform: toSnippetPlatform(platform),
+    });
+
+    return sortPostQueue((result.snippets || []).filter(snippet => !snippet.pipeline));
+  }
+
+  /**
+   * Run one tick of a schedule: post the oldest approved snippet for its platform
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<object>} Tick result
+   */
+  async runSchedule(scheduleId) {
+    // Another process (e.g. `schedule stop`) may have changed the schedules
+    this.reloadSchedules();
+    this.options.snippetManager.loadSnippets();
+
+    const schedule = this.schedules.get(scheduleId);
+    if (!schedule) {
+      this.stopCronJob(scheduleId);
+      return {
+        success: false,
+        error: 'Schedule not found',
+      };
+    }
+
+    const [snippet] = await this.getQueue(schedule.platform);
+    let result;
+
+    if (!snippet) {
+      result = { success: true, posted: false, reason: 'No approved snippets' };
+    } else if (!this.options.poster) {
+      result = { success: false, posted: false, snippetId: snippet.id, error: 'No social poster configured' };
+    } else {
+      const postResult = await postSnippet(snippet.id, {
+        snippetManager: this.options.snippetManager,
+        poster: this.options.poster,
+        platforms: [this.options.mapPlatform(schedule.platform)],
+      });
+      result = postResult.success
+        ? { success: true, posted: true, snippetId: snippet.id }
+        : {
+          success: false,
+          posted: false,
+          snippetId: snippet.id,
+          error: postResult.error,
+          ...(postResult.postAttempts && { postAttempts: postResult.postAttempts, markedFailed: postResult.markedFailed }),
+        };
+    }
+
+    schedule.lastRun = new Date().toISOString();
+    schedule.lastResult = result;
+    schedule.nextRun = getNextRunTime(schedule.cron).toISOString();
+    if (result.posted) {
+      schedule.postedCount++;
+    }
+    this.schedules.set(scheduleId, schedule);
+    this.saveSchedules();
+
+    return result;
+  }
+
+  /**
+   * Start cron jobs for every schedule
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    for (const schedule of this.schedules.values()) {
+      this.createCronJob(schedule);
+    }
+  }
+
+  /**
+   * Stop all cron jobs (schedules stay saved)
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.running = false;
+    for (const scheduleId of [...this.activeJobs.keys()]) {
+      this.stopCronJob(scheduleId);
+    }
+  }
+
+  /**
+   * Wait for schedule runs that are posting right now
+   * @returns {Promise<void>}
+   */
+  async waitForIdle() {
+    await Promise.allSettled(this.activeRuns);
+  }
+
+  /**
+   * Check if the scheduler is running
+   * @returns {boolean} Running status
+   */
+  isRunning() {
+    return this.running;
+  }
+
+  /**
+   * Create (or recreate) the cron job for a schedule
+   * @param {object} schedule - Schedule
+   */
+  createCronJob(schedule) {
+    this.stopCronJob(schedule.id);
+
+    try {
+      const job = createScheduledJob(schedule.cron, async () => {
+        const run = this.runSchedule(schedule.id);
+        this.activeRuns.add(run);
+        try {
+          await run;
+        } finally {
+          this.activeRuns.delete(run);
+        }
+      });
+      this.activeJobs.set(schedule.id, job);
+    } catch (error) {
+      console.error(`Failed to create cron job for schedule ${schedule.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Stop the cron job of a schedule if one is running
+   * @param {string} scheduleId - Schedule ID
+   */
+  stopCronJob(scheduleId) {
+    if (this.activeJobs.has(scheduleId)) {
+      this.activeJobs.get(scheduleId).stop();
+      this.activeJobs.delete(scheduleId);
+    }
+  }
+
+  /**
+   * Generate the schedule ID for a platform (one schedule per platform)
+   * @param {string} platform - Platform
+   * @returns {string} Schedule ID
+   */
+  generateScheduleId(platform) {
+    return `autopost_${platform}`;
+  }
+
+  /**
+   * Close and clean up resources
+   */
+  async close() {
+    await this.stop();
+  }
+}
+
+export default {
+  PostScheduler,
+  POST_INTERVALS,
+};
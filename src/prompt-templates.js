@@ -0,0 +1,281 @@
+/**
+ * Prompt Templates
+ * User-editable system and snippet prompts with {{variables}}, loaded from the prompts directory
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { buildBrandPrompt, normalizeHashtags } from './brand-profile.js';
+
+/**
+ * Default directory for prompt template files
+ */
+export const DEFAULT_PROMPT_DIR = path.join(os.homedir(), '.config', 'rss-amplifier', 'prompts');
+
+/**
+ * Extension of prompt template files
+ */
+const TEMPLATE_EXTENSION = '.txt';
+
+/**
+ * Built-in templates, used when the prompts directory has no file for a template
+ */
+export const DEFAULT_TEMPLATES = {
+  system: 'You are an expert social media content creator specializing in technical and marketing content. Generate engaging, contextual snippets that drive interest without explicit links.',
+  snippet: `Create a contextual social media snippet from this RSS article:
+
+Title: {{title}}
+Content: {{excerpt}}
+URL: {{url}}
+
+Requirements:
+- Platform: {{platform}}
+- Tone: {{tone}}
+- Technical level: {{technicalLevel}}
+- Key topics: {{topics}}
+
+{{brand.prompt}}
+
+Guidelines:
+- Create engaging content that sparks discussion
+- DO NOT include the original URL or explicit links
+- Focus on insights, questions, or trends
+- Use appropriate emojis and hashtags for the platform
+- Keep within platform character limits
+- Make it shareable and conversation-starting
+
+Return a JSON object with:
+{
+  "snippet": "The main social media post content",
+  "insights": ["key", "insights", "extracted"],
+  "tone": "{{tone}}",
+  "platform_optimized": {
+    "twitter": "Twitter-optimized version with hashtags",
+    "linkedin": "Professional LinkedIn version",
+    "reddit": "Conversational Reddit-style version"
+  }
+}`,
+};
+
+/**
+ * Template names
+ */
+export const TEMPLATE_NAMES = Object.keys(DEFAULT_TEMPLATES);
+
+/**
+ * Get the prompts directory for a configuration
+ * @param {object} config - Configuration object
+ * @returns {string} config.prompts.directory, or the default prompts directory
+ */
+export function getPromptDirectory(config) {
+  return config?.prompts?.directory || DEFAULT_PROMPT_DIR;
+}
+
+/**
+ * Get the variables available to templates
+ * @param {object} values - Item and generation values
+ * @param {string} values.title - Item title
+ * @param {string} values.url - Item URL
+ * @param {string} values.excerpt - Item content as Markdown, truncated for the prompt
+ * @param {string} values.platform - Target platform
+ * @param {string} values.tone - Tone
+ * @param {string} [values.style] - Snippet style
+ * @param {string[]} [values.topics] - Key topics
+ * @param {string} [values.technicalLevel] - Technical level
+ * @param {string} [values.published] - Publication date (ISO 8601)
+ * @param {string} [values.feedTitle] - Title of the item's feed (recent items from FeedManager)
+ * @param {object} [values.brand] - Brand profile
+ * @returns {object} Template variables
+ */
+export function buildTemplateVariables(values) {
+  const brand = values.brand || {};
+
+  return {
+    title: values.title || '',
+    url: values.url || '',
+    excerpt: values.excerpt || '',
+    platform: values.platform || 'general',
+    tone: values.tone || 'engaging',
+    style: values.style || '',
+    topics: (values.topics || []).join(', '),
+    technicalLevel: values.technicalLevel || '',
+    published: values.published || '',
+    feedTitle: values.feedTitle || '',
+    brand: {
+      name: brand.displayName || brand.name || '',
+      description: brand.description || '',
+      audience: brand.audience || '',
+      voice: (brand.voice || []).join(', '),
+      ctaStyle: brand.ctaStyle || '',
+      hashtags: normalizeHashtags(brand.hashtags).join(' '),
+      bannedPhrases: (brand.bannedPhrases || []).join(', '),
+      examples: (brand.examples || []).join('\n'),
+      prompt: buildBrandPrompt(values.brand),
+    },
+  };
+}
+
+/**
+ * Render a template
+ * {{name}} and {{brand.name}} style placeholders are replaced; unknown variables render empty.
+ * Blank lines left behind by empty variables are collapsed.
+ * @param {string} template - Template text
+ * @param {object} variables - Template variables (see buildTemplateVariables)
+ * @returns {object} { text, unknown } where unknown lists placeholders without a variable
+ */
+export function renderTemplate(template, variables) {
+  const unknown = new Set();
+
+  const text = template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (placeholder, name) => {
+    const value = name.split('.').reduce((scope, key) => (scope && typeof scope === 'object' ? scope[key] : undefined), variables);
+    if (value === undefined || typeof value === 'object') {
+      unknown.add(name);
+      return '';
+    }
+    return String(value);
+  });
+
+  return {
+    text: text.replace(/\n{3,}/g, '\n\n').trim(),
+    unknown: [...unknown],
+  };
+}
+
+/**
+ * Prompt template store backed by a directory of .txt files
+ * A template is looked up as <name>.<platform>.<style>.txt, <name>.<platform>.txt,
+ * <name>.<style>.txt and <name>.txt, falling back to the built-in template.
+ */
+export class PromptTemplates {
+  constructor(options = {}) {
+    this.options = {
+      directory: options.directory || DEFAULT_PROMPT_DIR,
+    };
+  }
+
+  /**
+   * Get the file names tried for a template, most specific first
+   * @param {string} name - Template name (system or snippet)
+   * @param {object} context - { platform, style }
+   * @returns {string[]} File names
+   */
+  getCandidates(name, context = {}) {
+    const { platform, style } = context;
+    const candidates = [];
+    if (platform && style) candidates.push(`${name}.${platform}.${style}`);
+    if (platform) candidates.push(`${name}.${platform}`);
+    if (style) candidates.push(`${name}.${style}`);
+    candidates.push(name);
+
+    return candidates.map(candidate => `${candidate}${TEMPLATE_EXTENSION}`);
+  }
+
+  /**
+   * Find the template to use
+   * Files are read on every call so edits apply without a restart.
+   * @param {string} name - Template name (system or snippet)
+   * @param {object} context - { platform, style }
+   * @returns {object} { name, file, template } where file is null for the built-in template
+   */
+  resolve(name, context = {}) {
+    if (!TEMPLATE_NAMES.includes(name)) {
+      throw new Error(`Unknown prompt template "${name}" (expected one of: ${TEMPLATE_NAMES.join(', ')})`);
+    }
+
+    for (const candidate of this.getCandidates(name, context)) {
+      const file = path.join(this.options.directory, candidate);
+      try {
+        return {
+          name,
+          file,
+          template: fs.readFileSync(file, 'utf8'),
+        };
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw new Error(`Failed to read prompt template ${file}: ${error.message}`);
+        }
+      }
+    }
+
+    return {
+      name,
+      file: null,
+      template: DEFAULT_TEMPLATES[name],
+    };
+  }
+
+  /**
+   * Render a template for a generation context
+   * @param {string} name - Template name (system or snippet)
+   * @param {object} variables - Template variables (platform and style also pick the file)
+   * @returns {object} { name, file, text, unknown }
+   */
+  render(name, variables) {
+    const { file, template } = this.resolve(name, { platform: variables.platform, style: variables.style });
+    return {
+      name,
+      file,
+      ...renderTemplate(template, variables),
+    };
+  }
+
+  /**
+   * List the template files in the prompts directory
+   * @returns {string[]} File names
+   */
+  list() {
+    if (!fs.existsSync(this.options.directory)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.options.directory)
+      .filter(file => file.endsWith(TEMPLATE_EXTENSION) && TEMPLATE_NAMES.includes(file.split('.')[0]))
+      .sort();
+  }
+
+  /**
+   * Write the built-in templates to the prompts directory as a starting point
+   * @param {object} options - Options
+   * @param {boolean} [options.force] - Overwrite existing files
+   * @returns {object} Result with created and skipped files
+   */
+  init(options = {}) {
+    try {
+      fs.mkdirSync(this.options.directory, { recursive: true });
+
+      const created = [];
+      const skipped = [];
+      for (const [name, template] of Object.entries(DEFAULT_TEMPLATES)) {
+        const file = path.join(this.options.directory, `${name}${TEMPLATE_EXTENSION}`);
+        if (fs.existsSync(file) && !options.force) {
+          skipped.push(file);
+          continue;
+        }
+        fs.writeFileSync(file, `${template}\n`);
+        created.push(file);
+      }
+
+      return {
+        success: true,
+        created,
+        skipped,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+}
+
+export default {
+  DEFAULT_PROMPT_DIR,
+  DEFAULT_TEMPLATES,
+  TEMPLATE_NAMES,
+  getPromptDirectory,
+  buildTemplateVariables,
+  renderTemplate,
+  PromptTemplates,
+};
@@ -12,6 +12,7 @@ import {
   validateConfig,
   validateOpenAIApiKey 
 } from './config-manager.js';
+import { DEFAULT_MODELS } from './ai-providers.js';
 
 export class SetupWizard {
   constructor(configPath) {
@@ -122,12 +123,16 @@ export class SetupWizard {
         message: 'Select AI provider:',
         choices: [
           { name: 'OpenAI (GPT models)', value: 'openai' },
-          { name: 'Ollama (Local models)', value: 'ollama' }
+          { name: 'Ollama (Local models)', value: 'ollama' },
+          { name: 'OpenAI-compatible server (LM Studio, vLLM, llama.cpp, ...)', value: 'openai-compatible' }
         ],
         default: this.config.ai.provider
       }
     ]);
 
+    // A model stored for another provider is meaningless to this one
+    const storedModel = aiAnswers.provider === this.config.ai.provider ? this.config.ai.model : '';
+    const defaultModel = storedModel || DEFAULT_MODELS[aiAnswers.provider];
     this.config.ai.provider = aiAnswers.provider;
 
     if (aiAnswers.provider === 'openai') {
@@ -157,7 +162,7 @@ export class SetupWizard {
             { name: 'GPT-4 Turbo', value: 'gpt-4-turbo' },
             { name: 'GPT-3.5 Turbo', value: 'gpt-3.5-turbo' }
           ],
-          default: this.config.ai.model
+          default: defaultModel
         },
         {
           type: 'number',
@@ -176,6 +181,45 @@ export class SetupWizard {
       this.config.ai.openaiApiKey = openaiAnswers.apiKey;
       this.config.ai.model = openaiAnswers.model;
       this.config.ai.temperature = openaiAnswers.temperature;
+    } else if (aiAnswers.provider === 'openai-compatible') {
+      const compatibleAnswers = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'baseUrl',
+          message: 'Enter the server\'s base URL (e.g. http://localhost:1234/v1):',
+          default: this.config.ai.baseUrl || undefined,
+          validate: (input) => {
+            try {
+              new URL(input);
+              return true;
+            } catch {
+              return 'Please enter a valid URL';
+            }
+          }
+        },
+        {
+          type: 'password',
+          name: 'apiKey',
+          message: 'Enter the API key (leave empty if the server does not need one):',
+          default: this.config.ai.apiKey
+        },
+        {
+          type: 'input',
+          name: 'model',
+          message: 'Enter model name:',
+          default: defaultModel,
+          validate: (input) => {
+            if (!input.trim()) {
+              return 'Model name is required';
+            }
+            return true;
+          }
+        }
+      ]);
+
+      this.config.ai.baseUrl = compatibleAnswers.baseUrl;
+      this.config.ai.apiKey = compatibleAnswers.apiKey;
+      this.config.ai.model = compatibleAnswers.model;
     } else {
       const ollamaAnswers = await inquirer.prompt([
         {
@@ -196,7 +240,7 @@ export class SetupWizard {
           type: 'input',
           name: 'model',
           message: 'Enter Ollama model name:',
-          default: this.config.ai.model || 'llama2',
+          default: defaultModel,
           validate: (input) => {
             if (!input.trim()) {
               return 'Model name is required';
@@ -86,12 +86,12 @@ export class SnippetManager {
       errors.push('Content must be less than 5000 characters');
     }
 
-    const validPlatforms = ['twitter', 'linkedin', 'reddit', 'facebook', 'mastodon', 'bluesky', 'general'];
+    const validPlatforms = ['twitter', 'linkedin', 'reddit', 'facebook', 'mastodon', 'bluesky', 'nostr', 'general'];
     if (snippet.platform && !validPlatforms.includes(snippet.platform)) {
       errors.push(`Platform must be one of: ${validPlatforms.join(', ')}`);
     }
 
-    const validStatuses = ['pending', 'approved', 'rejected', 'posted', 'scheduled'];
+    const validStatuses = ['pending', 'approved', 'rejected', 'posted', 'scheduled', 'failed'];
     if (snippet.status && !validStatuses.includes(snippet.status)) {
       errors.push(`Status must be one of: ${validStatuses.join(', ')}`);
     }
@@ -421,6 +421,12 @@ export class SnippetManager {
         approvedAt: new Date().toISOString(),
       };
 
+      // A re-approved snippet gets a fresh set of posting attempts
+      if (snippet.postAttempts) {
+        updates.postAttempts = 0;
+        updates.lastPostError = null;
+      }
+
       if (notes) {
         updates.approvalNotes = notes;
       }
@@ -633,6 +639,30 @@ export class SnippetManager {
     }
   }
 
+  /**
+   * Get manager status
+   * @returns {object} Status information
+   */
+  getStatus() {
+    const statusBreakdown = {};
+    this.snippets.forEach(snippet => {
+      statusBreakdown[snippet.status] = (statusBreakdown[snippet.status] || 0) + 1;
+    });
+
+    return {
+      snippetCount: this.snippets.length,
+      statusBreakdown,
+      dataPath: this.options.dataPath,
+    };
+  }
+
+  /**
+   * Close and clean up resources
+   */
+  async close() {
+    this.saveSnippets();
+  }
+
   /**
    * Export snippets
    * @param {object} options - Export options
@@ -0,0 +1,204 @@
+/**
+ * Snippet Response
+ * Extracts and validates the JSON object the snippet prompt asks the model for
+ */
+
+/**
+ * Expected shape of a snippet response
+ * Only snippet is required; the other fields are checked when present.
+ */
+export const SNIPPET_RESPONSE_SCHEMA = {
+  snippet: { type: 'string', required: true },
+  insights: { type: 'array', items: 'string' },
+  tone: { type: 'string' },
+  platform_optimized: { type: 'object', values: 'string' },
+};
+
+/**
+ * Cut a JSON value out of surrounding text, closing it if the output was truncated
+ * @param {string} text - Text starting at the opening { of the value
+ * @returns {string} JSON text
+ */
+function closeJSON(text) {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      stack.pop();
+      if (stack.length === 0) {
+        // Drop any commentary after the value
+        return text.slice(0, i + 1);
+      }
+    }
+  }
+
+  // Truncated output: close the open string, drop a dangling comma or key, then close the containers
+  let closed = text;
+  if (inString) {
+    closed = `${escaped ? closed.slice(0, -1) : closed}"`;
+  }
+  closed = closed
+    .replace(/,?\s*"(?:[^"\\]|\\.)*"\s*:\s*$/, '')
+    .replace(/,\s*$/, '');
+
+  return closed + stack.reverse().join('');
+}
+
+/**
+ * Extract a JSON value from model output
+ * Accepts plain JSON, JSON in a Markdown code fence, JSON surrounded by commentary
+ * and JSON cut off by the token limit.
+ * @param {string} text - Model output
+ * @returns {object} Result with the parsed value
+ */
+export function extractJSON(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return {
+      success: false,
+      error: 'Response is empty',
+    };
+  }
+
+  const trimmed = text.trim();
+  const candidates = [trimmed];
+
+  const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/i);
+  if (fenced) {
+    candidates.push(fenced[1].trim());
+  }
+
+  const start = trimmed.indexOf('{');
+  if (start !== -1) {
+    candidates.push(closeJSON(trimmed.slice(start)));
+  }
+
+  for (const candidate of candidates) {
+    try {
+      return {
+        success: true,
+        value: JSON.parse(candidate),
+      };
+    } catch {
+      // Try the next candidate
+    }
+  }
+
+  return {
+    success: false,
+    error: 'Response is not valid JSON',
+  };
+}
+
+/**
+ * Validate a parsed snippet response against SNIPPET_RESPONSE_SCHEMA
+ * @param {*} value - Parsed response
+ * @returns {object} { valid, errors }
+ */
+export function validateSnippetResponse(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { valid: false, errors: ['Response must be a JSON object'] };
+  }
+
+  const errors = [];
+  for (const [field, rule] of Object.entries(SNIPPET_RESPONSE_SCHEMA)) {
+    const fieldValue = value[field];
+
+    if (fieldValue === undefined || fieldValue === null) {
+      if (rule.required) {
+        errors.push(`${field} is required`);
+      }
+      continue;
+    }
+
+    if (rule.type === 'string') {
+      if (typeof fieldValue !== 'string') {
+        errors.push(`${field} must be a string`);
+      } else if (rule.required && !fieldValue.trim()) {
+        errors.push(`${field} must not be empty`);
+      }
+    } else if (rule.type === 'array') {
+      if (!Array.isArray(fieldValue) || !fieldValue.every(entry => typeof entry === rule.items)) {
+        errors.push(`${field} must be a list of ${rule.items}s`);
+      }
+    } else if (rule.type === 'object') {
+      if (typeof fieldValue !== 'object' || Array.isArray(fieldValue)
+        || !Object.values(fieldValue).every(entry => typeof entry === rule.values)) {
+        errors.push(`${field} must be an object of ${rule.values}s`);
+      }
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+}
+
+/**
+ * Extract and validate a snippet response
+ * @param {string} content - Model output
+ * @returns {object} Result with the response as snippet, or the validation errors
+ */
+export function parseSnippetResponse(content) {
+  const extracted = extractJSON(content);
+  if (!extracted.success) {
+    return {
+      success: false,
+      errors: [extracted.error],
+    };
+  }
+
+  const { valid, errors } = validateSnippetResponse(extracted.value);
+  if (!valid) {
+    return {
+      success: false,
+      errors,
+    };
+  }
+
+  return {
+    success: true,
+    snippet: extracted.value,
+  };
+}
+
+/**
+ * Build the follow-up message asking the model to fix an invalid response
+ * @param {string[]} errors - Validation errors
+ * @returns {string} Repair prompt
+ */
+export function buildRepairPrompt(errors) {
+  return [
+    'Your previous reply could not be used:',
+    ...errors.map(error => `- ${error}`),
+    '',
+    'Reply again with only the corrected JSON object: "snippet" (a non-empty string), "insights" (a list of strings),',
+    '"tone" (a string) and "platform_optimized" (an object of strings). No Markdown fences or commentary.',
+  ].join('\n');
+}
+
+export default {
+  SNIPPET_RESPONSE_SCHEMA,
+  extractJSON,
+  validateSnippetResponse,
+  parseSnippetResponse,
+  buildRepairPrompt,
+};
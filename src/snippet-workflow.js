@@ -0,0 +1,254 @@
+/**
+ * Snippet Workflow
+ * Generates snippets from feed items into SnippetManager and posts approved snippets
+ */
+
+import { describeBrand } from './brand-profile.js';
+
+/**
+ * Generator tone used for each configured snippet style
+ */
+export const STYLE_TONES = {
+  viral: 'engaging',
+  professional: 'professional',
+  casual: 'casual',
+};
+
+/**
+ * CLI/config platform names that differ from the snippet platform names
+ */
+const SNIPPET_PLATFORMS = {
+  x: 'twitter',
+};
+
+/**
+ * Get the generator tone for a snippet style
+ * @param {string} style - Snippet style (viral, professional, casual) or a generator tone
+ * @returns {string} Generator tone
+ */
+export function getToneForStyle(style) {
+  return STYLE_TONES[style] || style || 'engaging';
+}
+
+/**
+ * Convert a CLI/config platform name to the name snippets are stored under
+ * @param {string} platform - Platform name (e.g. x)
+ * @returns {string} Snippet platform (e.g. twitter)
+ */
+export function toSnippetPlatform(platform) {
+  return SNIPPET_PLATFORMS[platform] || platform || 'general';
+}
+
+/**
+ * Generate snippets for feed items and store them as pending snippets
+ * Items that already have a snippet for the platform are skipped.
+ * @param {Array} items - Feed items (e.g. FeedManager.getRecentItems())
+ * @param {object} options - Generation options
+ * @param {AISnippetGenerator} options.generator - Snippet generator
+ * @param {SnippetManager} options.snippetManager - Snippet store
+ * @param {string} [options.platform] - Target platform
+ * @param {string} [options.style] - Snippet style
+ * @param {object} [options.brand] - Brand profile for the prompt (see resolveBrand)
+ * @param {string} [options.brandContext] - Free-text brand context, used when no brand profile is given
+ * @param {string} [options.pipeline] - Name of the pipeline the snippets belong to
+ * @param {Function} [options.onResult] - (outcome) callback after each item
+ * @returns {Promise<object>} Summary with created, skipped and failed outcomes
+ */
+export async function generateSnippets(items, options = {}) {
+  const { generator, snippetManager, style, pipeline, onResult } = options;
+  const brand = options.brand || (options.brandContext ? { description: options.brandContext } : null);
+  const platform = toSnippetPlatform(options.platform);
+  const tone = getToneForStyle(style);
+  const summary = {
+    success: true,
+    created: [],
+    skipped: [],
+    failed: [],
+  };
+
+  for (const item of items) {
+    const outcome = await generateItemSnippet(item, {
+      generator,
+      snippetManager,
+      platform,
+      tone,
+      style,
+      brand,
+      pipeline,
+    });
+    summary[outcome.status].push(outcome);
+
+    if (onResult) {
+      onResult(outcome);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Generate and store the snippet for one feed item
+ * @param {object} item - Feed item
+ * @param {object} options - Resolved generation options
+ * @returns {Promise<object>} Outcome { status, item, snippet?, reason? }
+ */
+async function generateItemSnippet(item, options) {
+  const { generator, snippetManager, platform, tone, style, brand, pipeline } = options;
+  const sourceUrl = item.url || item.link || null;
+
+  if (sourceUrl) {
+    const existing = await snippetManager.listSnippets({ sourceUrl, platform });
+    if (existing.success && existing.total > 0) {
+      return {
+        status: 'skipped',
+        item,
+        snippet: existing.snippets[0],
+        reason: 'Snippet already exists',
+      };
+    }
+  }
+
+  const result = await generator.generateSnippet(item, { platform, tone, style, brand });
+  if (!result.success) {
+    return { status: 'failed', item, reason: result.error || result.reason };
+  }
+
+  const created = await snippetManager.createSnippet({
+    ...result.snippet,
+    style: style || null,
+    brand: brand?.name || null,
+    brandContext: describeBrand(brand) || null,
+    feedId: item.feedId || null,
+    feedTitle: item.feedTitle || null,
+    ...(pipeline && { pipeline }),
+  });
+  if (!created.success) {
+    return { status: 'failed', item, reason: created.error };
+  }
+
+  return { status: 'created', item, snippet: created.snippet };
+}
+
+/**
+ * Failed posting attempts after which a snippet is marked failed and leaves the posting queues
+ */
+export const MAX_POST_ATTEMPTS = 3;
+
+/**
+ * Sort a posting queue: fewest failed attempts first, then oldest approval
+ * A snippet that keeps failing moves behind the others instead of blocking the platform.
+ * @param {Array} snippets - Approved snippets
+ * @returns {Array} Sorted snippets
+ */
+export function sortPostQueue(snippets) {
+  const approvalTime = snippet => new Date(snippet.approvedAt || snippet.createdAt).getTime();
+  return [...snippets].sort((a, b) => (a.postAttempts || 0) - (b.postAttempts || 0) || approvalTime(a) - approvalTime(b));
+}
+
+/**
+ * Record a failed posting attempt on a snippet
+ * @param {SnippetManager} snippetManager - Snippet store
+ * @param {object} snippet - Snippet
+ * @param {string} error - Posting error
+ * @param {number} maxAttempts - Attempts after which the snippet is marked failed
+ * @returns {Promise<object>} { postAttempts, markedFailed }
+ */
+async function recordPostFailure(snippetManager, snippet, error, maxAttempts) {
+  const postAttempts = (snippet.postAttempts || 0) + 1;
+  const markedFailed = postAttempts >= maxAttempts;
+
+  await snippetManager.updateSnippet(snippet.id, {
+    postAttempts,
+    lastPostError: error,
+    lastPostAttemptAt: new Date().toISOString(),
+    ...(markedFailed && { status: 'failed' }),
+  });
+
+  return { postAttempts, markedFailed };
+}
+
+/**
+ * Post an approved snippet and mark it as posted
+ * Failed posts are counted on the snippet (postAttempts, lastPostError); after maxAttempts
+ * failures its status becomes failed. Approving it again resets the count.
+ * @param {string} id - Snippet ID
+ * @param {object} options - Post options
+ * @param {SnippetManager} options.snippetManager - Snippet store
+ * @param {SocialPoster} options.poster - Social poster
+ * @param {string[]} options.platforms - social-poster platform names to post to
+ * @param {number} [options.maxAttempts] - Failed attempts before the snippet is marked failed (default MAX_POST_ATTEMPTS)
+ * @returns {Promise<object>} Result with the updated snippet and per-platform results
+ */
+export async function postSnippet(id, options = {}) {
+  const { snippetManager, poster, platforms = [], maxAttempts = MAX_POST_ATTEMPTS } = options;
+
+  const found = await snippetManager.getSnippet(id);
+  if (!found.success) {
+    return found;
+  }
+
+  const { snippet } = found;
+  if (snippet.status !== 'approved') {
+    return {
+      success: false,
+      error: `Only approved snippets can be posted (status: ${snippet.status})`,
+    };
+  }
+
+  if (platforms.length === 0) {
+    return {
+      success: false,
+      error: 'No target platforms',
+    };
+  }
+
+  const postResult = await poster.post({ text: snippet.content }, platforms);
+  if (!postResult.success) {
+    return {
+      success: false,
+      error: postResult.error,
+      ...await recordPostFailure(snippetManager, snippet, postResult.error, maxAttempts),
+    };
+  }
+
+  const results = postResult.results || {};
+  const failedPlatforms = platforms.filter(platform => results[platform]?.success === false);
+  if (failedPlatforms.length === platforms.length) {
+    const error = failedPlatforms
+      .map(platform => `${platform}: ${results[platform].error || 'failed'}`)
+      .join(', ');
+    return {
+      success: false,
+      error,
+      results,
+      ...await recordPostFailure(snippetManager, snippet, error, maxAttempts),
+    };
+  }
+
+  const updated = await snippetManager.updateSnippet(id, {
+    status: 'posted',
+    postedAt: new Date().toISOString(),
+    postedTo: platforms.filter(platform => !failedPlatforms.includes(platform)),
+    postResults: results,
+  });
+  if (!updated.success) {
+    return updated;
+  }
+
+  return {
+    success: true,
+    snippet: updated.snippet,
+    results,
+    failedPlatforms,
+  };
+}
+
+export default {
+  STYLE_TONES,
+  MAX_POST_ATTEMPTS,
+  getToneForStyle,
+  toSnippetPlatform,
+  generateSnippets,
+  postSnippet,
+  sortPostQueue,
+};
@@ -0,0 +1,73 @@
+/**
+ * Adaptive Polling Tests
+ * Testing polling intervals derived from publishing cadence and feed hints
+ */
+
+import { expect } from 'chai';
+import { computePollingInterval } from '../src/adaptive-polling.js';
+
+describe('Adaptive Polling', () => {
+  const now = new Date('2024-03-09T12:00:00.000Z');
+  const itemsEvery = (minutes, count = 5, quietFor = 0) => Array.from({ length: count }, (value, index) => ({
+    published: new Date(now.getTime() - (quietFor + index * minutes) * 60000).toISOString(),
+  }));
+
+  describe('computePollingInterval', () => {
+    it('should poll twice per publishing interval', () => {
+      const decision = computePollingInterval({ items: itemsEvery(60) }, { now });
+
+      expect(decision).to.include({ interval: '*/30 * * * *', intervalMinutes: 30, cadenceMinutes: 60 });
+      expect(decision.reason).to.equal('publishes every ~1h (median of 5 items); polling every 30m');
+    });
+
+    it('should not poll more often than ttl or sy:updatePeriod allow', () => {
+      expect(computePollingInterval({
+        items: itemsEvery(60),
+        pollingHints: { ttl: 180 },
+      }, { now }).interval).to.equal('0 */3 * * *');
+
+      expect(computePollingInterval({
+        items: [],
+        pollingHints: { updateInterval: 1440 },
+      }, { now }).interval).to.equal('0 0 * * *');
+    });
+
+    it('should clamp to the configured bounds', () => {
+      const fast = computePollingInterval({ items: itemsEvery(5) }, { now });
+      expect(fast.interval).to.equal('*/15 * * * *');
+      expect(fast.reason).to.include('clamped to 15m-1d');
+
+      const slow = computePollingInterval({ items: itemsEvery(10080) }, { now, maxInterval: 720 });
+      expect(slow.interval).to.equal('0 0,12 * * *');
+    });
+
+    it('should slow down for feeds that have gone quiet', () => {
+      const decision = computePollingInterval({ items: itemsEvery(60, 5, 30 * 60) }, { now });
+
+      expect(decision.cadenceMinutes).to.equal(600);
+      expect(decision.interval).to.equal('0 */4 * * *');
+      expect(decision.reason).to.include('quiet for 1.3d');
+    });
+
+    it('should leave out skipHours and skipDays on UTC schedules', () => {
+      const feed = {
+        items: [],
+        pollingHints: { ttl: 60, skipHours: [0, 1, 2, 3, 4, 5], skipDays: [0, 6] },
+      };
+
+      expect(computePollingInterval(feed, { now, applySkips: true }).interval)
+        .to.equal('0 6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22,23 * * 1,2,3,4,5');
+
+      const ignored = computePollingInterval(feed, { now });
+      expect(ignored.interval).to.equal('0 * * * *');
+      expect(ignored.reason).to.include('skipHours/skipDays ignored');
+    });
+
+    it('should not adapt without item history or hints', () => {
+      const decision = computePollingInterval({ items: itemsEvery(60, 2) }, { now });
+
+      expect(decision.interval).to.be.null;
+      expect(decision.reason).to.equal('Not enough item history or polling hints to adapt');
+    });
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * AI Providers Tests
+ * Testing the OpenAI, Ollama and OpenAI-compatible chat backends
+ */
+
+import { expect } from 'chai';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import sinon from 'sinon';
+import { OpenAIProvider, OllamaProvider, createAIProvider } from '../src/ai-providers.js';
+import { AISnippetGenerator, generateSnippet } from '../src/ai-snippet-generator.js';
+
+describe('AI Providers', () => {
+  const messages = [
+    { role: 'system', content: 'You write snippets.' },
+    { role: 'user', content: 'Summarize this article.' },
+  ];
+  const snippetJson = JSON.stringify({ snippet: 'Local models are getting good', insights: ['speed'] });
+
+  let originalFetch;
+
+  beforeEach(() => {
+    originalFetch = global.fetch;
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  describe('createAIProvider', () => {
+    it('should pick the provider from the AI configuration', () => {
+      expect(createAIProvider({ provider: 'openai', apiKey: 'sk-test' })).to.be.instanceOf(OpenAIProvider);
+      expect(createAIProvider({ provider: 'ollama', ollamaUrl: 'http://localhost:11434' })).to.be.instanceOf(OllamaProvider);
+
+      const compatible = createAIProvider({ provider: 'openai-compatible', baseUrl: 'http://localhost:1234/v1' });
+      expect(compatible).to.be.instanceOf(OpenAIProvider);
+      expect(compatible.name).to.equal('openai-compatible');
+      expect(compatible.client.baseURL).to.equal('http://localhost:1234/v1');
+    });
+
+    it('should reject incomplete or unknown configurations', () => {
+      expect(() => createAIProvider({ provider: 'openai' })).to.throw('OpenAI API key is required');
+      expect(() => createAIProvider({ provider: 'openai-compatible' })).to.throw('Base URL is required');
+      expect(() => createAIProvider({ provider: 'claude' })).to.throw('Unknown AI provider "claude"');
+    });
+  });
+
+  describe('OpenAIProvider', () => {
+    it('should request a JSON object completion', async () => {
+      const create = sinon.stub().resolves({ choices: [{ message: { content: snippetJson } }] });
+      const provider = new OpenAIProvider({ model: 'gpt-4o-mini', client: { chat: { completions: { create } } } });
+
+      const content = await provider.chat(messages, { maxTokens: 200, temperature: 0.5, json: true });
+
+      expect(content).to.equal(snippetJson);
+      expect(create.firstCall.args[0]).to.deep.equal({
+        model: 'gpt-4o-mini',
+        messages,
+        max_tokens: 200,
+        temperature: 0.5,
+        response_format: { type: 'json_object' },
+      });
+    });
+
+    it('should leave out response_format when JSON mode is off', async () => {
+      const create = sinon.stub().resolves({ choices: [{ message: { content: 'plain' } }] });
+      const provider = new OpenAIProvider({ jsonMode: false, client: { chat: { completions: { create } } } });
+
+      await provider.chat(messages, { json: true });
+
+      expect(create.firstCall.args[0]).to.not.have.property('response_format');
+    });
+  });
+
+  describe('OllamaProvider', () => {
+    it('should call /api/chat with JSON format and return the message content', async () => {
+      let request;
+      global.fetch = async (url, init) => {
+        request = { url: url.toString(), init };
+        return { ok: true, json: async () => ({ message: { role: 'assistant', content: snippetJson }, done: true }) };
+      };
+      const provider = new OllamaProvider({ baseUrl: 'http://build-box:11434', model: 'llama3.1' });
+
+      const content = await provider.chat(messages, { maxTokens: 300, temperature: 0.7, json: true });
+
+      expect(content).to.equal(snippetJson);
+      expect(request.url).to.equal('http://build-box:11434/api/chat');
+      expect(request.init.method).to.equal('POST');
+      expect(JSON.parse(request.init.body)).to.deep.equal({
+        model: 'llama3.1',
+        messages,
+        stream: false,
+        format: 'json',
+        options: { temperature: 0.7, num_predict: 300 },
+      });
+    });
+
+    it('should keep the path of a prefixed base URL', async () => {
+      const urls = [];
+      global.fetch = async (url) => {
+        urls.push(url.toString());
+        return { ok: true, json: async () => ({ message: { role: 'assistant', content: snippetJson }, done: true }) };
+      };
+
+      await new OllamaProvider({ baseUrl: 'http://gw.internal/ollama' }).chat(messages);
+      await new OllamaProvider({ baseUrl: 'http://gw.internal/ollama/' }).chat(messages);
+
+      expect(urls).to.deep.equal(['http://gw.internal/ollama/api/chat', 'http://gw.internal/ollama/api/chat']);
+    });
+
+    it('should report Ollama errors', async () => {
+      global.fetch = async () => ({
+        ok: false,
+        status: 404,
+        statusText: 'Not Found',
+        json: async () => ({ error: 'model "llama9" not found, try pulling it first' }),
+      });
+      const provider = new OllamaProvider({ model: 'llama9' });
+
+      let error;
+      try {
+        await provider.chat(messages);
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error.message).to.equal('Ollama HTTP 404: model "llama9" not found, try pulling it first');
+    });
+  });
+
+  describe('AISnippetGenerator with Ollama', () => {
+    let tempDataPath;
+
+    beforeEach(() => {
+      tempDataPath = path.join(os.tmpdir(), `rss-amplifier-providers-test-${Date.now()}`);
+    });
+
+    afterEach(() => {
+      if (fs.existsSync(tempDataPath)) {
+        fs.rmSync(tempDataPath, { recursive: true, force: true });
+      }
+    });
+
+    it('should generate snippets without an OpenAI key', async () => {
+      global.fetch = async () => ({ ok: true, json: async () => ({ message: { content: snippetJson } }) });
+      const generator = new AISnippetGenerator({
+        provider: 'ollama',
+        ollamaUrl: 'http://localhost:11434',
+        model: 'llama3.1',
+        dataPath: tempDataPath,
+        promptDir: path.join(tempDataPath, 'prompts'),
+      });
+
+      const result = await generator.generateSnippet({
+        title: 'Running LLMs locally',
+        description: 'A look at running language models on your own hardware for development teams.',
+        link: 'https://example.com/local-llms',
+      });
+
+      expect(generator.aiProvider).to.be.instanceOf(OllamaProvider);
+      expect(result.success).to.be.true;
+      expect(result.snippet.content).to.include('Local models are getting good');
+    });
+
+    it('should use the provider options given to the standalone generateSnippet', async () => {
+      let request;
+      global.fetch = async (url, init) => {
+        request = { url: url.toString(), body: JSON.parse(init.body) };
+        return { ok: true, json: async () => ({ message: { content: snippetJson } }) };
+      };
+
+      const result = await generateSnippet({
+        title: 'Running LLMs locally',
+        description: 'A look at running language models on your own hardware for development teams.',
+        link: 'https://example.com/local-llms',
+      }, {
+        provider: 'ollama',
+        ollamaUrl: 'http://gw.internal/ollama',
+        model: 'mistral',
+        dataPath: tempDataPath,
+        promptDir: path.join(tempDataPath, 'prompts'),
+      });
+
+      expect(result.success).to.be.true;
+      expect(request.url).to.equal('http://gw.internal/ollama/api/chat');
+      expect(request.body.model).to.equal('mistral');
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * AI Service Tests
+ * Testing the config-driven facade over AISnippetGenerator
+ */
+
+import { expect } from 'chai';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import sinon from 'sinon';
+import { getDefaultConfig } from '../src/config-manager.js';
+import { AISnippetGenerator } from '../src/ai-snippet-generator.js';
+import { OllamaProvider } from '../src/ai-providers.js';
+import {
+  AIService,
+  createSnippetGenerator,
+  initializeAIService,
+  generateContextualSnippet,
+} from '../src/ai-service.js';
+
+describe('AI Service', () => {
+  const feedItem = {
+    title: 'Shipping faster with feature flags',
+    description: 'How small teams use feature flags to ship continuously without breaking production deployments.',
+    link: 'https://example.com/feature-flags',
+  };
+
+  let tempDataPath;
+  let config;
+  let generator;
+
+  beforeEach(() => {
+    tempDataPath = path.join(os.tmpdir(), `rss-amplifier-ai-service-test-${Date.now()}`);
+    config = getDefaultConfig();
+    config.ai.enabled = true;
+    config.ai.provider = 'ollama';
+    config.ai.model = 'llama3.1';
+    config.general.brandContext = 'FlagShip, a feature flag service for small teams';
+    config.general.defaultPlatforms = ['x'];
+
+    generator = new AISnippetGenerator({
+      dataPath: tempDataPath,
+      promptDir: path.join(tempDataPath, 'prompts'),
+      mockMode: true,
+      mockResponse: {
+        choices: [{ message: { content: JSON.stringify({ snippet: 'Feature flags turn deploys into non-events.', insights: ['flags'] }) } }],
+      },
+    });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    if (fs.existsSync(tempDataPath)) {
+      fs.rmSync(tempDataPath, { recursive: true, force: true });
+    }
+  });
+
+  describe('createSnippetGenerator', () => {
+    it('should use the provider selected in the configuration', () => {
+      const created = createSnippetGenerator(config, { dataPath: tempDataPath });
+
+      expect(created.aiProvider).to.be.instanceOf(OllamaProvider);
+      expect(created.aiProvider.options).to.include({ baseUrl: 'http://localhost:11434', model: 'llama3.1' });
+    });
+
+    it('should refuse to create a generator when AI is not configured', () => {
+      expect(() => createSnippetGenerator(getDefaultConfig())).to.throw('AI is not configured');
+    });
+  });
+
+  describe('generateContextualSnippet', () => {
+    it('should inject the configured brand context and map style to tone', async () => {
+      const spy = sinon.spy(generator, 'generateSnippet');
+      const service = initializeAIService(config, { generator });
+
+      const result = await service.generateContextualSnippet({ content: feedItem, style: 'professional' });
+
+      expect(result.success).to.be.true;
+      expect(result.data.content).to.match(/^Feature flags turn deploys into non-events\./);
+      expect(result.data).to.include({
+        platform: 'twitter',
+        style: 'professional',
+        brandContext: 'FlagShip, a feature flag service for small teams',
+      });
+      expect(spy.firstCall.args[1]).to.deep.equal({
+        platform: 'twitter',
+        tone: 'professional',
+        style: 'professional',
+        brand: { description: 'FlagShip, a feature flag service for small teams' },
+      });
+    });
+
+    it('should prefer the request brand context', async () => {
+      const spy = sinon.spy(generator, 'generateSnippet');
+
+      const result = await generateContextualSnippet(
+        { content: feedItem, brandContext: 'Acme CI' },
+        { config, generator },
+      );
+
+      expect(result.data.brandContext).to.equal('Acme CI');
+      expect(spy.firstCall.args[1].brand).to.deep.equal({ description: 'Acme CI' });
+    });
+
+    it('should select a brand profile by name', async () => {
+      config.brands = [{ name: 'flagship', displayName: 'FlagShip', description: 'Feature flags for small teams' }];
+      const spy = sinon.spy(generator, 'generateSnippet');
+      const service = initializeAIService(config, { generator });
+
+      const result = await service.generateContextualSnippet({ content: feedItem, brand: 'flagship' });
+
+      expect(result.data).to.include({ brand: 'flagship', brandContext: 'FlagShip: Feature flags for small teams' });
+      expect(spy.firstCall.args[1].brand).to.equal(config.brands[0]);
+    });
+
+    it('should return an error result when AI is not configured', async () => {
+      const service = new AIService(getDefaultConfig());
+
+      const result = await service.generateContextualSnippet({ content: feedItem });
+
+      expect(service.isReady()).to.be.false;
+      expect(result.success).to.be.false;
+      expect(result.error).to.include('AI is not configured');
+    });
+  });
+
+  describe('getStatus', () => {
+    it('should report provider, model and generation statistics', async () => {
+      const service = new AIService(config, { generator });
+      await service.generateContextualSnippet({ content: feedItem });
+
+      const status = service.getStatus();
+
+      expect(status).to.include({ enabled: true, ready: true, provider: 'ollama', model: 'llama3.1', error: null });
+      expect(status.stats.successfulGenerations).to.equal(1);
+    });
+  });
+});
@@ -53,6 +53,7 @@ describe('AI Snippet Generator', () => {
       temperature: 0.7,
       mockMode: true,
       mockResponse: mockOpenAIResponse,
+      promptDir: path.join(tempDataPath, 'prompts'),
     });
   });
 
@@ -67,13 +68,25 @@ describe('AI Snippet Generator', () => {
     it('should create instance with default options', () => {
       const testGenerator = new AISnippetGenerator({
         openaiApiKey: 'test-key',
+        dataPath: tempDataPath,
+        promptDir: path.join(tempDataPath, 'prompts'),
       });
       expect(testGenerator).to.be.instanceOf(AISnippetGenerator);
-      expect(testGenerator.options).to.have.property('model', 'gpt-4');
+      expect(testGenerator.options).to.have.property('model', 'gpt-4o-mini');
       expect(testGenerator.options).to.have.property('maxTokens', 500);
       expect(testGenerator.options).to.have.property('temperature', 0.7);
     });
 
+    it('should default to the model of the chosen provider', () => {
+      const testGenerator = new AISnippetGenerator({
+        provider: 'ollama',
+        dataPath: tempDataPath,
+        promptDir: path.join(tempDataPath, 'prompts'),
+      });
+      expect(testGenerator.options.model).to.equal('llama3.1');
+      expect(testGenerator.aiProvider.options.model).to.equal('llama3.1');
+    });
+
     it('should create instance with custom options', () => {
       const options = {
         openaiApiKey: 'custom-key',
@@ -218,6 +231,12 @@ describe('AI Snippet Generator', () => {
       expect(technicalAnalysis.technicalLevel).to.equal('advanced');
       expect(casualAnalysis.technicalLevel).to.equal('beginner');
     });
+
+    it('should keep angle brackets in plain text', () => {
+      const analysis = analyzeContent('Prefer Map<string, number> over plain objects');
+
+      expect(analysis.wordCount).to.equal(6);
+    });
   });
 
   describe('formatSnippetForPlatform', () => {
@@ -267,6 +286,8 @@ describe('AI Snippet Generator', () => {
       const options = {
         platform: 'twitter',
         tone: 'engaging',
+        dataPath: tempDataPath,
+        promptDir: path.join(tempDataPath, 'prompts'),
         mockMode: true,
         mockResponse: mockOpenAIResponse,
       };
@@ -288,6 +309,8 @@ describe('AI Snippet Generator', () => {
 
       const options = {
         platform: 'twitter',
+        dataPath: tempDataPath,
+        promptDir: path.join(tempDataPath, 'prompts'),
         mockMode: true,
         mockResponse: { error: 'API Error' },
       };
@@ -308,6 +331,8 @@ describe('AI Snippet Generator', () => {
       const promises = Array(5).fill().map(() => 
         generateSnippet(rssItem, { 
           platform: 'twitter',
+          dataPath: tempDataPath,
+          promptDir: path.join(tempDataPath, 'prompts'),
           mockMode: true,
           mockResponse: mockOpenAIResponse,
         })
@@ -319,6 +344,19 @@ describe('AI Snippet Generator', () => {
   });
 
   describe('AISnippetGenerator methods', () => {
+    it('should build prompts from Markdown instead of raw HTML', () => {
+      const prompt = generator.buildPrompt({
+        title: 'Release notes',
+        html: '<p>Version <strong>2.0</strong> is out &mdash; <a href="https://example.com/notes">read more</a></p><img src="https://t.example.com/p.gif" width="1" height="1">',
+        text: 'Version 2.0 is out — read more',
+        url: 'https://example.com/release',
+      }, { platform: 'twitter' }, { technicalLevel: 'beginner', topics: ['Technology'] });
+
+      expect(prompt).to.include('Content: Version **2.0** is out — [read more](https://example.com/notes)');
+      expect(prompt).to.not.include('<p>');
+      expect(prompt).to.not.include('p.gif');
+    });
+
     it('should generate snippet for RSS item', async () => {
       const rssItem = {
         title: 'AI Revolution in Development',
@@ -465,6 +503,8 @@ describe('AI Snippet Generator', () => {
     it('should handle network timeouts', async () => {
       const generator = new AISnippetGenerator({
         openaiApiKey: 'test-key',
+        dataPath: tempDataPath,
+        promptDir: path.join(tempDataPath, 'prompts'),
         timeout: 1, // Very short timeout
         mockMode: true,
         mockDelay: 100, // Longer than timeout
@@ -0,0 +1,120 @@
+/**
+ * Article Extractor Tests
+ * Testing full-article extraction from web pages
+ */
+
+import { expect } from 'chai';
+import { extractArticle, fetchArticle } from '../src/article-extractor.js';
+
+const articlePage = `<!DOCTYPE html>
+  <html>
+    <head>
+      <title>Why Feeds Still Matter</title>
+      <script>window.tracking = true;</script>
+      <style>.ad { color: red; }</style>
+    </head>
+    <body>
+      <nav><a href="/">Home</a> <a href="/about">About</a></nav>
+      <div class="ad-banner"><p>Buy our amazing product today, limited offer!</p></div>
+      <article>
+        <header><p class="byline">Posted by an author on a date long enough to count.</p></header>
+        <h1>Why Feeds Still Matter</h1>
+        <p>Feeds let readers follow publishers without an algorithm deciding what they see.</p>
+        <div class="share-buttons"><p>Share this article on every network you can think of.</p></div>
+        <p>They are also trivial to consume from tools like this one &amp; many others.</p>
+        <p><a href="/a">Related one</a> <a href="/b">Related two</a> <a href="/c">Related three</a></p>
+        <aside><p>Sidebar content that should never appear in the article body.</p></aside>
+      </article>
+      <footer><p>Copyright notice and a list of links nobody reads at all.</p></footer>
+    </body>
+  </html>`;
+
+describe('Article Extractor', () => {
+  describe('extractArticle', () => {
+    it('should keep article paragraphs and drop page chrome', () => {
+      const article = extractArticle(articlePage);
+
+      expect(article.title).to.equal('Why Feeds Still Matter');
+      expect(article.text).to.include('Feeds let readers follow publishers');
+      expect(article.text).to.include('this one & many others.');
+      expect(article.text).to.not.include('Home');
+      expect(article.text).to.not.include('Buy our amazing product');
+      expect(article.text).to.not.include('Share this article');
+      expect(article.text).to.not.include('Sidebar content');
+      expect(article.text).to.not.include('Posted by');
+      expect(article.text).to.not.include('Copyright');
+      expect(article.text).to.not.include('tracking');
+      expect(article.length).to.equal(article.text.length);
+    });
+
+    it('should drop link-heavy blocks', () => {
+      const article = extractArticle(articlePage);
+
+      expect(article.text).to.not.include('Related one');
+      expect(article.html).to.include('<h1>Why Feeds Still Matter</h1>');
+    });
+
+    it('should drop noise elements nested inside other noise elements', () => {
+      const article = extractArticle(`<html><body><article>
+        <p>The opening paragraph of the article body stays in place.</p>
+        <aside>
+          <nav><a href="/">Home</a></nav>
+          <aside><p>Nested sidebar with an inner aside block of its own.</p></aside>
+          <p>Outer sidebar text that follows the nested sidebar block.</p>
+        </aside>
+        <div class="sidebar">
+          <div class="widget"><p>Widget text sitting inside the sidebar wrapper.</p></div>
+          <p>Sidebar text that follows the nested widget wrapper.</p>
+        </div>
+        <p>The closing paragraph of the article body stays in place.</p>
+      </article></body></html>`);
+
+      expect(article.text).to.include('opening paragraph');
+      expect(article.text).to.include('closing paragraph');
+      expect(article.text).to.not.include('sidebar');
+      expect(article.text).to.not.include('Widget');
+    });
+
+    it('should fall back to the body text when there are no paragraphs', () => {
+      const article = extractArticle('<html><body><div>Just some loose text</div></body></html>');
+
+      expect(article.text).to.equal('Just some loose text');
+      expect(article.html).to.equal('<p>Just some loose text</p>');
+    });
+  });
+
+  describe('fetchArticle', () => {
+    let originalFetch;
+
+    beforeEach(() => {
+      originalFetch = global.fetch;
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    it('should fetch and extract an article', async () => {
+      global.fetch = async () => ({
+        ok: true,
+        status: 200,
+        text: async () => articlePage,
+      });
+
+      const result = await fetchArticle('https://example.com/feeds-matter');
+
+      expect(result.success).to.be.true;
+      expect(result.url).to.equal('https://example.com/feeds-matter');
+      expect(result.text).to.include('Feeds let readers follow publishers');
+    });
+
+    it('should report HTTP errors', async () => {
+      global.fetch = async () => ({ ok: false, status: 404, statusText: 'Not Found' });
+
+      const result = await fetchArticle('https://example.com/missing');
+
+      expect(result.success).to.be.false;
+      expect(result.error).to.equal('HTTP 404: Not Found');
+    });
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Brand Profile Tests
+ * Testing brand profile validation, selection and prompt injection
+ */
+
+import { expect } from 'chai';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import sinon from 'sinon';
+import {
+  validateBrandProfile,
+  resolveBrand,
+  describeBrand,
+  buildBrandPrompt,
+  findBannedPhrases,
+} from '../src/brand-profile.js';
+import { AISnippetGenerator } from '../src/ai-snippet-generator.js';
+import { getDefaultConfig, validateConfig } from '../src/config-manager.js';
+
+describe('Brand Profiles', () => {
+  const smashlang = {
+    name: 'smashlang',
+    displayName: 'SmashLang',
+    description: 'An async-first JavaScript alternative',
+    audience: 'Backend developers',
+    voice: ['curious', 'direct'],
+    bannedPhrases: ['game changer', 'Revolutionary'],
+    hashtags: ['SmashLang', '#JavaScript', 'async'],
+    ctaStyle: 'End with a question',
+    examples: ['Async by default sounds boring until you delete your third retry wrapper.'],
+  };
+
+  let config;
+
+  beforeEach(() => {
+    config = getDefaultConfig();
+    config.brands = [smashlang, { name: 'side-project', description: 'A tiny CLI' }];
+  });
+
+  describe('validateBrandProfile', () => {
+    it('should accept a complete profile and report bad fields', () => {
+      expect(validateBrandProfile(smashlang)).to.deep.equal({ valid: true, errors: [] });
+
+      const { valid, errors } = validateBrandProfile({ name: 'bad name', voice: 'loud', audience: 42 });
+      expect(valid).to.be.false;
+      expect(errors).to.deep.equal([
+        'Brand profile name "bad name" may only contain letters, digits, - and _',
+        'Brand profile "bad name" audience must be a string',
+        'Brand profile "bad name" voice must be a list of strings',
+      ]);
+    });
+
+    it('should reject duplicate and unknown brand references in the configuration', () => {
+      config.brands.push({ name: 'smashlang' });
+      config.general.defaultBrand = 'missing';
+      config.pipelines = [{ name: 'tech', schedule: 'hourly', platforms: ['x'], generate: { brand: 'nope' } }];
+
+      const { errors } = validateConfig(config);
+
+      expect(errors).to.include('Brand profile name "smashlang" is used more than once');
+      expect(errors).to.include('Default brand "missing" is not a brand profile');
+      expect(errors).to.include('Pipeline "tech" uses unknown brand profile "nope"');
+    });
+  });
+
+  describe('resolveBrand', () => {
+    it('should select profiles by name and fall back to defaults and free text', () => {
+      expect(resolveBrand(config, 'side-project')).to.equal(config.brands[1]);
+      expect(resolveBrand(config, 'Acme DevTools')).to.deep.equal({ description: 'Acme DevTools' });
+      expect(resolveBrand(config)).to.equal(null);
+
+      config.general.brandContext = 'Legacy context';
+      expect(resolveBrand(config)).to.deep.equal({ description: 'Legacy context' });
+
+      config.general.defaultBrand = 'smashlang';
+      expect(resolveBrand(config)).to.equal(smashlang);
+    });
+
+    it('should report a profile-like name that matches no profile', () => {
+      const onUnknown = sinon.spy();
+      const warn = sinon.stub(console, 'warn');
+      try {
+        expect(resolveBrand(config, 'smashlnag', { onUnknown })).to.deep.equal({ description: 'smashlnag' });
+        resolveBrand(config, 'Acme DevTools', { onUnknown });
+        resolveBrand(config, 'Acme');
+      } finally {
+        warn.restore();
+      }
+
+      expect(onUnknown.calledOnceWith('smashlnag')).to.be.true;
+      expect(warn.called).to.be.false;
+    });
+  });
+
+  describe('buildBrandPrompt', () => {
+    it('should describe every part of the profile', () => {
+      const prompt = buildBrandPrompt(smashlang);
+
+      expect(prompt).to.include('- Name: SmashLang');
+      expect(prompt).to.include('- Product: An async-first JavaScript alternative');
+      expect(prompt).to.include('- Audience: Backend developers');
+      expect(prompt).to.include('- Voice: curious, direct');
+      expect(prompt).to.include('- Call to action: End with a question');
+      expect(prompt).to.include('- Preferred hashtags: #SmashLang #JavaScript #async');
+      expect(prompt).to.include('- Never use these phrases: "game changer", "Revolutionary"');
+      expect(prompt).to.include('  1. Async by default sounds boring');
+      expect(prompt).to.include('Tie the article back to SmashLang only where it genuinely fits');
+    });
+
+    it('should handle free-text context and no brand', () => {
+      expect(buildBrandPrompt({ description: 'Acme DevTools' })).to.include('- Context: Acme DevTools');
+      expect(buildBrandPrompt(null)).to.equal('');
+      expect(describeBrand(smashlang)).to.equal('SmashLang: An async-first JavaScript alternative');
+    });
+  });
+
+  describe('findBannedPhrases', () => {
+    it('should match banned phrases ignoring case', () => {
+      expect(findBannedPhrases('This is a GAME CHANGER, truly revolutionary', smashlang)).to.deep.equal(['game changer', 'Revolutionary']);
+      expect(findBannedPhrases('Nothing to see here', smashlang)).to.deep.equal([]);
+      expect(findBannedPhrases('game changer', null)).to.deep.equal([]);
+    });
+  });
+
+  describe('Snippet generation', () => {
+    const feedItem = {
+      title: 'Structured concurrency in JavaScript',
+      description: 'A proposal for structured concurrency primitives in JavaScript runtimes and what it means for async code.',
+      link: 'https://example.com/structured-concurrency',
+    };
+    let tempDataPath;
+
+    const createGenerator = snippet => new AISnippetGenerator({
+      dataPath: tempDataPath,
+      promptDir: path.join(tempDataPath, 'prompts'),
+      mockMode: true,
+      mockResponse: { choices: [{ message: { content: JSON.stringify({ snippet, insights: [] }) } }] },
+    });
+
+    beforeEach(() => {
+      tempDataPath = path.join(os.tmpdir(), `rss-amplifier-brand-test-${Date.now()}`);
+    });
+
+    afterEach(() => {
+      if (fs.existsSync(tempDataPath)) {
+        fs.rmSync(tempDataPath, { recursive: true, force: true });
+      }
+    });
+
+    it('should inject the brand profile into the prompt', () => {
+      const generator = createGenerator('unused');
+      const analysis = { technicalLevel: 'intermediate', topics: ['javascript'] };
+
+      const prompt = generator.buildPrompt(feedItem, { platform: 'twitter', brand: smashlang }, analysis);
+      const legacyPrompt = generator.buildPrompt(feedItem, { brandContext: 'Acme DevTools' }, analysis);
+
+      expect(prompt).to.include('Brand:\n- Name: SmashLang');
+      expect(legacyPrompt).to.include('- Context: Acme DevTools');
+    });
+
+    it('should reject snippets that use a banned phrase', async () => {
+      const generator = createGenerator('Structured concurrency is a game changer for async code');
+
+      const result = await generator.generateSnippet(feedItem, { platform: 'twitter', brand: smashlang });
+
+      expect(result.success).to.be.false;
+      expect(result.reason).to.equal('Snippet uses banned phrase: "game changer"');
+      expect(generator.stats.failureReasons).to.deep.equal({ banned_phrase: 1 });
+    });
+
+    it('should re-ask once with the banned phrases listed', async () => {
+      const chat = sinon.stub();
+      chat.onFirstCall().resolves(JSON.stringify({ snippet: 'A revolutionary take on async code' }));
+      chat.onSecondCall().resolves(JSON.stringify({ snippet: 'Structured concurrency could finally tame async code #async' }));
+      const generator = new AISnippetGenerator({
+        dataPath: tempDataPath,
+        promptDir: path.join(tempDataPath, 'prompts'),
+        aiProvider: { chat },
+      });
+
+      const result = await generator.generateSnippet(feedItem, { platform: 'twitter', brand: smashlang });
+
+      expect(result.success).to.be.true;
+      expect(result.snippet.content).to.equal('Structured concurrency could finally tame async code #async');
+      expect(chat.secondCall.args[0].at(-1).content).to.include('- snippet must not use the banned phrase "Revolutionary"');
+      expect(generator.stats.repairedResponses).to.equal(1);
+    });
+
+    it('should use the profile hashtags for tweets without any', async () => {
+      const generator = createGenerator('Structured concurrency could finally tame async code');
+
+      const result = await generator.generateSnippet(feedItem, { platform: 'twitter', brand: smashlang });
+
+      expect(result.snippet.content).to.equal('Structured concurrency could finally tame async code #SmashLang #JavaScript');
+    });
+  });
+});
@@ -23,6 +23,7 @@ import {
   getAIConfig,
   validateOpenAIApiKey,
 } from '../src/config-manager.js';
+import { DEFAULT_MODELS } from '../src/ai-providers.js';
 
 describe('Configuration Manager', () => {
   let tempConfigPath;
@@ -346,5 +347,33 @@ describe('Configuration Manager', () => {
       expect(aiConfig).to.have.property('provider');
       expect(aiConfig).to.have.property('model');
     });
+
+    it('should return the base URL and key of an OpenAI-compatible server', () => {
+      const config = getDefaultConfig();
+      config.ai.enabled = true;
+      config.ai.provider = 'openai-compatible';
+      config.ai.openaiApiKey = 'sk-1234567890abcdef';
+
+      expect(getAIConfig(config)).to.equal(null);
+
+      config.ai.baseUrl = 'http://localhost:1234/v1';
+      config.ai.apiKey = 'local-key';
+      expect(getAIConfig(config)).to.include({
+        provider: 'openai-compatible',
+        baseUrl: 'http://localhost:1234/v1',
+        apiKey: 'local-key',
+      });
+    });
+
+    it('should fall back to the provider\'s default model', () => {
+      const config = getDefaultConfig();
+      config.ai.enabled = true;
+      config.ai.provider = 'ollama';
+
+      expect(getAIConfig(config)).to.have.property('model', DEFAULT_MODELS.ollama);
+
+      config.ai.model = 'mistral';
+      expect(getAIConfig(config)).to.have.property('model', 'mistral');
+    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,88 @@
+/**
+ * Content Sanitizer Tests
+ * Testing HTML to plain text and Markdown conversion
+ */
+
+import { expect } from 'chai';
+import {
+  decodeEntities,
+  htmlToText,
+  htmlToMarkdown,
+  sanitizeContent,
+} from '../src/content-sanitizer.js';
+
+const articleHtml = `
+  <script>trackVisit("react");</script>
+  <style>p { color: red; }</style>
+  <h2>Release&nbsp;notes</h2>
+  <p>Version <strong>2.0</strong> is <em>much</em> faster &mdash; see the
+     <a href="https://example.com/bench?a=1&amp;b=2">benchmarks</a>.</p>
+  <img src="https://tracker.example.com/pixel.gif" width="1" height="1">
+  <img src="https://example.com/chart.png" alt="Chart">
+  <ul><li>Smaller bundles</li><li>Fewer &lt;div&gt; wrappers</li></ul>
+  <ol><li>Install</li><li>Run</li></ol>
+  <blockquote><p>It just works.</p></blockquote>
+  <pre><code>npm install &amp;&amp; npm test</code></pre>
+`;
+
+describe('Content Sanitizer', () => {
+  describe('decodeEntities', () => {
+    it('should decode named and numeric entities once', () => {
+      expect(decodeEntities('Tom &amp; Jerry &#8212; &#x2764; &hellip;')).to.equal('Tom & Jerry — ❤ …');
+      expect(decodeEntities('&amp;lt;p&amp;gt;')).to.equal('&lt;p&gt;');
+      expect(decodeEntities('&unknown; stays')).to.equal('&unknown; stays');
+    });
+  });
+
+  describe('htmlToText', () => {
+    it('should drop markup, scripts and pixels and collapse whitespace', () => {
+      const text = htmlToText(articleHtml);
+
+      expect(text).to.not.match(/<\/?(h2|p|strong|em|a|img|ul|li)\b/);
+      expect(text).to.not.include('trackVisit');
+      expect(text).to.not.include('color: red');
+      expect(text).to.include('Release notes Version 2.0 is much faster — see the benchmarks.');
+      expect(text).to.include('Fewer <div> wrappers');
+      expect(text).to.not.match(/\s{2,}/);
+    });
+
+    it('should leave plain text intact', () => {
+      expect(htmlToText('  a < b and c > d\n\n e ')).to.equal('a < b and c > d e');
+      expect(htmlToText(null)).to.equal('');
+    });
+  });
+
+  describe('htmlToMarkdown', () => {
+    it('should render structure as Markdown', () => {
+      const markdown = htmlToMarkdown(articleHtml);
+
+      expect(markdown).to.include('## Release notes');
+      expect(markdown).to.include('Version **2.0** is _much_ faster — see the [benchmarks](https://example.com/bench?a=1&b=2).');
+      expect(markdown).to.include('![Chart](https://example.com/chart.png)');
+      expect(markdown).to.not.include('pixel.gif');
+      expect(markdown).to.include('- Smaller bundles\n- Fewer <div> wrappers');
+      expect(markdown).to.include('1. Install\n2. Run');
+      expect(markdown).to.include('> It just works.');
+      expect(markdown).to.include('```\nnpm install && npm test\n```');
+      expect(markdown).to.not.include('trackVisit');
+      expect(markdown).to.not.match(/\n{3,}/);
+    });
+
+    it('should decode entities in headings and quotes only once', () => {
+      const markdown = htmlToMarkdown(`
+        <h2>Escaping &amp;lt;div&amp;gt;</h2>
+        <blockquote><p>Use &amp;lt;div&amp;gt; tags</p><pre>a &amp;amp;&amp;amp; b</pre></blockquote>
+      `);
+
+      expect(markdown).to.equal('## Escaping &lt;div&gt;\n\n> Use &lt;div&gt; tags\n>\n> ```\n> a &amp;&amp; b\n> ```');
+    });
+  });
+
+  describe('sanitizeContent', () => {
+    it('should return both renderings', () => {
+      const result = sanitizeContent('<p>Hello <b>world</b></p>');
+
+      expect(result).to.deep.equal({ text: 'Hello world', markdown: 'Hello **world**' });
+    });
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Cron Expression Tests
+ * Testing cron parsing and next fire time computation
+ */
+
+import { expect } from 'chai';
+import { parseCronExpression, getNextRunTimes, compileInterval, isValidTimezone } from '../src/cron-expression.js';
+
+describe('Cron Expression', () => {
+  // Saturday
+  const from = new Date('2024-03-09T12:00:00.000Z');
+  const nextRuns = (expression, count, options = {}) => (
+    getNextRunTimes(expression, count, { from, ...options }).map(date => date.toISOString())
+  );
+
+  describe('parseCronExpression', () => {
+    it('should parse ranges, lists, steps and names', () => {
+      const cron = parseCronExpression('5/20 9-17/4 1,15 jan-mar MON-fri');
+
+      expect([...cron.second]).to.deep.equal([0]);
+      expect([...cron.minute]).to.deep.equal([5, 25, 45]);
+      expect([...cron.hour]).to.deep.equal([9, 13, 17]);
+      expect([...cron.dayOfMonth]).to.deep.equal([1, 15]);
+      expect([...cron.month]).to.deep.equal([1, 2, 3]);
+      expect([...cron.dayOfWeek]).to.deep.equal([1, 2, 3, 4, 5]);
+    });
+
+    it('should accept six-field expressions and 7 for Sunday', () => {
+      const cron = parseCronExpression('*/30 * * * * 7');
+
+      expect([...cron.second]).to.deep.equal([0, 30]);
+      expect([...cron.dayOfWeek]).to.deep.equal([0]);
+    });
+
+    it('should reject malformed expressions', () => {
+      ['', '* * * *', '60 * * * *', '* * * * 8', '* * * foo *', '5-1 * * * *', '*/0 * * * *'].forEach(expression => {
+        expect(() => parseCronExpression(expression), expression).to.throw();
+      });
+    });
+  });
+
+  describe('getNextRunTimes', () => {
+    it('should compute step schedules', () => {
+      expect(nextRuns('*/15 * * * *', 3)).to.deep.equal([
+        '2024-03-09T12:15:00.000Z',
+        '2024-03-09T12:30:00.000Z',
+        '2024-03-09T12:45:00.000Z',
+      ]);
+    });
+
+    it('should compute six-field schedules to the second', () => {
+      expect(nextRuns('*/20 * * * * *', 3)).to.deep.equal([
+        '2024-03-09T12:00:20.000Z',
+        '2024-03-09T12:00:40.000Z',
+        '2024-03-09T12:01:00.000Z',
+      ]);
+    });
+
+    it('should skip to matching weekdays', () => {
+      expect(nextRuns('0 9 * * mon-fri', 2)).to.deep.equal([
+        '2024-03-11T09:00:00.000Z',
+        '2024-03-12T09:00:00.000Z',
+      ]);
+    });
+
+    it('should fire when either day field matches if both are restricted', () => {
+      // The 13th (a Wednesday) or any Friday
+      expect(nextRuns('0 0 13 * fri', 3)).to.deep.equal([
+        '2024-03-13T00:00:00.000Z',
+        '2024-03-15T00:00:00.000Z',
+        '2024-03-22T00:00:00.000Z',
+      ]);
+    });
+
+    it('should require both day fields when one is a wildcard step', () => {
+      expect(nextRuns('0 0 */2 * mon', 2)).to.deep.equal([
+        '2024-03-11T00:00:00.000Z',
+        '2024-03-25T00:00:00.000Z',
+      ]);
+    });
+
+    it('should handle rare and impossible dates', () => {
+      expect(nextRuns('0 0 29 2 *', 1)).to.deep.equal(['2028-02-29T00:00:00.000Z']);
+      expect(nextRuns('0 0 31 2 *', 1)).to.deep.equal([]);
+    });
+
+    it('should evaluate the expression in a timezone', () => {
+      expect(nextRuns('0 9 * * *', 2, { timezone: 'Europe/Berlin' })).to.deep.equal([
+        '2024-03-10T08:00:00.000Z',
+        '2024-03-11T08:00:00.000Z',
+      ]);
+    });
+
+    it('should skip wall-clock times that do not exist and fire repeated times once', () => {
+      // 2024-03-10 02:30 does not exist in New York
+      expect(nextRuns('30 2 * * *', 2, { timezone: 'America/New_York' })).to.deep.equal([
+        '2024-03-11T06:30:00.000Z',
+        '2024-03-12T06:30:00.000Z',
+      ]);
+
+      // 2024-11-03 01:30 happens twice in New York
+      expect(nextRuns('30 1 * * *', 2, {
+        timezone: 'America/New_York',
+        from: new Date('2024-11-02T12:00:00.000Z'),
+      })).to.deep.equal([
+        '2024-11-03T05:30:00.000Z',
+        '2024-11-04T06:30:00.000Z',
+      ]);
+    });
+
+    it('should reject unknown timezones', () => {
+      expect(() => getNextRunTimes('0 9 * * *', 1, { timezone: 'Mars/Olympus' })).to.throw('Invalid timezone');
+      expect(isValidTimezone('Asia/Tokyo')).to.be.true;
+      expect(isValidTimezone('Mars/Olympus')).to.be.false;
+    });
+  });
+
+  describe('compileInterval', () => {
+    it('should compile natural intervals to cron', () => {
+      const intervals = {
+        'every 15m': '*/15 * * * *',
+        'every 30 minutes': '*/30 * * * *',
+        'every 2 hours': '0 */2 * * *',
+        'every 1h': '0 * * * *',
+        hourly: '0 * * * *',
+        Daily: '0 0 * * *',
+        'daily at 09:00': '0 9 * * *',
+        'weekdays at 08:30': '30 8 * * 1-5',
+        'weekends at 10am': '0 10 * * 0,6',
+        'mondays at 9:30pm': '30 21 * * 1',
+      };
+
+      Object.entries(intervals).forEach(([interval, expected]) => {
+        expect(compileInterval(interval), interval).to.equal(expected);
+      });
+    });
+
+    it('should pass cron expressions through unchanged', () => {
+      expect(compileInterval('0 */6 * * *')).to.equal('0 */6 * * *');
+    });
+
+    it('should reject natural intervals cron cannot express', () => {
+      ['every 7m', 'every 5 hours', 'daily at 25:00', 'someday at 09:00'].forEach(interval => {
+        expect(() => compileInterval(interval), interval).to.throw('Cannot schedule');
+      });
+    });
+  });
+});
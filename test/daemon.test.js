@@ -0,0 +1,174 @@
+/**
+ * Daemon Tests
+ * Testing the lock file and graceful shutdown of the scheduler daemon
+ */
+
+import { expect } from 'chai';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import sinon from 'sinon';
+import { Daemon, LOCK_FILE, readLockFile, getDaemonStatus, stopDaemon } from '../src/daemon.js';
+import { FeedManager } from '../src/feed-manager.js';
+import { FeedScheduler } from '../src/feed-scheduler.js';
+import { PostScheduler } from '../src/post-scheduler.js';
+
+describe('Daemon', () => {
+  let tempDataPath;
+  let feedScheduler;
+  let postScheduler;
+  let daemon;
+
+  // A PID that is very unlikely to belong to a live process
+  const deadPid = 2 ** 22 - 1;
+
+  beforeEach(() => {
+    tempDataPath = path.join(os.tmpdir(), `rss-amplifier-daemon-test-${Date.now()}`);
+    feedScheduler = new FeedScheduler({
+      feedManager: new FeedManager({ dataPath: path.join(tempDataPath, 'feeds') }),
+      dataPath: path.join(tempDataPath, 'scheduler'),
+    });
+    postScheduler = new PostScheduler({ dataPath: path.join(tempDataPath, 'scheduler') });
+    daemon = new Daemon({ dataPath: tempDataPath, feedScheduler, postScheduler });
+  });
+
+  afterEach(async () => {
+    await daemon.stop();
+    sinon.restore();
+    if (fs.existsSync(tempDataPath)) {
+      fs.rmSync(tempDataPath, { recursive: true, force: true });
+    }
+  });
+
+  describe('Lock file', () => {
+    it('should write a lock file and start both schedulers', async () => {
+      const result = await daemon.start();
+
+      expect(result).to.include({ success: true, pid: process.pid });
+      expect(readLockFile(tempDataPath)).to.include({ pid: process.pid });
+      expect(feedScheduler.isRunning()).to.be.true;
+      expect(postScheduler.isRunning()).to.be.true;
+      expect(getDaemonStatus(tempDataPath)).to.include({ running: true, pid: process.pid, stale: false });
+    });
+
+    it('should refuse to start while another daemon holds the lock', async () => {
+      await daemon.start();
+      const second = new Daemon({ dataPath: tempDataPath });
+
+      const result = await second.start();
+
+      expect(result).to.deep.equal({
+        success: false,
+        error: `Daemon already running (PID ${process.pid})`,
+        pid: process.pid,
+      });
+    });
+
+    it('should replace a stale lock file', async () => {
+      fs.mkdirSync(tempDataPath, { recursive: true });
+      fs.writeFileSync(path.join(tempDataPath, LOCK_FILE), JSON.stringify({ pid: deadPid }));
+      expect(getDaemonStatus(tempDataPath)).to.include({ running: false, stale: true });
+
+      const result = await daemon.start();
+
+      expect(result.success).to.be.true;
+      expect(readLockFile(tempDataPath).pid).to.equal(process.pid);
+    });
+  });
+
+  describe('Schedule files', () => {
+    const waitFor = async (condition) => {
+      for (let attempt = 0; attempt < 100 && !condition(); attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+    };
+
+    it('should pick up feeds and auto-post schedules CLI commands add while running', async () => {
+      daemon.options.watchInterval = 20;
+      await daemon.start();
+      const cliFeeds = new FeedScheduler({
+        feedManager: new FeedManager({ dataPath: path.join(tempDataPath, 'feeds') }),
+        dataPath: path.join(tempDataPath, 'scheduler'),
+      });
+      const cliPosts = new PostScheduler({ dataPath: path.join(tempDataPath, 'scheduler') });
+
+      const { feedId } = await cliFeeds.addFeed('https://example.com/feed.xml');
+      await cliPosts.addSchedule('x');
+      await waitFor(() => feedScheduler.activeJobs.has(feedId) && postScheduler.activeJobs.has('autopost_x'));
+
+      expect(feedScheduler.activeJobs.has(feedId)).to.be.true;
+      expect(postScheduler.activeJobs.has('autopost_x')).to.be.true;
+    });
+
+    it('should retry a reload that could not read the schedule file', async () => {
+      daemon.options.watchInterval = 20;
+      const reload = sinon.stub(feedScheduler, 'reloadScheduledFeeds');
+      reload.onFirstCall().returns({ added: [], removed: [], updated: [], error: 'Unexpected end of JSON input' });
+      reload.returns({ added: [], removed: [], updated: [] });
+      await daemon.start();
+
+      fs.writeFileSync(feedScheduler.getScheduledFeedsFile(), '{}');
+      await waitFor(() => reload.callCount >= 2);
+
+      expect(reload.callCount).to.be.at.least(2);
+    });
+
+    it('should not overwrite CLI changes when it stops', async () => {
+      daemon.options.watchInterval = 60000;
+      await daemon.start();
+      const cliPosts = new PostScheduler({ dataPath: path.join(tempDataPath, 'scheduler') });
+
+      await cliPosts.addSchedule('x');
+      await daemon.stop();
+
+      expect(new PostScheduler({ dataPath: path.join(tempDataPath, 'scheduler') }).schedules.has('autopost_x')).to.be.true;
+    });
+  });
+
+  describe('Shutdown', () => {
+    it('should finish in-flight fetches and flush state before releasing the lock', async () => {
+      let finishFetch;
+      sinon.stub(feedScheduler, 'fetchAndUpdateFeed').returns(new Promise(resolve => {
+        finishFetch = resolve;
+      }));
+      const saveStub = sinon.spy(feedScheduler, 'saveScheduledFeeds');
+      await daemon.start();
+      const fetch = feedScheduler.enqueueFetch('https://example.com/feed.xml');
+
+      const stopping = daemon.stop();
+      await new Promise(resolve => setTimeout(resolve, 10));
+      expect(fs.existsSync(path.join(tempDataPath, LOCK_FILE))).to.be.true;
+
+      finishFetch({ success: true });
+      const result = await stopping;
+
+      expect(result).to.deep.equal({ success: true, timedOut: false });
+      expect((await fetch).success).to.be.true;
+      expect(saveStub.called).to.be.true;
+      expect(fs.existsSync(path.join(tempDataPath, LOCK_FILE))).to.be.false;
+      expect(feedScheduler.isRunning()).to.be.false;
+    });
+
+    it('should give up waiting after shutdownTimeout', async () => {
+      sinon.stub(postScheduler, 'waitForIdle').returns(new Promise(() => {}));
+      daemon.options.shutdownTimeout = 10;
+      sinon.stub(console, 'warn');
+      await daemon.start();
+
+      const result = await daemon.stop();
+
+      expect(result.timedOut).to.be.true;
+      expect(fs.existsSync(path.join(tempDataPath, LOCK_FILE))).to.be.false;
+    });
+
+    it('should clean up stale locks when asked to stop a daemon that is gone', async () => {
+      fs.mkdirSync(tempDataPath, { recursive: true });
+      fs.writeFileSync(path.join(tempDataPath, LOCK_FILE), JSON.stringify({ pid: deadPid }));
+
+      const result = await stopDaemon(tempDataPath);
+
+      expect(result).to.deep.equal({ success: false, error: 'Daemon is not running' });
+      expect(fs.existsSync(path.join(tempDataPath, LOCK_FILE))).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Feed Discovery Tests
+ * Testing feed autodiscovery from website URLs
+ */
+
+import { expect } from 'chai';
+import {
+  discoverFeeds,
+  extractFeedLinks,
+  isHTMLContent,
+} from '../src/feed-discovery.js';
+import { importRSSFeed } from '../src/feed-manager.js';
+
+const rssContent = `<?xml version="1.0" encoding="UTF-8"?>
+  <rss version="2.0">
+    <channel>
+      <title>Discovered Feed</title>
+      <link>https://blog.example.com</link>
+      <item>
+        <title>Discovered Article</title>
+        <link>https://blog.example.com/a1</link>
+      </item>
+    </channel>
+  </rss>`;
+
+const pageWithFeeds = `<!DOCTYPE html>
+  <html>
+    <head>
+      <title>Example Blog</title>
+      <link rel="stylesheet" href="/style.css">
+      <link rel="alternate" type="application/rss+xml" title="Comments Feed" href="/comments/feed">
+      <link rel="alternate" type="application/rss+xml" title="Example Blog" href="/feed.xml">
+      <link rel='alternate' type='application/atom+xml' href='https://blog.example.com/atom.xml'>
+      <link rel="alternate" type="application/feed+json" href="feed.json">
+      <link rel="alternate" hreflang="de" href="/de/">
+    </head>
+    <body></body>
+  </html>`;
+
+/**
+ * Replace global fetch with a URL -> response table
+ */
+function mockFetch(routes) {
+  const requested = [];
+  global.fetch = async (url) => {
+    requested.push(url);
+    const route = routes[url];
+    if (!route) {
+      return { ok: false, status: 404, statusText: 'Not Found', headers: new Headers(), text: async () => '' };
+    }
+    return {
+      ok: true,
+      status: 200,
+      headers: new Headers({ 'Content-Type': route.type }),
+      text: async () => route.body,
+    };
+  };
+  return requested;
+}
+
+describe('Feed Discovery', () => {
+  let originalFetch;
+
+  beforeEach(() => {
+    originalFetch = global.fetch;
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  describe('isHTMLContent', () => {
+    it('should recognise HTML by content type or markup', () => {
+      expect(isHTMLContent('<rss></rss>', 'text/html; charset=utf-8')).to.be.true;
+      expect(isHTMLContent('  <!DOCTYPE html><html></html>')).to.be.true;
+      expect(isHTMLContent(rssContent, 'application/rss+xml')).to.be.false;
+    });
+  });
+
+  describe('extractFeedLinks', () => {
+    it('should extract and rank advertised feeds', () => {
+      const candidates = extractFeedLinks(pageWithFeeds, 'https://blog.example.com/');
+
+      expect(candidates.map(candidate => candidate.url)).to.deep.equal([
+        'https://blog.example.com/feed.xml',
+        'https://blog.example.com/atom.xml',
+        'https://blog.example.com/feed.json',
+        'https://blog.example.com/comments/feed',
+      ]);
+      expect(candidates[0]).to.include({ title: 'Example Blog', format: 'rss', source: 'link' });
+      expect(candidates[1]).to.have.property('format', 'atom');
+      expect(candidates[2]).to.have.property('format', 'json');
+    });
+  });
+
+  describe('discoverFeeds', () => {
+    it('should probe common paths when the page advertises nothing', async () => {
+      mockFetch({
+        'https://plain.example.com/': { type: 'text/html', body: '<!DOCTYPE html><html><head></head></html>' },
+        'https://plain.example.com/rss.xml': { type: 'application/rss+xml', body: rssContent },
+      });
+
+      const result = await discoverFeeds('https://plain.example.com/');
+      expect(result.success).to.be.true;
+      expect(result.candidates).to.have.length(1);
+      expect(result.candidates[0]).to.include({
+        url: 'https://plain.example.com/rss.xml',
+        format: 'rss',
+        source: 'probe',
+      });
+    });
+  });
+
+  describe('importRSSFeed with a website URL', () => {
+    it('should import the best advertised feed', async () => {
+      mockFetch({
+        'https://blog.example.com/': { type: 'text/html', body: pageWithFeeds },
+        'https://blog.example.com/feed.xml': { type: 'application/rss+xml', body: rssContent },
+      });
+
+      const result = await importRSSFeed('https://blog.example.com/');
+      expect(result.success).to.be.true;
+      expect(result.discoveredFrom).to.equal('https://blog.example.com/');
+      expect(result.feed).to.include({ title: 'Discovered Feed', url: 'https://blog.example.com/feed.xml' });
+      expect(result.candidates).to.have.length(4);
+    });
+
+    it('should return the candidates when auto-selection is disabled', async () => {
+      mockFetch({
+        'https://blog.example.com/': { type: 'text/html', body: pageWithFeeds },
+      });
+
+      const result = await importRSSFeed('https://blog.example.com/', { autoSelect: false });
+      expect(result.success).to.be.false;
+      expect(result.candidates).to.have.length(4);
+    });
+
+    it('should fail when no feed can be found', async () => {
+      mockFetch({
+        'https://nofeed.example.com/': { type: 'text/html', body: '<html><head></head></html>' },
+      });
+
+      const result = await importRSSFeed('https://nofeed.example.com/');
+      expect(result.success).to.be.false;
+      expect(result.error).to.include('No feeds found');
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Feed Events Tests
+ * Testing the events emitted by FeedScheduler and FeedManager and the console subscriber
+ */
+
+import { expect } from 'chai';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import sinon from 'sinon';
+import { EventEmitter } from 'events';
+import { FEED_EVENTS, emitFeedEvent, attachConsoleLogger } from '../src/feed-events.js';
+import { FeedScheduler } from '../src/feed-scheduler.js';
+import { FeedManager } from '../src/feed-manager.js';
+
+describe('Feed Events', () => {
+  const feedUrl = 'https://example.com/feed.xml';
+  const mockRssContent = `<?xml version="1.0" encoding="UTF-8"?>
+    <rss version="2.0">
+      <channel>
+        <title>Events Feed</title>
+        <item>
+          <title>First Article</title>
+          <link>https://example.com/article1</link>
+          <pubDate>Wed, 01 Jan 2025 12:00:00 GMT</pubDate>
+        </item>
+      </channel>
+    </rss>`;
+
+  let tempDataPath;
+  let feedManager;
+  let scheduler;
+  let originalFetch;
+
+  const collect = (emitter, type) => {
+    const events = [];
+    emitter.on(type, event => events.push(event));
+    return events;
+  };
+
+  beforeEach(() => {
+    tempDataPath = path.join(os.tmpdir(), `rss-amplifier-events-test-${Date.now()}`);
+    feedManager = new FeedManager({ dataPath: path.join(tempDataPath, 'feeds') });
+    scheduler = new FeedScheduler({
+      feedManager,
+      dataPath: path.join(tempDataPath, 'scheduler'),
+      consoleOutput: false,
+    });
+    originalFetch = global.fetch;
+  });
+
+  afterEach(async () => {
+    global.fetch = originalFetch;
+    await scheduler.stop();
+    sinon.restore();
+    if (fs.existsSync(tempDataPath)) {
+      fs.rmSync(tempDataPath, { recursive: true, force: true });
+    }
+  });
+
+  describe('emitFeedEvent', () => {
+    it('should add type and timestamp and survive throwing listeners', () => {
+      const emitter = new EventEmitter();
+      const events = collect(emitter, FEED_EVENTS.FEED_ADDED);
+      emitter.on(FEED_EVENTS.FEED_ADDED, () => {
+        throw new Error('listener bug');
+      });
+      sinon.stub(console, 'error');
+
+      emitFeedEvent(emitter, FEED_EVENTS.FEED_ADDED, { feedId: 'abc' });
+
+      expect(events).to.have.length(1);
+      expect(events[0]).to.include({ type: 'feed:added', feedId: 'abc' });
+      expect(Date.parse(events[0].timestamp)).to.not.be.NaN;
+      expect(console.error.calledOnce).to.be.true;
+    });
+  });
+
+  describe('FeedScheduler', () => {
+    it('should emit feed:updated and items:new for new items', async () => {
+      const updated = collect(scheduler, FEED_EVENTS.FEED_UPDATED);
+      const newItems = collect(scheduler, FEED_EVENTS.ITEMS_NEW);
+
+      await scheduler.fetchAndUpdateFeed(feedUrl, { mockContent: mockRssContent });
+      await scheduler.fetchAndUpdateFeed(feedUrl, { mockContent: mockRssContent });
+
+      const feedId = feedManager.generateFeedId(feedUrl);
+      expect(updated.map(event => event.itemsAdded)).to.deep.equal([1, 0]);
+      expect(updated[0]).to.include({ feedId, url: feedUrl, notModified: false, attempt: 1 });
+      expect(newItems).to.have.length(1);
+      expect(newItems[0].items.map(item => item.title)).to.deep.equal(['First Article']);
+    });
+
+    it('should emit feed:retry, feed:failed and feed:disabled when a feed keeps failing', async () => {
+      const testScheduler = new FeedScheduler({
+        feedManager,
+        dataPath: path.join(tempDataPath, 'scheduler'),
+        consoleOutput: false,
+        maxFailures: 1,
+        retryDelay: 1,
+      });
+      const { feedId } = await testScheduler.addFeed(feedUrl);
+      const retries = collect(testScheduler, FEED_EVENTS.FEED_RETRY);
+      const failures = collect(testScheduler, FEED_EVENTS.FEED_FAILED);
+      const disabled = collect(testScheduler, FEED_EVENTS.FEED_DISABLED);
+      global.fetch = async () => ({ ok: false, status: 500, statusText: 'Unavailable', headers: new Headers() });
+
+      await testScheduler.fetchAndUpdateFeed(feedUrl, { retryAttempts: 2 });
+      await testScheduler.fetchAndUpdateFeed(feedUrl, { retryAttempts: 1 });
+
+      expect(retries).to.have.length(1);
+      expect(retries[0]).to.include({ feedId, attempt: 1, maxRetries: 2, delay: 1 });
+      expect(failures).to.have.length(2);
+      expect(failures[0]).to.include({ feedId, url: feedUrl, error: 'HTTP 500: Unavailable', attempts: 2, failureCount: 1 });
+      expect(failures[0].cooldownUntil).to.be.a('string');
+      expect(disabled).to.have.length(1);
+      expect(disabled[0]).to.include({ feedId, failureCount: 1 });
+      expect(disabled[0].reason).to.include('1 consecutive failures');
+    });
+
+    it('should emit lifecycle events and feed:enabled', async () => {
+      const { feedId } = await scheduler.addFeed(feedUrl);
+      const types = [];
+      for (const type of Object.values(FEED_EVENTS)) {
+        scheduler.on(type, event => types.push(event.type));
+      }
+
+      await scheduler.start();
+      await scheduler.pause();
+      await scheduler.resume();
+      await scheduler.disableFeed(feedId, 'Paused by editor');
+      await scheduler.enableFeed(feedId);
+      await scheduler.stop();
+
+      expect(types).to.include.members(['scheduler:started', 'scheduler:paused', 'scheduler:resumed', 'feed:disabled', 'feed:enabled', 'scheduler:stopped']);
+    });
+  });
+
+  describe('Console output', () => {
+    it('should print scheduler events through a detachable subscriber', async () => {
+      const logger = { log: sinon.spy(), warn: sinon.spy() };
+      const detach = attachConsoleLogger(scheduler, logger);
+
+      await scheduler.start();
+      detach();
+      await scheduler.stop();
+
+      expect(logger.log.calledOnceWith('Feed scheduler started with 0 feeds')).to.be.true;
+    });
+
+    it('should be on by default and switchable off', async () => {
+      const logStub = sinon.stub(console, 'log');
+      const testScheduler = new FeedScheduler({ feedManager, dataPath: path.join(tempDataPath, 'scheduler') });
+
+      await testScheduler.start();
+      testScheduler.disableConsoleOutput();
+      await testScheduler.stop();
+      logStub.restore();
+
+      expect(logStub.calledWith('Feed scheduler started with 0 feeds')).to.be.true;
+      expect(logStub.calledWith('Feed scheduler stopped')).to.be.false;
+    });
+  });
+
+  describe('FeedManager', () => {
+    it('should emit feed:added, feed:updated, items:new and feed:removed', async () => {
+      const types = [];
+      for (const type of Object.values(FEED_EVENTS)) {
+        feedManager.on(type, event => types.push(event.type));
+      }
+      const newItems = collect(feedManager, FEED_EVENTS.ITEMS_NEW);
+
+      const { feedId } = await feedManager.addFeed(feedUrl, { title: 'Events Feed' });
+      await feedManager.mergeFeed(feedUrl, { items: [{ title: 'Merged', link: 'https://example.com/merged' }] });
+      await feedManager.removeFeed(feedId);
+
+      expect(types).to.deep.equal(['feed:added', 'feed:updated', 'items:new', 'feed:removed']);
+      expect(newItems[0]).to.include({ feedId, url: feedUrl });
+      expect(newItems[0].items).to.have.length(1);
+    });
+  });
+});
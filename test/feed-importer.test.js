@@ -0,0 +1,173 @@
+/**
+ * Feed Importer Tests
+ * Testing batch registration of feeds with FeedManager and FeedScheduler
+ */
+
+import { expect } from 'chai';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { FeedManager, importOPML } from '../src/feed-manager.js';
+import { FeedScheduler } from '../src/feed-scheduler.js';
+import { importFeeds } from '../src/feed-importer.js';
+
+const rssFeed = (title) => `<?xml version="1.0" encoding="UTF-8"?>
+  <rss version="2.0">
+    <channel>
+      <title>${title}</title>
+      <link>https://example.com</link>
+      <item>
+        <title>${title} Article</title>
+        <link>https://example.com/${encodeURIComponent(title)}/1</link>
+      </item>
+    </channel>
+  </rss>`;
+
+describe('Feed Importer', () => {
+  let tempDataPath;
+  let feedManager;
+  let originalFetch;
+
+  beforeEach(() => {
+    tempDataPath = path.join(os.tmpdir(), `rss-amplifier-import-test-${Date.now()}`);
+    fs.mkdirSync(tempDataPath, { recursive: true });
+    feedManager = new FeedManager({ dataPath: path.join(tempDataPath, 'feeds') });
+
+    originalFetch = global.fetch;
+    global.fetch = async (url) => {
+      if (url.includes('broken')) {
+        return { ok: false, status: 500, statusText: 'Server Error', headers: new Headers() };
+      }
+      return {
+        ok: true,
+        status: 200,
+        headers: new Headers({ 'Content-Type': 'application/rss+xml' }),
+        text: async () => rssFeed(new URL(url).pathname.slice(1)),
+      };
+    };
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    if (fs.existsSync(tempDataPath)) {
+      fs.rmSync(tempDataPath, { recursive: true, force: true });
+    }
+  });
+
+  it('should sort feeds into added, skipped and failed', async () => {
+    await feedManager.addFeed('https://example.com/known', { title: 'Known' });
+
+    const summary = await importFeeds([
+      { url: 'https://example.com/one', category: 'Tech', folders: ['Tech'] },
+      { url: 'https://example.com/known' },
+      { url: 'https://example.com/broken', title: 'Broken' },
+      { title: 'No URL' },
+    ], { feedManager });
+
+    expect(summary.total).to.equal(4);
+    expect(summary.added.map(outcome => outcome.url)).to.deep.equal(['https://example.com/one']);
+    expect(summary.added[0]).to.include({ title: 'one', itemCount: 1, scheduled: false });
+    expect(summary.skipped).to.deep.equal([
+      { status: 'skipped', url: 'https://example.com/known', title: '', reason: 'Already imported' },
+    ]);
+    expect(summary.failed.map(outcome => outcome.reason)).to.deep.equal([
+      'HTTP 500: Server Error',
+      'Missing feed URL',
+    ]);
+
+    const feed = await feedManager.getFeed(feedManager.generateFeedId('https://example.com/one'));
+    expect(feed.folders).to.deep.equal(['Tech']);
+    expect(feed.htmlUrl).to.equal('https://example.com');
+    expect(feed.items).to.have.length(1);
+  });
+
+  it('should keep the website URL and description of OPML entries', async () => {
+    await importFeeds([{
+      url: 'https://example.com/one',
+      htmlUrl: 'https://example.com/blog',
+      description: 'Posts about one thing',
+    }], { feedManager });
+
+    const feed = await feedManager.getFeed(feedManager.generateFeedId('https://example.com/one'));
+    expect(feed).to.include({ htmlUrl: 'https://example.com/blog', description: 'Posts about one thing' });
+  });
+
+  it('should round-trip htmlUrl and description through OPML import and export', async () => {
+    const opmlPath = path.join(tempDataPath, 'source.opml');
+    fs.writeFileSync(opmlPath, `<?xml version="1.0" encoding="UTF-8"?>
+      <opml version="2.0">
+        <head><title>My Feeds</title></head>
+        <body>
+          <outline type="rss" text="One" title="One"
+                   xmlUrl="https://example.com/one"
+                   htmlUrl="https://example.com/blog"
+                   description="Posts about one thing"/>
+        </body>
+      </opml>`);
+
+    const opml = await importOPML(opmlPath);
+    await importFeeds(opml.feeds.map(feed => ({
+      url: feed.xmlUrl,
+      title: feed.title,
+      htmlUrl: feed.htmlUrl,
+      description: feed.description,
+      category: feed.category,
+      folders: feed.folders,
+    })), { feedManager });
+
+    const exportPath = path.join(tempDataPath, 'export.opml');
+    await feedManager.exportOPML({ filePath: exportPath });
+    const reimported = await importOPML(exportPath);
+
+    expect(reimported.feeds).to.have.length(1);
+    expect(reimported.feeds[0]).to.include({
+      xmlUrl: 'https://example.com/one',
+      htmlUrl: opml.feeds[0].htmlUrl,
+      description: opml.feeds[0].description,
+    });
+  });
+
+  it('should skip duplicates within the same batch', async () => {
+    const summary = await importFeeds([
+      { url: 'https://example.com/one' },
+      { url: 'https://example.com/one' },
+    ], { feedManager });
+
+    expect(summary.added).to.have.length(1);
+    expect(summary.skipped).to.have.length(1);
+  });
+
+  it('should register feeds with the scheduler using the given interval', async () => {
+    const scheduler = new FeedScheduler({ feedManager, dataPath: path.join(tempDataPath, 'scheduler') });
+
+    const summary = await importFeeds([{ url: 'https://example.com/one', title: 'One' }], {
+      feedManager,
+      scheduler,
+      interval: '0 */6 * * *',
+    });
+
+    expect(summary.added[0].scheduled).to.be.true;
+    const [scheduled] = await scheduler.listScheduledFeeds();
+    expect(scheduled).to.include({ url: 'https://example.com/one', title: 'One', interval: '0 */6 * * *' });
+
+    // Scheduling must not wipe the items fetched during import
+    const feed = await feedManager.getFeed(feedManager.generateFeedId('https://example.com/one'));
+    expect(feed.items).to.have.length(1);
+
+    await scheduler.close();
+  });
+
+  it('should report progress after each feed', async () => {
+    const progress = [];
+
+    await importFeeds([
+      { url: 'https://example.com/one' },
+      { url: 'https://example.com/broken' },
+    ], {
+      feedManager,
+      onProgress: (completed, total, outcome) => progress.push([completed, total, outcome.status]),
+    });
+
+    expect(progress).to.deep.equal([[1, 2, 'added'], [2, 2, 'failed']]);
+  });
+});
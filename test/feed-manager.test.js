@@ -10,11 +10,14 @@ import os from 'os';
 import {
   FeedManager,
   importOPML,
+  buildOPML,
   importRSSFeed,
   fetchFeedItems,
   validateFeedUrl,
   parseFeedContent,
   extractFeedMetadata,
+  parseRetryAfter,
+  getItemKey,
 } from '../src/feed-manager.js';
 
 describe('Feed Manager', () => {
@@ -217,6 +220,62 @@ describe('Feed Manager', () => {
       expect(result.success).to.be.false;
       expect(result.error).to.exist;
     });
+
+    it('should capture caching validators from the response', async () => {
+      const originalFetch = global.fetch;
+      global.fetch = async () => ({
+        ok: true,
+        status: 200,
+        headers: new Headers({ ETag: '"abc123"', 'Last-Modified': 'Wed, 01 Jan 2025 12:00:00 GMT' }),
+        text: async () => '<?xml version="1.0"?><rss version="2.0"><channel><title>Cached</title></channel></rss>',
+      });
+
+      try {
+        const result = await importRSSFeed('https://example.com/feed.xml');
+        expect(result.success).to.be.true;
+        expect(result.notModified).to.be.false;
+        expect(result.feed).to.have.property('etag', '"abc123"');
+        expect(result.feed).to.have.property('lastModified', 'Wed, 01 Jan 2025 12:00:00 GMT');
+      } finally {
+        global.fetch = originalFetch;
+      }
+    });
+
+    it('should send conditional headers and report 304 as not modified', async () => {
+      const originalFetch = global.fetch;
+      let requestHeaders;
+      global.fetch = async (_url, init) => {
+        requestHeaders = init.headers;
+        return { ok: false, status: 304, statusText: 'Not Modified', headers: new Headers() };
+      };
+
+      try {
+        const result = await importRSSFeed('https://example.com/feed.xml', {
+          etag: '"abc123"',
+          lastModified: 'Wed, 01 Jan 2025 12:00:00 GMT',
+        });
+        expect(requestHeaders).to.have.property('If-None-Match', '"abc123"');
+        expect(requestHeaders).to.have.property('If-Modified-Since', 'Wed, 01 Jan 2025 12:00:00 GMT');
+        expect(result.success).to.be.true;
+        expect(result.notModified).to.be.true;
+        expect(result.feed).to.have.property('etag', '"abc123"');
+        expect(result.feed).to.not.have.property('items');
+      } finally {
+        global.fetch = originalFetch;
+      }
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    it('should parse delays in seconds and HTTP dates', () => {
+      const now = Date.parse('2025-01-01T12:00:00Z');
+
+      expect(parseRetryAfter('120', now)).to.equal(120000);
+      expect(parseRetryAfter('Wed, 01 Jan 2025 12:05:00 GMT', now)).to.equal(300000);
+      expect(parseRetryAfter('Wed, 01 Jan 2025 11:00:00 GMT', now)).to.equal(0);
+      expect(parseRetryAfter('soon', now)).to.be.null;
+      expect(parseRetryAfter(null, now)).to.be.null;
+    });
   });
 
   describe('importOPML', () => {
@@ -340,6 +399,292 @@ describe('Feed Manager', () => {
     });
   });
 
+  describe('exportOPML', () => {
+    it('should round-trip imported feeds with folders and attributes', async () => {
+      const opmlContent = `<?xml version="1.0" encoding="UTF-8"?>
+        <opml version="2.0">
+          <head><title>My Feeds</title></head>
+          <body>
+            <outline text="Tech" title="Tech">
+              <outline text="JavaScript" title="JavaScript">
+                <outline type="rss" text="JS Weekly" title="JS Weekly"
+                         xmlUrl="https://js.example.com/feed.xml"
+                         htmlUrl="https://js.example.com"
+                         description="JavaScript &amp; friends"
+                         category="/dev/js"/>
+              </outline>
+            </outline>
+            <outline type="rss" text="Personal Blog" title="Personal Blog"
+                     xmlUrl="https://personal.example.com/rss"/>
+          </body>
+        </opml>`;
+      const opmlPath = path.join(tempDataPath, 'source.opml');
+      fs.writeFileSync(opmlPath, opmlContent);
+
+      const imported = await importOPML(opmlPath);
+      expect(imported.feeds[0].folders).to.deep.equal(['Tech', 'JavaScript']);
+      expect(imported.feeds[1].folders).to.deep.equal([]);
+
+      for (const feed of imported.feeds) {
+        await feedManager.addFeed(feed.xmlUrl, feed);
+      }
+
+      const exportPath = path.join(tempDataPath, 'export.opml');
+      const result = await feedManager.exportOPML({ filePath: exportPath });
+      expect(result.success).to.be.true;
+      expect(result.feedCount).to.equal(2);
+      expect(result.content).to.include('<opml version="2.0">');
+
+      const reimported = await importOPML(exportPath);
+      expect(reimported.success).to.be.true;
+      expect(reimported.feeds).to.have.length(2);
+
+      const jsWeekly = reimported.feeds.find(feed => feed.xmlUrl === 'https://js.example.com/feed.xml');
+      expect(jsWeekly).to.include({
+        title: 'JS Weekly',
+        htmlUrl: 'https://js.example.com',
+        description: 'JavaScript & friends',
+        category: '/dev/js',
+      });
+      expect(jsWeekly.folders).to.deep.equal(['Tech', 'JavaScript']);
+    });
+
+    it('should group feeds sharing a folder under one outline', () => {
+      const content = buildOPML([
+        { url: 'https://a.example.com/feed', title: 'A', folders: ['News'] },
+        { url: 'https://b.example.com/feed', title: 'B', folders: ['News'] },
+      ]);
+
+      expect(content.match(/title="News"/g)).to.have.length(1);
+    });
+  });
+
+  describe('mergeFeed', () => {
+    const feedUrl = 'https://example.com/feed.xml';
+
+    it('should add unseen items and report them as new', async () => {
+      const result = await feedManager.mergeFeed(feedUrl, {
+        title: 'Merged Feed',
+        items: [
+          { guid: 'a1', title: 'Article 1', pubDate: 'Wed, 01 Jan 2025 12:00:00 GMT' },
+          { guid: 'a2', title: 'Article 2', pubDate: 'Thu, 02 Jan 2025 12:00:00 GMT' },
+        ],
+      });
+
+      expect(result.success).to.be.true;
+      expect(result.newItems).to.have.length(2);
+      expect(result.feed.title).to.equal('Merged Feed');
+      expect(result.feed.items[0]).to.have.property('firstSeenAt');
+    });
+
+    it('should update existing items in place and keep older ones', async () => {
+      await feedManager.mergeFeed(feedUrl, {
+        items: [
+          { guid: 'a1', title: 'Article 1', pubDate: 'Wed, 01 Jan 2025 12:00:00 GMT' },
+          { link: 'https://example.com/a2', title: 'Article 2', pubDate: 'Thu, 02 Jan 2025 12:00:00 GMT' },
+        ],
+      });
+      const firstSeenAt = (await feedManager.getFeedItems(feedManager.generateFeedId(feedUrl)))
+        .find(item => item.url === 'https://example.com/a2').firstSeenAt;
+
+      // Publisher trimmed a1 and edited a2
+      const result = await feedManager.mergeFeed(feedUrl, {
+        items: [
+          { link: 'https://example.com/a2', title: 'Article 2 (edited)', pubDate: 'Thu, 02 Jan 2025 12:00:00 GMT' },
+          { guid: 'a3', title: 'Article 3', pubDate: 'Fri, 03 Jan 2025 12:00:00 GMT' },
+        ],
+      });
+
+      expect(result.newItems.map(item => item.id)).to.deep.equal(['a3']);
+      expect(result.feed.items).to.have.length(3);
+      expect(result.feed.items.map(item => item.title)).to.deep.equal([
+        'Article 3',
+        'Article 2 (edited)',
+        'Article 1',
+      ]);
+      const edited = result.feed.items.find(item => item.url === 'https://example.com/a2');
+      expect(edited.firstSeenAt).to.equal(firstSeenAt);
+    });
+
+    it('should match items without guid or link on title and date', async () => {
+      const items = [
+        { title: 'Untitled post', pubDate: 'Wed, 01 Jan 2025 12:00:00 GMT', description: 'First' },
+        { title: 'Untitled post', pubDate: 'Thu, 02 Jan 2025 12:00:00 GMT', description: 'Second' },
+      ];
+      await feedManager.mergeFeed(feedUrl, { items });
+
+      const result = await feedManager.mergeFeed(feedUrl, { items });
+
+      expect(result.newItems).to.be.empty;
+      expect(result.feed.items).to.have.length(2);
+      expect(getItemKey(items[0])).to.match(/^hash:[0-9a-f]{40}$/);
+      expect(getItemKey(items[0])).to.not.equal(getItemKey(items[1]));
+    });
+
+    it('should cap stored history at maxItems', async () => {
+      const manager = new FeedManager({ dataPath: tempDataPath, maxItems: 2 });
+      const result = await manager.mergeFeed(feedUrl, {
+        items: [1, 2, 3].map(day => ({
+          guid: `item-${day}`,
+          title: `Article ${day}`,
+          pubDate: `0${day} Jan 2025 12:00:00 GMT`,
+        })),
+      });
+
+      expect(result.feed.items).to.have.length(2);
+      expect(result.feed.items.map(item => item.id)).to.deep.equal(['item-3', 'item-2']);
+      expect(result.newItems).to.have.length(2);
+    });
+
+    describe('full-text mode', () => {
+      let originalFetch;
+      let requested;
+
+      beforeEach(() => {
+        originalFetch = global.fetch;
+        requested = [];
+        global.fetch = async (url) => {
+          requested.push(url);
+          return {
+            ok: true,
+            status: 200,
+            text: async () => `<html><body><article><p>Full body of ${url} with plenty of words.</p></article></body></html>`,
+          };
+        };
+      });
+
+      afterEach(() => {
+        global.fetch = originalFetch;
+      });
+
+      it('should store extracted article text on items', async () => {
+        const result = await feedManager.mergeFeed(feedUrl, {
+          fullText: true,
+          items: [{ link: 'https://example.com/a1', title: 'Article 1', description: 'Short teaser' }],
+        });
+
+        const [item] = result.feed.items;
+        expect(item.summary).to.equal('');
+        expect(item.articleText).to.equal('Full body of https://example.com/a1 with plenty of words.');
+        expect(item.articleFetchedAt).to.be.a('string');
+      });
+
+      it('should not re-fetch articles on later refreshes', async () => {
+        const items = [{ link: 'https://example.com/a1', title: 'Article 1' }];
+        await feedManager.mergeFeed(feedUrl, { fullText: true, items });
+        const result = await feedManager.mergeFeed(feedUrl, { items });
+
+        expect(requested).to.deep.equal(['https://example.com/a1']);
+        expect(result.feed.items[0].articleText).to.include('Full body');
+
+        // Cache survives a restart
+        const reloaded = new FeedManager({ dataPath: tempDataPath });
+        await reloaded.getArticle('https://example.com/a1');
+        expect(requested).to.have.length(1);
+      });
+
+      it('should retry failed extractions after the retry delay, up to maxArticleAttempts', async () => {
+        const manager = new FeedManager({ dataPath: tempDataPath, articleRetryDelay: 1, maxArticleAttempts: 2 });
+        global.fetch = async (url) => {
+          requested.push(url);
+          return { ok: false, status: 503, statusText: 'Service Unavailable' };
+        };
+        const items = [{ link: 'https://example.com/a1', title: 'Article 1' }];
+
+        const failed = await manager.mergeFeed(feedUrl, { fullText: true, items });
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await manager.mergeFeed(feedUrl, { items });
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await manager.mergeFeed(feedUrl, { items });
+
+        expect(failed.feed.items[0].articleError).to.be.a('string');
+        expect(requested).to.have.length(2);
+        expect(manager.articleCache.get('https://example.com/a1').attempts).to.equal(2);
+      });
+
+      it('should replace a recorded failure once the article can be extracted', async () => {
+        const manager = new FeedManager({ dataPath: tempDataPath, articleRetryDelay: 1 });
+        manager.articleCache.set('https://example.com/a1', { error: 'HTTP 503', fetchedAt: new Date(Date.now() - 10).toISOString(), attempts: 1 });
+
+        const result = await manager.mergeFeed(feedUrl, {
+          fullText: true,
+          items: [{ link: 'https://example.com/a1', title: 'Article 1' }],
+        });
+
+        expect(result.feed.items[0].articleText).to.include('Full body');
+        expect(result.feed.items[0]).to.not.have.property('articleError');
+      });
+
+      it('should cap the article cache by age and size', async () => {
+        const manager = new FeedManager({ dataPath: tempDataPath, articleCacheMaxAge: 60000, articleCacheMaxEntries: 2 });
+        manager.articleCache.set('https://example.com/old', { text: 'Old', fetchedAt: new Date(Date.now() - 120000).toISOString() });
+
+        for (const id of ['a1', 'a2', 'a3']) {
+          await manager.getArticle(`https://example.com/${id}`);
+        }
+
+        expect(Array.from(manager.articleCache.keys())).to.deep.equal(['https://example.com/a2', 'https://example.com/a3']);
+      });
+
+      it('should skip items whose own text is already long enough', async () => {
+        const manager = new FeedManager({ dataPath: tempDataPath, fullTextMinLength: 20 });
+        const result = await manager.mergeFeed(feedUrl, {
+          fullText: true,
+          items: [
+            { link: 'https://example.com/long', title: 'Long', description: 'A summary that is long enough already' },
+            { link: 'https://example.com/short', title: 'Short', description: 'Teaser' },
+          ],
+        });
+
+        expect(requested).to.deep.equal(['https://example.com/short']);
+        expect(result.feed.items.find(item => item.title === 'Long')).to.not.have.property('articleText');
+      });
+
+      it('should fetch at most maxArticlesPerFetch articles, newest first', async () => {
+        const manager = new FeedManager({ dataPath: tempDataPath, maxArticlesPerFetch: 2 });
+        const items = [1, 2, 3].map(day => ({
+          link: `https://example.com/a${day}`,
+          title: `Article ${day}`,
+          pubDate: `0${day} Jan 2025 12:00:00 GMT`,
+        }));
+
+        await manager.mergeFeed(feedUrl, { fullText: true, items });
+        expect(requested).to.deep.equal(['https://example.com/a3', 'https://example.com/a2']);
+
+        const result = await manager.mergeFeed(feedUrl, { items });
+        expect(requested).to.have.length(3);
+        expect(result.feed.items.every(item => item.articleText)).to.be.true;
+      });
+
+      it('should limit concurrent article fetches per host', async () => {
+        const manager = new FeedManager({ dataPath: tempDataPath, maxPerHost: 2 });
+        let active = 0;
+        let peak = 0;
+        global.fetch = async (url) => {
+          active++;
+          peak = Math.max(peak, active);
+          await new Promise(resolve => setTimeout(resolve, 5));
+          active--;
+          return { ok: true, status: 200, text: async () => `<html><body><article><p>Full body of ${url}.</p></article></body></html>` };
+        };
+
+        const enriched = await manager.enrichFullText([1, 2, 3, 4].map(id => ({ url: `https://example.com/a${id}`, text: '' })));
+
+        expect(enriched).to.equal(4);
+        expect(peak).to.equal(2);
+      });
+
+      it('should leave feeds without the flag untouched', async () => {
+        const result = await feedManager.mergeFeed(feedUrl, {
+          items: [{ link: 'https://example.com/a1', title: 'Article 1' }],
+        });
+
+        expect(requested).to.be.empty;
+        expect(result.feed.items[0]).to.not.have.property('articleText');
+      });
+    });
+  });
+
   describe('fetchFeedItems', () => {
     it('should fetch and parse feed items from URL', async () => {
       const mockContent = `<?xml version="1.0" encoding="UTF-8"?>
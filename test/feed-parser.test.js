@@ -0,0 +1,274 @@
+/**
+ * Feed Parser Tests
+ * Testing RSS, Atom and JSON Feed parsing into the normalized item model
+ */
+
+import { expect } from 'chai';
+import {
+  detectFeedFormat,
+  parseFeed,
+  normalizeFeedItem,
+  isNormalizedItem,
+} from '../src/feed-parser.js';
+
+describe('Feed Parser', () => {
+  const normalizedKeys = [
+    'id', 'url', 'title', 'html', 'text', 'markdown', 'summary',
+    'authors', 'tags', 'published', 'updated', 'enclosures',
+  ];
+
+  describe('detectFeedFormat', () => {
+    it('should detect each supported format', () => {
+      expect(detectFeedFormat('{"version": "https://jsonfeed.org/version/1.1"}')).to.equal('json');
+      expect(detectFeedFormat('<?xml version="1.0"?><feed xmlns="http://www.w3.org/2005/Atom"></feed>')).to.equal('atom');
+      expect(detectFeedFormat('<?xml version="1.0"?><rss version="2.0"></rss>')).to.equal('rss');
+      expect(detectFeedFormat('')).to.equal('unknown');
+    });
+
+    it('should detect the format from the root element', () => {
+      const rdf = `<?xml version="1.0"?>
+        <!-- RSS 1.0 -->
+        <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#" xmlns="http://purl.org/rss/1.0/">
+          <item><description><![CDATA[Atom documents start with <feed xmlns="http://www.w3.org/2005/Atom">]]></description></item>
+        </rdf:RDF>`;
+
+      expect(detectFeedFormat(rdf)).to.equal('rss');
+      expect(detectFeedFormat('\uFEFF<?xml version="1.0"?><?xml-stylesheet href="a.xsl"?><!DOCTYPE feed><atom:feed xmlns:atom="http://www.w3.org/2005/Atom"></atom:feed>')).to.equal('atom');
+    });
+  });
+
+  describe('RSS feeds', () => {
+    it('should normalize RSS items', async () => {
+      const feed = await parseFeed(`<?xml version="1.0" encoding="UTF-8"?>
+        <rss version="2.0" xmlns:content="http://purl.org/rss/1.0/modules/content/"
+             xmlns:dc="http://purl.org/dc/elements/1.1/">
+          <channel>
+            <title>RSS Feed</title>
+            <link>https://example.com</link>
+            <item>
+              <title>RSS Article</title>
+              <link>https://example.com/rss-article</link>
+              <guid>rss-1</guid>
+              <description>Short summary</description>
+              <content:encoded><![CDATA[<p>Full <strong>body</strong></p>]]></content:encoded>
+              <dc:creator>Jane Doe</dc:creator>
+              <category>JavaScript</category>
+              <pubDate>Wed, 01 Jan 2025 12:00:00 GMT</pubDate>
+              <enclosure url="https://example.com/a.mp3" type="audio/mpeg" length="1234"/>
+            </item>
+          </channel>
+        </rss>`);
+
+      expect(feed.format).to.equal('rss');
+      const [item] = feed.items;
+      expect(item).to.have.all.keys(normalizedKeys);
+      expect(item).to.include({
+        id: 'rss-1',
+        url: 'https://example.com/rss-article',
+        title: 'RSS Article',
+        html: '<p>Full <strong>body</strong></p>',
+        text: 'Full body',
+        summary: 'Short summary',
+        published: '2025-01-01T12:00:00.000Z',
+      });
+      expect(item.authors).to.deep.equal([{ name: 'Jane Doe', url: '', email: '' }]);
+      expect(item.tags).to.deep.equal(['JavaScript']);
+      expect(item.enclosures).to.deep.equal([
+        { url: 'https://example.com/a.mp3', type: 'audio/mpeg', length: 1234, title: '' },
+      ]);
+    });
+
+    it('should extract polling hints from the channel', async () => {
+      const feed = await parseFeed(`<?xml version="1.0" encoding="UTF-8"?>
+        <rss version="2.0" xmlns:sy="http://purl.org/rss/1.0/modules/syndication/">
+          <channel>
+            <title>Hinted Feed</title>
+            <link>https://example.com</link>
+            <ttl>120</ttl>
+            <sy:updatePeriod>daily</sy:updatePeriod>
+            <sy:updateFrequency>4</sy:updateFrequency>
+            <skipHours><hour>0</hour><hour>1</hour><hour>24</hour></skipHours>
+            <skipDays><day>Saturday</day><day>Sunday</day></skipDays>
+          </channel>
+        </rss>`);
+
+      expect(feed.pollingHints).to.deep.equal({
+        ttl: 120,
+        skipHours: [0, 1],
+        skipDays: [0, 6],
+        updateInterval: 360,
+      });
+      expect(feed).to.not.have.property('ttl');
+    });
+  });
+
+  describe('Atom feeds', () => {
+    it('should parse Atom links, dates and authors', async () => {
+      const feed = await parseFeed(`<?xml version="1.0" encoding="UTF-8"?>
+        <feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en">
+          <title>Atom Feed</title>
+          <subtitle>An Atom feed</subtitle>
+          <link rel="self" href="https://example.com/atom.xml"/>
+          <link rel="alternate" type="text/html" href="https://example.com"/>
+          <updated>2025-01-02T00:00:00Z</updated>
+          <entry>
+            <id>tag:example.com,2025:1</id>
+            <title type="html">Atom &amp;lt;Entry&amp;gt;</title>
+            <link rel="alternate" href="https://example.com/entry1"/>
+            <link rel="enclosure" href="https://example.com/e.mp4" type="video/mp4" length="99"/>
+            <link rel="replies" href="https://example.com/entry1/comments"/>
+            <published>2025-01-01T10:00:00Z</published>
+            <updated>2025-01-01T12:00:00Z</updated>
+            <author><name>Ada</name><uri>https://ada.example.com</uri></author>
+            <category term="ai" label="AI"/>
+            <summary>Entry summary</summary>
+            <content type="html">&lt;p&gt;Entry body&lt;/p&gt;</content>
+          </entry>
+        </feed>`);
+
+      expect(feed.format).to.equal('atom');
+      expect(feed).to.include({
+        title: 'Atom Feed',
+        description: 'An Atom feed',
+        link: 'https://example.com',
+        feedUrl: 'https://example.com/atom.xml',
+        language: 'en',
+      });
+
+      const [item] = feed.items;
+      expect(item).to.have.all.keys(normalizedKeys);
+      expect(item).to.include({
+        id: 'tag:example.com,2025:1',
+        url: 'https://example.com/entry1',
+        html: '<p>Entry body</p>',
+        text: 'Entry body',
+        summary: 'Entry summary',
+        published: '2025-01-01T10:00:00.000Z',
+        updated: '2025-01-01T12:00:00.000Z',
+      });
+      expect(item.authors).to.deep.equal([{ name: 'Ada', url: 'https://ada.example.com', email: '' }]);
+      expect(item.tags).to.deep.equal(['AI']);
+      expect(item.enclosures).to.have.length(1);
+      expect(item.enclosures[0]).to.include({ url: 'https://example.com/e.mp4', length: 99 });
+    });
+
+    it('should fall back to the feed author for entries without one', async () => {
+      const feed = await parseFeed(`<?xml version="1.0" encoding="UTF-8"?>
+        <feed xmlns="http://www.w3.org/2005/Atom">
+          <title>Atom Feed</title>
+          <author><name>Feed Owner</name><email>owner@example.com</email></author>
+          <entry>
+            <id>tag:example.com,2025:1</id>
+            <title>Unattributed</title>
+          </entry>
+          <entry>
+            <id>tag:example.com,2025:2</id>
+            <title>Attributed</title>
+            <author><name>Ada</name></author>
+          </entry>
+        </feed>`);
+
+      expect(feed.authors).to.deep.equal([{ name: 'Feed Owner', url: '', email: 'owner@example.com' }]);
+      expect(feed.items[0].authors).to.deep.equal([{ name: 'Feed Owner', url: '', email: 'owner@example.com' }]);
+      expect(feed.items[1].authors).to.deep.equal([{ name: 'Ada', url: '', email: '' }]);
+    });
+
+    it('should serialize xhtml content', async () => {
+      const feed = await parseFeed(`<?xml version="1.0" encoding="UTF-8"?>
+        <feed xmlns="http://www.w3.org/2005/Atom">
+          <title>Atom Feed</title>
+          <entry>
+            <id>x1</id>
+            <title>XHTML Entry</title>
+            <content type="xhtml"><div xmlns="http://www.w3.org/1999/xhtml"><p>Hello world</p></div></content>
+          </entry>
+        </feed>`);
+
+      expect(feed.items[0].html).to.include('<p>Hello world</p>');
+      expect(feed.items[0].text).to.equal('Hello world');
+    });
+  });
+
+  describe('JSON Feed', () => {
+    it('should parse JSON Feed 1.1 natively', async () => {
+      const feed = await parseFeed(JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: 'JSON Feed',
+        home_page_url: 'https://example.com',
+        feed_url: 'https://example.com/feed.json',
+        items: [{
+          id: 'j1',
+          url: 'https://example.com/j1',
+          title: 'JSON Item',
+          content_html: '<p>JSON body</p>',
+          summary: 'JSON summary',
+          date_published: '2025-01-01T12:00:00Z',
+          date_modified: '2025-01-03T12:00:00Z',
+          authors: [{ name: 'Grace', url: 'https://grace.example.com' }],
+          tags: ['node', 'rss'],
+          attachments: [{ url: 'https://example.com/j1.mp3', mime_type: 'audio/mpeg', size_in_bytes: 42 }],
+        }],
+      }));
+
+      expect(feed.format).to.equal('json');
+      expect(feed).to.include({ title: 'JSON Feed', link: 'https://example.com' });
+
+      const [item] = feed.items;
+      expect(item).to.have.all.keys(normalizedKeys);
+      expect(item).to.include({
+        id: 'j1',
+        url: 'https://example.com/j1',
+        html: '<p>JSON body</p>',
+        text: 'JSON body',
+        summary: 'JSON summary',
+        published: '2025-01-01T12:00:00.000Z',
+        updated: '2025-01-03T12:00:00.000Z',
+      });
+      expect(item.authors[0]).to.include({ name: 'Grace', url: 'https://grace.example.com' });
+      expect(item.tags).to.deep.equal(['node', 'rss']);
+      expect(item.enclosures[0]).to.include({ type: 'audio/mpeg', length: 42 });
+    });
+
+    it('should reject JSON that is not a JSON Feed', async () => {
+      try {
+        await parseFeed('{"hello": "world"}');
+        expect.fail('Expected parseFeed to throw');
+      } catch (error) {
+        expect(error.message).to.include('JSON Feed');
+      }
+    });
+  });
+
+  describe('normalizeFeedItem', () => {
+    it('should normalize plain item objects', () => {
+      const item = normalizeFeedItem({
+        title: 'Plain Item',
+        content: '<p>Plain &amp; simple</p>',
+        link: 'https://example.com/plain',
+        pubDate: '2025-01-01T12:00:00Z',
+      });
+
+      expect(isNormalizedItem(item)).to.be.true;
+      expect(item).to.include({
+        id: 'https://example.com/plain',
+        url: 'https://example.com/plain',
+        text: 'Plain & simple',
+        published: '2025-01-01T12:00:00.000Z',
+      });
+    });
+
+    it('should keep JSON Feed content_text as plain text', () => {
+      const item = normalizeFeedItem({
+        id: '1',
+        content_text: 'Prefer   Map<string, number> &amp; Set<string>',
+      });
+
+      expect(item.text).to.equal('Prefer Map<string, number> &amp; Set<string>');
+    });
+
+    it('should return normalized items unchanged', () => {
+      const item = normalizeFeedItem({ title: 'Once', link: 'https://example.com/once' });
+      expect(normalizeFeedItem(item)).to.equal(item);
+    });
+  });
+});
@@ -7,6 +7,7 @@ import { expect } from 'chai';
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import sinon from 'sinon';
 import {
   FeedScheduler,
   createScheduledJob,
@@ -133,6 +134,13 @@ describe('Feed Scheduler', () => {
         expect(nextRun.getTime()).to.be.greaterThan(Date.now());
       });
     });
+
+    it('should compute the exact next fire time', () => {
+      const from = new Date('2024-03-09T12:10:00.000Z');
+
+      expect(getNextRunTime('0 9-17 * * 1-5', { from }).toISOString()).to.equal('2024-03-11T09:00:00.000Z');
+      expect(getNextRunTime('0 9 * * *', { from, timezone: 'Asia/Tokyo' }).toISOString()).to.equal('2024-03-10T00:00:00.000Z');
+    });
   });
 
   describe('createScheduledJob', () => {
@@ -222,6 +230,48 @@ describe('Feed Scheduler', () => {
       expect(scheduledFeeds[0]).to.have.property('interval', '*/30 * * * *');
     });
 
+    it('should compile natural intervals and store the timezone', async () => {
+      const result = await scheduler.addFeed('https://example.com/feed.xml', {
+        title: 'Test Feed',
+        interval: 'weekdays at 08:30',
+        timezone: 'Europe/Berlin',
+      });
+
+      expect(result.success).to.be.true;
+      expect(result.feed).to.include({ interval: '30 8 * * 1-5', timezone: 'Europe/Berlin' });
+      // 08:30 in Berlin is 06:30 or 07:30 UTC depending on DST
+      expect(result.nextRun.getUTCMinutes()).to.equal(30);
+      expect([6, 7]).to.include(result.nextRun.getUTCHours());
+    });
+
+    it('should default the timezone to UTC', async () => {
+      const result = await scheduler.addFeed('https://example.com/feed.xml', { interval: 'every 2h' });
+
+      expect(result.feed).to.include({ interval: '0 */2 * * *', timezone: 'UTC' });
+    });
+
+    it('should reject unknown timezones and unschedulable intervals', async () => {
+      const badTimezone = await scheduler.addFeed('https://example.com/feed.xml', { timezone: 'Mars/Olympus' });
+      expect(badTimezone).to.deep.equal({ success: false, error: 'Invalid timezone: Mars/Olympus' });
+
+      const badInterval = await scheduler.addFeed('https://example.com/feed.xml', { interval: 'every 7m' });
+      expect(badInterval.success).to.be.false;
+      expect(badInterval.error).to.include('every 7m');
+      expect(await scheduler.listScheduledFeeds()).to.be.empty;
+    });
+
+    it('should update the interval and timezone of a feed', async () => {
+      const { feedId } = await scheduler.addFeed('https://example.com/feed.xml', { interval: 'hourly' });
+
+      const timezoneOnly = await scheduler.updateFeedSchedule(feedId, null, { timezone: 'Asia/Tokyo' });
+      expect(timezoneOnly).to.include({ success: true, interval: '0 * * * *', timezone: 'Asia/Tokyo' });
+
+      const updateResult = await scheduler.updateFeedSchedule(feedId, 'daily at 9am');
+      expect(updateResult).to.include({ success: true, interval: '0 9 * * *', timezone: 'Asia/Tokyo' });
+      // 09:00 in Tokyo is midnight UTC
+      expect(updateResult.nextRun.getUTCHours()).to.equal(0);
+    });
+
     it('should get scheduler status', async () => {
       await scheduler.addFeed('https://example1.com/feed.xml', { title: 'Feed 1' });
       await scheduler.addFeed('https://example2.com/feed.xml', { title: 'Feed 2' });
@@ -294,6 +344,436 @@ describe('Feed Scheduler', () => {
     });
   });
 
+  describe('Conditional fetching', () => {
+    it('should treat HTTP 304 as a successful no-change update', async () => {
+      const feedUrl = 'https://example.com/feed.xml';
+      await feedManager.addFeed(feedUrl, {
+        title: 'Cached Feed',
+        etag: '"v1"',
+        lastModified: 'Wed, 01 Jan 2025 12:00:00 GMT',
+        items: [{ title: 'Existing Article', link: 'https://example.com/a1' }],
+      });
+
+      const analyticsLogger = { logEvent: sinon.stub().resolves(true) };
+      scheduler.options.analyticsLogger = analyticsLogger;
+
+      const originalFetch = global.fetch;
+      let requestHeaders;
+      global.fetch = async (_url, init) => {
+        requestHeaders = init.headers;
+        return { ok: false, status: 304, statusText: 'Not Modified', headers: new Headers() };
+      };
+
+      let result;
+      try {
+        result = await scheduler.fetchAndUpdateFeed(feedUrl);
+      } finally {
+        global.fetch = originalFetch;
+      }
+
+      expect(requestHeaders).to.have.property('If-None-Match', '"v1"');
+      expect(result.success).to.be.true;
+      expect(result.notModified).to.be.true;
+      expect(result.itemsAdded).to.equal(0);
+
+      const items = await feedManager.getFeedItems(feedManager.generateFeedId(feedUrl));
+      expect(items).to.have.length(1);
+
+      const stats = await scheduler.getUpdateStats();
+      expect(stats.successfulUpdates).to.equal(1);
+      expect(stats.notModifiedUpdates).to.equal(1);
+
+      expect(analyticsLogger.logEvent.calledOnce).to.be.true;
+      const [eventType, eventData] = analyticsLogger.logEvent.firstCall.args;
+      expect(eventType).to.equal('feed_processing');
+      expect(eventData).to.include({ success: true, notModified: true });
+    });
+  });
+
+  describe('Manual refresh', () => {
+    it('should refresh all feeds without exceeding the concurrency limit', async () => {
+      for (const name of ['a', 'b', 'c', 'd', 'e']) {
+        await feedManager.addFeed(`https://example.com/${name}.xml`, { title: name });
+      }
+
+      let inFlight = 0;
+      let maxInFlight = 0;
+      sinon.stub(scheduler, 'fetchAndUpdateFeed').callsFake(async () => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        inFlight--;
+        return { success: true, itemsAdded: 1 };
+      });
+
+      const results = await scheduler.refreshFeeds(null, { concurrency: 2 });
+
+      expect(results).to.have.length(5);
+      expect(results.map(result => result.title)).to.deep.equal(['a', 'b', 'c', 'd', 'e']);
+      expect(results.every(result => result.success)).to.be.true;
+      expect(maxInFlight).to.equal(2);
+    });
+
+    it('should refresh selected feeds and report unknown IDs', async () => {
+      await feedManager.addFeed('https://example.com/a.xml', { title: 'a' });
+      const fetchStub = sinon.stub(scheduler, 'fetchAndUpdateFeed').resolves({ success: true });
+
+      const results = await scheduler.refreshFeeds([
+        feedManager.generateFeedId('https://example.com/a.xml'),
+        'missing',
+      ]);
+
+      expect(fetchStub.calledOnceWith('https://example.com/a.xml')).to.be.true;
+      expect(results[1]).to.include({ feedId: 'missing', success: false, error: 'Feed not found' });
+    });
+  });
+
+  describe('Backoff and auto-disable', () => {
+    const feedUrl = 'https://example.com/feed.xml';
+    let originalFetch;
+    let requests;
+
+    const failWith = (status, headers = {}) => {
+      global.fetch = async () => {
+        requests++;
+        return { ok: false, status, statusText: 'Unavailable', headers: new Headers(headers) };
+      };
+    };
+
+    beforeEach(() => {
+      originalFetch = global.fetch;
+      requests = 0;
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    it('should back off exponentially between retries', async () => {
+      const testScheduler = new FeedScheduler({ feedManager, dataPath: tempDataPath, retryDelay: 10 });
+      const delays = [];
+      const clock = sinon.stub(global, 'setTimeout').callsFake((callback, delay) => {
+        delays.push(delay);
+        callback();
+      });
+      failWith(500);
+
+      try {
+        await testScheduler.fetchAndUpdateFeed(feedUrl, { retryAttempts: 4 });
+      } finally {
+        clock.restore();
+      }
+
+      expect(requests).to.equal(4);
+      expect(delays).to.deep.equal([10, 20, 40]);
+    });
+
+    it('should leave long Retry-After waits to the cooldown', async () => {
+      const { feedId } = await scheduler.addFeed(feedUrl, { interval: '*/15 * * * *' });
+      failWith(429, { 'Retry-After': '7200' });
+
+      const before = Date.now();
+      const result = await scheduler.fetchAndUpdateFeed(feedUrl, { retryDelay: 1 });
+
+      expect(requests).to.equal(1);
+      expect(result).to.include({ success: false, attempts: 1, retryAfter: 7200000 });
+
+      const scheduledFeed = scheduler.scheduledFeeds.get(feedId);
+      expect(Date.parse(scheduledFeed.cooldownUntil)).to.be.at.least(before + 7200000);
+      expect(Date.parse(scheduledFeed.nextRun)).to.be.at.least(Date.parse(scheduledFeed.cooldownUntil));
+      expect(scheduler.isCoolingDown(feedId)).to.be.true;
+    });
+
+    it('should grow the cooldown with each consecutive failure', async () => {
+      const testScheduler = new FeedScheduler({ feedManager, dataPath: tempDataPath, failureCooldown: 60000 });
+      const { feedId } = await testScheduler.addFeed(feedUrl, { interval: '* * * * *' });
+      failWith(500);
+
+      const cooldowns = [];
+      for (let run = 0; run < 3; run++) {
+        const before = Date.now();
+        await testScheduler.fetchAndUpdateFeed(feedUrl, { retryAttempts: 1 });
+        cooldowns.push(Math.round((Date.parse(testScheduler.scheduledFeeds.get(feedId).cooldownUntil) - before) / 60000));
+      }
+
+      expect(cooldowns).to.deep.equal([1, 2, 4]);
+      expect(testScheduler.scheduledFeeds.get(feedId)).to.include({ failureCount: 3, lastError: 'HTTP 500: Unavailable' });
+    });
+
+    it('should disable a feed after maxFailures and re-enable it on request', async () => {
+      const testScheduler = new FeedScheduler({ feedManager, dataPath: tempDataPath, maxFailures: 2 });
+      const { feedId } = await testScheduler.addFeed(feedUrl, { title: 'Dead Feed' });
+      failWith(404);
+
+      await testScheduler.fetchAndUpdateFeed(feedUrl, { retryAttempts: 1 });
+      const result = await testScheduler.fetchAndUpdateFeed(feedUrl, { retryAttempts: 1 });
+
+      expect(result.disabled).to.be.true;
+      const scheduledFeed = testScheduler.scheduledFeeds.get(feedId);
+      expect(scheduledFeed.enabled).to.be.false;
+      expect(scheduledFeed.disabledReason).to.equal('2 consecutive failures (last error: HTTP 404: Unavailable)');
+
+      const status = await testScheduler.getStatus();
+      expect(status.disabledFeeds).to.have.length(1);
+      expect(status.disabledFeeds[0]).to.include({ id: feedId, title: 'Dead Feed' });
+
+      const enableResult = await testScheduler.enableFeed(feedId);
+      expect(enableResult.success).to.be.true;
+      expect(testScheduler.scheduledFeeds.get(feedId)).to.include({ enabled: true, failureCount: 0 });
+      expect(testScheduler.scheduledFeeds.get(feedId)).to.not.have.property('disabledReason');
+      expect((await testScheduler.getStatus()).disabledFeeds).to.be.empty;
+    });
+
+    it('should not start cron jobs for disabled feeds', async () => {
+      const { feedId } = await scheduler.addFeed(feedUrl);
+      await scheduler.disableFeed(feedId, 'Paused by editor');
+
+      await scheduler.start();
+
+      expect(scheduler.activeJobs.has(feedId)).to.be.false;
+      expect(scheduler.scheduledFeeds.get(feedId).disabledReason).to.equal('Paused by editor');
+    });
+  });
+
+  describe('Adaptive polling', () => {
+    const feedUrl = 'https://example.com/feed.xml';
+    const hourlyItems = () => [1, 2, 3, 4].map(hours => ({
+      title: `Article ${hours}`,
+      link: `https://example.com/a${hours}`,
+      pubDate: new Date(Date.now() - hours * 3600000).toUTCString(),
+    }));
+    let originalFetch;
+
+    beforeEach(() => {
+      originalFetch = global.fetch;
+      global.fetch = async () => ({ ok: false, status: 304, statusText: 'Not Modified', headers: new Headers() });
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    it('should adapt the interval of adaptive feeds after a successful fetch', async () => {
+      const { feedId } = await scheduler.addFeed(feedUrl, { interval: '0 */6 * * *', adaptive: true, items: hourlyItems() });
+
+      await scheduler.fetchAndUpdateFeed(feedUrl);
+
+      const scheduledFeed = scheduler.scheduledFeeds.get(feedId);
+      expect(scheduledFeed).to.include({ interval: '*/30 * * * *', baseInterval: '0 */6 * * *' });
+      expect(scheduledFeed.adaptiveReason).to.include('publishes every ~1h');
+      expect(scheduledFeed.adaptiveReason).to.match(/polling every 30m$/);
+    });
+
+    it('should leave the interval of other feeds alone', async () => {
+      const { feedId } = await scheduler.addFeed(feedUrl, { interval: '0 */6 * * *', items: hourlyItems() });
+
+      await scheduler.fetchAndUpdateFeed(feedUrl);
+
+      const scheduledFeed = scheduler.scheduledFeeds.get(feedId);
+      expect(scheduledFeed.interval).to.equal('0 */6 * * *');
+      expect(scheduledFeed).to.not.have.property('adaptiveReason');
+    });
+
+    it('should restore the configured interval when adaptive polling is turned off', async () => {
+      const { feedId } = await scheduler.addFeed(feedUrl, { interval: '0 */6 * * *', adaptive: true, items: hourlyItems() });
+      await scheduler.fetchAndUpdateFeed(feedUrl);
+
+      const result = await scheduler.updateFeedSchedule(feedId, null, { adaptive: false });
+
+      expect(result.success).to.be.true;
+      expect(scheduler.scheduledFeeds.get(feedId)).to.include({ interval: '0 */6 * * *', adaptive: false });
+      expect(scheduler.scheduledFeeds.get(feedId)).to.not.have.property('baseInterval');
+    });
+
+    it('should restore the configured interval of feeds that are no longer adaptive on start', async () => {
+      const { feedId } = await scheduler.addFeed(feedUrl, { interval: '0 */6 * * *', adaptive: true, items: hourlyItems() });
+      await scheduler.fetchAndUpdateFeed(feedUrl);
+      delete scheduler.scheduledFeeds.get(feedId).adaptive;
+
+      await scheduler.start();
+
+      expect(scheduler.scheduledFeeds.get(feedId).interval).to.equal('0 */6 * * *');
+      expect(scheduler.scheduledFeeds.get(feedId)).to.not.have.property('adaptiveReason');
+    });
+  });
+
+  describe('Missed-run catch-up', () => {
+    const feedUrl = 'https://example.com/feed.xml';
+
+    // Three hourly runs (two hours ago, one hour ago, this hour) were missed
+    const addOverdueFeed = async (testScheduler) => {
+      const hourStart = Math.floor(Date.now() / 3600000) * 3600000;
+      const { feedId } = await testScheduler.addFeed(feedUrl, { interval: '0 * * * *' });
+      testScheduler.scheduledFeeds.get(feedId).nextRun = new Date(hourStart - 2 * 3600000).toISOString();
+      return feedId;
+    };
+
+    const startWith = async (options) => {
+      const testScheduler = new FeedScheduler({ feedManager, dataPath: tempDataPath, ...options });
+      const feedId = await addOverdueFeed(testScheduler);
+      const fetchStub = sinon.stub(testScheduler, 'fetchAndUpdateFeed').resolves({ success: true });
+      await testScheduler.start();
+      const results = await testScheduler.catchUpRun;
+      await testScheduler.stop();
+      return { testScheduler, feedId, fetchStub, results };
+    };
+
+    it('should fetch overdue feeds once by default', async () => {
+      const { testScheduler, feedId, fetchStub, results } = await startWith({});
+
+      expect(fetchStub.calledOnceWith(feedUrl, { catchUp: true })).to.be.true;
+      expect(results).to.have.length(1);
+      expect(results[0]).to.include({ feedId, missedRuns: 3, runs: 1 });
+      expect(testScheduler.scheduledFeeds.get(feedId).lastCatchUp).to.include({
+        policy: 'once',
+        missedRuns: 3,
+        runs: 1,
+        success: true,
+      });
+    });
+
+    it('should replay every missed run up to maxCatchUpRuns with the all policy', async () => {
+      const { fetchStub } = await startWith({ catchUp: 'all' });
+      expect(fetchStub.callCount).to.equal(3);
+
+      const capped = await startWith({ catchUp: 'all', maxCatchUpRuns: 2 });
+      expect(capped.fetchStub.callCount).to.equal(2);
+    });
+
+    it('should only reschedule overdue feeds with the none policy', async () => {
+      const { testScheduler, feedId, fetchStub } = await startWith({ catchUp: 'none' });
+
+      expect(fetchStub.called).to.be.false;
+      const scheduledFeed = testScheduler.scheduledFeeds.get(feedId);
+      expect(Date.parse(scheduledFeed.nextRun)).to.be.above(Date.now());
+      expect(scheduledFeed.lastCatchUp).to.include({ policy: 'none', runs: 0 });
+    });
+
+    it('should skip feeds that are not overdue or are disabled', async () => {
+      const feedId = await addOverdueFeed(scheduler);
+      await scheduler.addFeed('https://example.com/current.xml');
+      await scheduler.disableFeed(feedId);
+      const fetchStub = sinon.stub(scheduler, 'fetchAndUpdateFeed').resolves({ success: true });
+
+      await scheduler.start();
+
+      expect(await scheduler.catchUpRun).to.be.empty;
+      expect(fetchStub.called).to.be.false;
+    });
+
+    it('should reject unknown policies', () => {
+      expect(() => new FeedScheduler({ feedManager, dataPath: tempDataPath, catchUp: 'twice' }))
+        .to.throw('Invalid catch-up policy');
+    });
+  });
+
+  describe('Fetch queue', () => {
+    const trackFetches = (testScheduler) => {
+      const tracker = { inFlight: 0, maxInFlight: 0, maxPerHost: {}, byHost: {}, calls: 0 };
+      sinon.stub(testScheduler, 'fetchAndUpdateFeed').callsFake(async (url) => {
+        const { host } = new URL(url);
+        tracker.calls++;
+        tracker.inFlight++;
+        tracker.byHost[host] = (tracker.byHost[host] || 0) + 1;
+        tracker.maxInFlight = Math.max(tracker.maxInFlight, tracker.inFlight);
+        tracker.maxPerHost[host] = Math.max(tracker.maxPerHost[host] || 0, tracker.byHost[host]);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        tracker.inFlight--;
+        tracker.byHost[host]--;
+        return { success: true, url };
+      });
+      return tracker;
+    };
+
+    it('should enforce the global and per-host limits', async () => {
+      const testScheduler = new FeedScheduler({ feedManager, dataPath: tempDataPath, maxConcurrent: 3, maxPerHost: 1 });
+      const tracker = trackFetches(testScheduler);
+      const urls = ['a', 'b', 'c', 'd', 'e', 'f'].flatMap(name => [
+        `https://one.example.com/${name}.xml`,
+        `https://two.example.com/${name}.xml`,
+        `https://${name}.example.org/feed.xml`,
+      ]);
+
+      const results = await Promise.all(urls.map(url => testScheduler.enqueueFetch(url)));
+
+      expect(results.map(result => result.url)).to.deep.equal(urls);
+      expect(tracker.maxInFlight).to.equal(3);
+      expect(tracker.maxPerHost['one.example.com']).to.equal(1);
+      expect(tracker.maxPerHost['two.example.com']).to.equal(1);
+    });
+
+    it('should share the result of a fetch that is already queued', async () => {
+      const tracker = trackFetches(scheduler);
+
+      const [first, second] = await Promise.all([
+        scheduler.enqueueFetch('https://example.com/feed.xml'),
+        scheduler.enqueueFetch('https://example.com/feed.xml'),
+      ]);
+
+      expect(tracker.calls).to.equal(1);
+      expect(first).to.equal(second);
+    });
+
+    it('should expose queue depth and in-flight counts in the status', async () => {
+      const testScheduler = new FeedScheduler({ feedManager, dataPath: tempDataPath, maxConcurrent: 2, maxPerHost: 1 });
+      trackFetches(testScheduler);
+
+      const pending = ['a', 'b', 'c'].map(name => testScheduler.enqueueFetch(`https://example.com/${name}.xml`));
+      pending.push(testScheduler.enqueueFetch('https://example.org/feed.xml'));
+
+      const status = await testScheduler.getStatus();
+      expect(status).to.include({ queueDepth: 2, inFlight: 2 });
+      expect(status.inFlightByHost).to.deep.equal({ 'example.com': 1, 'example.org': 1 });
+
+      await Promise.all(pending);
+      const idle = await testScheduler.getStatus();
+      expect(idle).to.include({ queueDepth: 0, inFlight: 0 });
+      expect(idle.inFlightByHost).to.deep.equal({});
+    });
+
+    it('should free the slot of a fetch that hangs', async () => {
+      const testScheduler = new FeedScheduler({ feedManager, dataPath: tempDataPath, maxConcurrent: 1, maxPerHost: 1 });
+      const originalFetch = global.fetch;
+      global.fetch = (url, init) => {
+        if (url.endsWith('/hung.xml')) {
+          return new Promise((_resolve, reject) => {
+            init.signal.addEventListener('abort', () => reject(init.signal.reason));
+          });
+        }
+        return Promise.resolve(new Response(
+          '<rss version="2.0"><channel><title>Live</title><item><title>Fresh</title><link>https://example.com/fresh</link></item></channel></rss>',
+          { status: 200, headers: { 'content-type': 'application/rss+xml' } },
+        ));
+      };
+
+      let hung;
+      let live;
+      try {
+        [hung, live] = await Promise.all([
+          testScheduler.enqueueFetch('https://example.com/hung.xml', { timeout: 50, retryAttempts: 1 }),
+          testScheduler.enqueueFetch('https://example.com/live.xml', { retryAttempts: 1 }),
+        ]);
+      } finally {
+        global.fetch = originalFetch;
+      }
+
+      expect(hung.success).to.be.false;
+      expect(live.success).to.be.true;
+      const status = await testScheduler.getStatus();
+      expect(status).to.include({ queueDepth: 0, inFlight: 0 });
+    });
+
+    it('should give each feed a stable delay within the jitter window', () => {
+      const testScheduler = new FeedScheduler({ feedManager, dataPath: tempDataPath, jitter: 60000 });
+      const delays = ['feed1', 'feed2', 'feed3'].map(feedId => testScheduler.getJitterDelay(feedId));
+
+      delays.forEach(delay => expect(delay).to.be.within(0, 60000));
+      expect(new Set(delays).size).to.equal(3);
+      expect(testScheduler.getJitterDelay('feed1')).to.equal(delays[0]);
+      expect(scheduler.getJitterDelay('feed1')).to.equal(0);
+    });
+  });
+
   describe('Scheduler lifecycle', () => {
     it('should start and stop scheduler', async () => {
       expect(scheduler.isRunning()).to.be.false;
@@ -319,6 +799,40 @@ describe('Feed Scheduler', () => {
       await scheduler.stop();
     });
 
+    it('should pick up feeds another process changed and reconcile cron jobs', async () => {
+      const { feedId: keptId } = await scheduler.addFeed('https://example.com/kept.xml');
+      const { feedId: removedId } = await scheduler.addFeed('https://example.com/removed.xml');
+      await scheduler.start();
+      const other = new FeedScheduler({ feedManager: new FeedManager({ dataPath: tempDataPath }), dataPath: tempDataPath });
+
+      const { feedId: addedId } = await other.addFeed('https://example.com/added.xml', { title: 'Added' });
+      await other.removeFeed(removedId);
+      await other.disableFeed(keptId);
+      const changes = scheduler.reloadScheduledFeeds();
+
+      expect(changes).to.deep.equal({ added: [addedId], removed: [removedId], updated: [keptId] });
+      expect(Array.from(scheduler.activeJobs.keys())).to.deep.equal([addedId]);
+      expect(scheduler.options.feedManager.feeds.has(addedId)).to.be.true;
+      expect(scheduler.reloadScheduledFeeds()).to.deep.equal({ added: [], removed: [], updated: [] });
+    });
+
+    it('should merge a change another process saved just before its own save', async () => {
+      const { feedId: keptId } = await scheduler.addFeed('https://example.com/kept.xml');
+      await scheduler.start();
+      const other = new FeedScheduler({ feedManager: new FeedManager({ dataPath: tempDataPath }), dataPath: tempDataPath });
+
+      const { feedId: addedId } = await other.addFeed('https://example.com/added.xml');
+      await other.disableFeed(keptId);
+      scheduler.scheduledFeeds.get(keptId).lastFetched = '2025-01-01T12:00:00.000Z';
+      scheduler.saveScheduledFeeds();
+
+      const stored = new FeedScheduler({ feedManager, dataPath: tempDataPath }).scheduledFeeds;
+      expect(stored.has(addedId)).to.be.true;
+      expect(stored.get(keptId)).to.include({ enabled: false, lastFetched: '2025-01-01T12:00:00.000Z' });
+      expect(Array.from(scheduler.activeJobs.keys())).to.deep.equal([addedId]);
+      expect(fs.readdirSync(tempDataPath).filter(file => file.endsWith('.tmp'))).to.deep.equal([]);
+    });
+
     it('should handle multiple start/stop calls', async () => {
       await scheduler.start();
       await scheduler.start(); // Should not cause issues
@@ -0,0 +1,102 @@
+/**
+ * Package Root Tests
+ * Testing that the package root imports and RSSAmplifier works without the posting backend
+ */
+
+import { expect } from 'chai';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+const rssFeed = `<?xml version="1.0" encoding="UTF-8"?>
+  <rss version="2.0">
+    <channel>
+      <title>Example Blog</title>
+      <link>https://example.com</link>
+      <item>
+        <title>Example Article</title>
+        <link>https://example.com/article</link>
+      </item>
+    </channel>
+  </rss>`;
+
+describe('Package Root', () => {
+  let tempDataPath;
+  let originalFetch;
+
+  beforeEach(() => {
+    tempDataPath = path.join(os.tmpdir(), `rss-amplifier-index-test-${Date.now()}`);
+    fs.mkdirSync(tempDataPath, { recursive: true });
+
+    originalFetch = global.fetch;
+    global.fetch = async () => ({
+      ok: true,
+      status: 200,
+      headers: new Headers({ 'Content-Type': 'application/rss+xml' }),
+      text: async () => rssFeed,
+    });
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    if (fs.existsSync(tempDataPath)) {
+      fs.rmSync(tempDataPath, { recursive: true, force: true });
+    }
+  });
+
+  const createOptions = () => ({
+    configPath: path.join(tempDataPath, 'config.json'),
+    dataPath: tempDataPath,
+  });
+
+  const writeOPML = () => {
+    const opmlPath = path.join(tempDataPath, 'feeds.opml');
+    fs.writeFileSync(opmlPath, `<?xml version="1.0"?>
+      <opml version="2.0">
+        <head><title>Subscriptions</title></head>
+        <body><outline type="rss" text="Example Blog" xmlUrl="https://example.com/feed.xml"/></body>
+      </opml>`);
+    return opmlPath;
+  };
+
+  it('should import and build an RSSAmplifier', async () => {
+    const { RSSAmplifier, FeedScheduler, default: api } = await import('../index.js');
+    const amplifier = new RSSAmplifier(createOptions());
+
+    const status = amplifier.getStatus();
+
+    expect(FeedScheduler).to.be.a('function');
+    expect(api.RSSAmplifier).to.equal(RSSAmplifier);
+    expect(status.feeds.feedCount).to.equal(0);
+    expect(status.snippets).to.deep.equal({
+      snippetCount: 0,
+      statusBreakdown: {},
+      dataPath: path.join(tempDataPath, 'snippets'),
+    });
+    expect(status.social.loaded).to.be.false;
+    await amplifier.close();
+  });
+
+  it('should import OPML feeds into the feed manager', async () => {
+    const { RSSAmplifier } = await import('../index.js');
+    const opmlPath = writeOPML();
+    const amplifier = new RSSAmplifier(createOptions());
+
+    const summary = await amplifier.importOPML(opmlPath);
+
+    expect(summary.success).to.be.true;
+    expect(summary.added).to.have.length(1);
+    expect(await amplifier.feedManager.getRecentItems(5)).to.have.length(1);
+    await amplifier.close();
+  });
+
+  it('should run quickAmplify without AI configured', async () => {
+    const { quickAmplify } = await import('../index.js');
+
+    const result = await quickAmplify(writeOPML(), createOptions());
+    const missing = await quickAmplify(path.join(tempDataPath, 'missing.opml'), createOptions());
+
+    expect(result).to.deep.equal({ success: true, snippets: [] });
+    expect(missing.success).to.be.false;
+  });
+});
@@ -0,0 +1,295 @@
+/**
+ * Pipeline Tests
+ * Testing pipeline validation and fetch → generate → review → post runs
+ */
+
+import { expect } from 'chai';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import sinon from 'sinon';
+import { FeedManager } from '../src/feed-manager.js';
+import { SnippetManager } from '../src/snippet-manager.js';
+import { PipelineRunner, validatePipeline, reviewSnippet } from '../src/pipeline.js';
+
+describe('Pipeline', () => {
+  let tempDataPath;
+  let feedManager;
+  let snippetManager;
+  let feedScheduler;
+  let generator;
+  let poster;
+  let analyticsLogger;
+
+  const techPipeline = {
+    name: 'tech',
+    schedule: 'every 2h',
+    feeds: { category: 'Tech' },
+    platforms: ['x'],
+    autoApprove: 'all',
+    posting: { maxPerRun: 1 },
+  };
+
+  const createRunner = (pipelines, options = {}) => new PipelineRunner({
+    pipelines,
+    feedManager,
+    feedScheduler,
+    generator,
+    snippetManager,
+    poster,
+    analyticsLogger,
+    dataPath: path.join(tempDataPath, 'scheduler'),
+    ...options,
+  });
+
+  beforeEach(async () => {
+    tempDataPath = path.join(os.tmpdir(), `rss-amplifier-pipeline-test-${Date.now()}`);
+    feedManager = new FeedManager({ dataPath: path.join(tempDataPath, 'feeds') });
+    snippetManager = new SnippetManager({ dataPath: path.join(tempDataPath, 'snippets') });
+
+    await feedManager.addFeed('https://example.com/tech.xml', {
+      title: 'Tech Feed',
+      category: 'Tech',
+      items: [
+        { title: 'Older tech story', link: 'https://example.com/tech-1', pubDate: 'Mon, 01 Jan 2024 10:00:00 GMT' },
+        { title: 'Newer tech story', link: 'https://example.com/tech-2', pubDate: 'Tue, 02 Jan 2024 10:00:00 GMT' },
+      ],
+    });
+    await feedManager.addFeed('https://example.com/news.xml', {
+      title: 'News Feed',
+      category: 'News',
+      items: [{ title: 'News story', link: 'https://example.com/news-1', pubDate: 'Wed, 03 Jan 2024 10:00:00 GMT' }],
+    });
+
+    feedScheduler = {
+      refreshFeeds: sinon.stub().callsFake(async feedIds => feedIds.map(feedId => ({ feedId, success: true, itemsAdded: 0 }))),
+    };
+    generator = {
+      generateSnippet: sinon.stub().callsFake(async (item, { platform }) => ({
+        success: true,
+        snippet: { content: `${item.title} (${platform})`, platform, sourceUrl: item.url, sourceTitle: item.title },
+      })),
+    };
+    poster = {
+      post: sinon.stub().callsFake(async (content, platforms) => ({
+        success: true,
+        results: Object.fromEntries(platforms.map(platform => [platform, { success: true }])),
+      })),
+    };
+    analyticsLogger = { logEvent: sinon.stub().resolves(true) };
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(tempDataPath)) {
+      fs.rmSync(tempDataPath, { recursive: true, force: true });
+    }
+  });
+
+  describe('validatePipeline', () => {
+    it('should accept a complete definition', () => {
+      expect(validatePipeline(techPipeline)).to.deep.equal({ valid: true, errors: [] });
+    });
+
+    it('should report every problem of a definition', () => {
+      const { valid, errors } = validatePipeline({
+        name: 'bad',
+        schedule: 'every 7m',
+        feeds: 42,
+        platforms: [],
+        autoApprove: 'sometimes',
+        posting: { maxPerRun: -1 },
+      });
+
+      expect(valid).to.be.false;
+      expect(errors).to.have.length(5);
+      expect(errors[0]).to.include('invalid schedule');
+    });
+  });
+
+  describe('reviewSnippet', () => {
+    it('should apply auto-approve rules', () => {
+      const snippet = { content: 'A short take on the news', sourceUrl: 'https://example.com/a' };
+
+      expect(reviewSnippet(snippet, 'none')).to.deep.equal({ approve: false, reason: 'Manual review' });
+      expect(reviewSnippet(snippet, 'all').approve).to.be.true;
+      expect(reviewSnippet(snippet, { maxLength: 10 }).reason).to.equal('Longer than 10 characters');
+      expect(reviewSnippet(snippet, { blockedWords: ['NEWS'] }).reason).to.equal('Contains "NEWS"');
+      expect(reviewSnippet({ content: 'No link' }, { requireSourceUrl: true }).reason).to.equal('No source URL');
+      expect(reviewSnippet(snippet, { maxLength: 280, requireSourceUrl: true }).approve).to.be.true;
+    });
+  });
+
+  describe('runPipeline', () => {
+    it('should run every stage for the selected feeds and record the run', async () => {
+      const runner = createRunner([techPipeline]);
+
+      const run = await runner.runPipeline('tech');
+
+      expect(run.success).to.be.true;
+      expect(feedScheduler.refreshFeeds.calledOnceWith([feedManager.generateFeedId('https://example.com/tech.xml')])).to.be.true;
+      expect(run.stages.fetch).to.include({ success: true, feeds: 1 });
+      expect(run.stages.generate).to.include({ success: true, items: 2, created: 2, skipped: 0, failed: 0 });
+      expect(run.stages.review.approved).to.have.length(2);
+      expect(run.stages.post.posted).to.equal(1);
+      expect(poster.post.calledOnce).to.be.true;
+      expect(poster.post.firstCall.args[0].text).to.match(/tech story \(twitter\)$/);
+      expect(poster.post.firstCall.args[1]).to.deep.equal(['x']);
+
+      const runs = await runner.getRuns('tech');
+      expect(runs.map(entry => entry.id)).to.deep.equal([run.id]);
+
+      const eventTypes = analyticsLogger.logEvent.getCalls().map(call => call.args[0]);
+      expect(eventTypes).to.deep.equal(['pipeline_stage', 'pipeline_stage', 'pipeline_stage', 'pipeline_stage', 'pipeline_run']);
+      expect(analyticsLogger.logEvent.lastCall.args[1]).to.include({ pipeline: 'tech', runId: run.id, success: true });
+    });
+
+    it('should skip feeds the scheduler has disabled or put in cooldown', async () => {
+      const techId = feedManager.generateFeedId('https://example.com/tech.xml');
+      const newsId = feedManager.generateFeedId('https://example.com/news.xml');
+      feedScheduler.scheduledFeeds = new Map([
+        [techId, { enabled: true, cooldownUntil: new Date(Date.now() + 60000).toISOString() }],
+        [newsId, { enabled: true }],
+      ]);
+      feedScheduler.isCoolingDown = feedId => Date.now() < Date.parse(feedScheduler.scheduledFeeds.get(feedId).cooldownUntil || 0);
+      const runner = createRunner([{ ...techPipeline, feeds: 'all' }]);
+
+      const run = await runner.runPipeline('tech');
+
+      expect(feedScheduler.refreshFeeds.calledOnceWith([newsId])).to.be.true;
+      expect(run.stages.fetch).to.include({ feeds: 1 });
+
+      feedScheduler.scheduledFeeds.set(newsId, { enabled: false });
+      feedScheduler.isCoolingDown = () => true;
+      const paused = await runner.runPipeline('tech');
+      expect(paused.stages.fetch).to.include({ success: false, error: 'No feeds match the pipeline' });
+    });
+
+    it('should leave snippets for review without an auto-approve policy', async () => {
+      const runner = createRunner([{ ...techPipeline, autoApprove: 'none' }]);
+
+      const run = await runner.runPipeline('tech');
+
+      expect(run.stages.review.pending).to.have.length(2);
+      expect(run.stages.post.posted).to.equal(0);
+      const { snippets } = await snippetManager.listSnippets({ status: 'pending' });
+      expect(snippets.every(snippet => snippet.pipeline === 'tech')).to.be.true;
+    });
+
+    it('should not generate twice for the same items', async () => {
+      const runner = createRunner([techPipeline]);
+
+      await runner.runPipeline('tech');
+      const run = await runner.runPipeline('tech');
+
+      expect(run.stages.generate).to.include({ created: 0, skipped: 2 });
+    });
+
+    it('should respect the posting cadence', async () => {
+      const runner = createRunner([{ ...techPipeline, posting: { maxPerRun: 1, minInterval: 60 } }]);
+
+      await runner.runPipeline('tech');
+      const run = await runner.runPipeline('tech');
+
+      expect(run.stages.post.posted).to.equal(0);
+      expect(run.stages.post.platforms.x.waiting).to.be.true;
+      expect(poster.post.calledOnce).to.be.true;
+    });
+
+    it('should move past a snippet that keeps failing to post', async () => {
+      poster.post.callsFake(async (content, platforms) => ({
+        success: true,
+        results: Object.fromEntries(platforms.map(platform => [
+          platform,
+          content.text.startsWith('Older') ? { success: false, error: 'Rejected' } : { success: true },
+        ])),
+      }));
+      const runner = createRunner([{ ...techPipeline, autoApprove: 'none' }]);
+      await runner.runPipeline('tech');
+      const { snippets } = await snippetManager.listSnippets({ status: 'pending' });
+      const older = snippets.find(snippet => snippet.content.startsWith('Older'));
+      const newer = snippets.find(snippet => snippet.content.startsWith('Newer'));
+      await snippetManager.approveSnippet(older.id);
+      await snippetManager.updateSnippet(older.id, { postAttempts: 2 });
+
+      const run = await runner.runPipeline('tech');
+
+      expect(run.stages.post.platforms.x.failed).to.deep.equal([{ id: older.id, error: 'x: Rejected', postAttempts: 3, markedFailed: true }]);
+      const { snippet } = await snippetManager.getSnippet(older.id);
+      expect(snippet).to.include({ status: 'failed', postAttempts: 3, lastPostError: 'x: Rejected' });
+
+      await snippetManager.approveSnippet(newer.id);
+      const next = await runner.runPipeline('tech');
+      expect(next.stages.post.posted).to.equal(1);
+      expect(poster.post.lastCall.args[0].text).to.match(/^Newer tech story/);
+    });
+
+    it('should keep snippet changes another process made between runs', async () => {
+      const runner = createRunner([{ ...techPipeline, autoApprove: 'none' }]);
+      await runner.runPipeline('tech');
+      const other = new SnippetManager({ dataPath: path.join(tempDataPath, 'snippets') });
+      const { snippets } = await other.listSnippets({ status: 'pending' });
+      const older = snippets.find(snippet => snippet.content.startsWith('Older'));
+      const newer = snippets.find(snippet => snippet.content.startsWith('Newer'));
+      await other.approveSnippet(older.id);
+      await other.rejectSnippet(newer.id, 'Off topic');
+
+      const run = await runner.runPipeline('tech');
+
+      expect(run.stages.post.posted).to.equal(1);
+      expect(poster.post.lastCall.args[0].text).to.match(/^Older tech story/);
+      const stored = new SnippetManager({ dataPath: path.join(tempDataPath, 'snippets') });
+      expect((await stored.getSnippet(older.id)).snippet.status).to.equal('posted');
+      expect((await stored.getSnippet(newer.id)).snippet.status).to.equal('rejected');
+    });
+
+    it('should generate with the brand profile the pipeline names', async () => {
+      const brand = { name: 'acme', description: 'Developer tools', bannedPhrases: ['game-changer'] };
+      const runner = createRunner([{ ...techPipeline, generate: { brand: 'acme' } }], {
+        config: { brands: [brand], general: {} },
+      });
+
+      await runner.runPipeline('tech');
+
+      expect(generator.generateSnippet.firstCall.args[1].brand).to.equal(brand);
+      const { snippets: [snippet] } = await snippetManager.listSnippets();
+      expect(snippet).to.include({ brand: 'acme' });
+    });
+
+    it('should record failing stages and keep running later stages', async () => {
+      const runner = createRunner([techPipeline], { generator: null });
+
+      const run = await runner.runPipeline('tech');
+
+      expect(run.success).to.be.false;
+      expect(run.stages.generate.error).to.include('No snippet generator');
+      expect(run.stages.review.success).to.be.true;
+      expect(run.stages.post.success).to.be.true;
+      expect(analyticsLogger.logEvent.lastCall.args[1].failedStages).to.deep.equal(['generate']);
+    });
+
+    it('should reject unknown and invalid pipelines', async () => {
+      const runner = createRunner([{ name: 'broken', schedule: '* * *' }]);
+
+      expect(await runner.runPipeline('missing')).to.deep.equal({ success: false, error: 'Pipeline not found: missing' });
+      expect((await runner.runPipeline('broken')).success).to.be.false;
+    });
+  });
+
+  describe('Lifecycle', () => {
+    it('should create cron jobs for enabled, valid pipelines only', async () => {
+      sinon.stub(console, 'warn');
+      const runner = createRunner([
+        techPipeline,
+        { ...techPipeline, name: 'paused', enabled: false },
+        { name: 'broken' },
+      ]);
+
+      await runner.start();
+      expect([...runner.activeJobs.keys()]).to.deep.equal(['tech']);
+
+      await runner.stop();
+      console.warn.restore();
+      expect(runner.activeJobs.size).to.equal(0);
+    });
+  });
+});
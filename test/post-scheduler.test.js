@@ -0,0 +1,236 @@
+/**
+ * Post Scheduler Tests
+ * Testing persistent auto-post schedules and the approved snippet queue
+ */
+
+import { expect } from 'chai';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import sinon from 'sinon';
+import { SnippetManager } from '../src/snippet-manager.js';
+import { PostScheduler, POST_INTERVALS } from '../src/post-scheduler.js';
+
+describe('Post Scheduler', () => {
+  let tempDataPath;
+  let snippetManager;
+  let poster;
+  let postScheduler;
+
+  const approvedSnippet = async (content, approvedAt, platform = 'twitter') => {
+    const { snippet } = await snippetManager.createSnippet({ content, platform });
+    await snippetManager.approveSnippet(snippet.id);
+    await snippetManager.updateSnippet(snippet.id, { approvedAt });
+    return snippet.id;
+  };
+
+  beforeEach(() => {
+    tempDataPath = path.join(os.tmpdir(), `rss-amplifier-post-scheduler-test-${Date.now()}`);
+    snippetManager = new SnippetManager({ dataPath: path.join(tempDataPath, 'snippets') });
+    poster = {
+      post: sinon.stub().callsFake(async (content, platforms) => ({
+        success: true,
+        results: Object.fromEntries(platforms.map(platform => [platform, { success: true }])),
+      })),
+    };
+    postScheduler = new PostScheduler({
+      snippetManager,
+      poster,
+      dataPath: path.join(tempDataPath, 'scheduler'),
+    });
+  });
+
+  afterEach(async () => {
+    await postScheduler.close();
+    if (fs.existsSync(tempDataPath)) {
+      fs.rmSync(tempDataPath, { recursive: true, force: true });
+    }
+  });
+
+  describe('Schedules', () => {
+    it('should persist schedules to scheduled-posts.json', async () => {
+      const result = await postScheduler.addSchedule('x', { interval: 'hourly' });
+
+      expect(result.success).to.be.true;
+      expect(result.schedule).to.include({ id: 'autopost_x', platform: 'x', interval: 'hourly', cron: POST_INTERVALS.hourly });
+      expect(result.schedule.nextRun).to.be.a('string');
+
+      const reloaded = new PostScheduler({ snippetManager, dataPath: path.join(tempDataPath, 'scheduler') });
+      const schedules = await reloaded.listSchedules();
+      expect(schedules.map(schedule => schedule.id)).to.deep.equal(['autopost_x']);
+      expect(fs.existsSync(path.join(tempDataPath, 'scheduler', 'scheduled-posts.json'))).to.be.true;
+    });
+
+    it('should replace the schedule of a platform', async () => {
+      await postScheduler.addSchedule('x', { interval: 'hourly' });
+      const result = await postScheduler.addSchedule('x', { interval: 'weekly' });
+
+      expect(result.replaced).to.be.true;
+      const schedules = await postScheduler.listSchedules();
+      expect(schedules).to.have.length(1);
+      expect(schedules[0].cron).to.equal(POST_INTERVALS.weekly);
+    });
+
+    it('should keep the interval when re-adding without one', async () => {
+      await postScheduler.addSchedule('x', { interval: 'hourly' });
+      const result = await postScheduler.addSchedule('x');
+
+      expect(result.schedule.interval).to.equal('hourly');
+    });
+
+    it('should reject invalid intervals', async () => {
+      const result = await postScheduler.addSchedule('x', { interval: 'sometimes' });
+
+      expect(result.success).to.be.false;
+      expect(result.error).to.include('Invalid interval');
+    });
+
+    it('should remove schedules by platform or ID', async () => {
+      await postScheduler.addSchedule('x');
+      await postScheduler.addSchedule('mastodon');
+
+      expect((await postScheduler.removeSchedule('x')).success).to.be.true;
+      expect((await postScheduler.removeSchedule('autopost_mastodon')).success).to.be.true;
+      expect(await postScheduler.removeSchedule('x')).to.deep.equal({ success: false, error: 'Schedule not found' });
+      expect(await postScheduler.listSchedules()).to.be.empty;
+    });
+  });
+
+  describe('Posting queue', () => {
+    it('should post the oldest approved snippet for the platform', async () => {
+      await approvedSnippet('Newer snippet', '2024-01-02T00:00:00.000Z');
+      const oldestId = await approvedSnippet('Oldest snippet', '2024-01-01T00:00:00.000Z');
+      await approvedSnippet('LinkedIn snippet', '2023-12-01T00:00:00.000Z', 'linkedin');
+      await postScheduler.addSchedule('x', { interval: 'hourly' });
+
+      const result = await postScheduler.runSchedule('autopost_x');
+
+      expect(result).to.deep.equal({ success: true, posted: true, snippetId: oldestId });
+      expect(poster.post.calledOnceWith({ text: 'Oldest snippet' }, ['x'])).to.be.true;
+
+      const { snippet } = await snippetManager.getSnippet(oldestId);
+      expect(snippet.status).to.equal('posted');
+
+      const [schedule] = await postScheduler.listSchedules();
+      expect(schedule.postedCount).to.equal(1);
+      expect(schedule.lastRun).to.be.a('string');
+      expect(schedule.lastResult).to.deep.equal(result);
+    });
+
+    it('should leave pipeline snippets to their pipeline', async () => {
+      const pipelineId = await approvedSnippet('Pipeline snippet', '2024-01-01T00:00:00.000Z');
+      await snippetManager.updateSnippet(pipelineId, { pipeline: 'tech' });
+      const manualId = await approvedSnippet('Manual snippet', '2024-01-02T00:00:00.000Z');
+
+      const queue = await postScheduler.getQueue('x');
+
+      expect(queue.map(snippet => snippet.id)).to.deep.equal([manualId]);
+    });
+
+    it('should map platforms to the poster names', async () => {
+      postScheduler.options.mapPlatform = platform => (platform === 'nostr' ? 'primal' : platform);
+      await approvedSnippet('Nostr snippet', '2024-01-01T00:00:00.000Z', 'nostr');
+      await postScheduler.addSchedule('nostr');
+
+      await postScheduler.runSchedule('autopost_nostr');
+
+      expect(poster.post.firstCall.args[1]).to.deep.equal(['primal']);
+    });
+
+    it('should record ticks with an empty queue', async () => {
+      await postScheduler.addSchedule('x');
+
+      const result = await postScheduler.runSchedule('autopost_x');
+
+      expect(result).to.deep.equal({ success: true, posted: false, reason: 'No approved snippets' });
+      expect(poster.post.called).to.be.false;
+    });
+
+    it('should keep the snippet approved when posting fails', async () => {
+      poster.post.resolves({ success: true, results: { x: { success: false, error: 'Rate limited' } } });
+      const id = await approvedSnippet('Snippet', '2024-01-01T00:00:00.000Z');
+      await postScheduler.addSchedule('x');
+
+      const result = await postScheduler.runSchedule('autopost_x');
+
+      expect(result).to.include({ success: false, posted: false, snippetId: id });
+      expect(result.error).to.include('Rate limited');
+      const { snippet } = await snippetManager.getSnippet(id);
+      expect(snippet.status).to.equal('approved');
+    });
+
+    it('should mark a snippet failed after repeated failures and post the next one', async () => {
+      poster.post.callsFake(async (content, platforms) => ({
+        success: true,
+        results: Object.fromEntries(platforms.map(platform => [
+          platform,
+          content.text === 'Rejected snippet' ? { success: false, error: 'Content rejected' } : { success: true },
+        ])),
+      }));
+      const rejectedId = await approvedSnippet('Rejected snippet', '2024-01-01T00:00:00.000Z');
+      const nextId = await approvedSnippet('Next snippet', '2024-01-02T00:00:00.000Z');
+      await postScheduler.addSchedule('x');
+
+      const first = await postScheduler.runSchedule('autopost_x');
+      const second = await postScheduler.runSchedule('autopost_x');
+
+      expect(first).to.include({ snippetId: rejectedId, postAttempts: 1, markedFailed: false });
+      // The failed snippet moves behind the rest of the queue
+      expect(second).to.deep.equal({ success: true, posted: true, snippetId: nextId });
+
+      await postScheduler.runSchedule('autopost_x');
+      const third = await postScheduler.runSchedule('autopost_x');
+      expect(third).to.include({ snippetId: rejectedId, postAttempts: 3, markedFailed: true });
+      expect((await snippetManager.getSnippet(rejectedId)).snippet.status).to.equal('failed');
+      expect(await postScheduler.runSchedule('autopost_x')).to.deep.equal({ success: true, posted: false, reason: 'No approved snippets' });
+
+      await snippetManager.approveSnippet(rejectedId);
+      expect((await snippetManager.getSnippet(rejectedId)).snippet).to.include({ status: 'approved', postAttempts: 0 });
+    });
+
+    it('should not post for schedules removed by another process', async () => {
+      await approvedSnippet('Snippet', '2024-01-01T00:00:00.000Z');
+      await postScheduler.addSchedule('x');
+
+      const other = new PostScheduler({ snippetManager, dataPath: path.join(tempDataPath, 'scheduler') });
+      await other.removeSchedule('x');
+
+      const result = await postScheduler.runSchedule('autopost_x');
+
+      expect(result.success).to.be.false;
+      expect(poster.post.called).to.be.false;
+    });
+  });
+
+  describe('Lifecycle', () => {
+    it('should create a cron job per schedule while running', async () => {
+      await postScheduler.addSchedule('x');
+      await postScheduler.start();
+      await postScheduler.addSchedule('mastodon');
+
+      expect(postScheduler.isRunning()).to.be.true;
+      expect(postScheduler.activeJobs.size).to.equal(2);
+
+      await postScheduler.removeSchedule('x');
+      expect(postScheduler.activeJobs.size).to.equal(1);
+
+      await postScheduler.stop();
+      expect(postScheduler.activeJobs.size).to.equal(0);
+    });
+
+    it('should start and stop jobs for schedules another process changed', async () => {
+      await postScheduler.addSchedule('mastodon');
+      await postScheduler.start();
+      const other = new PostScheduler({ snippetManager, dataPath: path.join(tempDataPath, 'scheduler') });
+
+      await other.addSchedule('x', { interval: 'hourly' });
+      await other.addSchedule('mastodon', { interval: 'weekly' });
+      expect(postScheduler.reloadSchedules()).to.deep.equal({ added: ['autopost_x'], removed: [], updated: ['autopost_mastodon'] });
+      expect(postScheduler.activeJobs.size).to.equal(2);
+
+      await other.removeSchedule('mastodon');
+      expect(postScheduler.reloadSchedules()).to.deep.equal({ added: [], removed: ['autopost_mastodon'], updated: [] });
+      expect(Array.from(postScheduler.activeJobs.keys())).to.deep.equal(['autopost_x']);
+    });
+  });
+});
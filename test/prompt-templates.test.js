@@ -0,0 +1,135 @@
+/**
+ * Prompt Templates Tests
+ * Testing template rendering, per-platform/style lookup and prompt generation
+ */
+
+import { expect } from 'chai';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import {
+  PromptTemplates,
+  DEFAULT_TEMPLATES,
+  renderTemplate,
+  buildTemplateVariables,
+  getPromptDirectory,
+} from '../src/prompt-templates.js';
+import { AISnippetGenerator, renderSnippetPrompts } from '../src/ai-snippet-generator.js';
+
+describe('Prompt Templates', () => {
+  const feedItem = {
+    title: 'Structured concurrency in JavaScript',
+    description: 'A proposal for structured concurrency primitives in JavaScript runtimes and what it means for async code.',
+    link: 'https://example.com/structured-concurrency',
+  };
+
+  let tempDir;
+  let templates;
+
+  beforeEach(() => {
+    tempDir = path.join(os.tmpdir(), `rss-amplifier-prompts-test-${Date.now()}`);
+    templates = new PromptTemplates({ directory: tempDir });
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(tempDir)) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  const writeTemplate = (file, text) => {
+    fs.mkdirSync(tempDir, { recursive: true });
+    fs.writeFileSync(path.join(tempDir, file), text);
+  };
+
+  describe('renderTemplate', () => {
+    it('should substitute variables including brand fields', () => {
+      const variables = buildTemplateVariables({
+        title: 'Hello',
+        platform: 'twitter',
+        topics: ['javascript', 'async'],
+        brand: { name: 'smashlang', displayName: 'SmashLang', hashtags: ['SmashLang', '#async'] },
+      });
+
+      const { text, unknown } = renderTemplate('{{ title }} for {{platform}} ({{tone}}) - {{topics}} - {{brand.name}} {{brand.hashtags}}', variables);
+
+      expect(text).to.equal('Hello for twitter (engaging) - javascript, async - SmashLang #SmashLang #async');
+      expect(unknown).to.deep.equal([]);
+    });
+
+    it('should report unknown variables and collapse blank lines left by empty ones', () => {
+      const { text, unknown } = renderTemplate('Intro\n\n{{brand.prompt}}\n\n{{missing}}{{brand}}\nOutro', buildTemplateVariables({}));
+
+      expect(text).to.equal('Intro\n\nOutro');
+      expect(unknown).to.deep.equal(['missing', 'brand']);
+    });
+  });
+
+  describe('PromptTemplates', () => {
+    it('should pick the most specific template file and fall back to the built-in one', () => {
+      writeTemplate('snippet.txt', 'generic');
+      writeTemplate('snippet.twitter.txt', 'twitter');
+      writeTemplate('snippet.casual.txt', 'casual');
+      writeTemplate('snippet.twitter.casual.txt', 'twitter casual');
+
+      expect(templates.resolve('snippet', { platform: 'twitter', style: 'casual' }).template).to.equal('twitter casual');
+      expect(templates.resolve('snippet', { platform: 'twitter', style: 'viral' }).template).to.equal('twitter');
+      expect(templates.resolve('snippet', { platform: 'linkedin', style: 'casual' }).template).to.equal('casual');
+      expect(templates.resolve('snippet', { platform: 'linkedin' }).file).to.equal(path.join(tempDir, 'snippet.txt'));
+      expect(templates.resolve('system', { platform: 'twitter' })).to.deep.equal({
+        name: 'system',
+        file: null,
+        template: DEFAULT_TEMPLATES.system,
+      });
+      expect(() => templates.resolve('footer')).to.throw('Unknown prompt template "footer"');
+    });
+
+    it('should write the built-in templates without overwriting edits', () => {
+      writeTemplate('system.txt', 'edited');
+
+      const result = templates.init();
+
+      expect(result.success).to.be.true;
+      expect(result.created).to.deep.equal([path.join(tempDir, 'snippet.txt')]);
+      expect(result.skipped).to.deep.equal([path.join(tempDir, 'system.txt')]);
+      expect(fs.readFileSync(path.join(tempDir, 'system.txt'), 'utf8')).to.equal('edited');
+      expect(templates.list()).to.deep.equal(['snippet.txt', 'system.txt']);
+    });
+
+    it('should use the configured prompts directory', () => {
+      expect(getPromptDirectory({ prompts: { directory: tempDir } })).to.equal(tempDir);
+      expect(getPromptDirectory({ prompts: { directory: '' } })).to.match(/rss-amplifier[\\/]prompts$/);
+    });
+  });
+
+  describe('Prompt generation', () => {
+    it('should render the built-in prompts like the original hard-coded ones', () => {
+      const { system, prompt } = renderSnippetPrompts(feedItem, { platform: 'twitter', tone: 'casual' }, templates);
+
+      expect(system.text).to.equal(DEFAULT_TEMPLATES.system);
+      expect(prompt.file).to.equal(null);
+      expect(prompt.text).to.include('Title: Structured concurrency in JavaScript');
+      expect(prompt.text).to.include('URL: https://example.com/structured-concurrency');
+      expect(prompt.text).to.include('- Platform: twitter\n- Tone: casual');
+      expect(prompt.text).to.include('"tone": "casual"');
+      expect(prompt.text).to.not.include('{{');
+      expect(prompt.text).to.not.include('\n\n\n');
+    });
+
+    it('should build generator prompts from user templates', () => {
+      writeTemplate('system.txt', 'You write for {{brand.name}}.');
+      writeTemplate('snippet.twitter.viral.txt', 'Hype "{{title}}" in a {{tone}} tone.');
+      const generator = new AISnippetGenerator({
+        dataPath: path.join(tempDir, 'snippets'),
+        mockMode: true,
+        promptDir: tempDir,
+      });
+      const options = { platform: 'twitter', tone: 'enthusiastic', style: 'viral', brand: { name: 'acme' } };
+      const analysis = { technicalLevel: 'beginner', topics: [] };
+
+      expect(generator.buildSystemPrompt(feedItem, options, analysis)).to.equal('You write for acme.');
+      expect(generator.buildPrompt(feedItem, options, analysis)).to.equal('Hype "Structured concurrency in JavaScript" in a enthusiastic tone.');
+      expect(generator.buildPrompt(feedItem, { ...options, style: 'casual' }, analysis)).to.include('Create a contextual social media snippet');
+    });
+  });
+});
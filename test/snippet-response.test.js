@@ -0,0 +1,128 @@
+/**
+ * Snippet Response Tests
+ * Testing JSON extraction, schema validation and the repair re-ask
+ */
+
+import { expect } from 'chai';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import sinon from 'sinon';
+import {
+  extractJSON,
+  validateSnippetResponse,
+  parseSnippetResponse,
+  buildRepairPrompt,
+} from '../src/snippet-response.js';
+import { AISnippetGenerator } from '../src/ai-snippet-generator.js';
+
+describe('Snippet Response', () => {
+  const response = {
+    snippet: 'Structured concurrency could finally tame async code #JavaScript',
+    insights: ['Cancellation propagates', 'No orphaned promises'],
+    tone: 'casual',
+    platform_optimized: { twitter: 'Async, but tidy #JavaScript' },
+  };
+
+  describe('extractJSON', () => {
+    it('should parse fenced JSON and JSON surrounded by commentary', () => {
+      const fenced = `Here is your snippet:\n\`\`\`json\n${JSON.stringify(response, null, 2)}\n\`\`\``;
+      const prose = `Sure! ${JSON.stringify(response)} Let me know if you want changes.`;
+
+      expect(extractJSON(fenced)).to.deep.equal({ success: true, value: response });
+      expect(extractJSON(prose)).to.deep.equal({ success: true, value: response });
+    });
+
+    it('should close JSON cut off by the token limit', () => {
+      expect(extractJSON('{"snippet": "Async code, tamed", "insights": ["one", "tw').value)
+        .to.deep.equal({ snippet: 'Async code, tamed', insights: ['one', 'tw'] });
+      expect(extractJSON('```json\n{"snippet": "Async code, tamed", "tone":').value)
+        .to.deep.equal({ snippet: 'Async code, tamed' });
+    });
+
+    it('should report output without JSON', () => {
+      expect(extractJSON('I cannot help with that.')).to.deep.equal({ success: false, error: 'Response is not valid JSON' });
+      expect(extractJSON('  ')).to.deep.equal({ success: false, error: 'Response is empty' });
+    });
+  });
+
+  describe('validateSnippetResponse', () => {
+    it('should accept the expected shape and report missing or mistyped fields', () => {
+      expect(validateSnippetResponse(response)).to.deep.equal({ valid: true, errors: [] });
+      expect(validateSnippetResponse({ snippet: 'Only the snippet' }).valid).to.be.true;
+
+      expect(validateSnippetResponse({ insights: 'one', tone: 3, platform_optimized: ['x'] }).errors).to.deep.equal([
+        'snippet is required',
+        'insights must be a list of strings',
+        'tone must be a string',
+        'platform_optimized must be an object of strings',
+      ]);
+      expect(validateSnippetResponse({ snippet: '  ' }).errors).to.deep.equal(['snippet must not be empty']);
+      expect(validateSnippetResponse([response]).errors).to.deep.equal(['Response must be a JSON object']);
+    });
+
+    it('should list the errors in the repair prompt', () => {
+      const { errors } = parseSnippetResponse('{"tone": "casual"}');
+
+      expect(buildRepairPrompt(errors)).to.include('- snippet is required');
+    });
+  });
+
+  describe('Snippet generation', () => {
+    const feedItem = {
+      title: 'Structured concurrency in JavaScript',
+      description: 'A proposal for structured concurrency primitives in JavaScript runtimes and what it means for async code.',
+      link: 'https://example.com/structured-concurrency',
+    };
+    let tempDataPath;
+    let chat;
+    let generator;
+
+    beforeEach(() => {
+      tempDataPath = path.join(os.tmpdir(), `rss-amplifier-response-test-${Date.now()}`);
+      chat = sinon.stub();
+      generator = new AISnippetGenerator({
+        dataPath: tempDataPath,
+        promptDir: path.join(tempDataPath, 'prompts'),
+        aiProvider: { chat },
+      });
+    });
+
+    afterEach(() => {
+      if (fs.existsSync(tempDataPath)) {
+        fs.rmSync(tempDataPath, { recursive: true, force: true });
+      }
+    });
+
+    it('should re-ask once with the validation errors and use the repaired response', async () => {
+      chat.onFirstCall().resolves('{"insights": "none"}');
+      chat.onSecondCall().resolves(JSON.stringify(response));
+
+      const result = await generator.generateSnippet(feedItem, { platform: 'twitter' });
+
+      expect(result.success).to.be.true;
+      expect(result.snippet.content).to.equal(response.snippet);
+      const repairMessages = chat.secondCall.args[0];
+      expect(repairMessages.slice(-2)).to.deep.equal([
+        { role: 'assistant', content: '{"insights": "none"}' },
+        { role: 'user', content: buildRepairPrompt(['snippet is required', 'insights must be a list of strings']) },
+      ]);
+      expect(generator.stats.repairedResponses).to.equal(1);
+    });
+
+    it('should fail and record the reason when the repaired response is still invalid', async () => {
+      chat.resolves('No JSON here');
+
+      const result = await generator.generateSnippet(feedItem, { platform: 'twitter' });
+
+      expect(chat.callCount).to.equal(2);
+      expect(result).to.include({
+        success: false,
+        error: 'AI returned an invalid response: Response is not valid JSON',
+        failureReason: 'invalid_response',
+      });
+      expect(generator.stats.failureReasons).to.deep.equal({ invalid_response: 1 });
+      expect(generator.stats.lastFailure).to.include({ reason: 'invalid_response', message: result.error });
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Snippet Workflow Tests
+ * Testing snippet generation from feed items and posting of approved snippets
+ */
+
+import { expect } from 'chai';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import sinon from 'sinon';
+import { AISnippetGenerator } from '../src/ai-snippet-generator.js';
+import { SnippetManager } from '../src/snippet-manager.js';
+import {
+  generateSnippets,
+  postSnippet,
+  getToneForStyle,
+  toSnippetPlatform,
+} from '../src/snippet-workflow.js';
+
+describe('Snippet Workflow', () => {
+  let tempDataPath;
+  let snippetManager;
+  let generator;
+
+  const items = [
+    {
+      title: 'TypeScript adoption keeps growing',
+      content: 'A new developer survey shows TypeScript adoption growing across large JavaScript codebases.',
+      url: 'https://example.com/typescript',
+      feedId: 'feed1',
+      feedTitle: 'Example Feed',
+    },
+    {
+      title: 'Untitled',
+      content: '',
+      url: 'https://example.com/empty',
+    },
+  ];
+
+  beforeEach(() => {
+    tempDataPath = path.join(os.tmpdir(), `rss-amplifier-workflow-test-${Date.now()}`);
+    snippetManager = new SnippetManager({ dataPath: path.join(tempDataPath, 'snippets') });
+    generator = new AISnippetGenerator({
+      dataPath: path.join(tempDataPath, 'ai'),
+      promptDir: path.join(tempDataPath, 'prompts'),
+      mockMode: true,
+      mockResponse: {
+        choices: [{
+          message: {
+            content: JSON.stringify({
+              snippet: 'TypeScript keeps winning over JavaScript teams. Is your codebase next? #TypeScript',
+              insights: ['Type safety'],
+              tone: 'engaging',
+            }),
+          },
+        }],
+      },
+    });
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(tempDataPath)) {
+      fs.rmSync(tempDataPath, { recursive: true, force: true });
+    }
+  });
+
+  describe('getToneForStyle / toSnippetPlatform', () => {
+    it('should map styles to tones and CLI platforms to snippet platforms', () => {
+      expect(getToneForStyle('viral')).to.equal('engaging');
+      expect(getToneForStyle('technical')).to.equal('technical');
+      expect(getToneForStyle()).to.equal('engaging');
+      expect(toSnippetPlatform('x')).to.equal('twitter');
+      expect(toSnippetPlatform('linkedin')).to.equal('linkedin');
+      expect(toSnippetPlatform()).to.equal('general');
+    });
+  });
+
+  describe('generateSnippets', () => {
+    it('should store generated snippets as pending and report failures', async () => {
+      const outcomes = [];
+      const summary = await generateSnippets(items, {
+        generator,
+        snippetManager,
+        platform: 'x',
+        style: 'viral',
+        brandContext: 'Acme DevTools',
+        onResult: outcome => outcomes.push(outcome.status),
+      });
+
+      expect(outcomes).to.deep.equal(['created', 'failed']);
+      expect(summary.failed[0].reason).to.include('Content is required');
+
+      const [snippet] = (await snippetManager.listSnippets()).snippets;
+      expect(snippet).to.include({
+        status: 'pending',
+        platform: 'twitter',
+        style: 'viral',
+        brandContext: 'Acme DevTools',
+        sourceUrl: 'https://example.com/typescript',
+        feedId: 'feed1',
+      });
+    });
+
+    it('should skip items that already have a snippet for the platform', async () => {
+      await generateSnippets(items.slice(0, 1), { generator, snippetManager, platform: 'twitter' });
+      const generateSpy = sinon.spy(generator, 'generateSnippet');
+
+      const summary = await generateSnippets(items.slice(0, 1), { generator, snippetManager, platform: 'x' });
+
+      expect(summary.skipped).to.have.length(1);
+      expect(summary.skipped[0].reason).to.equal('Snippet already exists');
+      expect(generateSpy.called).to.be.false;
+    });
+  });
+
+  describe('postSnippet', () => {
+    let snippetId;
+
+    beforeEach(async () => {
+      const created = await snippetManager.createSnippet({ content: 'Ready to post', platform: 'twitter' });
+      snippetId = created.snippet.id;
+    });
+
+    it('should refuse to post snippets that are not approved', async () => {
+      const poster = { post: sinon.stub() };
+
+      const result = await postSnippet(snippetId, { snippetManager, poster, platforms: ['x'] });
+
+      expect(result.success).to.be.false;
+      expect(result.error).to.equal('Only approved snippets can be posted (status: pending)');
+      expect(poster.post.called).to.be.false;
+    });
+
+    it('should post approved snippets and mark them posted', async () => {
+      await snippetManager.approveSnippet(snippetId);
+      const poster = {
+        post: sinon.stub().resolves({
+          success: true,
+          results: { x: { success: true }, linkedin: { success: false, error: 'Not logged in' } },
+        }),
+      };
+
+      const result = await postSnippet(snippetId, { snippetManager, poster, platforms: ['x', 'linkedin'] });
+
+      expect(poster.post.calledOnceWith({ text: 'Ready to post' }, ['x', 'linkedin'])).to.be.true;
+      expect(result.success).to.be.true;
+      expect(result.failedPlatforms).to.deep.equal(['linkedin']);
+      expect(result.snippet.status).to.equal('posted');
+      expect(result.snippet.postedTo).to.deep.equal(['x']);
+      expect(result.snippet.postedAt).to.be.a('string');
+    });
+
+    it('should leave the snippet approved when every platform fails', async () => {
+      await snippetManager.approveSnippet(snippetId);
+      const poster = {
+        post: sinon.stub().resolves({ success: true, results: { x: { success: false, error: 'Rate limited' } } }),
+      };
+
+      const result = await postSnippet(snippetId, { snippetManager, poster, platforms: ['x'] });
+
+      expect(result.success).to.be.false;
+      expect(result.error).to.equal('x: Rate limited');
+      expect((await snippetManager.getSnippet(snippetId)).snippet.status).to.equal('approved');
+    });
+  });
+});